@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+/**
+ * CLI do robô JTe
+ *
+ * uso:
+ *   node cli.js scrape [opções]        extrai a pauta (JTe -> MySQL + CSV/XLSX + email)
+ *   node cli.js list-varas [opções]    lista as varas disponíveis no JTe (tribunal | município | vara)
+ *   node cli.js export [opções]        gera CSV/XLSX a partir do MySQL ou de um checkpoint
+ *   node cli.js email [--file]         envia um arquivo já gerado por email
+ *   node cli.js doctor [opções]        percorre o JTe uma vez e diz quais seletores ainda funcionam
+ *   node cli.js history --processo <n> linha do tempo de um processo no MySQL (apareceu, remarcada, sumiu...)
+ *   node cli.js import-cnpj --dir <p>  importa os arquivos de CNPJ da Receita Federal (já descompactados) para o MySQL
+ *   node cli.js daemon [opções]        fica rodando e dispara os scrapes da agenda (config/agenda.json), sempre headless
+ *   node cli.js trigger [--job <nome>] pede ao daemon uma execução agora
+ *   node cli.js serve [--port <n>]     API HTTP local + tela de revisão dos leads em / (ver lib/api.js)
+ *
+ * opções:
+ *   --from <data>        início da janela (dd/mm/aaaa, aaaa-mm-dd ou +N dias). Padrão: +7
+ *   --to <data>          fim da janela. Padrão: +2 meses e 10 dias
+ *   --vara <filtro>      nome (trecho, sem diferenciar acento/maiúscula) ou /regex/flags; pode repetir
+ *   --tribunal <nome>    tribunal como aparece no JTe (ex.: "TRT15"); pode repetir. Padrão: TRT2 - São Paulo
+ *   --municipio <nome>   município/localidade da unidade; pode repetir; "*" = todos do tribunal
+ *   --tipo-unidade <t>   tipo de unidade (padrão: Audiências 1º grau)
+ *   --date-strategy <l>  ordem das estratégias de troca de data: calendario,botoes (padrão)
+ *   --rules <arquivo>    regras de descarte de reclamadas (padrão: config/regras.json; "nenhuma" desliga)
+ *   --leads <arquivo>    pesos da pontuação de leads (padrão: config/leads.json)
+ *   --out-dir <pasta>    pasta de saída (padrão ./output)
+ *   --format <lista>     csv,xlsx (padrão: os dois)
+ *   --headless           roda sem janela (--no-headless força janela visível)
+ *   --skip-email         não envia o email no final
+ *   --email-templates <pasta>  templates do email (padrão: config/email)
+ *   --skip-pje           não consulta o PJe
+ *   --skip-crm           não envia leads ao CRM nesta execução (a outbox fica para a próxima)
+ *   --workers <n>        browser contexts em paralelo (máx. 5)
+ *   --trace              grava o trace do Playwright junto dos artefatos de falha (output/artefatos/<runId>/)
+ *   --resume             continua a última execução interrompida
+ *   --run <runId>        (export) exporta as linhas de um checkpoint em vez do MySQL
+ *   --file <arquivo>     (email) arquivo a anexar (padrão: XLSX mais recente da pasta de saída)
+ *   --subject <texto>    (email) assunto
+ *   --processo <número>  (history) número CNJ do processo
+ *   --dir <pasta>        (import-cnpj) pasta com *EMPRECSV, *ESTABELE, *SIMPLES, *CNAECSV, *MUNICCSV
+ *   --uf <UF>            (import-cnpj) só estabelecimentos dessa UF; pode repetir (ex.: --uf SP)
+ *   --schedule <arquivo> (daemon, trigger) agenda (padrão: config/agenda.json)
+ *   --job <nome>         (trigger) agendamento a disparar (padrão: o primeiro da agenda)
+ *   --port <n>           (serve) porta (padrão: JTE_API_PORTA ou 8787)
+ *   --host <endereço>    (serve) interface (padrão: 127.0.0.1)
+ *
+ * No daemon, as opções de scrape da linha de comando valem para todos os
+ * agendamentos e as "opcoes" de cada agendamento por cima delas. SIGTERM/Ctrl+C
+ * termina a vara atual e sai; a execução é retomada quando o daemon voltar.
+ *
+ * As opções não informadas caem nas variáveis de ambiente de index.js (JTE_*, PJE_*).
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const jte = require('./index');
+const { ARQUIVO_REGRAS_PADRAO, carregarRegras, separarLinhas } = require('./lib/regras');
+const { ARQUIVO_LEADS_PADRAO, carregarPontuacao } = require('./lib/leads');
+
+/* =========================
+   PARSE DE OPÇÕES
+========================= */
+
+const OPCOES = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  vara: { type: 'string', multiple: true },
+  tribunal: { type: 'string', multiple: true },
+  municipio: { type: 'string', multiple: true },
+  'tipo-unidade': { type: 'string' },
+  'date-strategy': { type: 'string' },
+  rules: { type: 'string' },
+  leads: { type: 'string' },
+  'out-dir': { type: 'string' },
+  format: { type: 'string' },
+  headless: { type: 'boolean' },
+  'no-headless': { type: 'boolean' },
+  'skip-email': { type: 'boolean' },
+  'email-templates': { type: 'string' },
+  'skip-pje': { type: 'boolean' },
+  'skip-crm': { type: 'boolean' },
+  trace: { type: 'boolean' },
+  workers: { type: 'string' },
+  resume: { type: 'boolean' },
+  run: { type: 'string' },
+  file: { type: 'string' },
+  subject: { type: 'string' },
+  processo: { type: 'string' },
+  dir: { type: 'string' },
+  uf: { type: 'string', multiple: true },
+  schedule: { type: 'string' },
+  job: { type: 'string' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const FORMATOS = ['csv', 'xlsx'];
+
+// o que um agendamento (ou um POST na API) pode mudar; pasta de saída, janela visível e --resume ficam de fora
+const OPCOES_AGENDAMENTO = [
+  'from', 'to', 'vara', 'tribunal', 'municipio', 'tipo-unidade', 'date-strategy', 'rules', 'leads',
+  'format', 'skip-email', 'email-templates', 'skip-pje', 'skip-crm', 'trace', 'workers',
+];
+
+function ajuda() {
+  const fonte = fs.readFileSync(__filename, 'utf8');
+  const bloco = fonte.match(/\/\*\*([\s\S]*?)\*\//)[1];
+  console.log(bloco.split('\n').map((l) => l.replace(/^\s*\* ?/, '')).join('\n').trim());
+}
+
+// new Date(2026, 98, 99) não falha: rola para outro dia. Só vale se voltar igual
+function dataExata(ano, mes, dia) {
+  const d = new Date(ano, mes - 1, dia);
+  return d.getFullYear() === ano && d.getMonth() === mes - 1 && d.getDate() === dia ? d : null;
+}
+
+function parseDataOpcao(valor, nome) {
+  const v = String(valor).trim();
+
+  let m = v.match(/^\+(\d+)$/);
+  if (m) {
+    const d = new Date();
+    d.setDate(d.getDate() + Number(m[1]));
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  let data = null;
+  m = v.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (m) data = dataExata(Number(m[3]), Number(m[2]), Number(m[1]));
+
+  m = v.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) data = dataExata(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  if (data) return data;
+
+  throw new Error(`--${nome}: data inválida "${valor}" (use dd/mm/aaaa, aaaa-mm-dd ou +N)`);
+}
+
+function semAcento(s) {
+  return String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function criarFiltroVara(valores) {
+  if (!valores || !valores.length) return null;
+
+  const testes = valores.map((v) => {
+    const re = v.match(/^\/(.*)\/([a-z]*)$/);
+    if (re) {
+      const regex = new RegExp(re[1], re[2]);
+      return (vara) => regex.test(vara);
+    }
+    const trecho = semAcento(v);
+    return (vara) => semAcento(vara).includes(trecho);
+  });
+
+  return (vara) => testes.some((t) => t(vara));
+}
+
+function janelaDeDatas(valores) {
+  const padrao = jte.janelaPadraoDeDatas();
+  const inicio = valores.from ? parseDataOpcao(valores.from, 'from') : padrao.inicio;
+  const fim = valores.to ? parseDataOpcao(valores.to, 'to') : padrao.fim;
+  if (fim < inicio) throw new Error('--to anterior a --from');
+  return { inicio, fim };
+}
+
+function opcoesDeScrape(valores) {
+  const opcoes = {};
+
+  if (valores.from || valores.to) {
+    const { inicio, fim } = janelaDeDatas(valores);
+    opcoes.datas = jte.gerarDatasUteis(inicio, fim);
+  }
+
+  Object.assign(opcoes, opcoesDeUnidade(valores));
+  if (valores['out-dir']) opcoes.outDir = path.resolve(valores['out-dir']);
+  if (valores.format) opcoes.formatos = parseFormatos(valores.format);
+  if (valores.headless) opcoes.headless = true;
+  if (valores['no-headless']) opcoes.headless = false;
+  if (valores['skip-email']) opcoes.enviarEmail = false;
+  if (valores['skip-pje']) opcoes.pje = false;
+  if (valores['skip-crm']) opcoes.crmUrl = '';
+  if (valores.trace) opcoes.trace = true;
+  if (valores.workers !== undefined) opcoes.workers = parseWorkers(valores.workers);
+  if (valores.resume) opcoes.retomar = true;
+  if (valores.rules) opcoes.regras = jte.arquivoRegras(valores.rules);
+  if (valores.leads) opcoes.leads = path.resolve(valores.leads);
+  if (valores['email-templates']) opcoes.templatesEmail = path.resolve(valores['email-templates']);
+  if (valores['date-strategy']) {
+    opcoes.navegacaoData = valores['date-strategy'].split(',').map((s) => s.trim()).filter(Boolean);
+  }
+
+  return opcoes;
+}
+
+function opcoesDeUnidade(valores) {
+  const opcoes = { filtroVara: criarFiltroVara(valores.vara) };
+  if (valores.tribunal) opcoes.tribunais = valores.tribunal;
+  if (valores.municipio) opcoes.municipios = valores.municipio;
+  if (valores['tipo-unidade']) opcoes.tipoUnidade = valores['tipo-unidade'];
+  return opcoes;
+}
+
+function parseFormatos(valor) {
+  const formatos = String(valor).split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const invalidos = formatos.filter((f) => !FORMATOS.includes(f));
+  if (invalidos.length) throw new Error(`--format: formato desconhecido ${invalidos.join(', ')} (use ${FORMATOS.join(',')})`);
+  return formatos;
+}
+
+// acima do máximo o executarScrape avisa e usa o máximo; texto, zero ou fração é erro
+function parseWorkers(valor) {
+  const n = Number(String(valor).trim());
+  if (!String(valor).trim() || !Number.isInteger(n) || n < 1) {
+    throw new Error(`--workers: valor inválido "${valor}" (use um número inteiro a partir de 1)`);
+  }
+  return n;
+}
+
+function outDirDe(valores) {
+  return path.resolve(valores['out-dir'] || path.join(process.cwd(), 'output'));
+}
+
+/* =========================
+   SUBCOMANDOS
+========================= */
+
+async function cmdScrape(valores) {
+  const r = await jte.executarScrape(opcoesDeScrape(valores));
+  if (r.falhas.length) process.exitCode = 2;
+}
+
+async function cmdListVaras(valores) {
+  const headless = valores['no-headless'] ? false : true;
+
+  const unidades = await jte.listarUnidadesDisponiveis({ headless, ...opcoesDeUnidade(valores) });
+  for (const u of unidades) console.log(`${u.tribunal} | ${u.municipio} | ${u.vara}`);
+}
+
+async function cmdDoctor(valores) {
+  const headless = valores['no-headless'] ? false : true;
+  const opcoes = { headless, ...opcoesDeUnidade(valores) };
+  if (valores['out-dir']) opcoes.outDir = path.resolve(valores['out-dir']);
+
+  const relatorio = await jte.executarDoctor(opcoes);
+  if (!relatorio.ok) process.exitCode = 1;
+}
+
+async function cmdExport(valores) {
+  const outDir = outDirDe(valores);
+  const formatos = valores.format ? parseFormatos(valores.format) : FORMATOS;
+  const filtro = criarFiltroVara(valores.vara);
+
+  let rows;
+  let revisoes;
+  if (valores.run) {
+    const { carregarCheckpoint, lerLinhasCheckpoint } = require('./lib/checkpoint');
+    const ckpt = carregarCheckpoint(path.join(outDir, 'checkpoints', valores.run));
+    if (!ckpt) throw new Error(`Checkpoint ${valores.run} não encontrado em ${outDir}`);
+    rows = lerLinhasCheckpoint(ckpt);
+    revisoes = await jte.carregarRevisoes(rows, { outDir });
+  } else {
+    const pool = await jte.initDbIfEnabled();
+    if (!pool) throw new Error('export sem --run precisa do MySQL (DB_ENABLED=true).');
+    try {
+      const { inicio, fim } = janelaDeDatas(valores);
+      // audiências que sumiram da pauta (ou foram remarcadas para outro dia) ficam de fora
+      rows = await jte.carregarLinhasDoBanco(pool, { de: dataISO(inicio), ate: dataISO(fim), somenteAtivas: true });
+      await jte.enriquecerComReceita(pool, rows);
+      revisoes = await jte.carregarRevisoes(rows, { pool, outDir });
+    } finally {
+      await pool.end().catch(() => { });
+    }
+  }
+
+  if (filtro) rows = rows.filter((r) => filtro(r.vara));
+
+  if (valores.run && (valores.from || valores.to)) {
+    const { inicio, fim } = janelaDeDatas(valores);
+    rows = rows.filter((r) => {
+      const d = jte.parseBRDate(r.data);
+      return d >= inicio && d <= fim;
+    });
+  }
+
+  const regras = carregarRegras(jte.arquivoRegras(valores.rules || jte.getEnv('JTE_REGRAS', ARQUIVO_REGRAS_PADRAO)));
+  const { mantidas, descartadas } = separarLinhas(rows, regras);
+  const pontuacao = carregarPontuacao(path.resolve(valores.leads || jte.getEnv('JTE_LEADS', ARQUIVO_LEADS_PADRAO)));
+
+  console.log(`✅ ${mantidas.length} linhas (${descartadas.length} descartadas pelas regras)`);
+  await jte.exportarArquivos(mantidas, jte.HEADERS_PAUTA, {
+    outDir,
+    formatos,
+    prefixo: 'pauta_export',
+    abasExtras: jte.abasExtrasDaPauta(mantidas, { pontuacao, revisoes }),
+  });
+  if (descartadas.length) {
+    await jte.exportarArquivos(descartadas, jte.HEADERS_DESCARTADOS, { outDir, formatos, prefixo: 'descartados_export' });
+  }
+}
+
+function dataISO(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function arquivoMaisRecente(dir, ext) {
+  if (!fs.existsSync(dir)) return null;
+  const arquivos = fs.readdirSync(dir)
+    .filter((f) => f.toLowerCase().endsWith(ext))
+    .map((f) => path.join(dir, f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return arquivos[0] || null;
+}
+
+async function cmdEmail(valores) {
+  const arquivo = valores.file ? path.resolve(valores.file) : arquivoMaisRecente(outDirDe(valores), '.xlsx');
+  if (!arquivo || !fs.existsSync(arquivo)) throw new Error('Nenhum arquivo para enviar (use --file).');
+
+  const subject = valores.subject || `Pauta JTe - ${path.basename(arquivo)}`;
+  const text =
+    `Olá!\n\n` +
+    `Segue em anexo o arquivo ${path.basename(arquivo)} com a extração da pauta do JTe.\n\n` +
+    `Atenciosamente,\nRobô JTe`;
+
+  const info = await jte.sendEmailWithAttachment({ subject, text, attachmentPath: arquivo });
+  console.log(`📧 Email enviado! messageId=${info.messageId || '(sem id)'}`);
+}
+
+async function cmdHistory(valores) {
+  if (!valores.processo) throw new Error('history precisa de --processo <número>.');
+  const { carregarObservacoesMySql, linhaDoTempo } = require('./lib/historico');
+
+  const pool = await jte.initDbIfEnabled();
+  if (!pool) throw new Error('history precisa do MySQL (DB_ENABLED=true).');
+
+  let observacoes;
+  try {
+    observacoes = await carregarObservacoesMySql(pool, valores.processo.trim());
+  } finally {
+    await pool.end().catch(() => { });
+  }
+
+  if (!observacoes.length) {
+    console.log(`ℹ️ Nenhuma observação do processo ${valores.processo} no histórico.`);
+    return;
+  }
+
+  const quando = (d) => new Date(d).toLocaleString('pt-BR');
+  const t = linhaDoTempo(observacoes);
+  console.log(`📜 ${valores.processo}: ${observacoes.length} observações, de ${quando(t.primeiraObservacao)} a ${quando(t.ultimaObservacao)}`);
+  for (const e of t.eventos) {
+    console.log(`${quando(e.em)}  ${e.evento.padEnd(15)} ${e.audiencia}${e.detalhe ? `  (${e.detalhe})` : ''}`);
+  }
+  if (t.desaparecidaEm) console.log(`⚠️ Fora da pauta desde ${quando(t.desaparecidaEm)}`);
+}
+
+async function cmdImportCnpj(valores) {
+  if (!valores.dir) throw new Error('import-cnpj precisa de --dir <pasta>.');
+  const { importarReceita } = require('./lib/receita');
+
+  const pool = await jte.initDbIfEnabled();
+  if (!pool) throw new Error('import-cnpj precisa do MySQL (DB_ENABLED=true).');
+
+  try {
+    const ufs = (valores.uf || []).map((u) => u.trim().toUpperCase()).filter(Boolean);
+    const totais = await importarReceita(pool, path.resolve(valores.dir), { ufs });
+    console.log(`✅ Receita importada: ${Object.entries(totais).map(([t, n]) => `${t}=${n}`).join(', ')}`);
+  } finally {
+    await pool.end().catch(() => { });
+  }
+}
+
+function carregarAgendaDe(valores) {
+  const { ARQUIVO_AGENDA_PADRAO, carregarAgenda } = require('./lib/agenda');
+  return carregarAgenda(path.resolve(valores.schedule || jte.getEnv('JTE_AGENDA', ARQUIVO_AGENDA_PADRAO)));
+}
+
+// opções em JSON (agenda, POST da API) no formato do parseArgs ({ vara: [...], 'skip-email': true })
+function valoresDasOpcoes(opcoes, onde) {
+  if (!opcoes || typeof opcoes !== 'object' || Array.isArray(opcoes)) throw new Error(`${onde}: "opcoes" precisa ser um objeto`);
+
+  const valores = {};
+  for (const [chave, valor] of Object.entries(opcoes)) {
+    if (!OPCOES_AGENDAMENTO.includes(chave)) {
+      throw new Error(`${onde}: opção "${chave}" não vale aqui (use: ${OPCOES_AGENDAMENTO.join(', ')})`);
+    }
+    const def = OPCOES[chave];
+    if (def.multiple) valores[chave] = [].concat(valor).map(String);
+    else if (def.type === 'boolean') valores[chave] = valor === true;
+    else valores[chave] = String(valor);
+  }
+  return valores;
+}
+
+// SIGTERM/Ctrl+C aborta o signal (a vara atual termina); o segundo sai na hora
+function pararComSinais(aoParar = () => { }) {
+  const parada = new AbortController();
+  const parar = (sinal) => {
+    if (parada.signal.aborted) {
+      console.error(`🛑 ${sinal} de novo: saindo sem esperar a vara atual.`);
+      process.exit(sinal === 'SIGINT' ? 130 : 143);
+    }
+    console.log(`🛑 ${sinal}: terminando a vara atual antes de sair (repita para sair já).`);
+    parada.abort();
+    aoParar();
+  };
+  process.on('SIGTERM', parar);
+  process.on('SIGINT', parar);
+
+  const desligar = () => {
+    process.removeListener('SIGTERM', parar);
+    process.removeListener('SIGINT', parar);
+  };
+  return { parada, desligar };
+}
+
+async function cmdDaemon(valores) {
+  const { executarDaemon } = require('./lib/daemon');
+  const agenda = carregarAgendaDe(valores);
+  const outDir = outDirDe(valores);
+  const opcoesDoAgendamento = (a) => opcoesDeScrape({ ...valores, ...valoresDasOpcoes(a.opcoes, `agenda, "${a.nome}"`) });
+
+  // opção errada na agenda para aqui, não no primeiro disparo
+  for (const a of agenda.agendamentos) opcoesDoAgendamento(a);
+  console.log(`🗓️ Agenda: ${agenda.arquivo}`);
+
+  const { parada, desligar } = pararComSinais();
+  try {
+    await executarDaemon({
+      agenda,
+      dir: path.join(outDir, 'daemon'),
+      signal: parada.signal,
+      executar: (a, { retomar, signal }) => jte.executarScrape({
+        ...opcoesDoAgendamento(a),
+        outDir,
+        headless: true,
+        retomar,
+        signal,
+        origem: `daemon:${a.nome}`,
+      }),
+    });
+  } finally {
+    desligar();
+  }
+}
+
+async function cmdTrigger(valores) {
+  const { lerEstadoDaemon, dispararAgendamento } = require('./lib/daemon');
+  const agenda = carregarAgendaDe(valores);
+  const nomes = agenda.agendamentos.map((a) => a.nome);
+  const nome = valores.job || nomes[0];
+  if (!nomes.includes(nome)) throw new Error(`trigger: agendamento "${nome}" não existe (use: ${nomes.join(', ')})`);
+
+  const dir = path.join(outDirDe(valores), 'daemon');
+  const estado = lerEstadoDaemon(dir);
+  if (!estado || estado.encerradoEm) console.warn('⚠️ O daemon não está rodando: o pedido fica esperando ele subir.');
+  else if (estado.emExecucao) console.log(`ℹ️ Daemon ocupado com "${estado.emExecucao.agendamento}" desde ${estado.emExecucao.desde}: o pedido entra na fila.`);
+
+  dispararAgendamento(dir, nome);
+  console.log(`📨 Execução de "${nome}" pedida ao daemon.`);
+}
+
+async function cmdServe(valores) {
+  const outDir = outDirDe(valores);
+  let servidor = null;
+  const { parada, desligar } = pararComSinais(() => servidor?.close());
+
+  // corpo do POST /api/execucoes: { agendamento } da agenda ou { opcoes } avulsas
+  const iniciarScrape = (corpo) => {
+    let opcoes;
+    try {
+      let opcoesJson = corpo.opcoes || {};
+      let onde = 'api';
+      if (corpo.agendamento) {
+        const a = carregarAgendaDe(valores).agendamentos.find((x) => x.nome === corpo.agendamento);
+        if (!a) throw new Error(`api: agendamento "${corpo.agendamento}" não existe`);
+        opcoesJson = a.opcoes;
+        onde = `agenda, "${a.nome}"`;
+      }
+      opcoes = opcoesDeScrape({ ...valores, ...valoresDasOpcoes(opcoesJson, onde) });
+    } catch (err) {
+      err.status = 400;
+      throw err;
+    }
+    return jte.executarScrape({
+      ...opcoes,
+      outDir,
+      headless: true,
+      signal: parada.signal,
+      origem: corpo.agendamento ? `api:${corpo.agendamento}` : 'api',
+    });
+  };
+
+  const opcoes = { outDir, iniciarScrape };
+  if (valores.port) opcoes.porta = Number(valores.port);
+  if (valores.host) opcoes.host = valores.host;
+  if (valores.rules) opcoes.regras = jte.arquivoRegras(valores.rules);
+
+  try {
+    servidor = await jte.iniciarApi(opcoes);
+    await new Promise((resolve) => servidor.on('close', resolve));
+  } finally {
+    desligar();
+  }
+}
+
+const COMANDOS = {
+  scrape: cmdScrape,
+  'list-varas': cmdListVaras,
+  export: cmdExport,
+  email: cmdEmail,
+  doctor: cmdDoctor,
+  history: cmdHistory,
+  'import-cnpj': cmdImportCnpj,
+  daemon: cmdDaemon,
+  trigger: cmdTrigger,
+  serve: cmdServe,
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPCOES, allowPositionals: true });
+  const [comando] = positionals;
+
+  if (values.help || !comando || comando === 'help') {
+    ajuda();
+    return;
+  }
+
+  const fn = COMANDOS[comando];
+  if (!fn) throw new Error(`Comando desconhecido: ${comando} (use: ${Object.keys(COMANDOS).join(', ')})`);
+
+  await fn(values);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('❌ Erro:', err.message || err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, parseDataOpcao, criarFiltroVara, parseFormatos, parseWorkers, valoresDasOpcoes };
@@ -19,6 +19,46 @@
  *   SMTP_PASS=sua-senha-ou-app-password
  *   MAIL_FROM="Robô JTe <seu-email@dominio.com>"
  *   MAIL_TO=destinatario@dominio.com;dest2@dominio.com
+ *   JTE_EMAIL_TEMPLATES=config/email   (assunto.txt, relatorio.html, relatorio.txt; ver lib/relatorioEmail.js)
+ *   JTE_EMAIL_TOP_LEADS=10
+ *   ALERT_MAIL_TO=operador@dominio.com   (falha ou execução degradada: relatório + dados parciais; ver lib/relatorioExecucao.js)
+ *
+ *   JTE_URL=https://jte.csjt.jus.br/start   (os testes apontam para as fixtures locais)
+ *   JTE_CHROMIUM_PATH=   (executável do Chromium, se não for o do "npx playwright install")
+ *   JTE_HEADLESS=false
+ *   JTE_WORKERS=3        (contexts em paralelo, máx. 5)
+ *   JTE_RATE_MS=400      (intervalo mínimo entre requisições ao JTe, somando todos os workers)
+ *   JTE_EXTRACAO=auto    (auto = JSON da rede conferido com o DOM | rede | dom)
+ *   JTE_NAVEGACAO_DATA=calendario,botoes   (ordem das estratégias para chegar numa data; cai para a próxima se falhar)
+ *   JTE_TRIBUNAIS=TRT2 - São Paulo;TRT15
+ *   JTE_TIPO_UNIDADE=Audiências 1º grau
+ *   JTE_MUNICIPIOS=São Paulo - Zonas Central, Norte e Oeste;Guarulhos   ('*' = todos do tribunal)
+ *   JTE_REGRAS=config/regras.json   (blacklist/palavras-chave/entes públicos; "nenhuma" = não descarta nada)
+ *   JTE_LEADS=config/leads.json     (pesos da pontuação da aba "Leads priorizados")
+ *   JTE_LOG_NIVEL=info   (output/logs/jte.log em JSON lines, ver lib/log.js)
+ *   JTE_LOG_MAX_MB=10
+ *   JTE_LOG_ARQUIVOS=5
+ *   JTE_TRACE=false      (trace do Playwright junto do screenshot/HTML de falha em output/artefatos/<runId>/)
+ *   JTE_ARTEFATOS_MAX=50
+ *   JTE_AGENDA=config/agenda.json   (agendamentos do `node cli.js daemon`, ver lib/agenda.js)
+ *   JTE_API_PORTA=8787   (`node cli.js serve`, ver lib/api.js)
+ *   JTE_API_HOST=127.0.0.1
+ *   JTE_API_TOKEN=       (vazio = sem autenticação; só deixe assim em 127.0.0.1)
+ *
+ *   PJE_ENABLED=true
+ *   PJE_URL=https://pje.trt2.jus.br/consultaprocessual
+ *   PJE_DELAY_MIN_MS=5000
+ *   PJE_DELAY_MAX_MS=15000
+ *   PJE_CACHE_DIAS=7
+ *
+ *   RECEITA_CONFIANCA_MINIMA=0.85   (casamento reclamada -> CNPJ pela base da Receita, ver lib/receita.js)
+ *
+ *   CRM_URL=https://crm.exemplo.com/api/leads   (vazio = não envia leads; ver lib/crm.js)
+ *   CRM_TOKEN=
+ *   CRM_CONFIG=config/crm.json   (mapeamento de campos, score mínimo, mudanças enviadas)
+ *   CRM_TENTATIVAS=3
+ *   CRM_BACKOFF_MS=2000
+ *   CRM_TIMEOUT_MS=15000
  */
 require('dotenv').config();
 const { chromium } = require('playwright');
@@ -27,6 +67,103 @@ const path = require('path');
 const mysql = require('mysql2/promise');
 const nodemailer = require('nodemailer');
 const ExcelJS = require('exceljs');
+const {
+  PJE_URL_PADRAO,
+  PJE_HEADERS,
+  enriquecerProcessos,
+  colunasPje,
+  ensurePjeSchema,
+  upsertPjeMySql,
+  carregarPjeDoBanco,
+  resultadoPjeDoBanco,
+} = require('./lib/pje');
+const { verificarNumeroCnj, codigoTribunalCnj } = require('./lib/cnj');
+const {
+  VERSAO_SELETORES,
+  CAMPOS_ITEM_PAUTA,
+  escapeRegExp,
+  seletor,
+  localizar,
+  localizarOuNull,
+  diagnosticarSeletor,
+} = require('./lib/seletores');
+const {
+  iniciarCheckpoint,
+  retomarCheckpoint,
+  ultimoCheckpointFinalizado,
+  chaveUnidade,
+  parConcluido,
+  parObservado,
+  unidadeConcluida,
+  registrarPar,
+  lerLinhasCheckpoint,
+  gravarEstadoAnterior,
+  lerEstadoAnterior,
+  resumoCheckpoint,
+  paresPulados,
+  finalizarCheckpoint,
+  listarResumosRuns,
+} = require('./lib/checkpoint');
+const { criarLimitador, limitarRequisicoes, executarPool } = require('./lib/pool');
+const { EXTRA_HEADERS, capturarRespostasPauta, processosDaCaptura } = require('./lib/pautaRede');
+const { ARQUIVO_REGRAS_PADRAO, carregarRegras, separarLinhas } = require('./lib/regras');
+const { RECLAMADA_HEADERS, EMPRESA_HEADERS, colunasReclamada, agruparEmpresas } = require('./lib/reclamadas');
+const { SESSAO_HEADERS, analisarSessao } = require('./lib/sessao');
+const { PARTES_HEADERS, classificarPartes } = require('./lib/partes');
+const {
+  RECEITA_HEADERS,
+  CONFIANCA_MINIMA_PADRAO,
+  lerConfiancaMinima,
+  ensureReceitaSchema,
+  casarComReceita,
+  receitaImportada,
+} = require('./lib/receita');
+const { ARQUIVO_LEADS_PADRAO, LEADS_HEADERS, compilarPontuacao, carregarPontuacao, pontuarLeads } = require('./lib/leads');
+const {
+  ARQUIVO_CRM_PADRAO,
+  carregarConfigCrm,
+  criarOutboxArquivo,
+  criarOutboxMySql,
+  ensureCrmSchema,
+  enviarParaCrm,
+} = require('./lib/crm');
+const {
+  ensureHistoricoSchema,
+  registrarExecucaoMySql,
+  finalizarExecucaoMySql,
+  listarExecucoesMySql,
+  carregarRelatorioMySql,
+  inserirObservacoesMySql,
+} = require('./lib/historico');
+const { MUDANCA_HEADERS, NOVIDADES_HEADERS, compararComAnterior, listarNovidades, resumoEmTexto } = require('./lib/mudancas');
+const {
+  montarRelatorioExecucao,
+  precisaAlerta,
+  relatorioEmTexto,
+  gravarRelatorioExecucao,
+} = require('./lib/relatorioExecucao');
+const {
+  iniciarLog,
+  encerrarLog,
+  contextoAtual,
+  definirContexto,
+  comContexto,
+  traceLigado,
+  salvarArtefatos,
+} = require('./lib/log');
+const { DIR_TEMPLATES_PADRAO, TOP_LEADS_PADRAO, carregarTemplates, montarRelatorio, montarEmail } = require('./lib/relatorioEmail');
+const { NOME_TRAVA, lerTrava, adquirirTrava } = require('./lib/trava');
+const { lerEstadoDaemon } = require('./lib/daemon');
+const { erroHttp, filtrarLinhas, filtrarLeads, paginar, criarServidorApi } = require('./lib/api');
+const {
+  validarMudancaRevisao,
+  revisaoVazia,
+  aplicarRevisao,
+  leadEmAberto,
+  criarRevisaoArquivo,
+  criarRevisaoMySql,
+  ensureRevisaoSchema,
+} = require('./lib/revisao');
 
 /* =========================
    CSV HELPERS
@@ -72,17 +209,28 @@ function getTodayBR() {
   return `${dd}/${mm}/${yyyy}`;
 }
 
-function gerarDatasProximosDoisMeses() {
+function janelaPadraoDeDatas() {
   const hoje = new Date();
-  const datas = [];
 
-  let current = new Date(hoje);
-  current.setDate(current.getDate() + 7);
+  const inicio = new Date(hoje);
+  inicio.setDate(inicio.getDate() + 7);
 
   const fim = new Date(hoje);
   fim.setMonth(fim.getMonth() + 2);
   fim.setDate(fim.getDate() + 10);
 
+  return { inicio, fim };
+}
+
+function gerarDatasProximosDoisMeses() {
+  const { inicio, fim } = janelaPadraoDeDatas();
+  return gerarDatasUteis(inicio, fim);
+}
+
+function gerarDatasUteis(inicio, fim) {
+  const datas = [];
+  let current = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate());
+
   while (current <= fim) {
     const dd = String(current.getDate()).padStart(2, '0');
     const mm = String(current.getMonth() + 1).padStart(2, '0');
@@ -137,22 +285,124 @@ async function ensureSchema(pool) {
 CREATE TABLE IF NOT EXISTS pauta_processos (
   id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
   geradoEm DATETIME(3) NOT NULL,
+  tribunal VARCHAR(64) NOT NULL DEFAULT '',
+  municipio VARCHAR(255) NOT NULL DEFAULT '',
   vara VARCHAR(255) NOT NULL,
   dataBR VARCHAR(10) NOT NULL,
   dataISO DATE NOT NULL,
   numeroProcesso VARCHAR(64) NOT NULL,
   sessao VARCHAR(255) NULL,
+  hora VARCHAR(5) NULL,
+  tipoAudiencia VARCHAR(32) NULL,
+  modalidade VARCHAR(16) NULL,
+  status VARCHAR(16) NULL,
+  sessaoBruta VARCHAR(255) NULL,
   juiz VARCHAR(255) NULL,
   reclamante VARCHAR(255) NULL,
   reclamada VARCHAR(255) NULL,
+  reclamadasNormalizadas VARCHAR(512) NULL,
+  chavesEmpresa VARCHAR(512) NULL,
+  outrasPartes VARCHAR(512) NULL,
+  partesNaoClassificadas VARCHAR(512) NULL,
+  revisaoPartes VARCHAR(255) NULL,
+  cnjStatus VARCHAR(32) NULL,
+  cnjAlerta VARCHAR(255) NULL,
+  classe VARCHAR(128) NULL,
+  sala VARCHAR(255) NULL,
+  tipoPauta VARCHAR(128) NULL,
+  situacaoPauta VARCHAR(128) NULL,
+  origemExtracao VARCHAR(8) NULL,
+  desaparecidaEm DATETIME NULL,
   createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   PRIMARY KEY (id),
-  UNIQUE KEY uq_pauta (vara, dataISO, numeroProcesso),
+  UNIQUE KEY uq_pauta (tribunal, municipio, vara, dataISO, numeroProcesso),
   KEY ix_data (dataISO),
-  KEY ix_vara (vara)
+  KEY ix_vara (vara),
+  KEY ix_chaves_empresa (chavesEmpresa(191)),
+  KEY ix_tipo_audiencia (tipoAudiencia)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 `;
   await pool.query(sql);
+
+  // ✅ bases criadas antes dessas colunas existirem
+  const criadas = await ensureColumns(pool, 'pauta_processos', {
+    tribunal: "VARCHAR(64) NOT NULL DEFAULT '' AFTER geradoEm",
+    municipio: "VARCHAR(255) NOT NULL DEFAULT '' AFTER tribunal",
+    hora: 'VARCHAR(5) NULL AFTER sessao',
+    tipoAudiencia: 'VARCHAR(32) NULL AFTER hora',
+    modalidade: 'VARCHAR(16) NULL AFTER tipoAudiencia',
+    status: 'VARCHAR(16) NULL AFTER modalidade',
+    sessaoBruta: 'VARCHAR(255) NULL AFTER status',
+    reclamadasNormalizadas: 'VARCHAR(512) NULL AFTER reclamada',
+    chavesEmpresa: 'VARCHAR(512) NULL AFTER reclamadasNormalizadas',
+    outrasPartes: 'VARCHAR(512) NULL AFTER chavesEmpresa',
+    partesNaoClassificadas: 'VARCHAR(512) NULL AFTER outrasPartes',
+    revisaoPartes: 'VARCHAR(255) NULL AFTER partesNaoClassificadas',
+    cnjStatus: 'VARCHAR(32) NULL AFTER revisaoPartes',
+    cnjAlerta: 'VARCHAR(255) NULL AFTER cnjStatus',
+    classe: 'VARCHAR(128) NULL AFTER cnjAlerta',
+    sala: 'VARCHAR(255) NULL AFTER classe',
+    tipoPauta: 'VARCHAR(128) NULL AFTER sala',
+    situacaoPauta: 'VARCHAR(128) NULL AFTER tipoPauta',
+    origemExtracao: 'VARCHAR(8) NULL AFTER situacaoPauta',
+    desaparecidaEm: 'DATETIME NULL AFTER origemExtracao',
+  });
+
+  // ✅ antes de existirem essas colunas tudo era da capital do TRT2
+  if (criadas.includes('tribunal')) {
+    await pool.query(
+      `UPDATE pauta_processos SET tribunal = ?, municipio = ? WHERE tribunal = ''`,
+      [TRIBUNAL_PADRAO, MUNICIPIO_PADRAO]
+    );
+  }
+  if (criadas.includes('chavesEmpresa')) {
+    await pool.query('ALTER TABLE pauta_processos ADD KEY ix_chaves_empresa (chavesEmpresa(191))');
+  }
+  if (criadas.includes('tipoAudiencia')) {
+    await pool.query('ALTER TABLE pauta_processos ADD KEY ix_tipo_audiencia (tipoAudiencia)');
+  }
+  await ensureUniqueKeyPauta(pool);
+
+  await ensurePjeSchema(pool);
+  await ensureHistoricoSchema(pool);
+  await ensureColumns(pool, 'execucoes', { relatorio: 'MEDIUMTEXT NULL AFTER erro' });
+  await ensureReceitaSchema(pool);
+  await ensureCrmSchema(pool);
+  await ensureRevisaoSchema(pool);
+}
+
+// uq_pauta antigo era (vara, dataISO, numeroProcesso): mesma vara em outro tribunal colidiria
+async function ensureUniqueKeyPauta(pool) {
+  const [rows] = await pool.query(
+    `SELECT COLUMN_NAME AS name FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'pauta_processos' AND INDEX_NAME = 'uq_pauta'`
+  );
+  if (rows.some((r) => r.name === 'tribunal')) return;
+
+  await pool.query(
+    `ALTER TABLE pauta_processos
+       DROP INDEX uq_pauta,
+       ADD UNIQUE KEY uq_pauta (tribunal, municipio, vara, dataISO, numeroProcesso)`
+  );
+  console.log('🛠️ MySQL: índice pauta_processos.uq_pauta recriado com tribunal/município');
+}
+
+async function ensureColumns(pool, table, columns) {
+  const [rows] = await pool.query(
+    `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  const existing = new Set(rows.map((r) => r.name));
+  const criadas = [];
+
+  for (const [name, def] of Object.entries(columns)) {
+    if (existing.has(name)) continue;
+    await pool.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${def}`);
+    console.log(`🛠️ MySQL: coluna ${table}.${name} criada`);
+    criadas.push(name);
+  }
+  return criadas;
 }
 
 async function initDbIfEnabled() {
@@ -204,30 +454,70 @@ async function insertRowsMySql(pool, rows, chunkSize = 800) {
     const values = [];
     const placeholders = chunk.map((r) => {
       const dataISO = brToIsoDateString(r.data);
-      values.push(
+      const linha = [
         new Date(r.geradoEm),
+        r.tribunal || '',
+        r.municipio || '',
         r.vara,
         r.data,
         dataISO,
         r.numeroProcesso,
         r.sessao ?? null,
+        r.hora || null,
+        r.tipoAudiencia || null,
+        r.modalidade || null,
+        r.status || null,
+        r.sessaoBruta || null,
         r.juiz ?? null,
         r.reclamante ?? null,
-        r.reclamada ?? null
-      );
-      return '(?,?,?,?,?,?,?,?,?)';
+        r.reclamada ?? null,
+        r.reclamadasNormalizadas || null,
+        r.chavesEmpresa || null,
+        r.outrasPartes || null,
+        r.partesNaoClassificadas || null,
+        r.revisaoPartes || null,
+        r.cnjStatus ?? null,
+        r.cnjAlerta || null,
+        r.classe || null,
+        r.sala || null,
+        r.tipoPauta || null,
+        r.situacaoPauta || null,
+        r.origemExtracao || null,
+      ];
+      values.push(...linha);
+      return `(${linha.map(() => '?').join(',')})`;
     });
 
     const sql = `
 INSERT INTO pauta_processos
-(geradoEm, vara, dataBR, dataISO, numeroProcesso, sessao, juiz, reclamante, reclamada)
+(geradoEm, tribunal, municipio, vara, dataBR, dataISO, numeroProcesso, sessao, hora, tipoAudiencia, modalidade, status,
+ sessaoBruta, juiz, reclamante, reclamada, reclamadasNormalizadas, chavesEmpresa, outrasPartes, partesNaoClassificadas,
+ revisaoPartes, cnjStatus, cnjAlerta, classe, sala, tipoPauta, situacaoPauta, origemExtracao)
 VALUES ${placeholders.join(',')}
 ON DUPLICATE KEY UPDATE
   geradoEm = VALUES(geradoEm),
   sessao = VALUES(sessao),
+  hora = VALUES(hora),
+  tipoAudiencia = VALUES(tipoAudiencia),
+  modalidade = VALUES(modalidade),
+  status = VALUES(status),
+  sessaoBruta = VALUES(sessaoBruta),
   juiz = VALUES(juiz),
   reclamante = VALUES(reclamante),
-  reclamada = VALUES(reclamada)
+  reclamada = VALUES(reclamada),
+  reclamadasNormalizadas = VALUES(reclamadasNormalizadas),
+  chavesEmpresa = VALUES(chavesEmpresa),
+  outrasPartes = VALUES(outrasPartes),
+  partesNaoClassificadas = VALUES(partesNaoClassificadas),
+  revisaoPartes = VALUES(revisaoPartes),
+  cnjStatus = VALUES(cnjStatus),
+  cnjAlerta = VALUES(cnjAlerta),
+  classe = VALUES(classe),
+  sala = VALUES(sala),
+  tipoPauta = VALUES(tipoPauta),
+  situacaoPauta = VALUES(situacaoPauta),
+  origemExtracao = VALUES(origemExtracao),
+  desaparecidaEm = NULL
 `;
     const [res] = await pool.query(sql, values);
     total += Number(res.affectedRows || 0);
@@ -236,16 +526,123 @@ ON DUPLICATE KEY UPDATE
   return { insertedOrUpdated: total };
 }
 
+const SELECT_PAUTA = `SELECT p.*, j.status AS pje_status_db, j.cnpj, j.valor_causa, j.tem_advogado_reclamada,
+            j.advogados_reclamada, j.endereco_reclamada, j.email_reclamada
+     FROM pauta_processos p
+     LEFT JOIN pje_processos j ON j.numeroProcesso = p.numeroProcesso`;
+
+function linhaDoBanco(r) {
+  return {
+    geradoEm: new Date(r.geradoEm).toISOString(),
+    tribunal: r.tribunal,
+    municipio: r.municipio,
+    vara: r.vara,
+    data: r.dataBR,
+    numeroProcesso: r.numeroProcesso,
+    sessao: r.sessao,
+    // linhas gravadas antes das colunas de sessão existirem: calcula na hora
+    ...(r.hora === null ? analisarSessao(r) : {
+      hora: r.hora,
+      tipoAudiencia: r.tipoAudiencia || '',
+      modalidade: r.modalidade || '',
+      status: r.status || '',
+      sessaoBruta: r.sessaoBruta || '',
+    }),
+    juiz: r.juiz,
+    reclamante: r.reclamante,
+    reclamada: r.reclamada,
+    ...colunasReclamada(r.reclamada), // recalculado: acompanha a versão atual da normalização
+    outrasPartes: r.outrasPartes || '',
+    partesNaoClassificadas: r.partesNaoClassificadas || '',
+    revisaoPartes: r.revisaoPartes || '',
+    cnjStatus: r.cnjStatus,
+    cnjAlerta: r.cnjAlerta,
+    classe: r.classe,
+    sala: r.sala,
+    tipoPauta: r.tipoPauta,
+    situacaoPauta: r.situacaoPauta,
+    origemExtracao: r.origemExtracao,
+    ...colunasPje(r.pje_status_db ? resultadoPjeDoBanco({ ...r, status: r.pje_status_db }) : null),
+  };
+}
+
+// somenteAtivas: ignora audiências que sumiram da pauta (desaparecidaEm preenchido)
+async function carregarLinhasDoBanco(pool, { de, ate, somenteAtivas = false }) {
+  const [rows] = await pool.query(
+    `${SELECT_PAUTA}
+     WHERE p.dataISO BETWEEN ? AND ?${somenteAtivas ? ' AND p.desaparecidaEm IS NULL' : ''}
+     ORDER BY p.tribunal, p.municipio, p.vara, p.dataISO, p.numeroProcesso`,
+    [de, ate]
+  );
+
+  return rows.map(linhaDoBanco);
+}
+
+function escaparLike(texto) {
+  return String(texto).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// filtros: parseFiltros de lib/api.js. Só audiências ativas, como o export
+async function consultarPautasMySql(pool, filtros) {
+  const condicoes = ['p.desaparecidaEm IS NULL'];
+  const params = [];
+  if (filtros.de) { condicoes.push('p.dataISO >= ?'); params.push(filtros.de); }
+  if (filtros.ate) { condicoes.push('p.dataISO <= ?'); params.push(filtros.ate); }
+  for (const campo of ['vara', 'juiz', 'reclamada']) {
+    if (filtros[campo]) { condicoes.push(`p.${campo} LIKE ?`); params.push(`%${escaparLike(filtros[campo])}%`); }
+  }
+  if (filtros.tipo) { condicoes.push('p.tipoAudiencia = ?'); params.push(filtros.tipo); }
+  const where = condicoes.join(' AND ');
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM pauta_processos p WHERE ${where}`, params);
+  const limite = filtros.porPagina ? ' LIMIT ? OFFSET ?' : '';
+  if (filtros.porPagina) params.push(filtros.porPagina, (filtros.pagina - 1) * filtros.porPagina);
+
+  const [rows] = await pool.query(
+    `${SELECT_PAUTA}
+     WHERE ${where}
+     ORDER BY p.dataISO, p.hora, p.vara, p.numeroProcesso${limite}`,
+    params
+  );
+
+  return { total: Number(total), itens: rows.map(linhaDoBanco) };
+}
+
+// audiências que sumiram ou foram remarcadas para outro lugar deixam de contar como estado atual
+async function marcarDesaparecidasMySql(pool, rows) {
+  if (!pool || !rows.length) return 0;
+
+  let total = 0;
+  for (const r of rows) {
+    const [res] = await pool.query(
+      `UPDATE pauta_processos SET desaparecidaEm = NOW()
+       WHERE tribunal = ? AND municipio = ? AND vara = ? AND dataISO = ? AND numeroProcesso = ?
+         AND desaparecidaEm IS NULL`,
+      [r.tribunal || '', r.municipio || '', r.vara, brToIsoDateString(r.data), r.numeroProcesso]
+    );
+    total += Number(res.affectedRows || 0);
+  }
+  return total;
+}
+
 /* =========================
    XLSX
 ========================= */
 
-async function writeXlsx(filePath, headers, rows) {
+// abasExtras: [{ nome, headers, rows }] depois da aba Pauta
+async function writeXlsx(filePath, headers, rows, abasExtras = []) {
   const wb = new ExcelJS.Workbook();
   wb.creator = 'JTe Bot';
   wb.created = new Date();
 
-  const ws = wb.addWorksheet('Pauta');
+  adicionarAba(wb, 'Pauta', headers, rows);
+  for (const aba of abasExtras) adicionarAba(wb, aba.nome, aba.headers, aba.rows);
+
+  await wb.xlsx.writeFile(filePath);
+}
+
+function adicionarAba(wb, nome, headers, rows) {
+  const ws = wb.addWorksheet(nome);
 
   ws.columns = headers.map((h) => ({
     header: h,
@@ -271,8 +668,6 @@ async function writeXlsx(filePath, headers, rows) {
     });
     ws.getColumn(c).width = Math.max(12, Math.min(60, maxLen + 2));
   }
-
-  await wb.xlsx.writeFile(filePath);
 }
 
 /* =========================
@@ -287,14 +682,16 @@ function parseMailTo(value) {
     .filter(Boolean);
 }
 
-async function sendEmailWithAttachment({ subject, text, attachmentPath }) {
+// html opcional: text vira a alternativa para clientes sem HTML
+// to: destinatários no lugar de MAIL_TO (ex.: alerta para ALERT_MAIL_TO); attachmentPaths: anexos a mais
+async function sendEmailWithAttachment({ subject, text, html, attachmentPath, attachmentPaths = [], to: destinatarios }) {
   const host = getEnv('SMTP_HOST');
   const port = Number(getEnv('SMTP_PORT', '587'));
   const secure = String(getEnv('SMTP_SECURE', 'false')).toLowerCase() === 'true';
   const user = getEnv('SMTP_USER');
   const pass = getEnv('SMTP_PASS');
   const from = getEnv('MAIL_FROM', user);
-  const to = parseMailTo(getEnv('MAIL_TO', ''));
+  const to = destinatarios?.length ? destinatarios : parseMailTo(getEnv('MAIL_TO', ''));
 
   if (!host || !user || !pass || !from || !to.length) {
     throw new Error(
@@ -314,12 +711,11 @@ async function sendEmailWithAttachment({ subject, text, attachmentPath }) {
     to,
     subject,
     text,
-    attachments: [
-      {
-        filename: path.basename(attachmentPath),
-        path: attachmentPath,
-      },
-    ],
+    ...(html ? { html } : {}),
+    attachments: [attachmentPath, ...attachmentPaths].filter(Boolean).map((p) => ({
+      filename: path.basename(p),
+      path: p,
+    })),
   });
 
   return info;
@@ -331,7 +727,7 @@ async function sendEmailWithAttachment({ subject, text, attachmentPath }) {
 
 async function fecharOverlays(page) {
   try {
-    const backdrop = page.locator('.cdk-overlay-backdrop');
+    const backdrop = seletor(page, 'overlayBackdrop');
     await page.keyboard.press('Escape').catch(() => { });
     await page.waitForTimeout(200);
 
@@ -348,7 +744,10 @@ async function retryOperation(page, operation, maxRetries = 5, delayMs = 1200) {
       return await operation();
     } catch (err) {
       console.warn(`⚠️ Tentativa ${attempt}/${maxRetries} falhou: ${err.message}`);
-      if (attempt === maxRetries) throw err;
+      if (attempt === maxRetries) {
+        err.artefatosSalvos = (await salvarArtefatos(page, 'retry_esgotado', { erro: err })).length > 0;
+        throw err;
+      }
       await fecharOverlays(page);
       await page.waitForTimeout(delayMs);
     }
@@ -359,28 +758,50 @@ async function retryOperation(page, operation, maxRetries = 5, delayMs = 1200) {
    NAVEGAÇÃO JTe
 ========================= */
 
-async function abrirJTeSelecionarTRT2(page) {
+const JTE_URL_PADRAO = 'https://jte.csjt.jus.br/start';
+const TRIBUNAL_PADRAO = 'TRT2 - São Paulo';
+const TIPO_UNIDADE_PADRAO = 'Audiências 1º grau';
+const MUNICIPIO_PADRAO = 'São Paulo - Zonas Central, Norte e Oeste';
+const TODOS_MUNICIPIOS = '*';
+
+function lancarNavegador(opts) {
+  const executablePath = getEnv('JTE_CHROMIUM_PATH');
+  return chromium.launch({ ...opts, ...(executablePath ? { executablePath } : {}) });
+}
+
+async function abrirJTe(page) {
   console.log('➡️ Acessando JTe...');
-  await page.goto('https://jte.csjt.jus.br/start', { waitUntil: 'networkidle', timeout: 60000 });
+  await page.goto(getEnv('JTE_URL', JTE_URL_PADRAO), { waitUntil: 'networkidle', timeout: 60000 });
 
   await page.waitForLoadState('domcontentloaded');
   await page.waitForTimeout(2500);
+}
 
-  const locator = page.getByText('TRT2 - São Paulo', { exact: true });
+async function selecionarTribunal(page, tribunal) {
   await retryOperation(page, async () => {
+    const locator = await localizar(page, 'tribunal', { params: { tribunal } });
     await locator.waitFor({ state: 'visible', timeout: 20000 });
     await locator.click({ force: true });
   });
 
   await page.waitForLoadState('networkidle');
   await page.waitForTimeout(800);
-  console.log('✅ TRT2 selecionado');
+  console.log(`✅ ${tribunal} selecionado`);
+}
+
+async function abrirJTeSelecionarTribunal(page, tribunal = TRIBUNAL_PADRAO) {
+  await abrirJTe(page);
+  await selecionarTribunal(page, tribunal);
+}
+
+async function abrirJTeSelecionarTRT2(page) {
+  return abrirJTeSelecionarTribunal(page, TRIBUNAL_PADRAO);
 }
 
 async function abrirModuloPauta(page) {
   console.log('➡️ Abrindo módulo Pauta...');
-  const card = page.locator('ion-card-content.card-content-modulo:has-text("Pauta")').first();
   await retryOperation(page, async () => {
+    const card = await localizar(page, 'moduloPauta');
     await card.waitFor({ state: 'visible', timeout: 20000 });
     await card.click({ force: true });
   });
@@ -391,73 +812,99 @@ async function abrirModuloPauta(page) {
 }
 
 /* =========================
-   LISTAR VARAS
+   LISTAR MUNICÍPIOS / VARAS
 ========================= */
 
-async function listarVaras(page) {
-  console.log('➡️ Listando varas...');
-  const botaoUnidade = page.getByTestId('pautaButtonSelecaoUnidade');
+async function abrirDialogoOrgao(page) {
+  await fecharOverlays(page);
+
+  const botaoUnidade = await localizar(page, 'botaoUnidade');
   await botaoUnidade.waitFor({ state: 'visible', timeout: 20000 });
   await botaoUnidade.click({ force: true });
 
-  await page.waitForSelector('h1.tituloSelecaoTribunal:has-text("Órgão")', { timeout: 20000 });
-
-  const selectTipo = page.locator('mat-form-field[data-testid="selecaoTribunal"] mat-select');
-  await selectTipo.click();
-  await page.locator('mat-option:has-text("Audiências 1º grau")').first().click();
-  await page.waitForTimeout(200);
-
-  const selectMunicipio = page.locator('mat-form-field[data-testid="municipio"] mat-select');
-  await selectMunicipio.click();
-  await page.locator('.mat-mdc-select-panel mat-option:has-text("São Paulo - Zonas Central, Norte e Oeste")').click();
-  await page.waitForTimeout(200);
+  await localizar(page, 'tituloDialogoOrgao');
+}
 
-  await page.waitForSelector('mat-form-field[data-testid="orgao"] mat-select[aria-disabled="false"]', { timeout: 20000 });
+async function cancelarDialogoOrgao(page) {
+  await page.keyboard.press('Escape').catch(() => { });
+  const cancelar = await localizarOuNull(page, 'botaoCancelar', { timeoutMs: 1500 });
+  if (cancelar) await cancelar.click().catch(() => { });
+}
 
-  const selectOrgao = page.locator('mat-form-field[data-testid="orgao"] mat-select');
-  await selectOrgao.click();
+async function lerOpcoesMatSelect(page, selectLocator) {
+  const panel = await openMatSelect(page, selectLocator);
 
-  const opcoes = page.locator('.mat-mdc-select-panel mat-option');
+  const opcoes = await localizar(panel, 'opcaoMatSelect', { todos: true });
   const total = await opcoes.count();
 
-  const varas = [];
+  const labels = [];
   for (let i = 0; i < total; i++) {
-    const label = await opcoes.nth(i).locator('.mdc-list-item__primary-text').textContent();
-    if (label) varas.push(label.trim());
+    const opcao = opcoes.nth(i);
+    const rotulo = await localizarOuNull(opcao, 'textoOpcaoMatSelect');
+    const label = await (rotulo || opcao).textContent();
+    if (label && label.trim()) labels.push(label.trim());
   }
 
   await page.keyboard.press('Escape').catch(() => { });
-  await page.getByTestId('ButtonCancelar').click().catch(() => { });
+  await panel.waitFor({ state: 'hidden', timeout: 5000 }).catch(() => { });
+  return labels;
+}
+
+async function listarMunicipios(page, { tipoUnidade = TIPO_UNIDADE_PADRAO } = {}) {
+  console.log('➡️ Listando municípios...');
+  await abrirDialogoOrgao(page);
+
+  try {
+    await matSelectChoose(page, await localizar(page, 'selectTipo'), tipoUnidade, { exact: true });
+    await waitMatSelectEnabled(page, 'selectMunicipio');
+    const municipios = await lerOpcoesMatSelect(page, await localizar(page, 'selectMunicipio'));
+
+    console.log(`✅ ${municipios.length} municípios encontrados`);
+    return municipios;
+  } finally {
+    await cancelarDialogoOrgao(page);
+  }
+}
 
-  console.log(`✅ ${varas.length} varas encontradas`);
-  return varas;
+async function listarVaras(page, { tipoUnidade = TIPO_UNIDADE_PADRAO, municipio = MUNICIPIO_PADRAO } = {}) {
+  console.log(`➡️ Listando varas: ${municipio}...`);
+  await abrirDialogoOrgao(page);
+
+  try {
+    await matSelectChoose(page, await localizar(page, 'selectTipo'), tipoUnidade, { exact: true });
+    await matSelectChoose(page, await localizar(page, 'selectMunicipio'), municipio, { exact: true });
+
+    await waitMatSelectEnabled(page, 'selectOrgao');
+    const varas = await lerOpcoesMatSelect(page, await localizar(page, 'selectOrgao'));
+
+    console.log(`✅ ${varas.length} varas encontradas`);
+    return varas;
+  } finally {
+    await cancelarDialogoOrgao(page);
+  }
 }
 
 /* =========================
    SELECIONAR UNIDADE
 ========================= */
-function escapeRegExp(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 async function openMatSelect(page, selectLocator) {
   await selectLocator.scrollIntoViewIfNeeded().catch(() => { });
   await selectLocator.click({ force: true });
 
-  const panel = page.locator('.mat-mdc-select-panel');
+  const panel = await localizar(page, 'painelMatSelect');
   await panel.waitFor({ state: 'visible', timeout: 20000 });
   return panel;
 }
 
 async function clickMatOptionByText(page, text, opts) {
-  const panel = page.locator('.mat-mdc-select-panel');
+  const panel = await localizar(page, 'painelMatSelect');
   await panel.waitFor({ state: 'visible', timeout: 20000 });
 
   const pattern = opts?.exact === false
     ? text
     : new RegExp(`^\\s*${escapeRegExp(text)}\\s*$`, 'i');
 
-  const option = panel.locator('mat-option').filter({ hasText: pattern }).first();
+  const option = seletor(panel, 'opcaoMatSelect').filter({ hasText: pattern }).first();
   await option.waitFor({ state: 'visible', timeout: 20000 });
   await option.scrollIntoViewIfNeeded().catch(() => { });
   await option.click({ force: true });
@@ -471,9 +918,8 @@ async function matSelectChoose(page, selectLocator, optionText, opts) {
   await page.waitForTimeout(150);
 }
 
-async function waitMatSelectEnabled(page, selector) {
-  await page.waitForSelector(selector, { timeout: 20000 });
-  const loc = page.locator(selector);
+async function waitMatSelectEnabled(page, nome) {
+  const loc = await localizar(page, nome);
   await page.waitForFunction(
     (el) => el.getAttribute('aria-disabled') !== 'true',
     await loc.elementHandle(),
@@ -481,29 +927,19 @@ async function waitMatSelectEnabled(page, selector) {
   );
 }
 
-async function selecionarUnidade(page, varaLabel) {
-  console.log(`\n🏛️ Selecionando vara: ${varaLabel}`);
-
-  await fecharOverlays(page);
-
-  const botaoUnidade = page.getByTestId('pautaButtonSelecaoUnidade');
-  await botaoUnidade.waitFor({ state: 'visible', timeout: 20000 });
-  await botaoUnidade.click({ force: true });
-
-  await page.waitForSelector('h1.tituloSelecaoTribunal:has-text("Órgão")', { timeout: 20000 });
+// navegacao: { navegador, chave } repassado a selecionarDataComConfirmacao
+async function selecionarUnidade(page, varaLabel, { tipoUnidade = TIPO_UNIDADE_PADRAO, municipio = MUNICIPIO_PADRAO, navegacao } = {}) {
+  console.log(`\n🏛️ Selecionando vara: ${varaLabel} (${municipio})`);
 
-  const selectTipo = page.locator('mat-form-field[data-testid="selecaoTribunal"] mat-select');
-  await matSelectChoose(page, selectTipo, 'Audiências 1º grau', { exact: true });
+  await abrirDialogoOrgao(page);
 
-  const selectMunicipio = page.locator('mat-form-field[data-testid="municipio"] mat-select');
-  await matSelectChoose(page, selectMunicipio, 'São Paulo - Zonas Central, Norte e Oeste', { exact: true });
+  await matSelectChoose(page, await localizar(page, 'selectTipo'), tipoUnidade, { exact: true });
+  await matSelectChoose(page, await localizar(page, 'selectMunicipio'), municipio, { exact: true });
 
-  await waitMatSelectEnabled(page, 'mat-form-field[data-testid="orgao"] mat-select');
+  await waitMatSelectEnabled(page, 'selectOrgao');
+  await matSelectChoose(page, await localizar(page, 'selectOrgao'), varaLabel, { exact: true });
 
-  const selectOrgao = page.locator('mat-form-field[data-testid="orgao"] mat-select');
-  await matSelectChoose(page, selectOrgao, varaLabel, { exact: true });
-
-  const confirmar = page.getByTestId('ButtonConfirmar');
+  const confirmar = await localizar(page, 'botaoConfirmar');
   await confirmar.waitFor({ state: 'visible', timeout: 20000 });
 
   await page.waitForFunction(
@@ -517,73 +953,47 @@ async function selecionarUnidade(page, varaLabel) {
   await page.waitForTimeout(700);
 
   const todayBR = getTodayBR();
-  console.log(`🔄 Tentando ajustar para hoje (sem calendário): ${todayBR}`);
+  console.log(`🔄 Tentando ajustar para hoje: ${todayBR}`);
 
-  const ok = await selecionarDataComConfirmacao(page, todayBR, 1);
+  const ok = await selecionarDataComConfirmacao(page, todayBR, 1, navegacao);
   if (ok) console.log(`✅ Ajustado para hoje`);
-  else console.warn(`⚠️ Não conseguiu ajustar para hoje (sem calendário). Seguindo mesmo assim.`);
+  else console.warn(`⚠️ Não conseguiu ajustar para hoje (${rotuloEstrategiasData(navegacao)}). Seguindo mesmo assim.`);
 }
 
 /* =========================
-   SELEÇÃO DE DATA (SEM CALENDÁRIO)
+   SELEÇÃO DE DATA: BOTÕES PREV/NEXT
 ========================= */
 
-const BTN_NEXT_CSS = '#main-content > ng-component:nth-child(3) > ion-content > div > div > ion-grid > ion-row:nth-child(2) > ion-col:nth-child(3) > ion-button';
-const BTN_PREV_CSS = '#main-content > ng-component:nth-child(3) > ion-content > div > div > ion-grid > ion-row:nth-child(2) > ion-col:nth-child(1) > ion-button';
-const BTN_DATE_DISPLAY_XPATH = '//*[@id="main-content"]/ng-component[3]/ion-content/div/div/ion-grid/ion-row[2]/ion-col[2]/ion-button';
-
 function extrairDataBR(texto) {
   const raw = String(texto ?? '').trim();
   const m = raw.match(/\b\d{2}\/\d{2}\/\d{4}\b/);
   return m?.[0] ?? '';
 }
 
-async function clickIonButtonByCss(page, cssSel) {
-  try {
-    return await page.evaluate((sel) => {
-      const host = document.querySelector(sel);
-      if (!host) return false;
-      const btn = host.shadowRoot?.querySelector('button') || host.querySelector?.('button');
-      (btn || host).click();
-      return true;
-    }, cssSel);
-  } catch {
-    return false;
-  }
-}
+// ion-button guarda o <button> de verdade no shadow DOM
+async function clicarBotaoIon(page, nome) {
+  const host = await localizarOuNull(page, nome);
+  if (!host) return false;
 
-async function readIonButtonTextByXpath(page, xpath) {
-  try {
-    return await page.evaluate((xp) => {
-      const node = document.evaluate(xp, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-      if (!node) return '';
-      const btn = node.shadowRoot?.querySelector('button') || node.querySelector?.('button');
-      const txt = (btn?.innerText || btn?.textContent || node.innerText || node.textContent || '').trim();
-      return txt;
-    }, xpath);
-  } catch {
-    return '';
-  }
+  return host.evaluate((el) => {
+    const btn = el.shadowRoot?.querySelector('button') || el.querySelector?.('button');
+    (btn || el).click();
+    return true;
+  }).catch(() => false);
 }
 
-async function ionExistsByCss(page, cssSel) {
-  try {
-    return await page.evaluate((sel) => !!document.querySelector(sel), cssSel);
-  } catch {
-    return false;
-  }
+async function lerTextoBotaoIon(page, nome) {
+  const host = await localizarOuNull(page, nome);
+  if (!host) return '';
+
+  return host.evaluate((el) => {
+    const btn = el.shadowRoot?.querySelector('button') || el.querySelector?.('button');
+    return (btn?.innerText || btn?.textContent || el.innerText || el.textContent || '').trim();
+  }).catch(() => '');
 }
 
 async function lerTextoDataExibida(page) {
-  const raw = await readIonButtonTextByXpath(page, BTN_DATE_DISPLAY_XPATH);
-  if (raw) return raw;
-
-  try {
-    const t = await page.getByTestId('pautaButtonData').innerText({ timeout: 800 }).catch(() => '');
-    if (t && String(t).trim()) return String(t).trim();
-  } catch { }
-
-  return '';
+  return lerTextoBotaoIon(page, 'botaoData');
 }
 
 async function esperarTextoMudar(page, anterior, timeoutMs = 2500) {
@@ -601,10 +1011,11 @@ async function irAteDataPorBotoes(page, alvoBR, maxSteps = 180) {
 
   const alvoDate = parseBRDate(alvoBR).getTime();
 
-  const hasPrev = await ionExistsByCss(page, BTN_PREV_CSS);
-  const hasNext = await ionExistsByCss(page, BTN_NEXT_CSS);
+  const hasPrev = !!(await localizarOuNull(page, 'botaoDataAnterior'));
+  const hasNext = !!(await localizarOuNull(page, 'botaoDataProxima'));
   if (!hasNext && !hasPrev) {
     console.warn('⚠️ Não achei botões prev/next para navegar datas.');
+    await salvarArtefatos(page, 'botoes_data');
     return false;
   }
 
@@ -628,8 +1039,8 @@ async function irAteDataPorBotoes(page, alvoBR, maxSteps = 180) {
 
     const antes = raw || '';
     const clicked = direction === -1
-      ? await clickIonButtonByCss(page, BTN_PREV_CSS)
-      : await clickIonButtonByCss(page, BTN_NEXT_CSS);
+      ? await clicarBotaoIon(page, 'botaoDataAnterior')
+      : await clicarBotaoIon(page, 'botaoDataProxima');
 
     if (!clicked) {
       console.warn(`⚠️ Falhou clique no botão ${direction === -1 ? 'PREV' : 'NEXT'} (step ${step}).`);
@@ -643,21 +1054,178 @@ async function irAteDataPorBotoes(page, alvoBR, maxSteps = 180) {
     await page.waitForTimeout(120);
   }
 
+  console.warn(`⚠️ Botões prev/next: não cheguei em ${alvoBR} depois de ${maxSteps} passos.`);
+  await salvarArtefatos(page, 'botoes_data');
+  return false;
+}
+
+/* =========================
+   SELEÇÃO DE DATA: CALENDÁRIO (mat-calendar)
+========================= */
+
+const MESES_CABECALHO = [
+  ['jan', 'janeiro', 'january'],
+  ['fev', 'fevereiro', 'feb', 'february'],
+  ['mar', 'março', 'marco', 'march'],
+  ['abr', 'abril', 'apr', 'april'],
+  ['mai', 'maio', 'may'],
+  ['jun', 'junho', 'june'],
+  ['jul', 'julho', 'july'],
+  ['ago', 'agosto', 'aug', 'august'],
+  ['set', 'setembro', 'sep', 'september'],
+  ['out', 'outubro', 'oct', 'october'],
+  ['nov', 'novembro', 'november'],
+  ['dez', 'dezembro', 'dec', 'december'],
+];
+
+// "OUT. DE 2026" / "outubro 2026" / "Oct 2026" -> 1º dia do mês | null
+function mesDoCabecalho(texto) {
+  const header = String(texto ?? '').trim().toLowerCase();
+
+  const ano = header.match(/(19|20)\d{2}/);
+  if (!ano) return null;
+
+  const mes = MESES_CABECALHO.findIndex((chaves) => chaves.some((k) => header.includes(k)));
+  if (mes === -1) return null;
+
+  return new Date(Number(ano[0]), mes, 1);
+}
+
+async function navegarParaMes(page, calendario, alvo, maxSteps = 36) {
+  const chaveAlvo = alvo.getFullYear() * 12 + alvo.getMonth();
+
+  for (let i = 0; i < maxSteps; i++) {
+    const periodo = await localizar(calendario, 'calendarioPeriodo', { timeoutMs: 2000 });
+    const atual = mesDoCabecalho(await periodo.textContent().catch(() => ''));
+    if (!atual) return false;
+
+    const chaveAtual = atual.getFullYear() * 12 + atual.getMonth();
+    if (chaveAtual === chaveAlvo) return true;
+
+    const botao = await localizar(calendario, chaveAlvo > chaveAtual ? 'calendarioProximo' : 'calendarioAnterior', { timeoutMs: 2000 });
+    await botao.click({ force: true });
+    await page.waitForTimeout(120);
+  }
+
   return false;
 }
 
-async function selecionarDataComConfirmacao(page, dataBR, maxTentativas = 3) {
+async function clicarDiaNoCalendario(calendario, alvo) {
+  const dias = await localizar(calendario, 'calendarioDia', { todos: true, timeoutMs: 2000 });
+  const dia = dias.filter({ hasText: new RegExp(`^\\s*${alvo.getDate()}\\s*$`) }).first();
+
+  if (!(await dia.count())) return false;
+  await dia.click({ force: true });
+  return true;
+}
+
+async function irAteDataPeloCalendario(page, alvoBR) {
+  await fecharOverlays(page);
+  const alvo = parseBRDate(alvoBR);
+
+  const botaoData = await localizar(page, 'botaoData');
+  await botaoData.click({ force: true });
+
+  const calendario = await localizar(page, 'calendario', { timeoutMs: 5000 });
+  try {
+    if (!(await navegarParaMes(page, calendario, alvo))) return false;
+    return await clicarDiaNoCalendario(calendario, alvo);
+  } finally {
+    await page.waitForTimeout(250);
+    await fecharOverlays(page);
+  }
+}
+
+/* =========================
+   SELEÇÃO DE DATA: ESTRATÉGIAS + FALLBACK
+========================= */
+
+/**
+ * Estratégia de navegação: { descricao, irPara(page, dataBR) -> boolean }.
+ * O retorno de irPara não basta: o navegador confere a data exibida na pauta
+ * e só então aceita. Nova estratégia = nova entrada aqui + nome em JTE_NAVEGACAO_DATA.
+ */
+const ESTRATEGIAS_DATA = {
+  calendario: {
+    descricao: 'abre o mat-calendar, navega pelo mês e clica no dia',
+    irPara: irAteDataPeloCalendario,
+  },
+  botoes: {
+    descricao: 'anda dia a dia pelos botões anterior/próximo (até 220 cliques)',
+    irPara: (page, dataBR) => irAteDataPorBotoes(page, dataBR, 220),
+  },
+};
+
+function ordemNavegacaoDoAmbiente() {
+  return String(getEnv('JTE_NAVEGACAO_DATA', 'calendario,botoes')).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Tenta as estratégias em ordem até a data exibida bater com o alvo. Lembra
+ * qual funcionou por unidade (chave) e, para unidades novas, começa pela
+ * última que funcionou em qualquer unidade.
+ */
+function criarNavegadorDatas(ordem = ordemNavegacaoDoAmbiente()) {
+  const desconhecidas = ordem.filter((n) => !ESTRATEGIAS_DATA[n]);
+  if (desconhecidas.length) {
+    throw new Error(`Estratégia de navegação de data desconhecida: ${desconhecidas.join(', ')} (use ${Object.keys(ESTRATEGIAS_DATA).join(', ')})`);
+  }
+
+  const porUnidade = new Map();
+  let ultima = null;
+
+  return {
+    ordem,
+    porUnidade,
+    async irPara(page, dataBR, chave = '') {
+      const preferida = porUnidade.get(chave) || ultima;
+      const tentativas = preferida ? [preferida, ...ordem.filter((n) => n !== preferida)] : ordem;
+
+      for (const nome of tentativas) {
+        const ok = await ESTRATEGIAS_DATA[nome].irPara(page, dataBR).catch((err) => {
+          console.warn(`⚠️ Navegação "${nome}" falhou: ${err.message}`);
+          return false;
+        });
+
+        const exibida = extrairDataBR(await lerTextoDataExibida(page));
+        if (ok && exibida === dataBR) {
+          if (porUnidade.get(chave) !== nome) console.log(`🧭 Navegação de data: "${nome}"${chave ? ` (${chave})` : ''}`);
+          porUnidade.set(chave, nome);
+          ultima = nome;
+          return nome;
+        }
+
+        console.warn(`⚠️ Navegação "${nome}" não chegou em ${dataBR} (exibida: ${exibida || '?'}). Tentando a próxima...`);
+        await fecharOverlays(page);
+      }
+
+      return null;
+    },
+  };
+}
+
+let navegadorPadrao = null;
+
+// para log de falha: quais estratégias foram tentadas e nenhuma chegou na data
+function rotuloEstrategiasData({ navegador } = {}) {
+  const ordem = (navegador || navegadorPadrao)?.ordem || ordemNavegacaoDoAmbiente();
+  return `nenhuma estratégia chegou: ${ordem.join(', ')}`;
+}
+
+async function selecionarDataComConfirmacao(page, dataBR, maxTentativas = 3, { navegador, chave } = {}) {
+  if (!navegador) navegador = navegadorPadrao || (navegadorPadrao = criarNavegadorDatas());
+
   for (let t = 1; t <= maxTentativas; t++) {
     const rawAntes = await lerTextoDataExibida(page);
 
-    const ok = await irAteDataPorBotoes(page, dataBR, 220);
+    const estrategia = await navegador.irPara(page, dataBR, chave);
     const rawDepois = await lerTextoDataExibida(page);
 
-    console.log(`🧾 Data (tentativa ${t}/${maxTentativas}): antes="${rawAntes}" | depois="${rawDepois}" | alvo=${dataBR}`);
+    console.log(`🧾 Data (tentativa ${t}/${maxTentativas}): antes="${rawAntes}" | depois="${rawDepois}" | alvo=${dataBR}${estrategia ? ` | via ${estrategia}` : ''}`);
 
-    if (ok) return true;
+    if (estrategia) return true;
 
-    console.warn(`⚠️ Não achou data via botões: ${dataBR}. Retentando...`);
+    console.warn(`⚠️ Nenhuma estratégia chegou em ${dataBR}. Retentando...`);
     await fecharOverlays(page);
     await page.waitForTimeout(600);
   }
@@ -670,25 +1238,20 @@ async function selecionarDataComConfirmacao(page, dataBR, maxTentativas = 3) {
 ========================= */
 
 async function esperarPautaEstabilizar(page) {
-  const spinners = [
-    page.locator('ion-spinner').first(),
-    page.locator('.mat-mdc-progress-spinner').first(),
-    page.locator('.mat-mdc-progress-bar').first(),
-  ];
-
-  for (const sp of spinners) {
-    if (await sp.isVisible({ timeout: 300 }).catch(() => false)) {
-      await sp.waitFor({ state: 'hidden', timeout: 15000 }).catch(() => { });
-    }
+  const spinner = seletor(page, 'carregando').first();
+  if (await spinner.isVisible({ timeout: 300 }).catch(() => false)) {
+    await spinner.waitFor({ state: 'hidden', timeout: 15000 }).catch(() => { });
   }
 
+  const itens = seletor(page, 'itemPauta');
+
   let last = -1;
   for (let i = 0; i < 20; i++) {
-    const count = await page.locator('ion-list ion-item').count().catch(() => 0);
+    const count = await itens.count().catch(() => 0);
 
     if (count === last) {
       await page.waitForTimeout(600);
-      const count2 = await page.locator('ion-list ion-item').count().catch(() => 0);
+      const count2 = await itens.count().catch(() => 0);
       if (count2 === count) return;
     }
 
@@ -702,147 +1265,1164 @@ async function esperarPautaEstabilizar(page) {
 ========================= */
 
 async function extrairProcessosDaPauta(page) {
-  const count = await page.locator('ion-list ion-item').count().catch(() => 0);
+  const itens = seletor(page, 'itemPauta');
+  const count = await itens.count().catch(() => 0);
   if (!count) return [];
 
-  const processos = await page.evaluate(() => {
-    const items = document.querySelectorAll('ion-list ion-item');
-    return Array.from(items).map((item) => {
+  const itensBrutos = await itens.evaluateAll((items, campos) => {
+    return items.map((item) => {
       const getText = (sel) => {
         const el = item.querySelector(sel);
         return el ? el.textContent.replace(/\u00a0/g, ' ').trim() : '';
       };
 
-      const hora = getText('.sessao');
-      const status = getText('.palavrasRight');
-      const numeroProcesso = getText('.JT-item-texto-negrito');
-
-      const partes = Array.from(item.querySelectorAll('.item-desc-small.item-text-wrap'))
-        .map((e) => e.textContent.replace(/\u00a0/g, ' ').trim())
-        .filter(Boolean);
-
       return {
-        numeroProcesso,
-        sessao: [hora, status].filter(Boolean).join(' - '),
-        juiz: partes[0] || '',
-        reclamante: partes[1] || '',
-        reclamada: partes[2] || '',
+        hora: getText(campos.hora),
+        status: getText(campos.status),
+        numeroProcesso: getText(campos.numeroProcesso),
+        // innerText: rótulo e nome em elementos separados não grudam ("Reclamante:FULANO")
+        linhas: Array.from(item.querySelectorAll(campos.partes))
+          .map((e) => (e.innerText || e.textContent).replace(/\u00a0/g, ' ').trim())
+          .filter(Boolean),
       };
     });
+  }, CAMPOS_ITEM_PAUTA);
+
+  // papéis pelo rótulo/conteúdo de cada linha, não pela posição (lib/partes.js)
+  return itensBrutos.map((i) => ({
+    numeroProcesso: i.numeroProcesso,
+    sessao: [i.hora, i.status].filter(Boolean).join(' - '),
+    ...classificarPartes(i.linhas),
+    origemExtracao: 'dom',
+  }));
+}
+
+// modo: auto (JSON capturado da rede, conferido com a contagem do DOM) | rede | dom
+async function extrairProcessos(page, { captura, dataBR, modo = 'auto' }) {
+  if (modo === 'dom' || !captura) return extrairProcessosDaPauta(page);
+
+  const daRede = processosDaCaptura(captura, dataBR);
+  if (daRede === null) {
+    console.warn(`⚠️ Nenhuma resposta de pauta capturada para ${dataBR}. Usando o DOM.`);
+    return extrairProcessosDaPauta(page);
+  }
+
+  if (modo === 'auto') {
+    const noDom = await seletor(page, 'itemPauta').count().catch(() => 0);
+    if (noDom !== daRede.length) {
+      console.warn(`⚠️ Rede (${daRede.length}) e DOM (${noDom}) divergem em ${dataBR}. Usando o DOM.`);
+      return extrairProcessosDaPauta(page);
+    }
+  }
+
+  return daRede;
+}
+
+/* =========================
+   MONTAGEM DAS LINHAS
+========================= */
+
+function montarLinhas(processos, { geradoEm, unidade, dataBR }) {
+  const { tribunal, municipio, vara } = unidade;
+  const codigoTribunal = codigoTribunalCnj(tribunal);
+
+  return processos.map((p) => {
+    const cnj = verificarNumeroCnj(p.numeroProcesso, { vara, tribunal: codigoTribunal });
+
+    if (cnj.status !== 'ok') {
+      console.warn(`⚠️ CNJ ${cnj.status}: "${p.numeroProcesso}" | ${vara} | ${dataBR} | ${cnj.alerta}`);
+    }
+    if (p.revisaoPartes) {
+      console.warn(`⚠️ Partes para revisar: "${p.numeroProcesso}" | ${vara} | ${dataBR} | ${p.revisaoPartes}`);
+    }
+
+    return {
+      geradoEm,
+      tribunal,
+      municipio,
+      vara,
+      data: dataBR,
+      numeroProcesso: cnj.numero,
+      sessao: p.sessao,
+      ...analisarSessao(p),
+      juiz: p.juiz,
+      reclamante: p.reclamante,
+      reclamada: p.reclamada,
+      ...colunasReclamada(p.reclamada),
+      outrasPartes: p.outrasPartes || '',
+      partesNaoClassificadas: p.partesNaoClassificadas || '',
+      revisaoPartes: p.revisaoPartes || '',
+      cnjStatus: cnj.status,
+      cnjAlerta: cnj.alerta,
+      classe: p.classe || '',
+      sala: p.sala || '',
+      tipoPauta: p.tipoPauta || '',
+      situacaoPauta: p.situacaoPauta || '',
+      origemExtracao: p.origemExtracao,
+    };
   });
+}
+
+/* =========================
+   ENRIQUECIMENTO PJe (FASE 2)
+========================= */
+
+async function enriquecerComPje(browser, pool, rows) {
+  // número fora do padrão CNJ não tem como ser consultado
+  const numeros = [...new Set(
+    rows.filter((r) => r.cnjStatus !== 'invalido').map((r) => r.numeroProcesso).filter(Boolean)
+  )];
+  if (!numeros.length) return;
+
+  const cacheDias = Number(getEnv('PJE_CACHE_DIAS', '7'));
+  const resultados = await carregarPjeDoBanco(pool, numeros, cacheDias);
+  const pendentes = numeros.filter((n) => !resultados.has(n));
+
+  console.log(`\n➡️ Enriquecendo via PJe: ${pendentes.length} processos (${resultados.size} já em cache)`);
+
+  if (pendentes.length) {
+    const pjePage = await browser.newPage();
+    try {
+      const novos = await enriquecerProcessos(pjePage, pendentes, {
+        baseUrl: getEnv('PJE_URL', PJE_URL_PADRAO),
+        delayMinMs: Number(getEnv('PJE_DELAY_MIN_MS', '5000')),
+        delayMaxMs: Number(getEnv('PJE_DELAY_MAX_MS', '15000')),
+        onResultado: async (r) => {
+          // ✅ grava cada consulta na hora: uma queda no meio não perde o que já foi feito
+          if (pool) await upsertPjeMySql(pool, r).catch((err) => {
+            console.warn(`⚠️ MySQL (pje_processos): ${err.message}`);
+          });
+        },
+      });
+      for (const [numero, r] of novos) resultados.set(numero, r);
+    } finally {
+      await pjePage.close().catch(() => { });
+    }
+  }
+
+  for (const row of rows) Object.assign(row, colunasPje(resultados.get(row.numeroProcesso)));
 
-  return processos;
+  const ok = [...resultados.values()].filter((r) => r.status === 'ok').length;
+  console.log(`✅ PJe: ${ok}/${numeros.length} processos enriquecidos`);
+}
+
+// CNPJ, porte, CNAE e contato pela base offline da Receita (node cli.js import-cnpj)
+async function enriquecerComReceita(pool, rows, confiancaMinima = lerConfiancaMinima(getEnv('RECEITA_CONFIANCA_MINIMA', String(CONFIANCA_MINIMA_PADRAO)))) {
+  if (!pool || !rows.length) return;
+  if (!(await receitaImportada(pool))) {
+    console.log('ℹ️ Base da Receita vazia: rode `node cli.js import-cnpj --dir <pasta>` para casar reclamadas com CNPJ.');
+    return;
+  }
+
+  console.log(`\n➡️ Casando reclamadas com a base da Receita (confiança mínima ${confiancaMinima})`);
+  const casadas = await casarComReceita(pool, rows, { confiancaMinima });
+  console.log(`✅ Receita: ${casadas} reclamadas com CNPJ`);
+}
+
+// Leads novos/alterados -> CRM; falha de envio fica na outbox e não derruba a execução
+async function enviarLeadsAoCrm(leads, configCrm, { pool, outDir, url }) {
+  if (!configCrm) return null;
+
+  const outbox = pool ? criarOutboxMySql(pool) : criarOutboxArquivo(path.join(outDir, 'crm_outbox.json'));
+  console.log(`\n➡️ Enviando leads ao CRM (${url}, outbox: ${outbox.origem})`);
+  try {
+    const r = await enviarParaCrm(leads, configCrm, outbox, {
+      url,
+      token: getEnv('CRM_TOKEN', ''),
+      tentativas: Number(getEnv('CRM_TENTATIVAS', '3')) || 1,
+      backoffMs: Number(getEnv('CRM_BACKOFF_MS', '2000')),
+      timeoutMs: Number(getEnv('CRM_TIMEOUT_MS', '15000')),
+    });
+    console.log(`✅ CRM: ${r.enviados} enviados, ${r.pendentes} pendentes, ${r.rejeitados} rejeitados (${r.enfileirados} novos na outbox)`);
+    for (const e of r.erros.slice(0, 5)) console.warn(`⚠️ CRM ${e.chave}: ${e.erro}`);
+    const { erros, ...resumo } = r;
+    return resumo;
+  } catch (err) {
+    console.warn(`⚠️ CRM: envio interrompido (${err.message || err}); pendências seguem na outbox.`);
+    return { erro: err.message || String(err) };
+  }
 }
 
 /* =========================
    MAIN
 ========================= */
 
-async function main() {
+const MAX_WORKERS = 5; // README: paralelismo controlado (3-5 browsers)
 
-  // ✅ DB pool (opcional)
-  const pool = await initDbIfEnabled();
-  const browser = await chromium.launch({ headless: false, slowMo: 100 });
-  const page = await browser.newPage();
+const HEADERS_PAUTA = [
+  'geradoEm', 'tribunal', 'municipio', 'vara', 'data', 'numeroProcesso', ...MUDANCA_HEADERS, 'sessao', ...SESSAO_HEADERS,
+  'juiz', 'reclamante', 'reclamada', ...RECLAMADA_HEADERS, ...PARTES_HEADERS, 'cnjStatus', 'cnjAlerta', ...EXTRA_HEADERS, ...PJE_HEADERS,
+  ...RECEITA_HEADERS,
+];
 
-  const geradoEm = new Date().toISOString();
-  const rowsCsv = [];
-  const headers = ['geradoEm', 'vara', 'data', 'numeroProcesso', 'sessao', 'juiz', 'reclamante', 'reclamada'];
+const HEADERS_DESCARTADOS = [
+  'geradoEm', 'tribunal', 'municipio', 'vara', 'data', 'numeroProcesso', 'reclamante', 'reclamada',
+  'regraDescarte', 'motivoDescarte',
+];
 
-  try {
-    await abrirJTeSelecionarTRT2(page);
-    await abrirModuloPauta(page);
+function rotuloUnidade(u) {
+  return `${u.tribunal} | ${u.municipio} | ${u.vara}`;
+}
 
-    const varas = await listarVaras(page);
-    const varasAlvo = varas;
+function siglaTribunal(tribunal) {
+  return String(tribunal).split(' - ')[0].trim();
+}
 
-    const datas = gerarDatasProximosDoisMeses();
-    console.log(`📅 ${datas.length} datas alvo`);
+async function scrapeVara(page, unidade, { pool, ckpt, geradoEm, captura, modoExtracao, navegador, regras }) {
+  const datas = ckpt.estado.datas;
+  const { vara } = unidade;
 
-    for (const vara of varasAlvo) {
-      await selecionarUnidade(page, vara);
+  if (unidadeConcluida(ckpt, unidade)) {
+    console.log(`⏭️ Vara já concluída no checkpoint: ${rotuloUnidade(unidade)}`);
+    return;
+  }
 
-      for (const dataBR of datas) {
-        console.log(`📅 Procurando data (sem calendário): ${dataBR}`);
+  const navegacao = { navegador, chave: rotuloUnidade(unidade) };
+  await selecionarUnidade(page, vara, { ...unidade, navegacao });
 
-        const ok = await selecionarDataComConfirmacao(page, dataBR, 2);
-        if (!ok) {
-          console.warn(`⚠️ Pulando data (não achou no header): ${vara} | ${dataBR}`);
-          continue;
-        }
+  for (const dataBR of datas) {
+    if (parConcluido(ckpt, unidade, dataBR)) continue;
+    definirContexto({ data: dataBR });
 
-        await esperarPautaEstabilizar(page);
-
-        const processos = await extrairProcessosDaPauta(page);
-        console.log(`📌 ${vara} | ${dataBR} | ${processos.length} processos`);
-
-        for (const p of processos) {
-          rowsCsv.push({
-            geradoEm,
-            vara,
-            data: dataBR,
-            numeroProcesso: p.numeroProcesso,
-            sessao: p.sessao,
-            juiz: p.juiz,
-            reclamante: p.reclamante,
-            reclamada: p.reclamada,
-          });
-        }
+    console.log(`📅 Procurando data: ${dataBR}`);
+
+    if (captura) captura.limpar();
+    const ok = await selecionarDataComConfirmacao(page, dataBR, 2, navegacao);
+    if (!ok) {
+      console.warn(`⚠️ Pulando data (${rotuloEstrategiasData(navegacao)}): ${vara} | ${dataBR}`);
+      await salvarArtefatos(page, 'data_pulada');
+      registrarPar(ckpt, unidade, dataBR, [], 'pulado');
+      continue;
+    }
+
+    await esperarPautaEstabilizar(page);
+
+    const processos = await extrairProcessos(page, { captura, dataBR, modo: modoExtracao });
+    console.log(`📌 ${vara} | ${dataBR} | ${processos.length} processos (${processos[0]?.origemExtracao || modoExtracao})`);
+
+    const linhas = montarLinhas(processos, { geradoEm, unidade, dataBR });
+    const { mantidas, descartadas } = separarLinhas(linhas, regras);
+    if (descartadas.length) console.log(`🧹 ${descartadas.length} descartados pelas regras (${descartadas.map((d) => d.regraDescarte).join(', ')})`);
+
+    // ✅ grava em DB só se DB estiver OK (descartados não entram)
+    if (pool && mantidas.length) {
+      const r = await insertRowsMySql(pool, mantidas, 800);
+      console.log(`💾 MySQL: affectedRows=${r.insertedOrUpdated} (insert/update)`);
+    }
+
+    registrarPar(ckpt, unidade, dataBR, linhas, 'ok', { navegacao: navegador.porUnidade.get(navegacao.chave) });
+  }
+  definirContexto({ data: null });
+}
 
-        // ✅ grava em DB só se DB estiver OK
-        if (pool && processos.length) {
-          const rowsChunk = processos.map((p) => ({
-            geradoEm,
-            vara,
-            data: dataBR,
-            numeroProcesso: p.numeroProcesso,
-            sessao: p.sessao,
-            juiz: p.juiz,
-            reclamante: p.reclamante,
-            reclamada: p.reclamada,
-          }));
-
-          const r = await insertRowsMySql(pool, rowsChunk, 800);
-          console.log(`💾 MySQL: affectedRows=${r.insertedOrUpdated} (insert/update)`);
+async function scrapeVarasEmParalelo(browser, unidades, ctx) {
+  // agrupadas por tribunal: cada worker só troca de tribunal quando a fila dele acabar
+  const pendentes = unidades
+    .filter((u) => !unidadeConcluida(ctx.ckpt, u))
+    .sort((a, b) => a.tribunal.localeCompare(b.tribunal));
+
+  const pedido = ctx.workers || 1;
+  const workers = Math.max(1, Math.min(pedido, MAX_WORKERS));
+  if (pedido > MAX_WORKERS) console.warn(`⚠️ ${pedido} workers acima do limite; usando ${MAX_WORKERS}.`);
+
+  // ✅ um limitador só para todos os contexts: o teto vale para a execução inteira
+  const limitador = criarLimitador(ctx.rateMs);
+
+  console.log(`👷 ${pendentes.length} varas pendentes | ${workers} worker(s)`);
+
+  return executarPool(pendentes, {
+    concorrencia: workers,
+    signal: ctx.signal,
+    rotulo: rotuloUnidade,
+    criarWorker: async () => {
+      const context = await browser.newContext();
+      if (traceLigado()) await context.tracing.start({ screenshots: true, snapshots: true });
+      await limitarRequisicoes(context, limitador);
+      const page = await context.newPage();
+      const captura = ctx.modoExtracao === 'dom' ? null : capturarRespostasPauta(page);
+      return { context, page, captura, tribunal: null };
+    },
+    // contexto do log por worker: as linhas saem com a vara/data daquele worker
+    processar: (estado, unidade, id) => comContexto({ worker: id, vara: rotuloUnidade(unidade), data: null }, async () => {
+      try {
+        if (estado.tribunal !== unidade.tribunal) {
+          console.log(`👷 [worker ${id}] abrindo JTe (${unidade.tribunal})...`);
+          await abrirJTeSelecionarTribunal(estado.page, unidade.tribunal);
+          await abrirModuloPauta(estado.page);
+          estado.tribunal = unidade.tribunal;
         }
+        await scrapeVara(estado.page, unidade, { ...ctx, captura: estado.captura });
+      } catch (err) {
+        if (!err.artefatosSalvos) await salvarArtefatos(estado.page, 'vara_falhou', { erro: err });
+        throw err;
+      }
+    }),
+    encerrarWorker: ({ context }) => context.close(),
+  });
+}
+
+function listaDoAmbiente(name, fallback) {
+  return String(getEnv(name, fallback)).split(';').map((s) => s.trim()).filter(Boolean);
+}
+
+function opcoesDoAmbiente() {
+  return {
+    retomar: false,
+    headless: isTrue(getEnv('JTE_HEADLESS', 'false')),
+    workers: Number(getEnv('JTE_WORKERS', '1')) || 1,
+    rateMs: Number(getEnv('JTE_RATE_MS', '400')),
+    modoExtracao: getEnv('JTE_EXTRACAO', 'auto'),
+    navegacaoData: ordemNavegacaoDoAmbiente(), // ordem das estratégias de ESTRATEGIAS_DATA
+    tribunais: listaDoAmbiente('JTE_TRIBUNAIS', TRIBUNAL_PADRAO),
+    tipoUnidade: getEnv('JTE_TIPO_UNIDADE', TIPO_UNIDADE_PADRAO),
+    municipios: listaDoAmbiente('JTE_MUNICIPIOS', MUNICIPIO_PADRAO), // '*' = todos do tribunal
+    datas: null, // null = janela padrão (+7 dias até ~2 meses)
+    filtroVara: null, // (vara) => boolean
+    outDir: path.join(process.cwd(), 'output'),
+    formatos: ['csv', 'xlsx'],
+    enviarEmail: true,
+    pje: isTrue(getEnv('PJE_ENABLED', 'true')),
+    trace: isTrue(getEnv('JTE_TRACE', 'false')),
+    regras: arquivoRegras(getEnv('JTE_REGRAS', ARQUIVO_REGRAS_PADRAO)),
+    leads: path.resolve(getEnv('JTE_LEADS', ARQUIVO_LEADS_PADRAO)),
+    templatesEmail: path.resolve(getEnv('JTE_EMAIL_TEMPLATES', DIR_TEMPLATES_PADRAO)),
+    crm: path.resolve(getEnv('CRM_CONFIG', ARQUIVO_CRM_PADRAO)),
+    crmUrl: getEnv('CRM_URL', ''),
+    receitaConfiancaMinima: getEnv('RECEITA_CONFIANCA_MINIMA', String(CONFIANCA_MINIMA_PADRAO)),
+    signal: null, // AbortSignal: abortado, os workers terminam a vara atual e a execução para (daemon)
+    origem: 'scrape', // quem rodou, gravado na trava (output/jte.lock)
+  };
+}
+
+// "nenhuma" desliga as regras de descarte
+function arquivoRegras(valor) {
+  return String(valor).trim().toLowerCase() === 'nenhuma' ? null : path.resolve(valor);
+}
+
+// tribunais × municípios -> unidades { tribunal, tipoUnidade, municipio, vara }
+async function listarUnidades(page, { tribunais, tipoUnidade, municipios, filtroVara }) {
+  const unidades = [];
+  const vistas = new Set();
+
+  for (const tribunal of tribunais) {
+    await abrirJTeSelecionarTribunal(page, tribunal);
+    await abrirModuloPauta(page);
+
+    const alvos = municipios.includes(TODOS_MUNICIPIOS)
+      ? await listarMunicipios(page, { tipoUnidade })
+      : municipios;
+
+    for (const municipio of alvos) {
+      let varas;
+      try {
+        varas = await listarVaras(page, { tipoUnidade, municipio });
+      } catch (err) {
+        console.warn(`⚠️ Não consegui listar varas de "${municipio}" em ${tribunal}: ${err.message}`);
+        continue;
+      }
+
+      for (const vara of varas) {
+        if (filtroVara && !filtroVara(vara)) continue;
+        const u = { tribunal, tipoUnidade, municipio, vara };
+        if (vistas.has(chaveUnidade(u))) continue;
+        vistas.add(chaveUnidade(u));
+        unidades.push(u);
       }
     }
+  }
 
-    const outDir = path.join(process.cwd(), 'output');
-    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  return unidades;
+}
 
-    const stamp = Date.now();
-    const csvPath = path.join(outDir, `pauta_trt2_2meses_${stamp}.csv`);
-    const xlsxPath = path.join(outDir, `pauta_trt2_2meses_${stamp}.xlsx`);
+// abas que acompanham a pauta no XLSX (e viram CSVs à parte)
+// novidades: só no scrape, que tem o estado anterior para comparar
+// revisoes: carregarRevisoes(); sem elas todo lead sai como "novo"
+function abasExtrasDaPauta(rows, { novidades, pontuacao, revisoes = new Map() } = {}) {
+  const leads = pontuacao ? aplicarRevisao(pontuarLeads(rows, pontuacao), revisoes) : null;
+  return [
+    ...(novidades ? [{ nome: 'Novidades', arquivo: 'novidades', headers: NOVIDADES_HEADERS, rows: novidades }] : []),
+    ...(leads ? [{ nome: 'Leads priorizados', arquivo: 'leads', headers: LEADS_HEADERS, rows: leads }] : []),
+    { nome: 'Empresas', arquivo: 'empresas', headers: EMPRESA_HEADERS, rows: agruparEmpresas(rows) },
+  ];
+}
 
-    writeCsv(csvPath, headers, rowsCsv);
-    await writeXlsx(xlsxPath, headers, rowsCsv);
+/* =========================
+   REVISÃO DOS LEADS
+========================= */
 
-    console.log(`\n✅ Concluído! ${rowsCsv.length} linhas`);
-    console.log(`📄 CSV:  ${csvPath}`);
-    console.log(`📊 XLSX: ${xlsxPath}`);
+function lojaRevisao({ pool, outDir }) {
+  return pool ? criarRevisaoMySql(pool) : criarRevisaoArquivo(path.join(outDir, 'leads_revisao.json'));
+}
 
-    const subject = `Pauta TRT2 (2 meses) - ${new Date().toLocaleString('pt-BR')}`;
-    const text =
-      `Olá!\n\n` +
-      `Segue em anexo o arquivo XLSX com a extração da pauta do TRT2 para os próximos ~2 meses.\n\n` +
-      `Total de linhas: ${rowsCsv.length}\n` +
-      `Gerado em: ${geradoEm}\n\n` +
-      `Atenciosamente,\nRobô JTe`;
+// status/responsável que a equipe deu a cada processo da pauta (tela de leads da API)
+async function carregarRevisoes(rows, { pool = null, outDir }) {
+  try {
+    return await lojaRevisao({ pool, outDir }).carregar([...new Set(rows.map((r) => r.numeroProcesso))]);
+  } catch (err) {
+    // a pauta sai mesmo assim, só sem as colunas de revisão preenchidas
+    console.warn(`⚠️ Revisão dos leads indisponível: ${err.message}`);
+    return new Map();
+  }
+}
+
+/* =========================
+   MUDANÇAS ENTRE EXECUÇÕES
+========================= */
 
-    const info = await sendEmailWithAttachment({
-      subject,
-      text,
-      attachmentPath: xlsxPath,
+// Pauta como estava antes desta execução, restrita às varas/datas que ela vai ler:
+// MySQL (audiências ainda ativas) ou, sem banco, a última execução finalizada
+async function carregarEstadoAnterior({ pool, checkpointDir, regras, unidades, datas }) {
+  let rows;
+  let origem;
+
+  if (pool) {
+    const isos = datas.map(brToIsoDateString).sort();
+    rows = await carregarLinhasDoBanco(pool, { de: isos[0], ate: isos[isos.length - 1], somenteAtivas: true });
+    origem = 'mysql';
+  } else {
+    const anterior = ultimoCheckpointFinalizado(checkpointDir);
+    if (!anterior) return { rows: [], origem: null };
+    rows = separarLinhas(lerLinhasCheckpoint(anterior), regras).mantidas;
+    origem = `checkpoint ${anterior.estado.runId}`;
+  }
+
+  const chaves = new Set(unidades.map(chaveUnidade));
+  const noEscopo = new Set(datas);
+  return { rows: rows.filter((r) => chaves.has(chaveUnidade(r)) && noEscopo.has(r.data)), origem };
+}
+
+async function exportarArquivos(rows, headers, { outDir, formatos, prefixo = 'pauta_trt2_2meses', abasExtras = [] }) {
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+  const stamp = Date.now();
+  const arquivos = {};
+
+  if (formatos.includes('csv')) {
+    arquivos.csvPath = path.join(outDir, `${prefixo}_${stamp}.csv`);
+    writeCsv(arquivos.csvPath, headers, rows);
+    console.log(`📄 CSV:  ${arquivos.csvPath}`);
+
+    for (const aba of abasExtras) {
+      const csvPath = path.join(outDir, `${prefixo}_${stamp}_${aba.arquivo}.csv`);
+      writeCsv(csvPath, aba.headers, aba.rows);
+      arquivos[`${aba.arquivo}CsvPath`] = csvPath;
+      console.log(`📄 CSV:  ${csvPath}`);
+    }
+  }
+
+  if (formatos.includes('xlsx')) {
+    arquivos.xlsxPath = path.join(outDir, `${prefixo}_${stamp}.xlsx`);
+    await writeXlsx(arquivos.xlsxPath, headers, rows, abasExtras);
+    console.log(`📊 XLSX: ${arquivos.xlsxPath}`);
+  }
+
+  return arquivos;
+}
+
+// relatorio: entrada de montarRelatorio (lib/relatorioEmail.js)
+async function enviarEmailPauta({ templates, relatorio, attachmentPath }) {
+  const dados = montarRelatorio({
+    ...relatorio,
+    tribunais: [...new Set(relatorio.tribunais.map(siglaTribunal))],
+    anexo: path.extname(attachmentPath).slice(1).toUpperCase(),
+    topLeads: Number(getEnv('JTE_EMAIL_TOP_LEADS', String(TOP_LEADS_PADRAO))),
+  });
+  const { subject, text, html } = montarEmail(templates, dados);
+
+  const info = await sendEmailWithAttachment({ subject, text, html, attachmentPath });
+  console.log(`📧 Email enviado! messageId=${info.messageId || '(sem id)'}`);
+  return info;
+}
+
+// execução quebrou (ou foi interrompida): relatório + CSV com o que já foi lido, no banco e no alerta.
+// Nada aqui pode esconder o erro original.
+async function registrarFalhaDaExecucao(err, { ckpt, pool, regras, inicio, falhas, outDir }) {
+  const { etapa } = contextoAtual();
+  try {
+    let parcial = null;
+    if (ckpt) {
+      const { mantidas, descartadas } = separarLinhas(lerLinhasCheckpoint(ckpt), regras);
+      parcial = { mantidas, descartadas };
+    }
+
+    const relatorio = relatorioDaExecucao(ckpt, {
+      inicio,
+      falhas,
+      totalLinhas: parcial ? parcial.mantidas.length : null,
+      totalDescartadas: parcial ? parcial.descartadas.length : null,
+      erro: err,
     });
+    const relatorioPath = gravarRelatorioExecucao(outDir, relatorio);
+    console.error(`🧾 Relatório da execução (${relatorio.status}, etapa "${etapa}"): ${relatorioPath}`);
+
+    let parcialPath = null;
+    if (parcial?.mantidas.length) {
+      parcialPath = path.join(outDir, `pauta_parcial_${ckpt.estado.runId}.csv`);
+      writeCsv(parcialPath, HEADERS_PAUTA, parcial.mantidas);
+      console.error(`📄 CSV parcial (${parcial.mantidas.length} linhas): ${parcialPath}`);
+    }
 
-    console.log(`📧 Email enviado! messageId=${info.messageId || '(sem id)'}`);
+    if (ckpt) {
+      await finalizarExecucaoMySql(pool, ckpt.estado.runId, { status: relatorio.status, erro: err.message || String(err), relatorio })
+        .catch(() => { });
+    }
+    if (precisaAlerta(relatorio)) await alertarOperadores(relatorio, [relatorioPath, parcialPath]);
+  } catch (errRelatorio) {
+    console.warn(`⚠️ Não consegui gerar o relatório da falha: ${errRelatorio.message || errRelatorio}`);
+  }
+}
+
+// ckpt null = caiu antes de saber as varas/datas
+function relatorioDaExecucao(ckpt, { inicio, falhas, totalLinhas, totalDescartadas, erro }) {
+  return montarRelatorioExecucao({
+    runId: ckpt?.estado.runId,
+    iniciadoEm: new Date(inicio).toISOString(),
+    etapa: contextoAtual().etapa,
+    unidades: ckpt?.estado.unidades,
+    datas: ckpt?.estado.datas,
+    concluidos: ckpt ? [...ckpt.concluidos.values()] : [],
+    falhas,
+    totalLinhas,
+    totalDescartadas,
+    erro,
+  });
+}
+
+// operadores (ALERT_MAIL_TO) recebem falha e execução degradada; erro aqui só vira aviso
+async function alertarOperadores(relatorio, anexos = []) {
+  const to = parseMailTo(getEnv('ALERT_MAIL_TO', ''));
+  if (!to.length) {
+    console.warn(`⚠️ Execução ${relatorio.status}, mas ALERT_MAIL_TO está vazio: alerta não enviado.`);
+    return;
+  }
+
+  try {
+    await sendEmailWithAttachment({
+      subject: `[Robô JTe] Execução ${relatorio.status}${relatorio.runId ? ` (${relatorio.runId})` : ''}`,
+      text: relatorioEmTexto(relatorio),
+      attachmentPaths: anexos.filter(Boolean),
+      to,
+    });
+    console.log(`🚨 Alerta enviado para ${to.join(', ')}`);
   } catch (err) {
-    console.error('❌ Erro:', err);
+    console.warn(`⚠️ Não consegui enviar o alerta: ${err.message || err}`);
+  }
+}
+
+async function executarScrape(opcoesParciais = {}) {
+  const opcoes = { ...opcoesDoAmbiente(), ...opcoesParciais };
+  const checkpointDir = path.join(opcoes.outDir, 'checkpoints');
+  const inicio = Date.now();
+
+  // config inválida tem que parar antes de abrir o navegador
+  const regras = carregarRegras(opcoes.regras);
+  console.log(`🧹 Regras de descarte: ${regras.arquivo || 'nenhuma'}`);
+  const pontuacao = carregarPontuacao(opcoes.leads);
+  const configCrm = opcoes.crmUrl ? carregarConfigCrm(opcoes.crm) : null;
+  const confiancaMinima = lerConfiancaMinima(opcoes.receitaConfiancaMinima);
+  const templatesEmail = opcoes.enviarEmail ? carregarTemplates(opcoes.templatesEmail) : null;
+
+  let ckpt = opcoes.retomar ? retomarCheckpoint(checkpointDir) : null;
+  let anteriores = ckpt ? lerEstadoAnterior(ckpt) : null;
+  if (opcoes.retomar && !ckpt) console.warn('⚠️ --resume: nenhum checkpoint pendente. Iniciando execução nova.');
+
+  const geradoEm = ckpt ? ckpt.estado.geradoEm : new Date().toISOString();
+
+  // um scrape por vez na mesma pasta de saída (daemon ou manual)
+  const trava = adquirirTrava(opcoes.outDir, { origem: opcoes.origem });
+
+  let arquivoLog;
+  try {
+    arquivoLog = iniciarLog({
+      outDir: opcoes.outDir,
+      nivel: getEnv('JTE_LOG_NIVEL', 'info'),
+      maxBytes: Number(getEnv('JTE_LOG_MAX_MB', '10')) * 1024 * 1024,
+      maxArquivos: Number(getEnv('JTE_LOG_ARQUIVOS', '5')),
+      trace: opcoes.trace,
+      maxArtefatos: Number(getEnv('JTE_ARTEFATOS_MAX', '50')),
+    });
+  } catch (err) {
+    // no daemon/serve o processo continua vivo: a trava não sairia sozinha
+    trava.liberar();
+    throw err;
+  }
+  // etapa: onde a execução parou, para o log e o relatório
+  definirContexto({ runId: ckpt?.estado.runId, etapa: 'conexao' });
+
+  let falhas = [];
+  let pool = null;
+  let browser = null;
+
+  try {
+    // ✅ DB pool (opcional)
+    pool = await initDbIfEnabled();
+    browser = await lancarNavegador({ headless: opcoes.headless, slowMo: opcoes.headless ? 0 : 100 });
+
+    definirContexto({ etapa: 'unidades' });
+    if (ckpt) {
+      const r = resumoCheckpoint(ckpt);
+      console.log(`♻️ Retomando execução ${ckpt.estado.runId}: ${r.concluidos}/${r.total} pares (vara, data) já concluídos`);
+    } else {
+      const page = await browser.newPage();
+      const unidades = await listarUnidades(page, opcoes);
+      await page.close().catch(() => { });
+
+      if (opcoes.filtroVara) console.log(`🔎 Filtro de vara: ${unidades.length} varas selecionadas`);
+
+      const datas = opcoes.datas || gerarDatasProximosDoisMeses();
+      // antes de raspar: depois o MySQL já teria as linhas desta execução
+      const estadoAnterior = await carregarEstadoAnterior({ pool, checkpointDir, regras, unidades, datas });
+      anteriores = estadoAnterior.rows;
+
+      ckpt = iniciarCheckpoint(checkpointDir, { geradoEm, unidades, datas, origemAnterior: estadoAnterior.origem });
+      definirContexto({ runId: ckpt.estado.runId });
+      gravarEstadoAnterior(ckpt, anteriores);
+      console.log(`💾 Checkpoint: ${ckpt.dir}`);
+    }
+
+    if (!anteriores) {
+      console.warn('⚠️ Checkpoint sem estado anterior gravado: tudo vai aparecer como novo.');
+      anteriores = [];
+    }
+    console.log(`🔁 Estado anterior: ${anteriores.length} audiências (${ckpt.estado.origemAnterior || 'primeira execução'})`);
+
+    const execucaoId = await registrarExecucaoMySql(pool, ckpt.estado);
+
+    console.log(`📅 ${ckpt.estado.datas.length} datas alvo`);
+
+    const navegador = criarNavegadorDatas(opcoes.navegacaoData);
+    // retomada: cada vara volta a usar a estratégia que já tinha funcionado nela
+    for (const c of ckpt.concluidos.values()) {
+      if (c.navegacao) navegador.porUnidade.set(rotuloUnidade(c), c.navegacao);
+    }
+
+    definirContexto({ etapa: 'scrape' });
+    let restantes;
+    ({ falhas, restantes } = await scrapeVarasEmParalelo(browser, ckpt.estado.unidades, {
+      pool,
+      ckpt,
+      geradoEm,
+      navegador,
+      regras,
+      workers: opcoes.workers,
+      rateMs: opcoes.rateMs,
+      modoExtracao: opcoes.modoExtracao,
+      signal: opcoes.signal,
+    }));
+    if (restantes.length) {
+      const err = new Error(`Execução interrompida: ${restantes.length} varas ficaram para a próxima (--resume)`);
+      err.code = 'JTE_INTERROMPIDA';
+      throw err;
+    }
+    if (falhas.length) {
+      console.warn(`⚠️ ${falhas.length} varas falharam: ${falhas.map((f) => rotuloUnidade(f.item)).join(' | ')}`);
+    }
+
+    const navegacaoPorVara = Object.fromEntries(navegador.porUnidade);
+    const usoNavegacao = {};
+    for (const nome of Object.values(navegacaoPorVara)) usoNavegacao[nome] = (usoNavegacao[nome] || 0) + 1;
+    if (Object.keys(usoNavegacao).length) {
+      console.log(`🧭 Navegação de datas por vara: ${Object.entries(usoNavegacao).map(([n, q]) => `${n}=${q}`).join(', ')}`);
+    }
+
+    // reaplica as regras em tudo: o checkpoint guarda as linhas como vieram do JTe
+    definirContexto({ etapa: 'enriquecimento' });
+    const { mantidas: rowsCsv, descartadas } = separarLinhas(lerLinhasCheckpoint(ckpt), regras);
+
+    if (opcoes.pje) await enriquecerComPje(browser, pool, rowsCsv);
+    else console.log('ℹ️ Enriquecimento via PJe desligado.');
+    await enriquecerComReceita(pool, rowsCsv, confiancaMinima);
+
+    const alertasCnj = rowsCsv.filter((r) => r.cnjStatus !== 'ok').length;
+    console.log(`\n✅ Concluído! ${rowsCsv.length} linhas (${descartadas.length} descartadas pelas regras)`);
+    if (alertasCnj) console.warn(`⚠️ ${alertasCnj} linhas com número CNJ sinalizado (coluna cnjStatus)`);
+
+    definirContexto({ etapa: 'mudancas' });
+    const mudancas = compararComAnterior(rowsCsv, anteriores, {
+      observado: (r) => parObservado(ckpt, r, r.data),
+    });
+    const novidades = listarNovidades(rowsCsv, mudancas.desaparecidas);
+    console.log(`🔁 Mudanças: ${resumoEmTexto(mudancas.resumo)}`);
+    await marcarDesaparecidasMySql(pool, [...mudancas.desaparecidas, ...mudancas.origensRemarcadas]);
+    await inserirObservacoesMySql(pool, execucaoId, [...rowsCsv, ...mudancas.desaparecidas], { observadoEm: geradoEm });
+
+    const revisoes = await carregarRevisoes(rowsCsv, { pool, outDir: opcoes.outDir });
+    const abasExtras = abasExtrasDaPauta(rowsCsv, { novidades, pontuacao, revisoes });
+    const totalEmpresas = abasExtras.find((a) => a.arquivo === 'empresas').rows.length;
+    console.log(`🏢 ${totalEmpresas} empresas distintas`);
+    const leads = abasExtras.find((a) => a.arquivo === 'leads').rows;
+    if (leads.length) console.log(`⭐ ${leads.length} leads priorizados (maior score: ${leads[0].score})`);
+
+    definirContexto({ etapa: 'exportacao' });
+    const crm = await enviarLeadsAoCrm(leads, configCrm, { pool, outDir: opcoes.outDir, url: opcoes.crmUrl });
+
+    const arquivos = await exportarArquivos(rowsCsv, HEADERS_PAUTA, { ...opcoes, abasExtras });
+    if (descartadas.length) {
+      arquivos.descartados = await exportarArquivos(descartadas, HEADERS_DESCARTADOS, { ...opcoes, prefixo: 'descartados' });
+    }
+
+    definirContexto({ etapa: 'email' });
+    const anexo = arquivos.xlsxPath || arquivos.csvPath;
+    if (opcoes.enviarEmail && anexo) {
+      await enviarEmailPauta({
+        templates: templatesEmail,
+        relatorio: {
+          rows: rowsCsv,
+          // convertido/descartado na tela de leads não volta como oportunidade
+          leads: leads.filter(leadEmAberto),
+          novidades,
+          resumoMudancas: resumoEmTexto(mudancas.resumo),
+          totais: { linhas: rowsCsv.length, empresas: totalEmpresas, descartadas: descartadas.length },
+          varasComFalha: falhas.map((f) => ({ vara: rotuloUnidade(f.item), erro: f.erro.message || String(f.erro) })),
+          datasPuladas: paresPulados(ckpt).map((p) => ({ vara: rotuloUnidade(p), data: p.data })),
+          geradoEm,
+          duracaoMs: Date.now() - inicio,
+          tribunais: ckpt.estado.unidades.map((u) => u.tribunal),
+        },
+        attachmentPath: anexo,
+      });
+    } else {
+      console.log('ℹ️ Email não enviado (desligado ou nenhum arquivo gerado).');
+    }
+
+    definirContexto({ etapa: 'finalizacao' });
+    const relatorio = relatorioDaExecucao(ckpt, {
+      inicio, falhas, totalLinhas: rowsCsv.length, totalDescartadas: descartadas.length,
+    });
+    const relatorioPath = gravarRelatorioExecucao(opcoes.outDir, relatorio);
+    console.log(`🧾 Relatório da execução (${relatorio.status}): ${relatorioPath}`);
+
+    await finalizarExecucaoMySql(pool, ckpt.estado.runId, {
+      status: relatorio.status,
+      totalLinhas: rowsCsv.length,
+      totalDescartadas: descartadas.length,
+      totalNovidades: novidades.length,
+      mudancas: mudancas.resumo,
+      relatorio,
+    });
+    if (precisaAlerta(relatorio)) await alertarOperadores(relatorio, [relatorioPath, anexo]);
+
+    // ✅ só fecha o checkpoint depois do email: se algo falhar antes, --resume refaz export/email
+    finalizarCheckpoint(ckpt, {
+      ...arquivos,
+      totalLinhas: rowsCsv.length,
+      totalDescartadas: descartadas.length,
+      totalEmpresas,
+      mudancas: mudancas.resumo,
+      crm,
+      varasComFalha: falhas.map((f) => rotuloUnidade(f.item)),
+      navegacaoPorVara,
+      status: relatorio.status,
+      relatorioPath,
+    });
+
+    return {
+      geradoEm,
+      totalLinhas: rowsCsv.length,
+      totalEmpresas,
+      totalDescartadas: descartadas.length,
+      mudancas: mudancas.resumo,
+      totalNovidades: novidades.length,
+      crm,
+      status: relatorio.status,
+      relatorioPath,
+      logPath: arquivoLog,
+      arquivos,
+      falhas,
+    };
+  } catch (err) {
+    if (ckpt?.estado.finalizadoEm) throw err;
+    if (ckpt) console.error(`ℹ️ Progresso salvo em ${ckpt.dir}. Rode novamente com --resume para continuar.`);
+    await registrarFalhaDaExecucao(err, { ckpt, pool, regras, inicio, falhas, outDir: opcoes.outDir });
+    throw err;
   } finally {
     try { if (pool) await pool.end(); } catch { }
-    // await browser.close().catch(() => {});
+    // navegador visível fica aberto para depuração
+    if (opcoes.headless && browser) await browser.close().catch(() => { });
+    encerrarLog();
+    trava.liberar();
+  }
+}
+
+async function listarUnidadesDisponiveis(opcoesParciais = {}) {
+  const opcoes = { ...opcoesDoAmbiente(), headless: true, ...opcoesParciais };
+  const browser = await lancarNavegador({ headless: opcoes.headless });
+  try {
+    const page = await browser.newPage();
+    return await listarUnidades(page, opcoes);
+  } finally {
+    await browser.close().catch(() => { });
+  }
+}
+
+/* =========================
+   DOCTOR (diagnóstico de seletores)
+========================= */
+
+// Percorre o fluxo uma vez (tribunal -> Pauta -> diálogo -> vara -> datas) testando
+// todas as estratégias de cada seletor no ponto em que ele deveria existir
+async function diagnosticarFluxo(page, { tribunal, tipoUnidade, municipio, filtroVara }) {
+  const passos = [];
+  const navegacao = {};
+  let vara = null;
+  let completo = false;
+
+  const passo = async (titulo, nomes, acao, params = {}) => {
+    const registro = { passo: titulo, seletores: [], erro: null };
+    passos.push(registro);
+
+    for (const nome of nomes) registro.seletores.push(await diagnosticarSeletor(page, nome, params));
+    if (!acao) return;
+
+    try {
+      await acao();
+    } catch (err) {
+      registro.erro = err.message;
+      throw err;
+    }
+  };
+
+  try {
+    await abrirJTe(page);
+    await passo('Tela inicial', ['tribunal'], () => selecionarTribunal(page, tribunal), { tribunal });
+    await passo('Módulos do tribunal', ['moduloPauta'], () => abrirModuloPauta(page));
+    await passo('Pauta (antes do diálogo)', ['botaoUnidade'], () => abrirDialogoOrgao(page));
+    await passo('Diálogo Órgão', ['tituloDialogoOrgao', 'selectTipo', 'selectMunicipio', 'selectOrgao', 'botaoConfirmar', 'botaoCancelar'],
+      () => openMatSelect(page, seletor(page, 'selectTipo').first()));
+    await passo('Painel do mat-select', ['painelMatSelect', 'opcaoMatSelect', 'textoOpcaoMatSelect'], async () => {
+      await page.keyboard.press('Escape');
+      await cancelarDialogoOrgao(page);
+
+      const varas = await listarVaras(page, { tipoUnidade, municipio });
+      vara = (filtroVara ? varas.filter(filtroVara) : varas)[0];
+      if (!vara) throw new Error(`nenhuma vara em ${municipio}${filtroVara ? ' com o filtro informado' : ''}`);
+
+      await selecionarUnidade(page, vara, { tipoUnidade, municipio });
+    });
+
+    await esperarPautaEstabilizar(page);
+    await passo('Pauta da vara', ['botaoData', 'botaoDataAnterior', 'botaoDataProxima', 'itemPauta'], async () => {
+      if (!extrairDataBR(await lerTextoDataExibida(page))) throw new Error('data exibida não reconhecida (botaoData sem dd/mm/aaaa)');
+
+      // abre o calendário para o próximo passo conferir os seletores dele
+      await (await localizar(page, 'botaoData')).click({ force: true });
+      await page.waitForTimeout(800);
+    });
+    await passo('Calendário', ['calendario', 'calendarioPeriodo', 'calendarioAnterior', 'calendarioProximo', 'calendarioDia'],
+      () => fecharOverlays(page));
+
+    // cada estratégia tenta chegar no próximo dia útil a partir do que está exibido
+    for (const [nome, estrategia] of Object.entries(ESTRATEGIAS_DATA)) {
+      const alvo = proximoDiaUtilBR(extrairDataBR(await lerTextoDataExibida(page)));
+      const ok = await estrategia.irPara(page, alvo).catch(() => false);
+      navegacao[nome] = ok && extrairDataBR(await lerTextoDataExibida(page)) === alvo;
+      await fecharOverlays(page);
+    }
+
+    completo = true;
+  } catch {
+    // o passo que falhou já guardou o erro; os seguintes não foram alcançados
+  }
+
+  return { passos, vara, navegacao, completo };
+}
+
+function proximoDiaUtilBR(dataBR) {
+  const d = parseBRDate(dataBR);
+  const inicio = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+  const fim = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7);
+  return gerarDatasUteis(inicio, fim)[0];
+}
+
+function imprimirRelatorioDoctor(relatorio) {
+  const icones = { ok: '✅', fallback: '⚠️', ausente: '➖', falhou: '❌' };
+
+  console.log(`\n🩺 Doctor | seletores v${relatorio.versaoSeletores} | ${relatorio.tribunal} | ${relatorio.municipio} | ${relatorio.vara || '(sem vara)'}`);
+  for (const p of relatorio.passos) {
+    console.log(`\n${p.passo}`);
+    for (const s of p.seletores) {
+      console.log(`  ${icones[s.status]} ${s.nome} (${s.descricao})`);
+      s.estrategias.forEach((e, i) => {
+        const marca = i === s.usada ? '→' : ' ';
+        console.log(`     ${marca} ${e.encontrados ? '✔' : '✘'} ${e.descricao}${e.encontrados ? ` [${e.encontrados}]` : ''}${e.erro ? ` (${e.erro})` : ''}`);
+      });
+    }
+    if (p.erro) console.log(`  ❌ ação falhou: ${p.erro}`);
+  }
+
+  const navegacao = Object.entries(relatorio.navegacaoData);
+  if (navegacao.length) {
+    console.log(`\nNavegação de datas: ${navegacao.map(([nome, ok]) => `${ok ? '✅' : '❌'} ${nome}`).join('  ')}`);
+  }
+
+  console.log(relatorio.ok
+    ? '\n✅ Fluxo completo: todos os seletores obrigatórios encontrados.'
+    : '\n❌ Fluxo com problemas: revise lib/seletores.js antes de rodar o scrape.');
+}
+
+async function executarDoctor(opcoesParciais = {}) {
+  const opcoes = { ...opcoesDoAmbiente(), headless: true, ...opcoesParciais };
+  const tribunal = opcoes.tribunais[0];
+  const municipio = opcoes.municipios.find((m) => m !== TODOS_MUNICIPIOS) || MUNICIPIO_PADRAO;
+
+  const browser = await lancarNavegador({ headless: opcoes.headless });
+  try {
+    const page = await browser.newPage();
+    const { passos, vara, navegacao, completo } = await diagnosticarFluxo(page, {
+      tribunal,
+      tipoUnidade: opcoes.tipoUnidade,
+      municipio,
+      filtroVara: opcoes.filtroVara,
+    });
+
+    const falhas = passos.flatMap((p) => p.seletores.filter((s) => s.status === 'falhou'));
+    const relatorio = {
+      versaoSeletores: VERSAO_SELETORES,
+      executadoEm: new Date().toISOString(),
+      tribunal,
+      municipio,
+      vara,
+      ok: completo && !falhas.length && !passos.some((p) => p.erro) && Object.values(navegacao).some(Boolean),
+      navegacaoData: navegacao,
+      passos,
+    };
+
+    imprimirRelatorioDoctor(relatorio);
+
+    if (!fs.existsSync(opcoes.outDir)) fs.mkdirSync(opcoes.outDir, { recursive: true });
+    relatorio.arquivo = path.join(opcoes.outDir, `doctor_${Date.now()}.json`);
+    fs.writeFileSync(relatorio.arquivo, JSON.stringify(relatorio, null, 2), 'utf8');
+    console.log(`📄 Relatório: ${relatorio.arquivo}`);
+
+    return relatorio;
+  } finally {
+    await browser.close().catch(() => { });
+  }
+}
+
+/* =========================
+   API HTTP
+========================= */
+
+function statusDaFalha(err) {
+  if (err.code === 'JTE_INTERROMPIDA') return 'interrompida';
+  if (err.code === 'JTE_TRAVADA') return 'travada';
+  return 'falhou';
+}
+
+/**
+ * Serviços de lib/api.js. Com pool as pautas vêm de pauta_processos; sem MySQL,
+ * do último checkpoint finalizado (regras de descarte reaplicadas, como o export --run).
+ * Leads: pontuados sobre a pauta filtrada, com a revisão de leads_revisao ou
+ * output/leads_revisao.json.
+ * Receita: casada só nas linhas devolvidas (a página, ou o arquivo exportado),
+ * sem o log do scrape, que iria para o stdout a cada requisição.
+ * iniciarScrape(corpo) -> promessa do executarScrape (cli.js monta as opções do corpo)
+ */
+function criarServicosApi({ outDir, pool = null, regras, pontuacao = compilarPontuacao(), confiancaMinima = CONFIANCA_MINIMA_PADRAO, iniciarScrape = null }) {
+  const checkpointDir = path.join(outDir, 'checkpoints');
+  const revisao = lojaRevisao({ pool, outDir });
+  let ultimaDaApi = null;
+
+  function linhasDoCheckpoint() {
+    const ckpt = ultimoCheckpointFinalizado(checkpointDir);
+    if (!ckpt) throw erroHttp(503, `Sem MySQL e sem execução finalizada em ${checkpointDir}`);
+    return separarLinhas(lerLinhasCheckpoint(ckpt), regras).mantidas;
+  }
+
+  async function comReceita(itens) {
+    if (pool && itens.length && (await receitaImportada(pool))) await casarComReceita(pool, itens, { confiancaMinima });
+  }
+
+  async function pautasSemReceita(filtros) {
+    if (pool) return consultarPautasMySql(pool, filtros);
+    return paginar(filtrarLinhas(linhasDoCheckpoint(), filtros), filtros);
+  }
+
+  async function consultarPautas(filtros) {
+    const r = await pautasSemReceita(filtros);
+    await comReceita(r.itens);
+    return r;
+  }
+
+  function relatorioDoArquivo(runId) {
+    const arquivo = path.join(outDir, 'relatorios', `execucao_${runId}.json`);
+    return fs.existsSync(arquivo) ? JSON.parse(fs.readFileSync(arquivo, 'utf8')) : null;
+  }
+
+  return {
+    consultarPautas,
+
+    async exportarPautas(filtros, formato) {
+      const { itens } = await consultarPautas(filtros);
+      const dir = path.join(outDir, 'api');
+      fs.mkdirSync(dir, { recursive: true });
+      const arquivo = path.join(dir, `pauta_api_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.${formato}`);
+      if (formato === 'xlsx') await writeXlsx(arquivo, HEADERS_PAUTA, itens);
+      else writeCsv(arquivo, HEADERS_PAUTA, itens);
+      return arquivo;
+    },
+
+    async listarExecucoes({ limite }) {
+      if (pool) return listarExecucoesMySql(pool, { limite });
+
+      // sem banco: checkpoints; status do estado.json, do relatório ou, sem nenhum dos dois, da trava
+      const resumos = listarResumosRuns(checkpointDir, { limite });
+      const rodando = lerTrava(path.join(outDir, NOME_TRAVA)) ? resumos.find((r) => !r.finalizadoEm)?.runId : null;
+      return resumos.map((r) => ({
+        ...r,
+        status: r.status || relatorioDoArquivo(r.runId)?.status || (r.runId === rodando ? 'em_andamento' : 'incompleta'),
+      }));
+    },
+
+    progresso() {
+      const trava = lerTrava(path.join(outDir, NOME_TRAVA));
+      // enquanto lista as varas a execução nova ainda não tem checkpoint: aparece o último aberto
+      const checkpoint = trava ? listarResumosRuns(checkpointDir).find((r) => !r.finalizadoEm) || null : null;
+      if (checkpoint) checkpoint.percentual = Math.round((checkpoint.paresConcluidos / (checkpoint.paresTotal || 1)) * 100);
+      return {
+        emAndamento: !!trava,
+        trava,
+        checkpoint,
+        ultimaDaApi,
+        daemon: lerEstadoDaemon(path.join(outDir, 'daemon')),
+      };
+    },
+
+    async execucao(runId) {
+      return relatorioDoArquivo(runId) || (pool ? carregarRelatorioMySql(pool, runId) : null);
+    },
+
+    iniciarExecucao(corpo) {
+      if (!iniciarScrape) throw erroHttp(501, 'Este servidor não inicia scrapes.');
+      if (ultimaDaApi && !ultimaDaApi.finalizadaEm) throw erroHttp(409, 'Já existe um scrape iniciado pela API em andamento.');
+      const trava = lerTrava(path.join(outDir, NOME_TRAVA));
+      if (trava) throw erroHttp(409, `Outra execução em andamento (pid ${trava.pid}, ${trava.origem || 'origem desconhecida'}, desde ${trava.desde}).`);
+
+      const execucao = { iniciadaEm: new Date().toISOString(), finalizadaEm: null, parametros: corpo, status: 'em_andamento', relatorioPath: null, erro: null };
+      const promessa = iniciarScrape(corpo);
+      ultimaDaApi = execucao;
+      promessa
+        .then((r) => Object.assign(execucao, { status: r.status, relatorioPath: r.relatorioPath }))
+        .catch((err) => Object.assign(execucao, { status: statusDaFalha(err), erro: err.message || String(err) }))
+        .finally(() => { execucao.finalizadaEm = new Date().toISOString(); });
+      return execucao;
+    },
+
+    async consultarLeads(filtros) {
+      // a pontuação não usa a Receita: casa só os leads da página
+      const { itens } = await pautasSemReceita({ ...filtros, pagina: null, porPagina: null });
+      const revisoes = await revisao.carregar([...new Set(itens.map((r) => r.numeroProcesso))]);
+      const pagina = paginar(filtrarLeads(aplicarRevisao(pontuarLeads(itens, pontuacao), revisoes), filtros), filtros);
+      await comReceita(pagina.itens);
+      return pagina;
+    },
+
+    async lead(numeroProcesso) {
+      const registro = (await revisao.carregar([numeroProcesso])).get(numeroProcesso);
+      return { ...(registro || revisaoVazia(numeroProcesso)), notas: await revisao.notas(numeroProcesso) };
+    },
+
+    async atualizarLead(numeroProcesso, corpo) {
+      let mudanca;
+      try {
+        mudanca = validarMudancaRevisao(corpo);
+      } catch (err) {
+        throw erroHttp(400, err.message);
+      }
+      const registro = await revisao.atualizar(numeroProcesso, mudanca);
+      console.log(`📝 Lead ${numeroProcesso}: ${registro.status}${registro.responsavel ? ` (${registro.responsavel})` : ''} por ${mudanca.autor || 'anônimo'}`);
+      return registro;
+    },
+  };
+}
+
+// servidor já escutando; fechar o servidor fecha o pool
+async function iniciarApi(opcoesParciais = {}) {
+  const opcoes = {
+    ...opcoesDoAmbiente(),
+    porta: Number(getEnv('JTE_API_PORTA', '8787')),
+    host: getEnv('JTE_API_HOST', '127.0.0.1'),
+    token: getEnv('JTE_API_TOKEN', ''),
+    iniciarScrape: null,
+    ...opcoesParciais,
+  };
+  const regras = carregarRegras(opcoes.regras);
+  const pontuacao = carregarPontuacao(opcoes.leads);
+  const confiancaMinima = lerConfiancaMinima(opcoes.receitaConfiancaMinima);
+  const pool = await initDbIfEnabled();
+
+  const servidor = criarServidorApi(
+    criarServicosApi({ outDir: opcoes.outDir, pool, regras, pontuacao, confiancaMinima, iniciarScrape: opcoes.iniciarScrape }),
+    { token: opcoes.token }
+  );
+  servidor.on('close', () => { if (pool) pool.end().catch(() => { }); });
+
+  try {
+    await new Promise((resolve, reject) => {
+      servidor.once('error', reject);
+      servidor.listen(opcoes.porta, opcoes.host, resolve);
+    });
+  } catch (err) {
+    if (pool) await pool.end().catch(() => { });
+    throw err;
+  }
+
+  const { port } = servidor.address();
+  console.log(`🌐 API em http://${opcoes.host}:${port}/api/pautas${pool ? '' : ' (sem MySQL: dados do último checkpoint finalizado)'}`);
+  console.log(`📋 Revisão de leads em http://${opcoes.host}:${port}/`);
+  if (!opcoes.token) console.warn('⚠️ JTE_API_TOKEN vazio: a API aceita pedidos sem autenticação.');
+  return servidor;
+}
+
+async function main() {
+  try {
+    await executarScrape({ retomar: process.argv.includes('--resume') });
+  } catch (err) {
+    console.error('❌ Erro:', err);
+    process.exitCode = 1;
   }
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = {
+  HEADERS_PAUTA,
+  HEADERS_DESCARTADOS,
+  csvEscape,
+  writeCsv,
+  writeXlsx,
+  parseBRDate,
+  brToIsoDateString,
+  janelaPadraoDeDatas,
+  gerarDatasUteis,
+  getEnv,
+  isTrue,
+  initDbIfEnabled,
+  sendEmailWithAttachment,
+  lancarNavegador,
+  abrirJTeSelecionarTribunal,
+  abrirJTeSelecionarTRT2,
+  abrirModuloPauta,
+  listarMunicipios,
+  listarVaras,
+  selecionarUnidade,
+  irAteDataPorBotoes,
+  irAteDataPeloCalendario,
+  ESTRATEGIAS_DATA,
+  criarNavegadorDatas,
+  selecionarDataComConfirmacao,
+  esperarPautaEstabilizar,
+  extrairProcessosDaPauta,
+  abasExtrasDaPauta,
+  carregarRevisoes,
+  exportarArquivos,
+  arquivoRegras,
+  carregarLinhasDoBanco,
+  enriquecerComReceita,
+  executarScrape,
+  listarUnidadesDisponiveis,
+  executarDoctor,
+  criarServicosApi,
+  iniciarApi,
+};
@@ -0,0 +1,148 @@
+/**
+ * Agenda do daemon (config/agenda.json)
+ *
+ * {
+ *   "agendamentos": [
+ *     { "nome": "semanal", "cron": "0 3 * * 1", "opcoes": {} },
+ *     { "nome": "diario",  "cron": "30 6 * * 2-5", "opcoes": { "from": "+1", "to": "+7" } }
+ *   ]
+ * }
+ *
+ * cron: 5 campos (minuto hora dia mês dia-da-semana) no horário local do
+ * servidor (TZ). Cada campo aceita *, n, a-b, listas com vírgula e passo /n;
+ * dia-da-semana vai de 0 (domingo) a 7 (domingo de novo). Como no cron, se
+ * dia e dia-da-semana forem restritos, basta um dos dois bater.
+ *
+ * opcoes: as mesmas do `node cli.js scrape`, sem os "--" ({ "from": "+1",
+ * "skip-email": true }). Datas relativas (+N) contam a partir do disparo.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ARQUIVO_AGENDA_PADRAO = path.join(__dirname, '..', 'config', 'agenda.json');
+
+const CAMPOS = [
+  { nome: 'minuto', min: 0, max: 59 },
+  { nome: 'hora', min: 0, max: 23 },
+  { nome: 'dia', min: 1, max: 31 },
+  { nome: 'mes', min: 1, max: 12 },
+  { nome: 'diaSemana', min: 0, max: 7 },
+];
+
+// cinco anos: cobre 29/02 e recusa datas que não existem (30/02)
+const HORIZONTE_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/* =========================
+   CRON
+========================= */
+
+function parseCampo(texto, { nome, min, max }, expr) {
+  const valores = new Set();
+  const invalido = () => new Error(`agenda: campo ${nome} inválido em "${expr}"`);
+
+  for (const parte of texto.split(',')) {
+    const m = parte.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw invalido();
+
+    let [inicio, fim] = m[1] === '*' ? [min, max] : m[1].split('-').map(Number);
+    if (fim === undefined) fim = m[2] ? max : inicio;
+    const passo = m[2] ? Number(m[2]) : 1;
+    if (inicio < min || fim > max || inicio > fim || passo < 1) throw invalido();
+
+    for (let v = inicio; v <= fim; v += passo) valores.add(v);
+  }
+  return valores;
+}
+
+function compilarCron(expr) {
+  const partes = String(expr || '').trim().split(/\s+/);
+  if (partes.length !== 5) throw new Error(`agenda: cron "${expr}" precisa de 5 campos (minuto hora dia mês dia-da-semana)`);
+
+  const cron = { expr: partes.join(' ') };
+  CAMPOS.forEach((campo, i) => { cron[campo.nome] = parseCampo(partes[i], campo, expr); });
+  if (cron.diaSemana.has(7)) cron.diaSemana.add(0);
+
+  cron.diaRestrito = partes[2] !== '*';
+  cron.diaSemanaRestrito = partes[4] !== '*';
+  return cron;
+}
+
+function diaConfere(cron, d) {
+  const dia = cron.dia.has(d.getDate());
+  const semana = cron.diaSemana.has(d.getDay());
+  if (cron.diaRestrito && cron.diaSemanaRestrito) return dia || semana;
+  return dia && semana;
+}
+
+// próximo minuto depois de `depois` em que o cron bate (null se nunca bate)
+function proximaExecucao(cron, depois = new Date()) {
+  const d = new Date(depois.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limite = depois.getTime() + HORIZONTE_MS;
+
+  while (d.getTime() <= limite) {
+    if (!cron.mes.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!diaConfere(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hora.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minuto.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+/* =========================
+   CONFIG
+========================= */
+
+function compilarAgenda(config) {
+  const lista = config?.agendamentos;
+  if (!Array.isArray(lista) || !lista.length) throw new Error('agenda: "agendamentos" precisa ser uma lista não vazia');
+
+  const nomes = new Set();
+  const agendamentos = lista.map((a, i) => {
+    const nome = String(a?.nome || '').trim();
+    if (!nome) throw new Error(`agenda: agendamento ${i + 1} sem nome`);
+    if (nomes.has(nome)) throw new Error(`agenda: agendamento "${nome}" repetido`);
+    nomes.add(nome);
+
+    const cron = compilarCron(a.cron);
+    if (!proximaExecucao(cron)) throw new Error(`agenda: cron "${cron.expr}" de "${nome}" nunca dispara`);
+    if (a.opcoes != null && (typeof a.opcoes !== 'object' || Array.isArray(a.opcoes))) {
+      throw new Error(`agenda: "opcoes" de "${nome}" precisa ser um objeto`);
+    }
+
+    return { nome, cron, descricao: a.descricao || '', opcoes: a.opcoes || {} };
+  });
+
+  return { arquivo: null, agendamentos };
+}
+
+function carregarAgenda(arquivo = ARQUIVO_AGENDA_PADRAO) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (err) {
+    throw new Error(`agenda: não consegui ler ${arquivo} (${err.message})`);
+  }
+
+  const agenda = compilarAgenda(config);
+  agenda.arquivo = arquivo;
+  return agenda;
+}
+
+module.exports = {
+  ARQUIVO_AGENDA_PADRAO,
+  compilarCron,
+  proximaExecucao,
+  compilarAgenda,
+  carregarAgenda,
+};
@@ -0,0 +1,294 @@
+/**
+ * API HTTP local (node cli.js serve)
+ *
+ *   GET  /api/pautas?de=&ate=&vara=&juiz=&reclamada=&tipo=&pagina=1&porPagina=50
+ *   GET  /api/pautas.csv, /api/pautas.xlsx   mesmos filtros, resultado inteiro
+ *   GET  /api/execucoes?limite=20            execuções passadas, da mais nova para a mais antiga
+ *   GET  /api/execucoes/atual                progresso do scrape em andamento (de onde quer que ele tenha vindo)
+ *   GET  /api/execucoes/<runId>              relatório da execução (lib/relatorioExecucao.js)
+ *   POST /api/execucoes                      inicia um scrape: { "agendamento": "diario" }
+ *                                            ou { "opcoes": { "from": "+1", "to": "+7", "vara": ["1ª Vara"] } }
+ *   GET  /api/leads?<filtros da pauta>&status=novo,em_contato&responsavel=&scoreMinimo=60
+ *                                            leads pontuados com o status de revisão (lib/revisao.js)
+ *   GET  /api/leads/<numeroProcesso>         revisão do processo e as notas
+ *   PATCH /api/leads/<numeroProcesso>        { "status": "em_contato", "responsavel": "Ana", "nota": "...", "autor": "Ana" }
+ *   GET  /                                   tela de revisão dos leads (public/leads.html)
+ *
+ * vara, juiz, reclamada e responsavel acham trecho sem diferenciar acento/maiúscula;
+ * tipo é o tipoAudiencia inteiro (Inicial, Una, instrucao...), também sem acento/maiúscula. Datas em aaaa-mm-dd ou dd/mm/aaaa. Com
+ * token, todo pedido à /api precisa de "Authorization: Bearer <token>"; a tela em si
+ * é pública e pede o token para chamar a API.
+ *
+ * Quem responde de fato são os serviços passados a criarServidorApi
+ * (criarServicosApi em index.js: MySQL, ou o último checkpoint finalizado sem banco).
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { STATUS_REVISAO } = require('./revisao');
+const { TIPOS_AUDIENCIA } = require('./sessao');
+
+const PAGINA_LEADS = path.join(__dirname, '..', 'public', 'leads.html');
+
+const POR_PAGINA_PADRAO = 50;
+const POR_PAGINA_MAX = 500;
+const CORPO_MAX_BYTES = 64 * 1024;
+
+function erroHttp(status, mensagem) {
+  const err = new Error(mensagem);
+  err.status = status;
+  return err;
+}
+
+function semAcento(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/* =========================
+   FILTROS
+========================= */
+
+function parseDataFiltro(valor, nome) {
+  const v = String(valor).trim();
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return v;
+  m = v.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  throw erroHttp(400, `${nome}: data inválida "${valor}" (use aaaa-mm-dd ou dd/mm/aaaa)`);
+}
+
+function parseInteiro(valor, nome, padrao, { min = 1, max = Infinity } = {}) {
+  if (valor == null || valor === '') return padrao;
+  const n = Number(valor);
+  if (!Number.isInteger(n) || n < min || n > max) throw erroHttp(400, `${nome}: inteiro entre ${min} e ${max}`);
+  return n;
+}
+
+// "instrucao" -> "Instrução", como gravado em tipoAudiencia: o MySQL compara com =
+function tipoCanonico(tipo) {
+  return TIPOS_AUDIENCIA.find((t) => semAcento(t) === semAcento(tipo)) || tipo;
+}
+
+// URLSearchParams -> filtros; paginar=false ignora pagina/porPagina (downloads)
+function parseFiltros(params, { paginar = true } = {}) {
+  const texto = (nome) => (params.get(nome) || '').trim() || null;
+  const filtros = {
+    de: params.get('de') ? parseDataFiltro(params.get('de'), 'de') : null,
+    ate: params.get('ate') ? parseDataFiltro(params.get('ate'), 'ate') : null,
+    vara: texto('vara'),
+    juiz: texto('juiz'),
+    reclamada: texto('reclamada'),
+    tipo: texto('tipo') && tipoCanonico(texto('tipo')),
+    pagina: null,
+    porPagina: null,
+  };
+  if (filtros.de && filtros.ate && filtros.ate < filtros.de) throw erroHttp(400, 'ate anterior a de');
+
+  if (paginar) {
+    filtros.pagina = parseInteiro(params.get('pagina'), 'pagina', 1);
+    filtros.porPagina = parseInteiro(params.get('porPagina'), 'porPagina', POR_PAGINA_PADRAO, { max: POR_PAGINA_MAX });
+  }
+  return filtros;
+}
+
+// filtros da pauta + status (lista com vírgula), responsavel e scoreMinimo
+function parseFiltrosLeads(params) {
+  const filtros = parseFiltros(params);
+  const status = (params.get('status') || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const invalido = status.find((s) => !STATUS_REVISAO.includes(s));
+  if (invalido) throw erroHttp(400, `status: "${invalido}" inválido (use ${STATUS_REVISAO.join(', ')})`);
+
+  return {
+    ...filtros,
+    status: status.length ? status : null,
+    responsavel: (params.get('responsavel') || '').trim() || null,
+    scoreMinimo: parseInteiro(params.get('scoreMinimo'), 'scoreMinimo', null, { min: 0, max: 100 }),
+  };
+}
+
+function dataISODaLinha(r) {
+  return r.dataISO || String(r.data || '').split('/').reverse().join('-');
+}
+
+// mesmo filtro/ordem do MySQL, para quando as linhas vêm de um checkpoint
+function filtrarLinhas(rows, filtros) {
+  const contem = (campo, trecho) => !trecho || semAcento(campo).includes(semAcento(trecho));
+
+  const filtradas = rows.filter((r) => {
+    const iso = dataISODaLinha(r);
+    return (!filtros.de || iso >= filtros.de)
+      && (!filtros.ate || iso <= filtros.ate)
+      && contem(r.vara, filtros.vara)
+      && contem(r.juiz, filtros.juiz)
+      && contem(r.reclamada, filtros.reclamada)
+      && (!filtros.tipo || semAcento(r.tipoAudiencia) === semAcento(filtros.tipo));
+  });
+
+  return filtradas.sort((a, b) => dataISODaLinha(a).localeCompare(dataISODaLinha(b))
+    || String(a.hora || '').localeCompare(String(b.hora || ''))
+    || a.vara.localeCompare(b.vara)
+    || a.numeroProcesso.localeCompare(b.numeroProcesso));
+}
+
+// leads já com statusRevisao/responsavel (aplicarRevisao); a ordem (score) fica
+function filtrarLeads(leads, filtros) {
+  return leads.filter((l) => (!filtros.status || filtros.status.includes(l.statusRevisao))
+    && (!filtros.responsavel || semAcento(l.responsavel).includes(semAcento(filtros.responsavel)))
+    && (filtros.scoreMinimo == null || l.score >= filtros.scoreMinimo));
+}
+
+function paginar(rows, { pagina, porPagina }) {
+  if (!porPagina) return { total: rows.length, itens: rows };
+  return { total: rows.length, itens: rows.slice((pagina - 1) * porPagina, pagina * porPagina) };
+}
+
+/* =========================
+   HTTP
+========================= */
+
+function enviarJson(res, status, corpo) {
+  const json = JSON.stringify(corpo);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+}
+
+async function enviarArquivo(res, arquivo, tipo) {
+  res.writeHead(200, {
+    'Content-Type': tipo,
+    'Content-Length': fs.statSync(arquivo).size,
+    'Content-Disposition': `attachment; filename="${path.basename(arquivo)}"`,
+  });
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(arquivo).on('error', reject).pipe(res).on('finish', resolve).on('error', reject);
+  });
+}
+
+function enviarPagina(res, arquivo) {
+  const html = fs.readFileSync(arquivo);
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': html.length });
+  res.end(html);
+}
+
+function lerCorpoJson(req) {
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    let tamanho = 0;
+    req.on('data', (parte) => {
+      tamanho += parte.length;
+      if (tamanho > CORPO_MAX_BYTES) {
+        reject(erroHttp(413, 'corpo grande demais'));
+        req.destroy();
+      } else {
+        partes.push(parte);
+      }
+    });
+    req.on('end', () => {
+      const texto = Buffer.concat(partes).toString('utf8').trim();
+      if (!texto) return resolve({});
+      try {
+        const corpo = JSON.parse(texto);
+        if (!corpo || typeof corpo !== 'object' || Array.isArray(corpo)) throw new Error('esperado um objeto');
+        resolve(corpo);
+      } catch (err) {
+        reject(erroHttp(400, `JSON inválido: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const TIPOS_DOWNLOAD = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * servicos:
+ *   consultarPautas(filtros)          -> { total, itens } (sem porPagina: tudo)
+ *   exportarPautas(filtros, formato)  -> caminho de um arquivo temporário (apagado depois do envio)
+ *   listarExecucoes({ limite })       -> [...]
+ *   progresso()                       -> {...}
+ *   execucao(runId)                   -> relatório ou null
+ *   iniciarExecucao(corpo)            -> {...}; erros com err.status (400, 409) viram a resposta
+ *   consultarLeads(filtros)           -> { total, itens }
+ *   lead(numeroProcesso)              -> { ...revisão, notas }
+ *   atualizarLead(numeroProcesso, corpo) -> revisão atualizada (400 se o corpo for inválido)
+ * opts: { token }
+ */
+function criarServidorApi(servicos, { token = '' } = {}) {
+  const rotas = [
+    ['GET', /^\/api\/pautas$/, async ({ url }) => {
+      const filtros = parseFiltros(url.searchParams);
+      const { total, itens } = await servicos.consultarPautas(filtros);
+      return [200, { total, pagina: filtros.pagina, porPagina: filtros.porPagina, paginas: Math.ceil(total / filtros.porPagina), itens }];
+    }],
+    ['GET', /^\/api\/pautas\.(csv|xlsx)$/, async ({ url, res, params: [formato] }) => {
+      const arquivo = await servicos.exportarPautas(parseFiltros(url.searchParams, { paginar: false }), formato);
+      try {
+        await enviarArquivo(res, arquivo, TIPOS_DOWNLOAD[formato]);
+      } finally {
+        fs.rmSync(arquivo, { force: true });
+      }
+      return null;
+    }],
+    ['GET', /^\/api\/execucoes$/, async ({ url }) => {
+      const limite = parseInteiro(url.searchParams.get('limite'), 'limite', 20, { max: 500 });
+      return [200, { execucoes: await servicos.listarExecucoes({ limite }) }];
+    }],
+    ['GET', /^\/api\/execucoes\/atual$/, async () => [200, await servicos.progresso()]],
+    ['GET', /^\/api\/execucoes\/([\w-]+)$/, async ({ params: [runId] }) => {
+      const relatorio = await servicos.execucao(runId);
+      if (!relatorio) throw erroHttp(404, `execução ${runId} não encontrada`);
+      return [200, relatorio];
+    }],
+    ['POST', /^\/api\/execucoes$/, async ({ req }) => [202, await servicos.iniciarExecucao(await lerCorpoJson(req))]],
+    ['GET', /^\/api\/leads$/, async ({ url }) => {
+      const filtros = parseFiltrosLeads(url.searchParams);
+      const { total, itens } = await servicos.consultarLeads(filtros);
+      return [200, { total, pagina: filtros.pagina, porPagina: filtros.porPagina, paginas: Math.ceil(total / filtros.porPagina), itens }];
+    }],
+    ['GET', /^\/api\/leads\/([\d.-]+)$/, async ({ params: [numero] }) => [200, await servicos.lead(numero)]],
+    ['PATCH', /^\/api\/leads\/([\d.-]+)$/, async ({ req, params: [numero] }) => (
+      [200, await servicos.atualizarLead(numero, await lerCorpoJson(req))]
+    )],
+    ['GET', /^\/(?:leads)?$/, async ({ res }) => {
+      enviarPagina(res, PAGINA_LEADS);
+      return null;
+    }, { publica: true }],
+  ];
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const doCaminho = rotas.filter(([, re]) => re.test(url.pathname));
+      const rota = doCaminho.find(([metodo]) => metodo === req.method);
+      if (token && !rota?.[3]?.publica && req.headers.authorization !== `Bearer ${token}`) {
+        throw erroHttp(401, 'token ausente ou inválido');
+      }
+
+      if (!doCaminho.length) throw erroHttp(404, `rota desconhecida: ${url.pathname}`);
+      if (!rota) throw erroHttp(405, `${req.method} não aceito em ${url.pathname}`);
+
+      const params = url.pathname.match(rota[1]).slice(1);
+      const resposta = await rota[2]({ req, res, url, params });
+      if (resposta) enviarJson(res, ...resposta);
+    } catch (err) {
+      const status = err.status || 500;
+      // erro previsto (com status) já vai explicado na resposta
+      if (!err.status) console.error(`❌ API ${req.method} ${req.url}: ${err.stack || err}`);
+      if (res.headersSent) res.destroy();
+      else enviarJson(res, status, { erro: err.message || String(err) });
+    }
+  });
+}
+
+module.exports = {
+  POR_PAGINA_MAX,
+  erroHttp,
+  parseFiltros,
+  parseFiltrosLeads,
+  filtrarLinhas,
+  filtrarLeads,
+  paginar,
+  criarServidorApi,
+};
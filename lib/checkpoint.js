@@ -0,0 +1,279 @@
+/**
+ * Checkpoint local de execução (retomada com --resume)
+ *
+ * Cada execução ganha uma pasta em output/checkpoints/<runId>/ com:
+ *   estado.json      -> geradoEm, unidades (tribunal, município, vara) e datas alvo
+ *   linhas.jsonl     -> linhas extraídas, gravadas assim que cada (unidade, data) termina
+ *   concluidos.jsonl -> pares (unidade, data) já processados
+ *   anterior.jsonl   -> estado anterior (pauta da execução passada) usado para
+ *                       detectar mudanças; gravado no início para a retomada usar o mesmo
+ *
+ * Tudo é append-only: uma queda no meio perde no máximo o par em andamento.
+ * Linhas de um par que não chegou a ser marcado como concluído são
+ * descartadas na leitura (o par é refeito na retomada, e só a leitura nova vale).
+ */
+const fs = require('fs');
+const path = require('path');
+
+// unidade: { tribunal, municipio, vara } (linhas e registros de concluídos têm os mesmos campos)
+function chaveUnidade(u) {
+  return `${u.tribunal || ''}|${u.municipio || ''}|${u.vara}`;
+}
+
+function chavePar(unidade, dataBR) {
+  return `${chaveUnidade(unidade)}|${dataBR}`;
+}
+
+function lerJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const out = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // última linha cortada por uma queda no meio da escrita
+    }
+  }
+  return out;
+}
+
+function appendJsonl(filePath, items) {
+  if (!items.length) return;
+  fs.appendFileSync(filePath, items.map((i) => JSON.stringify(i)).join('\n') + '\n', 'utf8');
+}
+
+// Após uma queda a última linha pode ter ficado sem '\n': fecha a linha para
+// que o próximo append não seja colado nela
+function repararJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return;
+  const conteudo = fs.readFileSync(filePath, 'utf8');
+  if (conteudo && !conteudo.endsWith('\n')) fs.appendFileSync(filePath, '\n', 'utf8');
+}
+
+function gravarEstado(ckpt) {
+  const file = path.join(ckpt.dir, 'estado.json');
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ckpt.estado, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function carregarCheckpoint(dir) {
+  const estadoPath = path.join(dir, 'estado.json');
+  if (!fs.existsSync(estadoPath)) return null;
+
+  const estado = JSON.parse(fs.readFileSync(estadoPath, 'utf8'));
+  repararJsonl(path.join(dir, 'linhas.jsonl'));
+  repararJsonl(path.join(dir, 'concluidos.jsonl'));
+
+  const concluidos = new Map();
+  for (const c of lerJsonl(path.join(dir, 'concluidos.jsonl'))) {
+    concluidos.set(chavePar(c, c.data), c);
+  }
+
+  return { dir, estado, concluidos };
+}
+
+/* =========================
+   API
+========================= */
+
+function iniciarCheckpoint(baseDir, { geradoEm, unidades, datas, ...extras }) {
+  const runId = `${Date.now()}`;
+  const dir = path.join(baseDir, runId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const ckpt = {
+    dir,
+    estado: {
+      runId,
+      geradoEm,
+      iniciadoEm: new Date().toISOString(),
+      unidades,
+      datas,
+      ...extras,
+      finalizadoEm: null,
+    },
+    concluidos: new Map(),
+  };
+
+  gravarEstado(ckpt);
+  return ckpt;
+}
+
+// runIds do mais recente para o mais antigo
+function listarRuns(baseDir) {
+  if (!fs.existsSync(baseDir)) return [];
+  return fs.readdirSync(baseDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort()
+    .reverse();
+}
+
+// Último checkpoint ainda não finalizado (ou null se não houver nada a retomar)
+function retomarCheckpoint(baseDir) {
+  for (const runId of listarRuns(baseDir)) {
+    const ckpt = carregarCheckpoint(path.join(baseDir, runId));
+    if (!ckpt || ckpt.estado.finalizadoEm) continue;
+
+    // checkpoints de antes do suporte a vários tribunais/municípios (só nomes de vara)
+    if (!Array.isArray(ckpt.estado.unidades)) {
+      console.warn(`⚠️ Checkpoint ${runId} em formato antigo, ignorado.`);
+      continue;
+    }
+    return ckpt;
+  }
+  return null;
+}
+
+// Última execução que chegou ao fim (base de comparação quando não há MySQL)
+function ultimoCheckpointFinalizado(baseDir) {
+  for (const runId of listarRuns(baseDir)) {
+    const ckpt = carregarCheckpoint(path.join(baseDir, runId));
+    if (ckpt && ckpt.estado.finalizadoEm && Array.isArray(ckpt.estado.unidades)) return ckpt;
+  }
+  return null;
+}
+
+function parConcluido(ckpt, unidade, dataBR) {
+  return ckpt.concluidos.has(chavePar(unidade, dataBR));
+}
+
+function unidadeConcluida(ckpt, unidade) {
+  return ckpt.estado.datas.every((d) => parConcluido(ckpt, unidade, d));
+}
+
+// status: 'ok' (extraído, mesmo que 0 linhas) | 'pulado' (data não encontrada)
+// extras: campos a mais no registro do par (ex.: { navegacao: 'botoes' })
+function registrarPar(ckpt, unidade, dataBR, linhas, status = 'ok', extras = {}) {
+  appendJsonl(path.join(ckpt.dir, 'linhas.jsonl'), linhas);
+
+  const registro = {
+    tribunal: unidade.tribunal,
+    municipio: unidade.municipio,
+    vara: unidade.vara,
+    data: dataBR,
+    status,
+    linhas: linhas.length,
+    ...extras,
+    em: new Date().toISOString(),
+  };
+  appendJsonl(path.join(ckpt.dir, 'concluidos.jsonl'), [registro]);
+  ckpt.concluidos.set(chavePar(unidade, dataBR), registro);
+}
+
+function lerLinhasCheckpoint(ckpt) {
+  const porPar = new Map();
+  for (const r of lerJsonl(path.join(ckpt.dir, 'linhas.jsonl'))) {
+    const chave = chavePar(r, r.data);
+    if (!ckpt.concluidos.has(chave)) continue;
+    if (!porPar.has(chave)) porPar.set(chave, []);
+    porPar.get(chave).push(r);
+  }
+
+  // par refeito após uma queda aparece mais de uma vez no arquivo. Vale só a
+  // leitura que foi marcada: registrarPar grava as linhas logo antes do registro,
+  // então são as últimas `linhas` do par; processo de leitura anterior que não
+  // voltou na nova não fica
+  const porChave = new Map();
+  for (const [chave, linhas] of porPar) {
+    const lidas = linhas.slice(Math.max(0, linhas.length - ckpt.concluidos.get(chave).linhas));
+    for (const r of lidas) porChave.set(`${chave}|${r.numeroProcesso}`, r);
+  }
+  return [...porChave.values()];
+}
+
+// par lido de fato (status ok) nesta execução; 'pulado' não prova que a audiência sumiu
+function parObservado(ckpt, unidade, dataBR) {
+  return ckpt.concluidos.get(chavePar(unidade, dataBR))?.status === 'ok';
+}
+
+function gravarEstadoAnterior(ckpt, rows) {
+  const file = path.join(ckpt.dir, 'anterior.jsonl');
+  fs.writeFileSync(file, rows.map((r) => JSON.stringify(r) + '\n').join(''), 'utf8');
+}
+
+// null = checkpoint sem estado anterior gravado (execução de antes da detecção de mudanças)
+function lerEstadoAnterior(ckpt) {
+  const file = path.join(ckpt.dir, 'anterior.jsonl');
+  return fs.existsSync(file) ? lerJsonl(file) : null;
+}
+
+function resumoCheckpoint(ckpt) {
+  const total = ckpt.estado.unidades.length * ckpt.estado.datas.length;
+  const pulados = [...ckpt.concluidos.values()].filter((c) => c.status === 'pulado').length;
+  return { total, concluidos: ckpt.concluidos.size, pulados };
+}
+
+// pares em que a data não foi encontrada no calendário da vara
+function paresPulados(ckpt) {
+  return [...ckpt.concluidos.values()].filter((c) => c.status === 'pulado');
+}
+
+function finalizarCheckpoint(ckpt, extras = {}) {
+  Object.assign(ckpt.estado, extras, { finalizadoEm: new Date().toISOString() });
+  gravarEstado(ckpt);
+}
+
+// Só leitura (sem repararJsonl): seguro com a execução ainda gravando no checkpoint
+function lerResumoRun(dir) {
+  const estadoPath = path.join(dir, 'estado.json');
+  if (!fs.existsSync(estadoPath)) return null;
+
+  let estado;
+  try {
+    estado = JSON.parse(fs.readFileSync(estadoPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(estado.unidades)) return null;
+
+  const concluidos = lerJsonl(path.join(dir, 'concluidos.jsonl'));
+  return {
+    runId: estado.runId,
+    geradoEm: estado.geradoEm,
+    iniciadoEm: estado.iniciadoEm,
+    finalizadoEm: estado.finalizadoEm,
+    status: estado.status || null,
+    totalUnidades: estado.unidades.length,
+    totalDatas: estado.datas.length,
+    paresTotal: estado.unidades.length * estado.datas.length,
+    paresConcluidos: new Set(concluidos.map((c) => chavePar(c, c.data))).size,
+    totalLinhas: estado.totalLinhas ?? null,
+    totalDescartadas: estado.totalDescartadas ?? null,
+    mudancas: estado.mudancas || null,
+    relatorioPath: estado.relatorioPath || null,
+  };
+}
+
+function listarResumosRuns(baseDir, { limite = 20 } = {}) {
+  const resumos = [];
+  for (const runId of listarRuns(baseDir)) {
+    if (resumos.length >= limite) break;
+    const resumo = lerResumoRun(path.join(baseDir, runId));
+    if (resumo) resumos.push(resumo);
+  }
+  return resumos;
+}
+
+module.exports = {
+  carregarCheckpoint,
+  iniciarCheckpoint,
+  retomarCheckpoint,
+  ultimoCheckpointFinalizado,
+  chaveUnidade,
+  parConcluido,
+  parObservado,
+  unidadeConcluida,
+  registrarPar,
+  lerLinhasCheckpoint,
+  gravarEstadoAnterior,
+  lerEstadoAnterior,
+  resumoCheckpoint,
+  paresPulados,
+  finalizarCheckpoint,
+  lerResumoRun,
+  listarResumosRuns,
+};
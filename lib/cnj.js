@@ -0,0 +1,139 @@
+/**
+ * Numeração única CNJ (Resolução CNJ 65/2008)
+ *
+ *   NNNNNNN-DD.AAAA.J.TR.OOOO
+ *   sequencial - dígito . ano . segmento . tribunal . origem
+ *
+ * Dígito verificador: módulo 97 (ISO 7064) sobre NNNNNNN AAAA J TR OOOO DD.
+ * Na Justiça do Trabalho J = 5, TR = número do TRT (TRT2 = 02) e OOOO é o
+ * código da vara de origem (na capital de SP, 0001 = 1ª Vara do Trabalho).
+ * Fora das comarcas de VARAS_ORIGEM_NUMERADA a origem não segue o número da
+ * vara (1ª VT de Guarulhos = 0311), e a vara não é conferida.
+ */
+
+const SEGMENTO_JUSTICA_TRABALHO = '5';
+
+// comarcas em que a Nª Vara do Trabalho tem origem 000N, por tribunal
+const VARAS_ORIGEM_NUMERADA = {
+  '02': ['sao paulo'],
+};
+
+const RE_MASCARA = /(\d{7})-?(\d{2})\.?(\d{4})\.?(\d)\.?(\d{2})\.?(\d{4})/;
+
+/* =========================
+   PARSE / NORMALIZAÇÃO
+========================= */
+
+function separarNumeroCnj(raw) {
+  const texto = String(raw ?? '').trim();
+  if (!texto) return null;
+
+  const m = texto.match(RE_MASCARA);
+  if (m) {
+    const [, sequencial, digito, ano, segmento, tribunal, origem] = m;
+    return { sequencial, digito, ano, segmento, tribunal, origem };
+  }
+
+  // só dígitos (ex.: "00012345620255020001"), com ou sem lixo em volta
+  const digitos = texto.replace(/\D/g, '');
+  if (digitos.length !== 20) return null;
+
+  return {
+    sequencial: digitos.slice(0, 7),
+    digito: digitos.slice(7, 9),
+    ano: digitos.slice(9, 13),
+    segmento: digitos.slice(13, 14),
+    tribunal: digitos.slice(14, 16),
+    origem: digitos.slice(16, 20),
+  };
+}
+
+function formatarNumeroCnj(p) {
+  return `${p.sequencial}-${p.digito}.${p.ano}.${p.segmento}.${p.tribunal}.${p.origem}`;
+}
+
+function normalizarNumeroCnj(raw) {
+  const p = separarNumeroCnj(raw);
+  return p ? formatarNumeroCnj(p) : '';
+}
+
+/* =========================
+   DÍGITO VERIFICADOR
+========================= */
+
+function calcularDigitoCnj({ sequencial, ano, segmento, tribunal, origem }) {
+  const base = BigInt(`${sequencial}${ano}${segmento}${tribunal}${origem}00`);
+  const dv = 98n - (base % 97n);
+  return String(dv).padStart(2, '0');
+}
+
+function digitoCnjValido(p) {
+  const n = BigInt(`${p.sequencial}${p.ano}${p.segmento}${p.tribunal}${p.origem}${p.digito}`);
+  return n % 97n === 1n;
+}
+
+/* =========================
+   CRUZAMENTO COM A VARA
+========================= */
+
+// "TRT2 - São Paulo" -> '02' | rótulo sem número de TRT -> null (sem conferência)
+function codigoTribunalCnj(tribunalLabel) {
+  const m = String(tribunalLabel ?? '').match(/\bTRT\s*-?\s*(\d{1,2})\b/i);
+  return m ? m[1].padStart(2, '0') : null;
+}
+
+// ("1ª Vara do Trabalho de São Paulo", '02') -> '0001'
+// vara de comarca fora de VARAS_ORIGEM_NUMERADA ou sem número -> null (sem conferência)
+function origemEsperadaDaVara(varaLabel, tribunal) {
+  const texto = String(varaLabel ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  const m = texto.match(/^(\d{1,4})\s*(?:ª|º|°|a|o)?\s*(?:vara do trabalho|vt)\s+de\s+(.+)$/);
+  if (!m || !tribunal) return null;
+  const comarcas = VARAS_ORIGEM_NUMERADA[String(tribunal).padStart(2, '0')] || [];
+  return comarcas.includes(m[2].trim()) ? m[1].padStart(4, '0') : null;
+}
+
+/**
+ * Confere um número lido da pauta. Retorna as partes do número já
+ * normalizado e um status:
+ *   ok | invalido | digito_invalido | segmento_divergente |
+ *   tribunal_divergente | vara_divergente
+ */
+function verificarNumeroCnj(raw, ctx = {}) {
+  const p = separarNumeroCnj(raw);
+  if (!p) {
+    return { status: 'invalido', numero: String(raw ?? '').trim(), alerta: 'número fora do padrão CNJ' };
+  }
+
+  const numero = formatarNumeroCnj(p);
+  const base = { numero, ...p };
+
+  if (!digitoCnjValido(p)) {
+    return { ...base, status: 'digito_invalido', alerta: `dígito verificador ${p.digito} não confere (esperado ${calcularDigitoCnj(p)})` };
+  }
+
+  if (p.segmento !== SEGMENTO_JUSTICA_TRABALHO) {
+    return { ...base, status: 'segmento_divergente', alerta: `segmento ${p.segmento} não é Justiça do Trabalho` };
+  }
+
+  if (ctx.tribunal && p.tribunal !== String(ctx.tribunal).padStart(2, '0')) {
+    return { ...base, status: 'tribunal_divergente', alerta: `tribunal ${p.tribunal} diferente do esperado ${ctx.tribunal}` };
+  }
+
+  const origem = origemEsperadaDaVara(ctx.vara, ctx.tribunal);
+  if (origem !== null && p.origem !== origem) {
+    return { ...base, status: 'vara_divergente', alerta: `origem ${p.origem} não corresponde à vara "${ctx.vara}"` };
+  }
+
+  return { ...base, status: 'ok', alerta: '' };
+}
+
+module.exports = {
+  separarNumeroCnj,
+  formatarNumeroCnj,
+  normalizarNumeroCnj,
+  calcularDigitoCnj,
+  digitoCnjValido,
+  codigoTribunalCnj,
+  origemEsperadaDaVara,
+  verificarNumeroCnj,
+};
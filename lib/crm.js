@@ -0,0 +1,332 @@
+/**
+ * Envio de leads para o CRM (webhook/REST) com outbox local
+ *
+ * Cada lead novo ou alterado nesta execução (mudanca em config.mudancas, score
+ * >= scoreMinimo) vira um POST JSON no CRM_URL. O corpo sai de config.campos:
+ * { "campo.do.crm": "colunaDoLead" } (ponto = objeto aninhado) + config.fixos.
+ *
+ * Idempotência: chave = numeroProcesso + data da audiência, no header
+ * Idempotency-Key e na coluna virtual "chaveIdempotencia". O CRM pode receber
+ * a mesma chave de novo (retentativa ou status alterado) e deve atualizar.
+ *
+ * Outbox: tudo passa antes pela outbox (tabela crm_outbox no MySQL ou
+ * output/crm_outbox.json sem banco). Erro de rede/5xx/429 tenta de novo com
+ * backoff exponencial e, se não der, fica "pendente" para a próxima execução.
+ * Outro 4xx vira "rejeitado" e só volta se o payload mudar.
+ *
+ * env:
+ *   CRM_URL=https://crm.exemplo.com/api/leads   (vazio = envio desligado)
+ *   CRM_TOKEN=                                   (Authorization: Bearer ...)
+ *   CRM_CONFIG=config/crm.json
+ *   CRM_TENTATIVAS=3         (por execução, para cada item)
+ *   CRM_BACKOFF_MS=2000      (dobra a cada tentativa)
+ *   CRM_TIMEOUT_MS=15000
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ARQUIVO_CRM_PADRAO = path.join(__dirname, '..', 'config', 'crm.json');
+
+const CONFIG_CRM_PADRAO = {
+  scoreMinimo: 0,
+  mudancas: ['nova', 'remarcada', 'status_alterado'],
+  campos: {
+    idExterno: 'chaveIdempotencia',
+    evento: 'mudanca',
+    score: 'score',
+    'processo.numero': 'numeroProcesso',
+    'audiencia.data': 'dataISO',
+    'audiencia.hora': 'hora',
+    'empresa.nome': 'reclamada',
+  },
+  fixos: {},
+};
+
+const STATUS_RETENTAVEIS = new Set([408, 425, 429]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* =========================
+   CONFIGURAÇÃO
+========================= */
+
+function compilarConfigCrm(config = {}) {
+  const c = { ...CONFIG_CRM_PADRAO, ...config };
+
+  if (!Number.isFinite(Number(c.scoreMinimo))) throw new Error('crm: scoreMinimo precisa ser número');
+  if (!Array.isArray(c.mudancas)) throw new Error('crm: mudancas precisa ser uma lista');
+  if (!c.campos || typeof c.campos !== 'object' || !Object.keys(c.campos).length) {
+    throw new Error('crm: campos precisa mapear ao menos um campo');
+  }
+  for (const [destino, origem] of Object.entries(c.campos)) {
+    if (typeof origem !== 'string' || !origem) throw new Error(`crm: campos."${destino}" precisa ser o nome de uma coluna`);
+  }
+
+  return { scoreMinimo: Number(c.scoreMinimo), mudancas: c.mudancas, campos: c.campos, fixos: c.fixos || {} };
+}
+
+function carregarConfigCrm(arquivo = ARQUIVO_CRM_PADRAO) {
+  if (!arquivo) return compilarConfigCrm();
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (err) {
+    throw new Error(`crm: não consegui ler ${arquivo} (${err.message})`);
+  }
+
+  const compilada = compilarConfigCrm(config);
+  compilada.arquivo = arquivo;
+  return compilada;
+}
+
+/* =========================
+   PAYLOAD
+========================= */
+
+// dd/mm/aaaa -> aaaa-mm-dd
+function dataISO(dataBR) {
+  const m = String(dataBR || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : '';
+}
+
+function chaveIdempotencia(lead) {
+  return `${lead.numeroProcesso}:${dataISO(lead.data)}`;
+}
+
+function atribuir(obj, caminho, valor) {
+  const partes = caminho.split('.');
+  let alvo = obj;
+  for (const p of partes.slice(0, -1)) {
+    if (!alvo[p] || typeof alvo[p] !== 'object') alvo[p] = {};
+    alvo = alvo[p];
+  }
+  alvo[partes[partes.length - 1]] = valor;
+}
+
+function montarPayload(lead, config) {
+  const colunas = { ...lead, dataISO: dataISO(lead.data), chaveIdempotencia: chaveIdempotencia(lead) };
+  const payload = {};
+
+  for (const [destino, valor] of Object.entries(config.fixos)) atribuir(payload, destino, valor);
+  for (const [destino, origem] of Object.entries(config.campos)) {
+    const v = colunas[origem];
+    atribuir(payload, destino, v === undefined || v === '' ? null : v);
+  }
+  return payload;
+}
+
+function leadsParaCrm(leads, config) {
+  return leads.filter((l) => config.mudancas.includes(l.mudanca) && Number(l.score) >= config.scoreMinimo);
+}
+
+function hashPayload(payload) {
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+}
+
+/* =========================
+   OUTBOX
+========================= */
+
+// registro: { chave, payload, hash, status, tentativas, ultimoErro, criadoEm, atualizadoEm, enviadoEm }
+function criarOutboxArquivo(arquivo) {
+  const itens = fs.existsSync(arquivo) ? JSON.parse(fs.readFileSync(arquivo, 'utf8')) : {};
+
+  function salvar() {
+    fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+    const tmp = `${arquivo}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(itens, null, 2), 'utf8');
+    fs.renameSync(tmp, arquivo);
+  }
+
+  return {
+    origem: arquivo,
+    async carregar(chaves) {
+      return new Map(chaves.filter((c) => itens[c]).map((c) => [c, itens[c]]));
+    },
+    async pendentes() {
+      return Object.values(itens).filter((r) => r.status === 'pendente');
+    },
+    async gravar(registro) {
+      itens[registro.chave] = registro;
+      salvar();
+    },
+  };
+}
+
+async function ensureCrmSchema(pool) {
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS crm_outbox (
+  chave VARCHAR(96) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,
+  hashPayload CHAR(40) NOT NULL,
+  status VARCHAR(16) NOT NULL,
+  tentativas INT NOT NULL DEFAULT 0,
+  ultimoErro VARCHAR(512) NULL,
+  criadoEm DATETIME(3) NOT NULL,
+  atualizadoEm DATETIME(3) NOT NULL,
+  enviadoEm DATETIME(3) NULL,
+  PRIMARY KEY (chave),
+  KEY ix_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+}
+
+function registroDoBanco(r) {
+  return {
+    chave: r.chave,
+    payload: JSON.parse(r.payload),
+    hash: r.hashPayload,
+    status: r.status,
+    tentativas: r.tentativas,
+    ultimoErro: r.ultimoErro,
+    criadoEm: r.criadoEm ? new Date(r.criadoEm).toISOString() : null,
+    atualizadoEm: r.atualizadoEm ? new Date(r.atualizadoEm).toISOString() : null,
+    enviadoEm: r.enviadoEm ? new Date(r.enviadoEm).toISOString() : null,
+  };
+}
+
+function criarOutboxMySql(pool) {
+  return {
+    origem: 'MySQL (crm_outbox)',
+    async carregar(chaves) {
+      if (!chaves.length) return new Map();
+      const [rows] = await pool.query('SELECT * FROM crm_outbox WHERE chave IN (?)', [chaves]);
+      return new Map(rows.map((r) => [r.chave, registroDoBanco(r)]));
+    },
+    async pendentes() {
+      const [rows] = await pool.query(`SELECT * FROM crm_outbox WHERE status = 'pendente' ORDER BY criadoEm`);
+      return rows.map(registroDoBanco);
+    },
+    async gravar(r) {
+      const data = (iso) => (iso ? new Date(iso) : null);
+      await pool.query(
+        `INSERT INTO crm_outbox (chave, payload, hashPayload, status, tentativas, ultimoErro, criadoEm, atualizadoEm, enviadoEm)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           payload = VALUES(payload), hashPayload = VALUES(hashPayload), status = VALUES(status),
+           tentativas = VALUES(tentativas), ultimoErro = VALUES(ultimoErro),
+           atualizadoEm = VALUES(atualizadoEm), enviadoEm = VALUES(enviadoEm)`,
+        [r.chave, JSON.stringify(r.payload), r.hash, r.status, r.tentativas, r.ultimoErro,
+          data(r.criadoEm), data(r.atualizadoEm), data(r.enviadoEm)],
+      );
+    },
+  };
+}
+
+// payload igual ao último já enviado/rejeitado não entra de novo
+async function enfileirar(outbox, itens) {
+  const existentes = await outbox.carregar(itens.map((i) => i.chave));
+  const agora = new Date().toISOString();
+  let enfileirados = 0;
+
+  for (const { chave, payload } of itens) {
+    const hash = hashPayload(payload);
+    const atual = existentes.get(chave);
+    if (atual && atual.hash === hash) continue;
+
+    await outbox.gravar({
+      chave,
+      payload,
+      hash,
+      status: 'pendente',
+      tentativas: 0,
+      ultimoErro: null,
+      criadoEm: atual ? atual.criadoEm : agora,
+      atualizadoEm: agora,
+      enviadoEm: null,
+    });
+    enfileirados++;
+  }
+  return enfileirados;
+}
+
+/* =========================
+   ENVIO
+========================= */
+
+async function postarComRetry(registro, { url, token, tentativas = 3, backoffMs = 2000, timeoutMs = 15000 }) {
+  let ultimoErro = null;
+
+  for (let t = 1; t <= tentativas; t++) {
+    let esperaMs = backoffMs * 2 ** (t - 1);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': registro.chave,
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify(registro.payload),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await res.arrayBuffer().catch(() => { });
+
+      if (res.ok) return { status: 'enviado', tentativas: t };
+
+      ultimoErro = `HTTP ${res.status}`;
+      if (res.status < 500 && !STATUS_RETENTAVEIS.has(res.status)) {
+        return { status: 'rejeitado', tentativas: t, erro: ultimoErro };
+      }
+      const retryAfter = Number(res.headers.get('retry-after'));
+      if (retryAfter > 0) esperaMs = Math.max(esperaMs, retryAfter * 1000);
+    } catch (err) {
+      ultimoErro = err.message || String(err);
+    }
+
+    if (t < tentativas) await sleep(esperaMs);
+  }
+
+  return { status: 'pendente', tentativas, erro: ultimoErro };
+}
+
+/**
+ * Enfileira os leads desta execução e esvazia a outbox (inclui pendentes de
+ * execuções anteriores).
+ *
+ * opts: { url, token, tentativas, backoffMs, timeoutMs }
+ * retorno: { enfileirados, enviados, rejeitados, pendentes, erros: [{ chave, erro }] }
+ */
+async function enviarParaCrm(leads, config, outbox, opts) {
+  const itens = leadsParaCrm(leads, config).map((l) => ({ chave: chaveIdempotencia(l), payload: montarPayload(l, config) }));
+  const enfileirados = await enfileirar(outbox, itens);
+
+  const resumo = { enfileirados, enviados: 0, rejeitados: 0, pendentes: 0, erros: [] };
+  for (const registro of await outbox.pendentes()) {
+    const r = await postarComRetry(registro, opts);
+    const agora = new Date().toISOString();
+
+    await outbox.gravar({
+      ...registro,
+      status: r.status,
+      tentativas: registro.tentativas + r.tentativas,
+      ultimoErro: r.erro || null,
+      atualizadoEm: agora,
+      enviadoEm: r.status === 'enviado' ? agora : null,
+    });
+
+    if (r.status === 'enviado') resumo.enviados++;
+    else {
+      resumo[r.status === 'rejeitado' ? 'rejeitados' : 'pendentes']++;
+      resumo.erros.push({ chave: registro.chave, erro: r.erro });
+    }
+  }
+  return resumo;
+}
+
+module.exports = {
+  ARQUIVO_CRM_PADRAO,
+  compilarConfigCrm,
+  carregarConfigCrm,
+  chaveIdempotencia,
+  montarPayload,
+  leadsParaCrm,
+  criarOutboxArquivo,
+  criarOutboxMySql,
+  ensureCrmSchema,
+  enviarParaCrm,
+};
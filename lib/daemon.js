@@ -0,0 +1,194 @@
+/**
+ * Daemon: roda os agendamentos da agenda (lib/agenda.js) até receber o signal
+ *
+ * Uma execução por vez: o que vencer enquanto outra roda entra na fila e sai
+ * logo depois (uma vez só, por mais disparos que tenha perdido). Disparo sob
+ * demanda: um arquivo em <dir>/gatilhos/ (dispararAgendamento, usado pelo
+ * `node cli.js trigger`), lido a cada intervaloMs.
+ *
+ * <dir>/estado.json mostra o que está rodando, os próximos disparos e o
+ * resultado do último de cada agendamento. Execução interrompida (SIGTERM)
+ * fica marcada ali e é retomada (--resume) quando o daemon volta.
+ */
+const fs = require('fs');
+const path = require('path');
+const { proximaExecucao } = require('./agenda');
+
+const INTERVALO_PADRAO_MS = 15000;
+
+function esperar(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(fim, Math.max(0, ms));
+    function fim() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', fim);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', fim, { once: true });
+  });
+}
+
+/* =========================
+   ESTADO E GATILHOS
+========================= */
+
+function lerEstadoDaemon(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'estado.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function gravarEstadoDaemon(dir, estado) {
+  const arquivo = path.join(dir, 'estado.json');
+  // grava inteiro e renomeia: quem lê nunca pega o arquivo pela metade
+  fs.writeFileSync(`${arquivo}.tmp`, JSON.stringify(estado, null, 2), 'utf8');
+  fs.renameSync(`${arquivo}.tmp`, arquivo);
+}
+
+let sequenciaGatilhos = 0;
+
+function dispararAgendamento(dir, nome) {
+  const pasta = path.join(dir, 'gatilhos');
+  fs.mkdirSync(pasta, { recursive: true });
+  // sequência: dois disparos no mesmo milissegundo não podem cair no mesmo arquivo
+  const sequencia = String(++sequenciaGatilhos).padStart(6, '0');
+  const arquivo = path.join(pasta, `${Date.now()}_${process.pid}_${sequencia}.json`);
+  // como gravarEstadoDaemon: o daemon nunca lê o gatilho vazio ou pela metade
+  fs.writeFileSync(`${arquivo}.tmp`, JSON.stringify({ agendamento: nome, pedidoEm: new Date().toISOString() }), 'utf8');
+  fs.renameSync(`${arquivo}.tmp`, arquivo);
+  return arquivo;
+}
+
+// lê e apaga os gatilhos pendentes, do mais antigo para o mais novo
+function consumirGatilhos(dir) {
+  const pasta = path.join(dir, 'gatilhos');
+  if (!fs.existsSync(pasta)) return [];
+
+  const gatilhos = [];
+  // .json.tmp ainda está sendo gravado por dispararAgendamento: fica para a próxima volta
+  const prontos = fs.readdirSync(pasta).filter((f) => f.endsWith('.json') && !f.endsWith('.tmp'));
+  for (const nome of prontos.sort()) {
+    const arquivo = path.join(pasta, nome);
+    try {
+      gatilhos.push(JSON.parse(fs.readFileSync(arquivo, 'utf8')));
+    } catch (err) {
+      console.warn(`⚠️ Gatilho ilegível ignorado (${nome}): ${err.message}`);
+    }
+    fs.rmSync(arquivo, { force: true });
+  }
+  return gatilhos;
+}
+
+/* =========================
+   LAÇO
+========================= */
+
+/**
+ * opts:
+ *   agenda                 -> carregarAgenda()
+ *   executar(agendamento, { retomar, signal }) -> resultado do executarScrape ({ status, relatorioPath })
+ *   dir                    -> pasta do estado e dos gatilhos (ex.: output/daemon)
+ *   signal                 -> AbortSignal: abortado, termina a execução atual e sai
+ *   intervaloMs            -> de quanto em quanto tempo olha os gatilhos
+ */
+async function executarDaemon({ agenda, executar, dir, signal, intervaloMs = INTERVALO_PADRAO_MS }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const porNome = new Map(agenda.agendamentos.map((a) => [a.nome, a]));
+  const anterior = lerEstadoDaemon(dir);
+
+  const proximas = new Map(agenda.agendamentos.map((a) => [a.nome, proximaExecucao(a.cron)]));
+  const estado = {
+    pid: process.pid,
+    iniciadoEm: new Date().toISOString(),
+    encerradoEm: null,
+    agenda: agenda.arquivo,
+    emExecucao: null,
+    proximas: {},
+    ultimas: anterior?.ultimas || {},
+    interrompida: anterior?.interrompida || null,
+  };
+  const salvar = () => {
+    estado.proximas = Object.fromEntries([...proximas].map(([nome, d]) => [nome, d && d.toISOString()]));
+    gravarEstadoDaemon(dir, estado);
+  };
+
+  const fila = [];
+  const enfileirar = (nome, origem, extra = {}) => {
+    if (!porNome.has(nome)) {
+      console.warn(`⚠️ Agendamento desconhecido: "${nome}" (agenda: ${[...porNome.keys()].join(', ')})`);
+      return;
+    }
+    if (fila.some((f) => f.nome === nome)) return;
+    fila.push({ nome, origem, ...extra });
+  };
+
+  if (anterior?.interrompida && porNome.has(anterior.interrompida.agendamento)) {
+    console.log(`♻️ Execução de "${anterior.interrompida.agendamento}" foi interrompida: retomando primeiro.`);
+    enfileirar(anterior.interrompida.agendamento, 'retomada', { retomar: true });
+  }
+
+  console.log(`🕒 Daemon iniciado (pid ${process.pid}) com ${porNome.size} agendamentos:`);
+  for (const a of agenda.agendamentos) {
+    console.log(`   ${a.nome.padEnd(12)} ${a.cron.expr.padEnd(16)} próximo: ${proximas.get(a.nome)?.toLocaleString('pt-BR') ?? '-'}`);
+  }
+
+  while (!signal?.aborted) {
+    for (const g of consumirGatilhos(dir)) enfileirar(g.agendamento, 'gatilho');
+
+    const agora = new Date();
+    for (const [nome, quando] of proximas) {
+      if (quando && quando <= agora) {
+        enfileirar(nome, 'agenda');
+        proximas.set(nome, proximaExecucao(porNome.get(nome).cron, agora));
+      }
+    }
+
+    if (!fila.length) {
+      salvar();
+      const proxima = Math.min(...[...proximas.values()].filter(Boolean).map((d) => d.getTime()));
+      await esperar(Math.min(intervaloMs, proxima - Date.now()), signal);
+      continue;
+    }
+
+    const item = fila.shift();
+    const inicio = new Date().toISOString();
+    estado.emExecucao = { agendamento: item.nome, origem: item.origem, desde: inicio };
+    salvar();
+    console.log(`⏰ Disparando "${item.nome}" (${item.origem})`);
+
+    const ultima = { origem: item.origem, inicio, fim: null, status: null, erro: null, relatorioPath: null };
+    try {
+      const r = await executar(porNome.get(item.nome), { retomar: !!item.retomar, signal });
+      Object.assign(ultima, { status: r?.status || 'concluida', relatorioPath: r?.relatorioPath || null });
+      if (item.retomar) estado.interrompida = null;
+    } catch (err) {
+      // nada derruba o daemon: o relatório/alerta da execução já foi feito pelo executarScrape
+      ultima.erro = err.message || String(err);
+      if (err.code === 'JTE_INTERROMPIDA') {
+        ultima.status = 'interrompida';
+        estado.interrompida = { agendamento: item.nome, em: new Date().toISOString() };
+      } else {
+        ultima.status = err.code === 'JTE_TRAVADA' ? 'travada' : 'falhou';
+        console.error(`❌ "${item.nome}" ${ultima.status}: ${ultima.erro}`);
+      }
+    }
+    ultima.fim = new Date().toISOString();
+    estado.ultimas[item.nome] = ultima;
+    estado.emExecucao = null;
+    console.log(`🕒 "${item.nome}" terminou: ${ultima.status}`);
+  }
+
+  estado.encerradoEm = new Date().toISOString();
+  salvar();
+  console.log('🛑 Daemon encerrado.');
+  return estado;
+}
+
+module.exports = {
+  INTERVALO_PADRAO_MS,
+  lerEstadoDaemon,
+  dispararAgendamento,
+  executarDaemon,
+};
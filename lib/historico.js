@@ -0,0 +1,270 @@
+/**
+ * Histórico no MySQL: execuções e observações de cada audiência
+ *
+ * pauta_processos guarda só o último estado (ON DUPLICATE KEY UPDATE). Aqui
+ * ficam, sem nunca atualizar uma observação:
+ *
+ *   execucoes          -> uma linha por execução (runId do checkpoint), status, totais e
+ *                         o relatório da execução (lib/relatorioExecucao.js) em JSON
+ *   pauta_observacoes  -> append-only: cada audiência vista em cada execução, com
+ *                         sessão/status daquele momento e a mudança em relação à anterior
+ *
+ * Com isso dá para responder quando a audiência apareceu, quando mudou de
+ * data/sessão/status e quando sumiu (linhaDoTempo / node cli.js history).
+ */
+
+const OBSERVACAO_CAMPOS = [
+  'tribunal', 'municipio', 'vara', 'dataBR', 'dataISO', 'numeroProcesso', 'mudanca', 'detalheMudanca',
+  'sessao', 'hora', 'tipoAudiencia', 'modalidade', 'status', 'juiz', 'reclamante', 'reclamada', 'chavesEmpresa',
+];
+
+async function ensureHistoricoSchema(pool) {
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS execucoes (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  runId VARCHAR(32) NOT NULL,
+  geradoEm DATETIME(3) NOT NULL,
+  iniciadoEm DATETIME(3) NOT NULL,
+  finalizadoEm DATETIME(3) NULL,
+  status VARCHAR(16) NOT NULL,
+  origemAnterior VARCHAR(64) NULL,
+  totalUnidades INT NULL,
+  totalDatas INT NULL,
+  totalLinhas INT NULL,
+  totalDescartadas INT NULL,
+  totalNovidades INT NULL,
+  mudancas VARCHAR(255) NULL,
+  erro TEXT NULL,
+  relatorio MEDIUMTEXT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_run (runId),
+  KEY ix_gerado (geradoEm)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS pauta_observacoes (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  execucaoId BIGINT UNSIGNED NOT NULL,
+  observadoEm DATETIME(3) NOT NULL,
+  tribunal VARCHAR(64) NOT NULL DEFAULT '',
+  municipio VARCHAR(255) NOT NULL DEFAULT '',
+  vara VARCHAR(255) NOT NULL,
+  dataBR VARCHAR(10) NOT NULL,
+  dataISO DATE NOT NULL,
+  numeroProcesso VARCHAR(64) NOT NULL,
+  mudanca VARCHAR(16) NULL,
+  detalheMudanca VARCHAR(512) NULL,
+  sessao VARCHAR(255) NULL,
+  hora VARCHAR(5) NULL,
+  tipoAudiencia VARCHAR(32) NULL,
+  modalidade VARCHAR(16) NULL,
+  status VARCHAR(16) NULL,
+  juiz VARCHAR(255) NULL,
+  reclamante VARCHAR(255) NULL,
+  reclamada VARCHAR(255) NULL,
+  chavesEmpresa VARCHAR(512) NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_observacao (execucaoId, tribunal, municipio, vara, dataISO, numeroProcesso),
+  KEY ix_processo (numeroProcesso, observadoEm),
+  KEY ix_mudanca (mudanca, observadoEm),
+  CONSTRAINT fk_observacao_execucao FOREIGN KEY (execucaoId) REFERENCES execucoes (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+}
+
+/* =========================
+   EXECUÇÕES
+========================= */
+
+// estado: estado.json do checkpoint. Retomada reaproveita a mesma linha (runId) -> id
+async function registrarExecucaoMySql(pool, estado) {
+  if (!pool) return null;
+
+  await pool.query(`
+INSERT INTO execucoes (runId, geradoEm, iniciadoEm, status, origemAnterior, totalUnidades, totalDatas)
+VALUES (?,?,?,?,?,?,?)
+ON DUPLICATE KEY UPDATE status = VALUES(status), finalizadoEm = NULL, erro = NULL
+`, [
+    estado.runId,
+    new Date(estado.geradoEm),
+    new Date(estado.iniciadoEm),
+    'em_andamento',
+    estado.origemAnterior || null,
+    estado.unidades.length,
+    estado.datas.length,
+  ]);
+
+  const [rows] = await pool.query('SELECT id FROM execucoes WHERE runId = ?', [estado.runId]);
+  return rows[0].id;
+}
+
+// status: 'concluida' | 'degradada' | 'interrompida' | 'falhou'; relatorio: lib/relatorioExecucao.js
+async function finalizarExecucaoMySql(pool, runId, {
+  status, totalLinhas, totalDescartadas, totalNovidades, mudancas, erro, relatorio,
+} = {}) {
+  if (!pool) return;
+
+  await pool.query(`
+UPDATE execucoes
+SET finalizadoEm = ?, status = ?, totalLinhas = ?, totalDescartadas = ?, totalNovidades = ?, mudancas = ?, erro = ?,
+    relatorio = ?
+WHERE runId = ?
+`, [
+    new Date(),
+    status,
+    totalLinhas ?? null,
+    totalDescartadas ?? null,
+    totalNovidades ?? null,
+    mudancas ? JSON.stringify(mudancas) : null,
+    erro || null,
+    relatorio ? JSON.stringify(relatorio) : null,
+    runId,
+  ]);
+}
+
+function execucaoDoBanco(r) {
+  return {
+    runId: r.runId,
+    geradoEm: new Date(r.geradoEm).toISOString(),
+    iniciadoEm: new Date(r.iniciadoEm).toISOString(),
+    finalizadoEm: r.finalizadoEm ? new Date(r.finalizadoEm).toISOString() : null,
+    status: r.status,
+    totalUnidades: r.totalUnidades,
+    totalDatas: r.totalDatas,
+    totalLinhas: r.totalLinhas,
+    totalDescartadas: r.totalDescartadas,
+    totalNovidades: r.totalNovidades,
+    mudancas: r.mudancas ? JSON.parse(r.mudancas) : null,
+    erro: r.erro,
+  };
+}
+
+// da mais nova para a mais antiga, sem o relatório (pesado)
+async function listarExecucoesMySql(pool, { limite = 20 } = {}) {
+  const [rows] = await pool.query(`
+SELECT runId, geradoEm, iniciadoEm, finalizadoEm, status, totalUnidades, totalDatas,
+       totalLinhas, totalDescartadas, totalNovidades, mudancas, erro
+FROM execucoes
+ORDER BY iniciadoEm DESC
+LIMIT ?
+`, [limite]);
+  return rows.map(execucaoDoBanco);
+}
+
+// relatório gravado por finalizarExecucaoMySql (null se a execução não existe ou ainda não terminou)
+async function carregarRelatorioMySql(pool, runId) {
+  const [rows] = await pool.query('SELECT relatorio FROM execucoes WHERE runId = ?', [runId]);
+  return rows[0]?.relatorio ? JSON.parse(rows[0].relatorio) : null;
+}
+
+/* =========================
+   OBSERVAÇÕES
+========================= */
+
+// rows: linhas da execução (com mudanca) + desaparecidas. INSERT IGNORE: retomada não duplica
+async function inserirObservacoesMySql(pool, execucaoId, rows, { observadoEm, chunkSize = 800 } = {}) {
+  if (!pool || !execucaoId || !rows.length) return 0;
+
+  let total = 0;
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    const values = [];
+    const placeholders = rows.slice(i, i + chunkSize).map((r) => {
+      const linha = [
+        execucaoId,
+        new Date(observadoEm),
+        r.tribunal || '',
+        r.municipio || '',
+        r.vara,
+        r.data,
+        r.data.split('/').reverse().join('-'),
+        r.numeroProcesso,
+        r.mudanca || null,
+        r.detalheMudanca || null,
+        r.sessao ?? null,
+        r.hora || null,
+        r.tipoAudiencia || null,
+        r.modalidade || null,
+        r.status || null,
+        r.juiz ?? null,
+        r.reclamante ?? null,
+        r.reclamada ?? null,
+        r.chavesEmpresa || null,
+      ];
+      values.push(...linha);
+      return `(${linha.map(() => '?').join(',')})`;
+    });
+
+    const [res] = await pool.query(
+      `INSERT IGNORE INTO pauta_observacoes (execucaoId, observadoEm, ${OBSERVACAO_CAMPOS.join(', ')})
+       VALUES ${placeholders.join(',')}`,
+      values
+    );
+    total += Number(res.affectedRows || 0);
+  }
+  return total;
+}
+
+async function carregarObservacoesMySql(pool, numeroProcesso) {
+  const [rows] = await pool.query(
+    `SELECT o.*, e.runId
+     FROM pauta_observacoes o
+     JOIN execucoes e ON e.id = o.execucaoId
+     WHERE o.numeroProcesso = ?
+     ORDER BY o.observadoEm, o.dataISO`,
+    [numeroProcesso]
+  );
+  return rows;
+}
+
+/* =========================
+   LINHA DO TEMPO
+========================= */
+
+function ondeQuando(o) {
+  return [o.dataBR, o.hora, o.vara, o.status].filter(Boolean).join(' | ');
+}
+
+// observações de um processo (qualquer ordem) -> { primeiraObservacao, ultimaObservacao, desaparecidaEm, eventos }
+function linhaDoTempo(observacoes) {
+  // na mesma execução a desaparecida vem antes: outra audiência ativa do processo "desfaz" o sumiço
+  const obs = [...observacoes].sort((a, b) => new Date(a.observadoEm) - new Date(b.observadoEm)
+    || (b.mudanca === 'desaparecida') - (a.mudanca === 'desaparecida'));
+  const eventos = [];
+  let desaparecidaEm = null;
+
+  obs.forEach((o, i) => {
+    let evento = null;
+    if (i === 0) evento = 'apareceu';
+    else if (o.mudanca === 'nova') evento = desaparecidaEm ? 'reapareceu' : 'apareceu';
+    else if (['remarcada', 'status_alterado', 'desaparecida'].includes(o.mudanca)) evento = o.mudanca;
+
+    desaparecidaEm = o.mudanca === 'desaparecida' ? (desaparecidaEm || o.observadoEm) : null;
+    if (!evento) return;
+
+    eventos.push({
+      em: o.observadoEm,
+      evento,
+      audiencia: ondeQuando(o),
+      detalhe: evento === 'apareceu' || evento === 'reapareceu' ? '' : o.detalheMudanca || '',
+    });
+  });
+
+  return {
+    primeiraObservacao: obs[0]?.observadoEm ?? null,
+    ultimaObservacao: obs[obs.length - 1]?.observadoEm ?? null,
+    desaparecidaEm,
+    eventos,
+  };
+}
+
+module.exports = {
+  ensureHistoricoSchema,
+  registrarExecucaoMySql,
+  finalizarExecucaoMySql,
+  listarExecucoesMySql,
+  carregarRelatorioMySql,
+  inserirObservacoesMySql,
+  carregarObservacoesMySql,
+  linhaDoTempo,
+};
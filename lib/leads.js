@@ -0,0 +1,318 @@
+/**
+ * Pontuação de leads (config/leads.json)
+ *
+ * Cada processo vira um lead com nota 0-100, soma ponderada de critérios:
+ *
+ *   proximidade    dias até a audiência (menos de diasMinimo = tarde demais; some até diasMaximo)
+ *   tipoAudiencia  fator por tipo (Inicial vale mais que Julgamento)
+ *   porte          sinais no nome da reclamada (ME/EPP = pequena; S.A./GRUPO/HOLDING = grande),
+ *                  o primeiro da lista que aparecer no nome decide
+ *   recorrencia    quantos processos a mesma empresa tem na pauta, em todas as varas
+ *   valorCausa     valor da causa do PJe, entre minimo e maximo
+ *   advogado       reclamada ainda sem advogado no PJe
+ *
+ * Critério sem dado (PJe desligado, valor não informado) sai da conta: a nota
+ * é proporcional só aos pesos que puderam ser avaliados. Os pontos de cada
+ * critério e o resumo em "fatores" vão junto para a aba "Leads priorizados",
+ * com o status de revisão e o responsável de cada processo (lib/revisao.js).
+ *
+ * env:
+ *   JTE_LEADS=config/leads.json   (ausente/parcial = valores padrão abaixo)
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizarNome, separarReclamadas } = require('./reclamadas');
+
+const ARQUIVO_LEADS_PADRAO = path.join(__dirname, '..', 'config', 'leads.json');
+
+const CRITERIOS = ['proximidade', 'tipoAudiencia', 'porte', 'recorrencia', 'valorCausa', 'advogado'];
+
+const PONTUACAO_PADRAO = {
+  pesos: { proximidade: 30, tipoAudiencia: 20, porte: 20, recorrencia: 15, valorCausa: 10, advogado: 5 },
+  proximidade: { diasMinimo: 3, diasMaximo: 60 },
+  tipoAudiencia: {
+    Inicial: 1, Una: 0.9, Conciliação: 0.8, Instrução: 0.4, Prosseguimento: 0.3, Julgamento: 0.1, Encerramento: 0, padrao: 0.5,
+  },
+  porte: {
+    // ordem = prioridade: vale o primeiro sinal que aparece no nome
+    // (sinal de grande antes de ME/EIRELI; LTDA, que todo mundo tem, por último)
+    sinais: [
+      { termo: 'HOLDING', fator: 0.1 },
+      { termo: 'PARTICIPACOES', fator: 0.1 },
+      { termo: 'GRUPO', fator: 0.2 },
+      { termo: 'S.A.', fator: 0.2 },
+      { termo: 'ME', fator: 1 },
+      { termo: 'MEI', fator: 1 },
+      { termo: 'EPP', fator: 1 },
+      { termo: 'EIRELI', fator: 0.8 },
+      { termo: 'LTDA', fator: 0.7 },
+    ],
+    padrao: 0.5,
+  },
+  recorrencia: { saturacao: 5 },
+  valorCausa: { minimo: 10000, maximo: 200000 },
+  advogado: { semAdvogado: 1, comAdvogado: 0 },
+};
+
+const COLUNA_PONTOS = {
+  proximidade: 'pontosProximidade',
+  tipoAudiencia: 'pontosTipoAudiencia',
+  porte: 'pontosPorte',
+  recorrencia: 'pontosRecorrencia',
+  valorCausa: 'pontosValorCausa',
+  advogado: 'pontosAdvogado',
+};
+
+const LEADS_HEADERS = [
+  'posicao', 'score', 'statusRevisao', 'responsavel', 'fatores', ...Object.values(COLUNA_PONTOS), 'diasAteAudiencia',
+  'data', 'hora', 'tipoAudiencia', 'modalidade', 'tribunal', 'municipio', 'vara', 'numeroProcesso',
+  'reclamada', 'reclamadasNormalizadas', 'totalProcessosEmpresa', 'reclamante', 'valor_causa', 'tem_advogado_reclamada', 'cnpj',
+  'cnpjReceita', 'porteReceita', 'telefoneReceita', 'emailReceita',
+];
+
+/* =========================
+   CONFIGURAÇÃO
+========================= */
+
+function numeroEm(valor, campo, { min = -Infinity, max = Infinity } = {}) {
+  if (typeof valor !== 'number' || Number.isNaN(valor) || valor < min || valor > max) {
+    throw new Error(`leads: "${campo}" precisa ser um número${min > -Infinity ? ` >= ${min}` : ''}${max < Infinity ? ` e <= ${max}` : ''}`);
+  }
+  return valor;
+}
+
+function chaveTipo(tipo) {
+  return normalizarNome(tipo);
+}
+
+// config parcial é completada com PONTUACAO_PADRAO (porte.sinais, se vier, substitui a lista inteira)
+function compilarPontuacao(config = {}) {
+  const c = (campo) => ({ ...PONTUACAO_PADRAO[campo], ...(config[campo] || {}) });
+
+  const pesos = c('pesos');
+  for (const [nome, peso] of Object.entries(pesos)) {
+    if (!CRITERIOS.includes(nome)) throw new Error(`leads: critério desconhecido em pesos: "${nome}"`);
+    numeroEm(peso, `pesos.${nome}`, { min: 0 });
+  }
+
+  const proximidade = c('proximidade');
+  numeroEm(proximidade.diasMinimo, 'proximidade.diasMinimo', { min: 0 });
+  numeroEm(proximidade.diasMaximo, 'proximidade.diasMaximo', { min: proximidade.diasMinimo + 1 });
+
+  const tipos = new Map();
+  const { padrao: padraoTipo, ...porTipo } = c('tipoAudiencia');
+  for (const [tipo, fator] of Object.entries(porTipo)) tipos.set(chaveTipo(tipo), numeroEm(fator, `tipoAudiencia.${tipo}`, { min: 0, max: 1 }));
+
+  const porte = c('porte');
+  if (!Array.isArray(porte.sinais)) throw new Error('leads: "porte.sinais" precisa ser uma lista de { termo, fator }');
+  const sinais = porte.sinais.map((s, i) => ({
+    original: String(s.termo ?? ''),
+    termo: normalizarNome(s.termo),
+    fator: numeroEm(s.fator, `porte.sinais[${i}].fator`, { min: 0, max: 1 }),
+  })).filter((s) => s.termo);
+
+  const valorCausa = c('valorCausa');
+  numeroEm(valorCausa.minimo, 'valorCausa.minimo', { min: 0 });
+  numeroEm(valorCausa.maximo, 'valorCausa.maximo', { min: valorCausa.minimo + 1 });
+
+  const advogado = c('advogado');
+
+  return {
+    pesos,
+    proximidade,
+    tipos,
+    padraoTipo: numeroEm(padraoTipo, 'tipoAudiencia.padrao', { min: 0, max: 1 }),
+    sinais,
+    padraoPorte: numeroEm(porte.padrao, 'porte.padrao', { min: 0, max: 1 }),
+    saturacao: numeroEm(c('recorrencia').saturacao, 'recorrencia.saturacao', { min: 1 }),
+    valorCausa,
+    advogado: {
+      semAdvogado: numeroEm(advogado.semAdvogado, 'advogado.semAdvogado', { min: 0, max: 1 }),
+      comAdvogado: numeroEm(advogado.comAdvogado, 'advogado.comAdvogado', { min: 0, max: 1 }),
+    },
+  };
+}
+
+function carregarPontuacao(arquivo = ARQUIVO_LEADS_PADRAO) {
+  if (!arquivo) return compilarPontuacao();
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (err) {
+    throw new Error(`leads: não consegui ler ${arquivo} (${err.message})`);
+  }
+
+  const pontuacao = compilarPontuacao(config);
+  pontuacao.arquivo = arquivo;
+  return pontuacao;
+}
+
+/* =========================
+   CRITÉRIOS
+========================= */
+
+const limitar = (x) => Math.min(1, Math.max(0, x));
+
+function dataDeBR(dataBR) {
+  const [d, m, a] = String(dataBR).split('/').map(Number);
+  return new Date(a, m - 1, d);
+}
+
+function diasAte(dataBR, hoje) {
+  const inicioDoDia = new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate());
+  return Math.round((dataDeBR(dataBR) - inicioDoDia) / 86400000);
+}
+
+function contemTermo(nome, termo) {
+  return ` ${nome} `.includes(` ${termo} `);
+}
+
+// cada função: -> { fator 0..1, rotulo } | null (sem dado: critério fica fora da nota)
+const AVALIAR = {
+  proximidade(row, p, { hoje }) {
+    const dias = diasAte(row.data, hoje);
+    const { diasMinimo, diasMaximo } = p.proximidade;
+    const fator = dias < diasMinimo ? 0 : limitar(1 - (dias - diasMinimo) / (diasMaximo - diasMinimo));
+    return { fator, rotulo: `${dias} dias` };
+  },
+
+  tipoAudiencia(row, p) {
+    const fator = p.tipos.get(chaveTipo(row.tipoAudiencia)) ?? p.padraoTipo;
+    return { fator, rotulo: row.tipoAudiencia || 'sem tipo' };
+  },
+
+  porte(row, p) {
+    const { reclamadas } = separarReclamadas(row.reclamada);
+    if (!reclamadas.length) return null;
+
+    // várias rés: vale a que for melhor alvo
+    let melhor = null;
+    for (const r of reclamadas) {
+      const nome = normalizarNome(r.nome);
+      // primeiro da lista, não o maior fator: "GRUPO ALFA EIRELI" é grupo
+      const sinal = p.sinais.find((s) => contemTermo(nome, s.termo));
+      const atual = { fator: sinal ? sinal.fator : p.padraoPorte, rotulo: sinal ? sinal.original : 'sem sinal' };
+      if (!melhor || atual.fator > melhor.fator) melhor = atual;
+    }
+    return melhor;
+  },
+
+  recorrencia(row, p, { empresas }) {
+    let melhor = null;
+    for (const { chave } of separarReclamadas(row.reclamada).reclamadas) {
+      const e = empresas.get(chave);
+      if (e && (!melhor || e.processos.size > melhor.processos.size)) melhor = e;
+    }
+    if (!melhor) return null;
+
+    const n = melhor.processos.size;
+    const fator = p.saturacao <= 1 ? 1 : limitar((n - 1) / (p.saturacao - 1));
+    return { fator, rotulo: `${n} processos em ${melhor.varas.size} varas`, totalProcessos: n };
+  },
+
+  valorCausa(row, p) {
+    if (row.valor_causa === '' || row.valor_causa == null) return null;
+    const valor = Number(row.valor_causa);
+    if (Number.isNaN(valor)) return null;
+
+    const { minimo, maximo } = p.valorCausa;
+    return { fator: limitar((valor - minimo) / (maximo - minimo)), rotulo: `R$ ${valor.toLocaleString('pt-BR')}` };
+  },
+
+  advogado(row, p) {
+    if (row.tem_advogado_reclamada === 'SIM') return { fator: p.advogado.comAdvogado, rotulo: 'com advogado' };
+    if (row.tem_advogado_reclamada === 'NÃO') return { fator: p.advogado.semAdvogado, rotulo: 'sem advogado' };
+    return null;
+  },
+};
+
+/* =========================
+   RANKING
+========================= */
+
+function empresasDaPauta(rows) {
+  const empresas = new Map();
+  for (const row of rows) {
+    for (const { chave } of separarReclamadas(row.reclamada).reclamadas) {
+      if (!empresas.has(chave)) empresas.set(chave, { processos: new Set(), varas: new Set() });
+      const e = empresas.get(chave);
+      if (row.numeroProcesso) e.processos.add(row.numeroProcesso);
+      if (row.vara) e.varas.add(`${row.tribunal}|${row.vara}`);
+    }
+  }
+  return empresas;
+}
+
+// processo com mais de uma audiência na janela: fica a próxima (ou a mais recente, se todas passaram)
+function umaLinhaPorProcesso(rows, hoje) {
+  const porProcesso = new Map();
+  for (const row of rows) {
+    const atual = porProcesso.get(row.numeroProcesso);
+    if (!atual) {
+      porProcesso.set(row.numeroProcesso, row);
+      continue;
+    }
+    const [antes, agora] = [diasAte(atual.data, hoje), diasAte(row.data, hoje)];
+    const futura = agora >= 0;
+    const melhor = futura !== (antes >= 0) ? futura : (futura ? agora < antes : agora > antes);
+    if (melhor) porProcesso.set(row.numeroProcesso, row);
+  }
+  return [...porProcesso.values()];
+}
+
+const arredondar = (x) => Math.round(x * 10) / 10;
+
+function pontuarLinha(row, pontuacao, contexto) {
+  const lead = { ...row, diasAteAudiencia: diasAte(row.data, contexto.hoje) };
+  const fatores = [];
+  let pontos = 0;
+  let pesoAvaliado = 0;
+
+  for (const criterio of CRITERIOS) {
+    const peso = pontuacao.pesos[criterio];
+    if (!peso) {
+      lead[COLUNA_PONTOS[criterio]] = '';
+      continue;
+    }
+
+    const r = AVALIAR[criterio](row, pontuacao, contexto);
+    if (criterio === 'recorrencia') lead.totalProcessosEmpresa = r ? r.totalProcessos : '';
+
+    if (!r) {
+      lead[COLUNA_PONTOS[criterio]] = '';
+      fatores.push(`${criterio}: sem dado`);
+      continue;
+    }
+
+    const p = arredondar(peso * r.fator);
+    lead[COLUNA_PONTOS[criterio]] = p;
+    fatores.push(`${criterio} (${r.rotulo}): ${p}/${peso}`);
+    pontos += peso * r.fator;
+    pesoAvaliado += peso;
+  }
+
+  lead.score = pesoAvaliado ? Math.round((100 * pontos) / pesoAvaliado) : 0;
+  lead.fatores = fatores.join('; ');
+  return lead;
+}
+
+// rows da pauta -> leads (um por processo) do maior score para o menor
+function pontuarLeads(rows, pontuacao, { hoje = new Date() } = {}) {
+  const contexto = { hoje, empresas: empresasDaPauta(rows) };
+
+  return umaLinhaPorProcesso(rows, hoje)
+    .map((row) => pontuarLinha(row, pontuacao, contexto))
+    .sort((a, b) => b.score - a.score
+      || a.diasAteAudiencia - b.diasAteAudiencia
+      || String(a.numeroProcesso).localeCompare(String(b.numeroProcesso)))
+    .map((lead, i) => ({ posicao: i + 1, ...lead }));
+}
+
+module.exports = {
+  ARQUIVO_LEADS_PADRAO,
+  LEADS_HEADERS,
+  compilarPontuacao,
+  carregarPontuacao,
+  pontuarLeads,
+};
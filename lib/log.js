@@ -0,0 +1,205 @@
+/**
+ * Log estruturado (JSON lines) + artefatos de falha
+ *
+ * Os console.log/warn/error de sempre continuam no terminal; com iniciarLog
+ * cada linha também vai para output/logs/jte.log como JSON:
+ *
+ *   { ts, nivel, runId, etapa, worker, vara, data, msg }
+ *
+ * runId/etapa ficam no contexto global da execução (definirContexto); worker,
+ * vara e data no contexto de cada worker (comContexto, via AsyncLocalStorage),
+ * então workers em paralelo não se misturam. O arquivo roda por tamanho:
+ * jte.log -> jte.1.log -> ... -> jte.<maxArquivos>.log.
+ *
+ * salvarArtefatos: screenshot + HTML (e o trace do Playwright, se ligado) da
+ * página no momento da falha, em output/artefatos/<runId>/.
+ *
+ * env:
+ *   JTE_LOG_NIVEL=info      (debug | info | warn | error; só vale para o arquivo)
+ *   JTE_LOG_MAX_MB=10
+ *   JTE_LOG_ARQUIVOS=5
+ *   JTE_TRACE=false         (trace do Playwright junto dos artefatos; pesa)
+ *   JTE_ARTEFATOS_MAX=50    (por execução)
+ */
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40 };
+const METODOS_CONSOLE = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+const armazenamento = new AsyncLocalStorage();
+let contextoGlobal = {};
+let estado = null;
+
+/* =========================
+   CONTEXTO
+========================= */
+
+function contextoAtual() {
+  return armazenamento.getStore() || contextoGlobal;
+}
+
+// dentro de comContexto altera só o contexto daquele worker
+function definirContexto(campos) {
+  Object.assign(contextoAtual(), campos);
+}
+
+function comContexto(campos, fn) {
+  return armazenamento.run({ ...contextoAtual(), ...campos }, fn);
+}
+
+/* =========================
+   ARQUIVO
+========================= */
+
+function rotacionar() {
+  const { arquivo, maxArquivos } = estado;
+  const numerado = (n) => arquivo.replace(/\.log$/, `.${n}.log`);
+
+  fs.rmSync(numerado(maxArquivos), { force: true });
+  for (let n = maxArquivos - 1; n >= 1; n--) {
+    if (fs.existsSync(numerado(n))) fs.renameSync(numerado(n), numerado(n + 1));
+  }
+  if (fs.existsSync(arquivo)) fs.renameSync(arquivo, numerado(1));
+  estado.tamanho = 0;
+}
+
+function registrar(nivel, msg, campos = {}) {
+  if (!estado || NIVEIS[nivel] < NIVEIS[estado.nivel]) return;
+
+  const ctx = contextoAtual();
+  const linha = JSON.stringify({
+    ts: new Date().toISOString(),
+    nivel,
+    runId: ctx.runId ?? null,
+    etapa: ctx.etapa ?? null,
+    worker: ctx.worker ?? null,
+    vara: ctx.vara ?? null,
+    data: ctx.data ?? null,
+    msg: String(msg).trim(),
+    ...campos,
+  }) + '\n';
+
+  try {
+    // tamanho em bytes: acento e emoji ocupam mais de um
+    const bytes = Buffer.byteLength(linha);
+    if (estado.tamanho > 0 && estado.tamanho + bytes > estado.maxBytes) rotacionar();
+    fs.appendFileSync(estado.arquivo, linha, 'utf8');
+    estado.tamanho += bytes;
+  } catch {
+    // log não pode derrubar a execução
+  }
+}
+
+/**
+ * opts: { outDir, nivel, maxBytes, maxArquivos, trace, maxArtefatos }
+ * Espelha o console no arquivo até encerrarLog().
+ */
+function iniciarLog({ outDir, nivel = 'info', maxBytes = 10 * 1024 * 1024, maxArquivos = 5, trace = false, maxArtefatos = 50 }) {
+  encerrarLog();
+
+  const dir = path.join(outDir, 'logs');
+  fs.mkdirSync(dir, { recursive: true });
+  const arquivo = path.join(dir, 'jte.log');
+
+  estado = {
+    arquivo,
+    tamanho: fs.existsSync(arquivo) ? fs.statSync(arquivo).size : 0,
+    nivel: NIVEIS[nivel] ? nivel : 'info',
+    maxBytes,
+    maxArquivos: Math.max(1, maxArquivos),
+    outDir,
+    trace,
+    maxArtefatos,
+    artefatos: 0,
+    consoleOriginal: {},
+  };
+  contextoGlobal = {};
+
+  for (const [metodo, nivelMetodo] of Object.entries(METODOS_CONSOLE)) {
+    const original = console[metodo];
+    estado.consoleOriginal[metodo] = original;
+    console[metodo] = (...args) => {
+      original.apply(console, args);
+      registrar(nivelMetodo, util.format(...args));
+    };
+  }
+  return arquivo;
+}
+
+function encerrarLog() {
+  if (!estado) return;
+  Object.assign(console, estado.consoleOriginal);
+  estado = null;
+}
+
+function traceLigado() {
+  return !!estado?.trace;
+}
+
+/* =========================
+   ARTEFATOS
+========================= */
+
+function nomeSeguro(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * page no estado da falha -> <base>.png, <base>.html e (trace ligado) <base>.zip
+ * motivo: 'retry_esgotado' | 'botoes_data' | 'data_pulada' | 'vara_falhou' ...
+ * Retorna os caminhos gravados ([] sem log iniciado, página fechada ou limite atingido).
+ */
+async function salvarArtefatos(page, motivo, { erro } = {}) {
+  if (!estado || !page || page.isClosed()) return [];
+  if (estado.artefatos >= estado.maxArtefatos) return [];
+  estado.artefatos++;
+
+  const ctx = contextoAtual();
+  const dir = path.join(estado.outDir, 'artefatos', ctx.runId || 'sem-run');
+  const hora = new Date().toISOString().slice(11, 23).replace(/[:.]/g, '');
+  const base = path.join(dir, [hora, nomeSeguro(ctx.vara), (ctx.data || '').replace(/\//g, '-'), motivo].filter(Boolean).join('_'));
+  const salvos = [];
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    await page.screenshot({ path: `${base}.png`, fullPage: true, timeout: 10000 });
+    salvos.push(`${base}.png`);
+    fs.writeFileSync(`${base}.html`, await page.content(), 'utf8');
+    salvos.push(`${base}.html`);
+    if (estado.trace) {
+      // trace do trecho desde o último artefato (ou do começo do worker)
+      await page.context().tracing.stopChunk({ path: `${base}.zip` });
+      await page.context().tracing.startChunk();
+      salvos.push(`${base}.zip`);
+    }
+  } catch (err) {
+    registrar('warn', `Artefatos incompletos (${motivo}): ${err.message}`);
+  }
+
+  if (salvos.length) {
+    // direto no terminal: pelo console espelhado a linha sairia sem os campos estruturados
+    estado.consoleOriginal.warn.call(console, `📸 Artefatos (${motivo}): ${path.relative(process.cwd(), base)}.*`);
+    registrar('warn', `Artefatos de falha: ${motivo}`, { motivo, erro: erro?.message, arquivos: salvos });
+  }
+  return salvos;
+}
+
+module.exports = {
+  NIVEIS,
+  iniciarLog,
+  encerrarLog,
+  registrar,
+  contextoAtual,
+  definirContexto,
+  comContexto,
+  traceLigado,
+  salvarArtefatos,
+};
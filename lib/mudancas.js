@@ -0,0 +1,123 @@
+/**
+ * Mudanças entre execuções
+ *
+ * Compara as audiências desta execução com o estado anterior (MySQL ou, sem
+ * banco, a última execução finalizada) e classifica cada uma:
+ *
+ *   nova             processo que não estava na pauta anterior
+ *   sem_alteracao    mesmo processo, mesma vara e data, mesma hora/tipo/modalidade/status
+ *   status_alterado  mesma vara e data, mas hora/tipo/modalidade/status mudou
+ *   remarcada        mesmo processo em outra data ou vara
+ *   desaparecida     estava na pauta anterior e sumiu (só conta para pares vara/data
+ *                    que foram de fato lidos nesta execução)
+ *
+ * A aba "Novidades" e o email trazem tudo menos sem_alteracao.
+ */
+const { chaveUnidade } = require('./checkpoint');
+
+const MUDANCA_HEADERS = ['mudanca', 'detalheMudanca'];
+
+const NOVIDADES_HEADERS = [
+  'mudanca', 'detalheMudanca', 'tribunal', 'municipio', 'vara', 'data', 'hora', 'tipoAudiencia', 'modalidade', 'status',
+  'numeroProcesso', 'reclamante', 'reclamada', 'reclamadasNormalizadas',
+];
+
+const ORDEM_MUDANCAS = ['nova', 'remarcada', 'status_alterado', 'desaparecida', 'sem_alteracao'];
+
+// campo vazio de um lado não conta: DOM e JSON da rede nem sempre trazem os mesmos campos
+const CAMPOS_COMPARADOS = ['hora', 'tipoAudiencia', 'modalidade', 'status'];
+
+function chaveLocal(r) {
+  return `${chaveUnidade(r)}|${r.data}|${r.numeroProcesso}`;
+}
+
+function isoDeBR(dataBR) {
+  return String(dataBR || '').split('/').reverse().join('-');
+}
+
+function diferencas(anterior, atual) {
+  return CAMPOS_COMPARADOS
+    .filter((c) => anterior[c] && atual[c] && anterior[c] !== atual[c])
+    .map((c) => `${c}: ${anterior[c]} -> ${atual[c]}`);
+}
+
+function descreverRemarcacao(anterior, atual) {
+  const onde = (r) => [r.data, r.hora].filter(Boolean).join(' ')
+    + (chaveUnidade(anterior) !== chaveUnidade(atual) ? ` (${r.vara})` : '');
+  return `de ${onde(anterior)} para ${onde(atual)}`;
+}
+
+function marcar(row, mudanca, detalheMudanca = '') {
+  return Object.assign(row, { mudanca, detalheMudanca });
+}
+
+/**
+ * atuais: linhas desta execução (ganham mudanca/detalheMudanca)
+ * anteriores: estado anterior já restrito às varas/datas desta execução
+ * observado(row): o par vara/data da linha anterior foi lido com sucesso agora?
+ */
+function compararComAnterior(atuais, anteriores, { observado = () => true } = {}) {
+  const anterioresPorLocal = new Map(anteriores.map((r) => [chaveLocal(r), r]));
+  const pareadas = new Set();
+  const semPar = [];
+
+  for (const r of atuais) {
+    const anterior = anterioresPorLocal.get(chaveLocal(r));
+    if (!anterior) {
+      semPar.push(r);
+      continue;
+    }
+    pareadas.add(chaveLocal(anterior));
+    const diffs = diferencas(anterior, r);
+    marcar(r, diffs.length ? 'status_alterado' : 'sem_alteracao', diffs.join('; '));
+  }
+
+  // o que sobrou do estado anterior, por processo e em ordem de data
+  const sobras = new Map();
+  for (const a of anteriores) {
+    if (pareadas.has(chaveLocal(a))) continue;
+    if (!sobras.has(a.numeroProcesso)) sobras.set(a.numeroProcesso, []);
+    sobras.get(a.numeroProcesso).push(a);
+  }
+  for (const lista of sobras.values()) lista.sort((x, y) => isoDeBR(x.data).localeCompare(isoDeBR(y.data)));
+
+  const origensRemarcadas = [];
+  for (const r of semPar) {
+    const anterior = sobras.get(r.numeroProcesso)?.shift();
+    if (anterior) {
+      origensRemarcadas.push(anterior);
+      marcar(r, 'remarcada', descreverRemarcacao(anterior, r));
+    } else {
+      marcar(r, 'nova');
+    }
+  }
+
+  const desaparecidas = [...sobras.values()].flat()
+    .filter(observado)
+    .map((a) => marcar({ ...a }, 'desaparecida', `não está mais na pauta de ${a.data}`));
+
+  const resumo = Object.fromEntries(ORDEM_MUDANCAS.map((m) => [m, 0]));
+  for (const r of [...atuais, ...desaparecidas]) resumo[r.mudanca] += 1;
+
+  return { desaparecidas, origensRemarcadas, resumo };
+}
+
+// linhas da aba Novidades: atuais que mudaram + desaparecidas
+function listarNovidades(atuais, desaparecidas) {
+  return [...atuais.filter((r) => r.mudanca && r.mudanca !== 'sem_alteracao'), ...desaparecidas]
+    .sort((a, b) => ORDEM_MUDANCAS.indexOf(a.mudanca) - ORDEM_MUDANCAS.indexOf(b.mudanca)
+      || isoDeBR(a.data).localeCompare(isoDeBR(b.data))
+      || String(a.hora || '').localeCompare(String(b.hora || '')));
+}
+
+function resumoEmTexto(resumo) {
+  return ORDEM_MUDANCAS.map((m) => `${m}=${resumo[m] || 0}`).join(', ');
+}
+
+module.exports = {
+  MUDANCA_HEADERS,
+  NOVIDADES_HEADERS,
+  compararComAnterior,
+  listarNovidades,
+  resumoEmTexto,
+};
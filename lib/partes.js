@@ -0,0 +1,148 @@
+/**
+ * Partes do item da pauta pelo rótulo/conteúdo, não pela posição
+ *
+ * No DOM cada linha .item-desc-small é um texto solto. A ordem costuma ser
+ * juiz, reclamante, reclamada, mas some o juiz, aparecem avisos de segredo
+ * de justiça, perito, vários polos... e tudo escorrega uma coluna.
+ *
+ * Cada linha é classificada por:
+ *   1. rótulo: "Reclamante: FULANO", "FULANO (Perito)"
+ *   2. conteúdo: "Dr./Dra." -> juiz ; LTDA, S.A., CNPJ... -> empresa ; "segredo de justiça" -> aviso
+ *   3. eliminação: o que sobrar preenche reclamante/reclamada ainda vazios
+ *
+ * Sai { juiz, reclamante, reclamada, outrasPartes, partesNaoClassificadas, revisaoPartes }.
+ * revisaoPartes vazio = atribuição segura; senão traz o motivo para alguém conferir.
+ */
+
+const PARTES_HEADERS = ['outrasPartes', 'partesNaoClassificadas', 'revisaoPartes'];
+
+const ROTULOS = [
+  ['juiz', /^(JUIZ(A)?( DO TRABALHO| TITULAR| SUBSTITUT[OA])?|MAGISTRAD[OA]|DESEMBARGADOR(A)?)$/],
+  ['reclamante', /^(RECLAMANTES?|AUTOR(A|ES|AS)?|REQUERENTES?|EXEQUENTES?|POLO ATIVO|RECORRENTES?)$/],
+  ['reclamada', /^(RECLAMAD[OA]S?|REUS?|RE|REQUERID[OA]S?|EXECUTAD[OA]S?|POLO PASSIVO|RECORRID[OA]S?)$/],
+  ['perito', /^PERIT[OA]S?$/],
+  ['advogado', /^ADVOGAD[OA]S?$/],
+  ['terceiro', /^TERCEIR[OA]S?( INTERESSAD[OA]S?)?$/],
+];
+
+const RE_AVISO = /SEGREDO DE JUSTICA|SIGILO|DADOS RESTRITOS|SEGREDO/;
+const RE_JUIZ = /^(DR|DRA|DOUTOR|DOUTORA|JUIZ|JUIZA)\b\.?\s/;
+const RE_EMPRESA = new RegExp(
+  '\\b(LTDA|S ?A|EIRELI|EPP|ME|MEI|CIA|COMPANHIA|COMERCIO|COMERCIAL|INDUSTRIA|SERVICOS|CONDOMINIO|ASSOCIACAO|'
+  + 'SINDICATO|COOPERATIVA|MUNICIPIO|BANCO|INSTITUTO|FUNDACAO|HOSPITAL|CONSTRUTORA|TRANSPORTES?|LOGISTICA|'
+  + 'RESTAURANTE|MERCADO|SUPERMERCADOS?|EMPREENDIMENTOS|PARTICIPACOES|HOLDING|GRUPO)\\b'
+);
+const RE_CNPJ = /\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}/;
+
+function normalizar(texto) {
+  return String(texto ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function pareceEmpresa(texto) {
+  return RE_EMPRESA.test(normalizar(texto).replace(/[^A-Z0-9 ]/g, ' ')) || RE_CNPJ.test(texto);
+}
+
+// "Reclamante: FULANO" | "Reclamante - FULANO" | "FULANO (Perito)" -> { papel, texto }
+function porRotulo(linha) {
+  const prefixo = linha.match(/^([^:–-]{2,40}?)\s*[:–-]\s*(.+)$/);
+  if (prefixo) {
+    const papel = ROTULOS.find(([, re]) => re.test(normalizar(prefixo[1])));
+    if (papel) return { papel: papel[0], texto: prefixo[2].trim() };
+  }
+
+  const sufixo = linha.match(/^(.+?)\s*\(([^()]{2,40})\)$/);
+  if (sufixo) {
+    const papel = ROTULOS.find(([, re]) => re.test(normalizar(sufixo[2])));
+    if (papel) return { papel: papel[0], texto: sufixo[1].trim() };
+  }
+
+  return null;
+}
+
+function classificarLinha(linha) {
+  const rotulada = porRotulo(linha);
+  if (rotulada) return { ...rotulada, origem: 'rotulo' };
+
+  const n = normalizar(linha);
+  if (RE_AVISO.test(n)) return { papel: 'aviso', texto: linha, origem: 'padrao' };
+  if (RE_JUIZ.test(n)) return { papel: 'juiz', texto: linha, origem: 'padrao' };
+  return { papel: null, texto: linha, origem: null, empresa: pareceEmpresa(linha) };
+}
+
+function classificarPartes(linhas) {
+  const papeis = { juiz: [], reclamante: [], reclamada: [] };
+  const outras = [];
+  const naoClassificadas = [];
+  const revisao = [];
+  const semRotulo = [];
+
+  for (const linha of linhas.map((l) => String(l ?? '').replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+    const c = classificarLinha(linha);
+    if (papeis[c.papel]) papeis[c.papel].push(c);
+    else if (c.papel) outras.push(`${c.papel}: ${c.texto}`);
+    else semRotulo.push(c);
+  }
+
+  if (papeis.juiz.length > 1) {
+    revisao.push('mais de um juiz');
+    naoClassificadas.push(...papeis.juiz.slice(1).map((c) => c.texto));
+    papeis.juiz = papeis.juiz.slice(0, 1);
+  }
+
+  // o que sobrou sem rótulo preenche os polos vazios
+  const faltaReclamante = !papeis.reclamante.length;
+  const faltaReclamada = !papeis.reclamada.length;
+
+  if (faltaReclamante && faltaReclamada) {
+    if (semRotulo.length === 2) {
+      const [a, b] = semRotulo;
+      papeis.reclamante.push(a);
+      papeis.reclamada.push(b);
+      if (!b.empresa || a.empresa) revisao.push('reclamante/reclamada atribuídos pela posição');
+    } else if (semRotulo.length === 1) {
+      const [a] = semRotulo;
+      if (a.empresa) papeis.reclamada.push(a);
+      else naoClassificadas.push(a.texto);
+    } else if (semRotulo.length > 2) {
+      const empresas = semRotulo.filter((c) => c.empresa);
+      const pessoas = semRotulo.filter((c) => !c.empresa);
+      if (empresas.length && pessoas.length) {
+        papeis.reclamante.push(...pessoas);
+        papeis.reclamada.push(...empresas);
+      } else {
+        naoClassificadas.push(...semRotulo.map((c) => c.texto));
+      }
+      revisao.push(`${semRotulo.length} partes sem rótulo`);
+    }
+  } else if (faltaReclamante || faltaReclamada) {
+    papeis[faltaReclamante ? 'reclamante' : 'reclamada'].push(...semRotulo);
+  } else {
+    naoClassificadas.push(...semRotulo.map((c) => c.texto));
+  }
+
+  if (!papeis.reclamada.length) revisao.push('reclamada não identificada');
+  if (naoClassificadas.length && !revisao.length) revisao.push('linhas não classificadas');
+
+  const juntar = (lista) => lista.map((c) => c.texto).join('; ');
+  return {
+    juiz: juntar(papeis.juiz),
+    reclamante: juntar(papeis.reclamante),
+    reclamada: juntar(papeis.reclamada),
+    outrasPartes: outras.join('; '),
+    partesNaoClassificadas: naoClassificadas.join(' | '),
+    revisaoPartes: revisao.join('; '),
+  };
+}
+
+module.exports = {
+  PARTES_HEADERS,
+  pareceEmpresa,
+  classificarLinha,
+  classificarPartes,
+};
@@ -0,0 +1,194 @@
+/**
+ * Extração da pauta pelas respostas de rede do JTe
+ *
+ * O app Angular do JTe carrega a pauta de cada dia via XHR/fetch em JSON.
+ * Em vez de adivinhar papéis pela posição dos elementos no DOM, escutamos
+ * essas respostas (page.on('response')) e mapeamos o JSON para o mesmo
+ * formato de linha de extrairProcessosDaPauta, mais os campos extras que a
+ * API expõe (classe, sala, tipo e situação da audiência).
+ *
+ * O formato do JSON não é documentado: o mapeamento procura as chaves por
+ * nome (com várias alternativas) e a lista de audiências pelo conteúdo
+ * (objetos que carregam um número de processo CNJ).
+ */
+
+const RE_URL_PAUTA = /pauta|audienc/i;
+const RE_NUMERO_CNJ = /\d{7}-?\d{2}\.?\d{4}\.?\d\.?\d{2}\.?\d{4}/;
+
+const CHAVES = {
+  numeroProcesso: ['numeroProcesso', 'numeroUnico', 'nrProcesso', 'processo', 'numero'],
+  hora: ['horario', 'hora', 'horaAudiencia', 'horaInicio', 'dataHora', 'dataHoraInicio', 'inicio'],
+  tipo: ['tipoAudiencia', 'tipo', 'descricaoTipo', 'descricao'],
+  situacao: ['situacao', 'status', 'descricaoSituacao'],
+  modalidade: ['modalidade', 'descricaoModalidade', 'formaRealizacao', 'tipoRealizacao'],
+  juiz: ['juiz', 'magistrado', 'nomeMagistrado', 'nomeJuiz'],
+  reclamante: ['reclamante', 'reclamantes', 'poloAtivo', 'autor', 'autores', 'nomeParteAtiva'],
+  reclamada: ['reclamada', 'reclamado', 'reclamadas', 'reclamados', 'poloPassivo', 'reu', 'reus', 'nomePartePassiva'],
+  classe: ['classe', 'classeJudicial', 'siglaClasse', 'descricaoClasse'],
+  sala: ['sala', 'nomeSala', 'local'],
+};
+
+const EXTRA_HEADERS = ['classe', 'sala', 'tipoPauta', 'situacaoPauta', 'origemExtracao'];
+
+/* =========================
+   MAPEAMENTO DO JSON
+========================= */
+
+function normalizarChave(k) {
+  return String(k).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function buscarValor(obj, candidatos, profundidade = 2) {
+  if (!obj || typeof obj !== 'object') return undefined;
+
+  const porChave = new Map(Object.keys(obj).map((k) => [normalizarChave(k), k]));
+  for (const c of candidatos) {
+    const k = porChave.get(normalizarChave(c));
+    if (k !== undefined && obj[k] !== null && obj[k] !== undefined && obj[k] !== '') return obj[k];
+  }
+
+  if (profundidade <= 0) return undefined;
+  for (const v of Object.values(obj)) {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      const achou = buscarValor(v, candidatos, profundidade - 1);
+      if (achou !== undefined) return achou;
+    }
+  }
+  return undefined;
+}
+
+// string, objeto {nome} ou lista deles -> "A; B"
+function textoDe(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (Array.isArray(valor)) return valor.map(textoDe).filter(Boolean).join('; ');
+  if (typeof valor === 'object') {
+    return textoDe(buscarValor(valor, ['nome', 'descricao', 'numero', 'valor', 'texto'], 0));
+  }
+  return String(valor).replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function horaDe(valor) {
+  const s = textoDe(valor);
+  const m = s.match(/(?:^|\D)(\d{2}):(\d{2})/);
+  return m ? `${m[1]}:${m[2]}` : s;
+}
+
+function numeroDe(item) {
+  const v = buscarValor(item, CHAVES.numeroProcesso);
+  const s = textoDe(v);
+  const m = s.match(RE_NUMERO_CNJ);
+  return m ? m[0] : s;
+}
+
+function pareceItemDePauta(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+  return RE_NUMERO_CNJ.test(textoDe(buscarValor(obj, CHAVES.numeroProcesso)));
+}
+
+// Maior lista de objetos que parecem audiências, em qualquer nível do JSON
+function localizarListaPauta(json, profundidade = 4) {
+  let melhor = null;
+
+  const visitar = (node, nivel) => {
+    if (!node || typeof node !== 'object' || nivel > profundidade) return;
+
+    if (Array.isArray(node)) {
+      const itens = node.filter(pareceItemDePauta);
+      if (itens.length && (!melhor || itens.length > melhor.length)) melhor = itens;
+      for (const n of node) visitar(n, nivel + 1);
+      return;
+    }
+
+    for (const v of Object.values(node)) visitar(v, nivel + 1);
+  };
+
+  visitar(json, 0);
+  return melhor;
+}
+
+function mapearItemPauta(item) {
+  const hora = horaDe(buscarValor(item, CHAVES.hora));
+  const tipo = textoDe(buscarValor(item, CHAVES.tipo));
+  const situacao = textoDe(buscarValor(item, CHAVES.situacao));
+
+  return {
+    numeroProcesso: numeroDe(item),
+    sessao: [hora, tipo || situacao].filter(Boolean).join(' - '),
+    juiz: textoDe(buscarValor(item, CHAVES.juiz)),
+    reclamante: textoDe(buscarValor(item, CHAVES.reclamante)),
+    reclamada: textoDe(buscarValor(item, CHAVES.reclamada)),
+    classe: textoDe(buscarValor(item, CHAVES.classe)),
+    sala: textoDe(buscarValor(item, CHAVES.sala)),
+    tipoPauta: tipo,
+    situacaoPauta: situacao,
+    modalidadePauta: textoDe(buscarValor(item, CHAVES.modalidade)), // só alimenta lib/sessao.js
+    origemExtracao: 'rede',
+  };
+}
+
+/* =========================
+   CAPTURA
+========================= */
+
+function formatosDaData(dataBR) {
+  const [dd, mm, yyyy] = dataBR.split('/');
+  return [`${yyyy}-${mm}-${dd}`, `${dd}/${mm}/${yyyy}`, `${dd}-${mm}-${yyyy}`, `${dd}%2F${mm}%2F${yyyy}`, `${yyyy}${mm}${dd}`];
+}
+
+function capturarRespostasPauta(page) {
+  const captura = { respostas: [] };
+
+  const onResponse = async (response) => {
+    try {
+      const req = response.request();
+      const tipo = req.resourceType();
+      if (tipo !== 'xhr' && tipo !== 'fetch') return;
+      if (!RE_URL_PAUTA.test(response.url())) return;
+      if (!/json/i.test(response.headers()['content-type'] || '')) return;
+
+      const json = await response.json();
+      captura.respostas.push({ url: response.url(), json });
+    } catch {
+      // corpo indisponível (navegação no meio da resposta) -> ignora
+    }
+  };
+
+  page.on('response', onResponse);
+
+  captura.limpar = () => { captura.respostas = []; };
+  captura.desligar = () => page.off('response', onResponse);
+  return captura;
+}
+
+/**
+ * Processos da pauta do dia a partir do que foi capturado desde o último
+ * limpar(). Retorna null quando nenhuma resposta reconhecível foi vista
+ * (quem chama cai para a extração pelo DOM).
+ */
+function processosDaCaptura(captura, dataBR) {
+  const formatos = formatosDaData(dataBR);
+
+  // navegando dia a dia passam várias pautas: prefere a resposta cuja URL cita a data alvo
+  const daDataAlvo = (r) => formatos.some((f) => r.url.includes(f));
+  const candidatas = captura.respostas
+    .map((r) => ({ ...r, lista: localizarListaPauta(r.json) }))
+    .filter((r) => r.lista || Array.isArray(r.json) || daDataAlvo(r));
+  if (!candidatas.length) return null;
+
+  const daData = candidatas.filter(daDataAlvo);
+  const base = daData.length ? daData : candidatas;
+  const escolhida = base[base.length - 1];
+
+  // lista vazia só vale como "pauta sem audiências" se a URL for da data alvo
+  if (!escolhida.lista) return daData.length ? [] : null;
+
+  return escolhida.lista.map(mapearItemPauta).filter((p) => p.numeroProcesso);
+}
+
+module.exports = {
+  EXTRA_HEADERS,
+  localizarListaPauta,
+  mapearItemPauta,
+  capturarRespostasPauta,
+  processosDaCaptura,
+};
@@ -0,0 +1,364 @@
+/**
+ * PJe consulta processual pública -> dados da reclamada (Fase 2)
+ *
+ * Para cada numeroProcesso extraído da pauta do JTe, abre a consulta pública
+ * do PJe e extrai do polo passivo: advogados, CNPJ/CPF e endereço, além do
+ * valor da causa.
+ *
+ * A extração trabalha sobre o texto visível da página de detalhes, então
+ * funciona tanto no PJe real quanto em páginas salvas servidas localmente
+ * (basta apontar PJE_URL para o servidor local).
+ *
+ * env (exemplo):
+ *   PJE_ENABLED=true
+ *   PJE_URL=https://pje.trt2.jus.br/consultaprocessual
+ *   PJE_DELAY_MIN_MS=5000
+ *   PJE_DELAY_MAX_MS=15000
+ *   PJE_CACHE_DIAS=7
+ */
+
+const PJE_URL_PADRAO = 'https://pje.trt2.jus.br/consultaprocessual';
+
+/* =========================
+   PARSE DO DETALHE
+========================= */
+
+const RE_CNPJ = /\b\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}\b/;
+const RE_CPF = /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/;
+const RE_EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const RE_CEP = /\b\d{5}-?\d{3}\b/;
+const RE_ADVOGADO = /\(ADVOGAD[OA]\)|\bADVOGAD[OA]\b|\bOAB\s*[\/:-]?\s*[A-Z]{2}/i;
+const RE_ENDERECO = /^(endere[cç]o|rua|r\.|avenida|av\.|alameda|al\.|rodovia|estrada|travessa|pra[cç]a|largo)\b/i;
+
+const RE_INICIO_POLO_PASSIVO = /^polo\s+passivo\b/i;
+const RE_FIM_SECAO = /^(polo\s+ativo|outros\s+interessados|terceiros?\s+interessados?|movimenta[cç][oõ]es|documentos|expedientes|assuntos)\b/i;
+
+function linhasDoTexto(texto) {
+  return String(texto ?? '')
+    .replace(/\u00a0/g, ' ')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function parseValorBR(valor) {
+  const limpo = String(valor ?? '').replace(/[^\d,.-]/g, '');
+  if (!limpo) return null;
+  const n = Number(limpo.replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+function extrairValorCausa(linhas) {
+  for (let i = 0; i < linhas.length; i++) {
+    if (!/valor\s+da\s+causa/i.test(linhas[i])) continue;
+
+    // "Valor da causa: R$ 12.345,67" ou rótulo e valor em linhas separadas
+    const mesmaLinha = linhas[i].match(/R\$\s*([\d.]+,\d{2})/);
+    if (mesmaLinha) return parseValorBR(mesmaLinha[1]);
+
+    const proxima = (linhas[i + 1] || '').match(/^(?:R\$\s*)?([\d.]+,\d{2})$/);
+    if (proxima) return parseValorBR(proxima[1]);
+  }
+  return null;
+}
+
+function extrairPoloPassivo(linhas) {
+  const inicio = linhas.findIndex((l) => RE_INICIO_POLO_PASSIVO.test(l));
+  if (inicio === -1) return [];
+
+  const secao = [];
+  for (let i = inicio + 1; i < linhas.length; i++) {
+    if (RE_FIM_SECAO.test(linhas[i])) break;
+    secao.push(linhas[i]);
+  }
+  return secao;
+}
+
+function limparNomeAdvogado(linha) {
+  return linha
+    .replace(/\(ADVOGAD[OA]\)/ig, '')
+    .replace(/\s*-?\s*OAB\s*[\/:-]?\s*[A-Z]{2}\s*[\d.\-A-Z]*/ig, '')
+    .replace(/\s*-\s*$/, '')
+    .trim();
+}
+
+function parseDetalhePje(texto) {
+  const linhas = linhasDoTexto(texto);
+  const passivo = extrairPoloPassivo(linhas);
+
+  const advogados = [];
+  let cnpj = '';
+  let endereco = '';
+  let email = '';
+
+  for (const linha of passivo) {
+    if (RE_ADVOGADO.test(linha)) {
+      const nome = limparNomeAdvogado(linha);
+      if (nome && !advogados.includes(nome)) advogados.push(nome);
+      continue;
+    }
+
+    if (!cnpj) {
+      const m = linha.match(RE_CNPJ) || linha.match(RE_CPF);
+      if (m) cnpj = m[0];
+    }
+
+    if (!email) {
+      const m = linha.match(RE_EMAIL);
+      if (m) email = m[0];
+    }
+
+    if (!endereco && (RE_ENDERECO.test(linha) || RE_CEP.test(linha))) {
+      endereco = linha.replace(/^endere[cç]o\s*:?\s*/i, '');
+    }
+  }
+
+  return {
+    encontrouPoloPassivo: passivo.length > 0,
+    cnpj,
+    valorCausa: extrairValorCausa(linhas),
+    advogados,
+    temAdvogado: advogados.length > 0,
+    endereco,
+    email,
+  };
+}
+
+/* =========================
+   NAVEGAÇÃO PJe
+========================= */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function delayAleatorio(minMs, maxMs) {
+  const min = Math.max(0, Number(minMs) || 0);
+  const max = Math.max(min, Number(maxMs) || 0);
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+async function temCaptcha(page) {
+  const sinais = [
+    'iframe[src*="captcha" i]',
+    '[id*="captcha" i]',
+    '[class*="captcha" i]',
+  ];
+  for (const sel of sinais) {
+    if (await page.locator(sel).first().isVisible({ timeout: 300 }).catch(() => false)) return true;
+  }
+  return false;
+}
+
+async function pesquisarNumeroSeNecessario(page, numeroProcesso) {
+  const campo = page.locator('#nrProcessoInput');
+  if (!(await campo.isVisible({ timeout: 1500 }).catch(() => false))) return;
+
+  await campo.fill(numeroProcesso);
+  await page.locator('#btnPesquisar').click({ force: true }).catch(() => { });
+  await page.waitForLoadState('networkidle').catch(() => { });
+}
+
+async function escolherPrimeiroGrauSeNecessario(page) {
+  // processo com mais de uma instância: PJe mostra a lista para escolher o grau
+  const opcao = page.locator('button, a, mat-list-option, .selecao-processo')
+    .filter({ hasText: /1º\s*grau|primeiro\s+grau/i })
+    .first();
+  if (await opcao.isVisible({ timeout: 1000 }).catch(() => false)) {
+    await opcao.click({ force: true }).catch(() => { });
+    await page.waitForLoadState('networkidle').catch(() => { });
+  }
+}
+
+async function consultarProcessoPje(page, numeroProcesso, opts = {}) {
+  const baseUrl = String(opts.baseUrl || PJE_URL_PADRAO).replace(/\/+$/, '');
+  const timeoutMs = opts.timeoutMs ?? 30000;
+
+  await page.goto(`${baseUrl}/detalhe-processo/${encodeURIComponent(numeroProcesso)}`, {
+    waitUntil: 'domcontentloaded',
+    timeout: timeoutMs,
+  });
+  await page.waitForLoadState('networkidle', { timeout: timeoutMs }).catch(() => { });
+
+  await pesquisarNumeroSeNecessario(page, numeroProcesso);
+  await escolherPrimeiroGrauSeNecessario(page);
+
+  if (await temCaptcha(page)) return { numeroProcesso, status: 'captcha' };
+
+  await page.getByText(/polo\s+passivo|valor\s+da\s+causa|n[aã]o\s+encontrad/i).first()
+    .waitFor({ state: 'visible', timeout: timeoutMs })
+    .catch(() => { });
+
+  const texto = await page.evaluate(() => document.body?.innerText || '');
+  if (/processo\s+n[aã]o\s+encontrado|nenhum\s+processo\s+encontrado/i.test(texto)) {
+    return { numeroProcesso, status: 'nao_encontrado' };
+  }
+
+  const dados = parseDetalhePje(texto);
+  if (!dados.encontrouPoloPassivo && dados.valorCausa === null) {
+    return { numeroProcesso, status: 'sem_dados' };
+  }
+
+  return { numeroProcesso, status: 'ok', ...dados };
+}
+
+async function enriquecerProcessos(page, numerosProcesso, opts = {}) {
+  const resultados = new Map();
+  const numeros = [...new Set(numerosProcesso.filter(Boolean))];
+
+  for (let i = 0; i < numeros.length; i++) {
+    const numero = numeros[i];
+    let r;
+
+    try {
+      r = await consultarProcessoPje(page, numero, opts);
+    } catch (err) {
+      r = { numeroProcesso: numero, status: 'erro', erro: err.message };
+    }
+
+    resultados.set(numero, r);
+    console.log(`🔎 PJe ${i + 1}/${numeros.length} | ${numero} | ${r.status}`);
+
+    if (opts.onResultado) await opts.onResultado(r);
+
+    if (r.status === 'captcha') {
+      console.warn('⚠️ PJe pediu CAPTCHA. Interrompendo o enriquecimento desta execução.');
+      break;
+    }
+
+    // README: pausas aleatórias entre consultas para não disparar CAPTCHA
+    if (i < numeros.length - 1) await sleep(delayAleatorio(opts.delayMinMs ?? 5000, opts.delayMaxMs ?? 15000));
+  }
+
+  return resultados;
+}
+
+/* =========================
+   COLUNAS DE SAÍDA
+========================= */
+
+const PJE_HEADERS = ['cnpj', 'valor_causa', 'tem_advogado_reclamada', 'advogados_reclamada', 'endereco_reclamada', 'pje_status'];
+
+function colunasPje(r) {
+  if (!r) {
+    return {
+      cnpj: '',
+      valor_causa: '',
+      tem_advogado_reclamada: '',
+      advogados_reclamada: '',
+      endereco_reclamada: '',
+      pje_status: '',
+    };
+  }
+
+  const ok = r.status === 'ok';
+  return {
+    cnpj: r.cnpj || '',
+    valor_causa: r.valorCausa ?? '',
+    tem_advogado_reclamada: ok ? (r.temAdvogado ? 'SIM' : 'NÃO') : '',
+    advogados_reclamada: (r.advogados || []).join(' | '),
+    endereco_reclamada: r.endereco || '',
+    pje_status: r.status,
+  };
+}
+
+/* =========================
+   DB (MySQL)
+========================= */
+
+async function ensurePjeSchema(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS pje_processos (
+  numeroProcesso VARCHAR(64) NOT NULL,
+  consultadoEm DATETIME(3) NOT NULL,
+  status VARCHAR(32) NOT NULL,
+  cnpj VARCHAR(32) NULL,
+  valor_causa DECIMAL(15,2) NULL,
+  tem_advogado_reclamada TINYINT(1) NULL,
+  advogados_reclamada TEXT NULL,
+  endereco_reclamada TEXT NULL,
+  email_reclamada VARCHAR(255) NULL,
+  erro TEXT NULL,
+  PRIMARY KEY (numeroProcesso),
+  KEY ix_consultado (consultadoEm)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`;
+  await pool.query(sql);
+}
+
+async function upsertPjeMySql(pool, r) {
+  if (!pool || !r) return;
+
+  const ok = r.status === 'ok';
+  await pool.query(`
+INSERT INTO pje_processos
+(numeroProcesso, consultadoEm, status, cnpj, valor_causa, tem_advogado_reclamada, advogados_reclamada, endereco_reclamada, email_reclamada, erro)
+VALUES (?,?,?,?,?,?,?,?,?,?)
+ON DUPLICATE KEY UPDATE
+  consultadoEm = VALUES(consultadoEm),
+  status = VALUES(status),
+  cnpj = VALUES(cnpj),
+  valor_causa = VALUES(valor_causa),
+  tem_advogado_reclamada = VALUES(tem_advogado_reclamada),
+  advogados_reclamada = VALUES(advogados_reclamada),
+  endereco_reclamada = VALUES(endereco_reclamada),
+  email_reclamada = VALUES(email_reclamada),
+  erro = VALUES(erro)
+`, [
+    r.numeroProcesso,
+    new Date(),
+    r.status,
+    r.cnpj || null,
+    r.valorCausa ?? null,
+    ok ? (r.temAdvogado ? 1 : 0) : null,
+    r.advogados?.length ? r.advogados.join(' | ') : null,
+    r.endereco || null,
+    r.email || null,
+    r.erro || null,
+  ]);
+}
+
+async function carregarPjeDoBanco(pool, numerosProcesso, cacheDias) {
+  const cache = new Map();
+  const numeros = [...new Set(numerosProcesso.filter(Boolean))];
+  if (!pool || !numeros.length || !(cacheDias > 0)) return cache;
+
+  const [rows] = await pool.query(
+    `SELECT * FROM pje_processos
+     WHERE status = 'ok'
+       AND consultadoEm >= (NOW() - INTERVAL ? DAY)
+       AND numeroProcesso IN (?)`,
+    [Number(cacheDias), numeros]
+  );
+
+  for (const row of rows) cache.set(row.numeroProcesso, resultadoPjeDoBanco(row));
+
+  return cache;
+}
+
+function resultadoPjeDoBanco(row) {
+  return {
+    numeroProcesso: row.numeroProcesso,
+    status: row.status,
+    cnpj: row.cnpj || '',
+    valorCausa: row.valor_causa === null || row.valor_causa === undefined ? null : Number(row.valor_causa),
+    temAdvogado: row.tem_advogado_reclamada === 1,
+    advogados: row.advogados_reclamada ? row.advogados_reclamada.split(' | ') : [],
+    endereco: row.endereco_reclamada || '',
+    email: row.email_reclamada || '',
+  };
+}
+
+module.exports = {
+  PJE_URL_PADRAO,
+  PJE_HEADERS,
+  parseValorBR,
+  parseDetalhePje,
+  consultarProcessoPje,
+  enriquecerProcessos,
+  colunasPje,
+  ensurePjeSchema,
+  upsertPjeMySql,
+  carregarPjeDoBanco,
+  resultadoPjeDoBanco,
+};
@@ -0,0 +1,102 @@
+/**
+ * Pool de workers + limitador global de requisições
+ *
+ * executarPool: N workers consomem a mesma fila; cada worker tem seu próprio
+ * estado (ex.: um browser context já posicionado no módulo Pauta), criado uma
+ * vez por criarWorker e reaproveitado para todos os itens que ele pegar.
+ *
+ * criarLimitador: garante um intervalo mínimo entre requisições somando todos
+ * os workers, para não sobrecarregar o JTe.
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* =========================
+   LIMITADOR DE TAXA
+========================= */
+
+function criarLimitador(intervaloMinMs) {
+  let proximoSlot = 0;
+
+  return {
+    async aguardar() {
+      if (!(intervaloMinMs > 0)) return;
+      const agora = Date.now();
+      const slot = Math.max(agora, proximoSlot);
+      proximoSlot = slot + intervaloMinMs;
+      if (slot > agora) await sleep(slot - agora);
+    },
+  };
+}
+
+// Segura as chamadas XHR/fetch do context no limitador (assets estáticos passam direto)
+async function limitarRequisicoes(context, limitador) {
+  await context.route('**/*', async (route) => {
+    const tipo = route.request().resourceType();
+    if (tipo === 'xhr' || tipo === 'fetch') await limitador.aguardar();
+    await route.continue().catch(() => { });
+  });
+}
+
+/* =========================
+   POOL
+========================= */
+
+/**
+ * opts:
+ *   concorrencia           -> número de workers
+ *   criarWorker(id)        -> estado do worker (ex.: { context, page })
+ *   processar(estado, item, id)
+ *   encerrarWorker(estado, id)
+ *   tentativasPorItem      -> item que falhou volta para a fila até esse limite
+ *   rotulo(item)           -> texto do item nos logs
+ *   signal                 -> AbortSignal: abortado, cada worker termina o item atual e para
+ *
+ * Retorna { falhas, restantes }: restantes = itens que ficaram na fila por causa do signal.
+ */
+async function executarPool(itens, opts) {
+  const fila = itens.map((item) => ({ item, tentativas: 0 }));
+  const maxTentativas = opts.tentativasPorItem ?? 2;
+  const rotulo = opts.rotulo || String;
+  const falhas = [];
+
+  async function rodarWorker(id) {
+    let estado = null;
+
+    try {
+      while (fila.length && !opts.signal?.aborted) {
+        const entrada = fila.shift();
+        entrada.tentativas++;
+
+        try {
+          if (!estado) estado = await opts.criarWorker(id);
+          await opts.processar(estado, entrada.item, id);
+        } catch (err) {
+          console.warn(`⚠️ [worker ${id}] Falhou (${entrada.tentativas}/${maxTentativas}): ${rotulo(entrada.item)} | ${err.message}`);
+
+          if (entrada.tentativas < maxTentativas) fila.push(entrada);
+          else falhas.push({ item: entrada.item, erro: err });
+
+          // estado pode ter ficado inconsistente (página presa em dialog, context fechado...)
+          if (estado && opts.encerrarWorker) await opts.encerrarWorker(estado, id).catch(() => { });
+          estado = null;
+        }
+      }
+    } finally {
+      if (estado && opts.encerrarWorker) await opts.encerrarWorker(estado, id).catch(() => { });
+    }
+  }
+
+  const n = Math.max(1, Math.min(opts.concorrencia || 1, itens.length || 1));
+  await Promise.all(Array.from({ length: n }, (_, i) => rodarWorker(i + 1)));
+
+  return { falhas, restantes: fila.map((e) => e.item) };
+}
+
+module.exports = {
+  criarLimitador,
+  limitarRequisicoes,
+  executarPool,
+};
@@ -0,0 +1,478 @@
+/**
+ * CNPJ offline a partir dos dados abertos da Receita Federal
+ *
+ * Importação (node cli.js import-cnpj --dir <pasta>): lê do disco os arquivos
+ * já descompactados do dump público de CNPJ e grava no MySQL:
+ *
+ *   *EMPRECSV  -> cnpj_empresas          razão social, natureza, capital, porte (+ chave do nome)
+ *   *ESTABELE  -> cnpj_estabelecimentos  matriz/filial, situação, CNAE, endereço, telefone, e-mail
+ *   *SIMPLES   -> cnpj_simples           opção pelo Simples / MEI
+ *   *CNAECSV, *MUNICCSV -> tabelas de códigos (descrição do CNAE, nome do município)
+ *
+ * Formato da Receita: sem cabeçalho, ";" entre campos, tudo entre aspas, latin1.
+ *
+ * Casamento: cada reclamada (lib/reclamadas.js) é procurada pela chave do nome
+ * em cnpj_empresas (exata e, se preciso, por prefixo + similaridade). A
+ * confiança cai com homônimos e com nomes só parecidos; CNPJ vindo do PJe vale
+ * 1. Abaixo de RECEITA_CONFIANCA_MINIMA a linha fica sem CNPJ.
+ *
+ * Nada aqui acessa a rede: depois do download tudo roda offline.
+ *
+ * env:
+ *   RECEITA_CONFIANCA_MINIMA=0.85
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { chaveEmpresa, separarReclamadas } = require('./reclamadas');
+const { similaridade } = require('./regras');
+
+const CONFIANCA_MINIMA_PADRAO = 0.85;
+
+const RECEITA_HEADERS = [
+  'cnpjReceita', 'confiancaCnpj', 'origemCnpj', 'razaoSocialReceita', 'porteReceita', 'cnaePrincipal', 'cnaeDescricao',
+  'situacaoCadastral', 'enderecoReceita', 'telefoneReceita', 'emailReceita',
+];
+
+const PORTES = { '00': 'NÃO INFORMADO', '01': 'MICRO EMPRESA', '03': 'EMPRESA DE PEQUENO PORTE', '05': 'DEMAIS' };
+const SITUACOES = { '01': 'NULA', '02': 'ATIVA', '03': 'SUSPENSA', '04': 'INAPTA', '08': 'BAIXADA' };
+
+// sufixo do nome dentro do zip da Receita (K3241.K03200Y0.D40210.EMPRECSV) ou nome amigável
+const TIPOS_ARQUIVO = [
+  ['empresas', /EMPRECSV$|^EMPRESAS/i],
+  ['estabelecimentos', /ESTABELE$|^ESTABELECIMENTOS/i],
+  ['simples', /SIMPLES(\.CSV)?(\.[A-Z0-9]+)?$|^SIMPLES/i],
+  ['cnaes', /CNAECSV$|^CNAES/i],
+  ['municipios', /MUNICCSV$|^MUNICIPIOS/i],
+];
+
+// ordem de importação: tabelas de código primeiro, estabelecimentos (o maior) por último
+const ORDEM_IMPORTACAO = ['cnaes', 'municipios', 'empresas', 'simples', 'estabelecimentos'];
+
+/* =========================
+   PARSE DOS ARQUIVOS
+========================= */
+
+function tipoDoArquivo(nome) {
+  const achado = TIPOS_ARQUIVO.find(([, re]) => re.test(path.basename(nome)));
+  return achado ? achado[0] : null;
+}
+
+// "a";"b ""c""";"" -> ['a', 'b "c"', '']
+function parseLinhaReceita(linha) {
+  const campos = [];
+  let atual = '';
+  let aspas = false;
+
+  for (let i = 0; i < linha.length; i++) {
+    const ch = linha[i];
+    if (aspas) {
+      if (ch === '"' && linha[i + 1] === '"') {
+        atual += '"';
+        i++;
+      } else if (ch === '"') {
+        aspas = false;
+      } else {
+        atual += ch;
+      }
+    } else if (ch === '"') {
+      aspas = true;
+    } else if (ch === ';') {
+      campos.push(atual.trim());
+      atual = '';
+    } else {
+      atual += ch;
+    }
+  }
+  campos.push(atual.trim());
+  return campos;
+}
+
+function numeroReceita(valor) {
+  const n = Number(String(valor || '').replace(/\./g, '').replace(',', '.'));
+  return Number.isNaN(n) ? null : n;
+}
+
+function dataReceita(valor) {
+  const m = String(valor || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m && m[1] !== '0000' ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+const MAPEAR = {
+  empresas: (c) => ({
+    cnpj_basico: c[0],
+    razao_social: c[1],
+    natureza_juridica: c[2] || null,
+    capital_social: numeroReceita(c[4]),
+    porte: c[5] || null,
+    chave: chaveEmpresa(c[1]).slice(0, 255),
+  }),
+  estabelecimentos: (c) => ({
+    cnpj: `${c[0]}${c[1]}${c[2]}`,
+    cnpj_basico: c[0],
+    matriz: c[3] === '1' ? 1 : 0,
+    nome_fantasia: c[4] || null,
+    situacao: c[5] || null,
+    data_situacao: dataReceita(c[6]),
+    cnae_principal: c[11] || null,
+    cnaes_secundarios: c[12] || null,
+    tipo_logradouro: c[13] || null,
+    logradouro: c[14] || null,
+    numero: c[15] || null,
+    complemento: c[16] || null,
+    bairro: c[17] || null,
+    cep: c[18] || null,
+    uf: c[19] || null,
+    municipio: c[20] || null,
+    telefone1: [c[21], c[22]].some(Boolean) ? `${c[21]}${c[22]}` : null,
+    telefone2: [c[23], c[24]].some(Boolean) ? `${c[23]}${c[24]}` : null,
+    email: c[27] ? c[27].toLowerCase() : null,
+  }),
+  simples: (c) => ({
+    cnpj_basico: c[0],
+    opcao_simples: c[1] || null,
+    opcao_mei: c[4] || null,
+  }),
+  cnaes: (c) => ({ codigo: c[0], descricao: c[1] }),
+  municipios: (c) => ({ codigo: c[0], nome: c[1] }),
+};
+
+const TABELAS = {
+  empresas: 'cnpj_empresas',
+  estabelecimentos: 'cnpj_estabelecimentos',
+  simples: 'cnpj_simples',
+  cnaes: 'cnpj_cnaes',
+  municipios: 'cnpj_municipios',
+};
+
+/* =========================
+   SCHEMA E IMPORTAÇÃO
+========================= */
+
+async function ensureReceitaSchema(pool) {
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS cnpj_empresas (
+  cnpj_basico CHAR(8) NOT NULL,
+  razao_social VARCHAR(255) NOT NULL,
+  natureza_juridica VARCHAR(4) NULL,
+  capital_social DECIMAL(18,2) NULL,
+  porte CHAR(2) NULL,
+  chave VARCHAR(255) NOT NULL,
+  PRIMARY KEY (cnpj_basico),
+  KEY ix_chave (chave(191))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS cnpj_estabelecimentos (
+  cnpj CHAR(14) NOT NULL,
+  cnpj_basico CHAR(8) NOT NULL,
+  matriz TINYINT(1) NOT NULL DEFAULT 0,
+  nome_fantasia VARCHAR(255) NULL,
+  situacao CHAR(2) NULL,
+  data_situacao DATE NULL,
+  cnae_principal VARCHAR(7) NULL,
+  cnaes_secundarios TEXT NULL,
+  tipo_logradouro VARCHAR(32) NULL,
+  logradouro VARCHAR(255) NULL,
+  numero VARCHAR(16) NULL,
+  complemento VARCHAR(255) NULL,
+  bairro VARCHAR(128) NULL,
+  cep VARCHAR(8) NULL,
+  uf CHAR(2) NULL,
+  municipio VARCHAR(4) NULL,
+  telefone1 VARCHAR(16) NULL,
+  telefone2 VARCHAR(16) NULL,
+  email VARCHAR(255) NULL,
+  PRIMARY KEY (cnpj),
+  KEY ix_basico (cnpj_basico)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS cnpj_simples (
+  cnpj_basico CHAR(8) NOT NULL,
+  opcao_simples CHAR(1) NULL,
+  opcao_mei CHAR(1) NULL,
+  PRIMARY KEY (cnpj_basico)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS cnpj_cnaes (
+  codigo VARCHAR(7) NOT NULL,
+  descricao VARCHAR(255) NOT NULL,
+  PRIMARY KEY (codigo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS cnpj_municipios (
+  codigo VARCHAR(4) NOT NULL,
+  nome VARCHAR(128) NOT NULL,
+  PRIMARY KEY (codigo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+}
+
+async function gravarLote(pool, tabela, registros) {
+  if (!registros.length) return;
+  const colunas = Object.keys(registros[0]);
+  const values = registros.flatMap((r) => colunas.map((c) => r[c]));
+  const placeholders = registros.map(() => `(${colunas.map(() => '?').join(',')})`).join(',');
+
+  await pool.query(
+    `INSERT INTO ${tabela} (${colunas.join(', ')}) VALUES ${placeholders}
+     ON DUPLICATE KEY UPDATE ${colunas.map((c) => `${c} = VALUES(${c})`).join(', ')}`,
+    values
+  );
+}
+
+// um arquivo da Receita -> tabela, em lotes. filtro(registro) = false pula a linha
+async function importarArquivo(pool, arquivo, tipo, { filtro = () => true, lote = 1000, aCada = 500000 } = {}) {
+  const leitor = readline.createInterface({
+    input: fs.createReadStream(arquivo, { encoding: 'latin1' }),
+    crlfDelay: Infinity,
+  });
+
+  let pendentes = [];
+  let lidas = 0;
+  let gravadas = 0;
+
+  for await (const linha of leitor) {
+    if (!linha.trim()) continue;
+    lidas++;
+    const registro = MAPEAR[tipo](parseLinhaReceita(linha));
+    if (filtro(registro)) pendentes.push(registro);
+
+    if (pendentes.length >= lote) {
+      await gravarLote(pool, TABELAS[tipo], pendentes);
+      gravadas += pendentes.length;
+      pendentes = [];
+    }
+    if (lidas % aCada === 0) console.log(`   … ${path.basename(arquivo)}: ${lidas} linhas lidas`);
+  }
+
+  await gravarLote(pool, TABELAS[tipo], pendentes);
+  gravadas += pendentes.length;
+  return { lidas, gravadas };
+}
+
+// uf: só estabelecimentos dessa(s) UF(s) (o dump inteiro passa de 60 milhões de linhas)
+async function importarReceita(pool, dir, { ufs = [] } = {}) {
+  if (!fs.existsSync(dir)) throw new Error(`import-cnpj: pasta ${dir} não existe`);
+
+  const arquivos = fs.readdirSync(dir)
+    .map((nome) => ({ nome, tipo: tipoDoArquivo(nome) }))
+    .filter((a) => a.tipo && fs.statSync(path.join(dir, a.nome)).isFile())
+    .sort((a, b) => ORDEM_IMPORTACAO.indexOf(a.tipo) - ORDEM_IMPORTACAO.indexOf(b.tipo) || a.nome.localeCompare(b.nome));
+
+  if (!arquivos.length) {
+    throw new Error(`import-cnpj: nenhum arquivo da Receita em ${dir} (descompacte os .zip: *EMPRECSV, *ESTABELE, *SIMPLES...)`);
+  }
+
+  const filtroUf = ufs.length ? (r) => ufs.includes(r.uf) : undefined;
+  const totais = {};
+
+  for (const { nome, tipo } of arquivos) {
+    console.log(`📥 ${nome} -> ${TABELAS[tipo]}`);
+    const r = await importarArquivo(pool, path.join(dir, nome), tipo, {
+      filtro: tipo === 'estabelecimentos' ? filtroUf : undefined,
+    });
+    totais[tipo] = (totais[tipo] || 0) + r.gravadas;
+    console.log(`✅ ${nome}: ${r.gravadas}/${r.lidas} linhas gravadas`);
+  }
+
+  return totais;
+}
+
+/* =========================
+   CASAMENTO RECLAMADA -> CNPJ
+========================= */
+
+// candidatos: [{ cnpj_basico, razao_social, chave, nome_fantasia? }] -> { candidato, confianca } | null
+function escolherCnpj(nomeReclamada, candidatos) {
+  const chave = chaveEmpresa(nomeReclamada);
+  if (!chave || !candidatos.length) return null;
+
+  const avaliados = candidatos.map((c) => ({
+    candidato: c,
+    nota: Math.max(similaridade(chave, c.chave), c.nome_fantasia ? similaridade(chave, chaveEmpresa(c.nome_fantasia)) : 0),
+  }));
+  const melhorNota = Math.max(...avaliados.map((a) => a.nota));
+  const empatados = avaliados.filter((a) => a.nota === melhorNota);
+
+  // homônimos: a confiança cai pela metade a cada empresa ativa a mais com o mesmo nome
+  const ativos = empatados.filter((a) => a.candidato.situacao === '02');
+  const concorrentes = ativos.length ? ativos.length : empatados.length;
+  const confianca = melhorNota * 0.5 ** Math.min(concorrentes - 1, 3);
+  // entre homônimos prefere a ativa com estabelecimento matriz
+  const [escolhido] = empatados.sort((a, b) => pesoCadastral(b.candidato) - pesoCadastral(a.candidato));
+  return { candidato: escolhido.candidato, confianca: Math.round(confianca * 100) / 100 };
+}
+
+function pesoCadastral(c) {
+  return (c.situacao === '02' ? 2 : 0) + (c.matriz ? 1 : 0);
+}
+
+// empresas com a mesma chave ou, sem nenhuma, as que começam pela mesma palavra e são parecidas
+async function buscarCandidatos(pool, nomeReclamada, { limite = 200, notaMinima = 0.75, maxCandidatos = 20 } = {}) {
+  const chave = chaveEmpresa(nomeReclamada);
+  if (!chave) return [];
+
+  const [exatos] = await pool.query(
+    `SELECT e.cnpj_basico, e.razao_social, e.chave, e.porte
+     FROM cnpj_empresas e WHERE e.chave = ? LIMIT ?`,
+    [chave, limite]
+  );
+  let candidatos = exatos;
+
+  const [primeira] = chave.split(' ');
+  if (!exatos.length && primeira.length >= 4) {
+    const [parecidos] = await pool.query(
+      `SELECT e.cnpj_basico, e.razao_social, e.chave, e.porte
+       FROM cnpj_empresas e WHERE e.chave LIKE ? LIMIT ?`,
+      [`${primeira} %`, limite]
+    );
+    candidatos = parecidos
+      .map((c) => ({ c, nota: similaridade(chave, c.chave) }))
+      .filter((a) => a.nota >= notaMinima)
+      .sort((a, b) => b.nota - a.nota)
+      .slice(0, maxCandidatos)
+      .map((a) => a.c);
+  }
+
+  // dados cadastrais do melhor estabelecimento de cada empresa (ativo e matriz primeiro)
+  for (const c of candidatos) Object.assign(c, await melhorEstabelecimento(pool, { cnpjBasico: c.cnpj_basico }));
+  return candidatos;
+}
+
+async function melhorEstabelecimento(pool, { cnpjBasico, cnpj }) {
+  const [rows] = await pool.query(
+    `SELECT s.cnpj, s.matriz, s.nome_fantasia, s.situacao, s.cnae_principal, s.tipo_logradouro, s.logradouro,
+            s.numero, s.complemento, s.bairro, s.cep, s.uf, s.telefone1, s.telefone2, s.email,
+            m.nome AS municipio_nome, n.descricao AS cnae_descricao, sp.opcao_mei
+     FROM cnpj_estabelecimentos s
+     LEFT JOIN cnpj_municipios m ON m.codigo = s.municipio
+     LEFT JOIN cnpj_cnaes n ON n.codigo = s.cnae_principal
+     LEFT JOIN cnpj_simples sp ON sp.cnpj_basico = s.cnpj_basico
+     WHERE ${cnpj ? 's.cnpj = ?' : 's.cnpj_basico = ?'}
+     ORDER BY (s.situacao = '02') DESC, s.matriz DESC
+     LIMIT 1`,
+    [cnpj || cnpjBasico]
+  );
+  return rows[0] || {};
+}
+
+function formatarCnpj(cnpj) {
+  const d = String(cnpj || '').replace(/\D/g, '');
+  return d.length === 14 ? `${d.slice(0, 2)}.${d.slice(2, 5)}.${d.slice(5, 8)}/${d.slice(8, 12)}-${d.slice(12)}` : d;
+}
+
+function formatarTelefone(t) {
+  const d = String(t || '').replace(/\D/g, '');
+  return d.length > 2 ? `(${d.slice(0, 2)}) ${d.slice(2)}` : '';
+}
+
+function formatarEndereco(c) {
+  const rua = [c.tipo_logradouro, c.logradouro].filter(Boolean).join(' ');
+  const partes = [
+    [rua, c.numero].filter(Boolean).join(', '),
+    c.complemento,
+    c.bairro,
+    [c.municipio_nome, c.uf].filter(Boolean).join('/'),
+    c.cep ? `CEP ${c.cep}` : '',
+  ];
+  return partes.filter(Boolean).join(' - ');
+}
+
+// resultado do casamento -> colunas de RECEITA_HEADERS (uma reclamada)
+function colunasReceita(match) {
+  if (!match) return Object.fromEntries(RECEITA_HEADERS.map((h) => [h, '']));
+  const c = match.candidato;
+  return {
+    cnpjReceita: formatarCnpj(c.cnpj || c.cnpj_basico),
+    confiancaCnpj: match.confianca,
+    origemCnpj: match.origem,
+    razaoSocialReceita: c.razao_social || '',
+    porteReceita: c.opcao_mei === 'S' ? 'MEI' : PORTES[c.porte] || '',
+    cnaePrincipal: c.cnae_principal || '',
+    cnaeDescricao: c.cnae_descricao || '',
+    situacaoCadastral: SITUACOES[c.situacao] || '',
+    enderecoReceita: formatarEndereco(c),
+    telefoneReceita: [c.telefone1, c.telefone2].map(formatarTelefone).filter(Boolean).join(' / '),
+    emailReceita: c.email || '',
+  };
+}
+
+// várias rés no campo: uma entrada por ré, na mesma ordem de reclamadasNormalizadas
+function juntarColunas(lista) {
+  if (lista.length === 1) return lista[0];
+  return Object.fromEntries(RECEITA_HEADERS.map((h) => [h, lista.map((c) => c[h]).join('; ')]));
+}
+
+// RECEITA_CONFIANCA_MINIMA -> número entre 0 e 1; NaN desligaria o casamento sem aviso
+function lerConfiancaMinima(valor = CONFIANCA_MINIMA_PADRAO) {
+  const n = String(valor).trim() === '' ? NaN : Number(valor);
+  if (!Number.isFinite(n) || n < 0 || n > 1) {
+    throw new Error(`receita: RECEITA_CONFIANCA_MINIMA precisa ser um número entre 0 e 1 (veio "${valor}")`);
+  }
+  return n;
+}
+
+// rows ganham as colunas de RECEITA_HEADERS; devolve quantas rés foram casadas
+async function casarComReceita(pool, rows, { confiancaMinima = CONFIANCA_MINIMA_PADRAO } = {}) {
+  const cache = new Map();
+  let casadas = 0;
+
+  const casar = async (nome) => {
+    const chave = chaveEmpresa(nome);
+    if (!cache.has(chave)) {
+      const match = escolherCnpj(nome, await buscarCandidatos(pool, nome));
+      cache.set(chave, match && match.confianca >= confiancaMinima ? { ...match, origem: 'nome' } : null);
+    }
+    return cache.get(chave);
+  };
+
+  for (const row of rows) {
+    const { reclamadas } = separarReclamadas(row.reclamada);
+    const cnpjPje = String(row.cnpj || '').replace(/\D/g, '');
+
+    const colunas = [];
+    for (const [i, r] of reclamadas.entries()) {
+      let match = null;
+      // CNPJ do PJe é do polo passivo: só dá para atribuir com certeza quando há uma ré
+      if (i === 0 && reclamadas.length === 1 && cnpjPje.length === 14) {
+        const est = await melhorEstabelecimento(pool, { cnpj: cnpjPje });
+        if (est.cnpj) {
+          const [empresas] = await pool.query('SELECT razao_social, porte FROM cnpj_empresas WHERE cnpj_basico = ?', [cnpjPje.slice(0, 8)]);
+          const [empresa] = empresas;
+          match = { candidato: { ...empresa, ...est }, confianca: 1, origem: 'pje' };
+        }
+      }
+      if (!match) match = await casar(r.nome);
+      if (match) casadas++;
+      colunas.push(colunasReceita(match));
+    }
+
+    Object.assign(row, colunas.length ? juntarColunas(colunas) : colunasReceita(null));
+  }
+
+  return casadas;
+}
+
+async function receitaImportada(pool) {
+  const [rows] = await pool.query('SELECT 1 FROM cnpj_empresas LIMIT 1');
+  return rows.length > 0;
+}
+
+module.exports = {
+  RECEITA_HEADERS,
+  CONFIANCA_MINIMA_PADRAO,
+  tipoDoArquivo,
+  parseLinhaReceita,
+  MAPEAR,
+  ensureReceitaSchema,
+  importarReceita,
+  escolherCnpj,
+  colunasReceita,
+  lerConfiancaMinima,
+  casarComReceita,
+  receitaImportada,
+};
@@ -0,0 +1,214 @@
+/**
+ * Reclamadas: normalização de nomes, separação de várias rés e agrupamento
+ *
+ * O campo reclamada do JTe é texto livre: "ALFA LTDA - ME; BETA S/A E OUTROS",
+ * acentos e espaços inconsistentes, LTDA/LTDA-ME/EIRELI variando de uma
+ * pauta para outra. Aqui ele vira:
+ *
+ *   separarReclamadas(texto) -> { reclamadas: [{ nome, chave }], eOutros }
+ *     nome  = forma canônica para exibir ("ALFA COMÉRCIO LTDA ME", "BETA S.A.")
+ *     chave = chave estável da empresa: sem acento, sem pontuação, sem forma
+ *             jurídica, abreviações comuns expandidas ("ALFA COMERCIO")
+ *
+ *   agruparEmpresas(rows) -> um registro por chave, juntando variantes do nome,
+ *   processos, varas e datas (o comercial contata cada empresa uma vez só).
+ */
+
+// forma jurídica/porte: não ajuda a distinguir uma empresa da outra
+const SUFIXOS_SOCIETARIOS = ['LTDA', 'SA', 'EIRELI', 'ME', 'EPP', 'MEI', 'SS', 'CIA', 'EM RECUPERACAO JUDICIAL'];
+
+const ABREVIACOES = {
+  COM: 'COMERCIO',
+  COML: 'COMERCIAL',
+  IND: 'INDUSTRIA',
+  SERV: 'SERVICOS',
+  SERVS: 'SERVICOS',
+  ADM: 'ADMINISTRACAO',
+  DISTR: 'DISTRIBUIDORA',
+  EMP: 'EMPREENDIMENTOS',
+  PART: 'PARTICIPACOES',
+  CIA: 'COMPANHIA',
+  CO: 'COMPANHIA',
+};
+
+const PALAVRAS_VAZIAS = new Set(['DE', 'DA', 'DO', 'DAS', 'DOS', 'E']);
+
+// "E OUTROS", "e outra(s)", "(E OUTROS)" no fim do campo
+const RE_E_OUTROS = /[\s,;-]*\(?\s*\bE\s+OUTR[OA]S?(\(S\))?\s*\)?\.?\s*$/i;
+
+// separador entre duas rés logo depois de uma forma jurídica: "ALFA LTDA, BETA ME" / "ALFA LTDA E BETA S/A"
+// (roda depois de S/A, S A... virarem S.A.)
+const RE_FIM_DE_EMPRESA = /\b(LTDA|S\.A|EIRELI|EPP|ME|MEI)\.?(\s*,\s*|\s+E\s+|\s+-\s+|\s*\/\s*)(?=\S)/gi;
+const RE_COMECA_COM_SUFIXO = /^(LTDA|S\.A\.|EIRELI|EPP|ME|MEI)\b/i;
+
+const RE_SA = /\bS\s*[./ ]\s*A\b\.?/gi;
+
+/* =========================
+   NORMALIZAÇÃO
+========================= */
+
+function normalizarNome(nome) {
+  return String(nome ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\bS\s*[./ ]\s*A\b\.?/g, 'SA') // S.A. | S/A | S. A. | S A
+    .replace(/\./g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+// nome normalizado sem a forma jurídica no final ("ACME COMERCIO LTDA ME" -> "ACME COMERCIO")
+function nucleoDoNome(nome) {
+  let n = normalizarNome(nome);
+  for (let mudou = true; mudou;) {
+    mudou = false;
+    for (const s of SUFIXOS_SOCIETARIOS) {
+      if (n.endsWith(` ${s}`)) {
+        n = n.slice(0, -s.length - 1).trim();
+        mudou = true;
+      }
+    }
+  }
+  return n;
+}
+
+function chaveEmpresa(nome) {
+  return nucleoDoNome(nome)
+    .split(' ')
+    .map((t) => ABREVIACOES[t] || t)
+    .filter((t) => t && !PALAVRAS_VAZIAS.has(t))
+    .join(' ');
+}
+
+// "Alfa  Comércio Ltda. - ME" -> "ALFA COMÉRCIO LTDA ME" ; "Beta S/A" -> "BETA S.A."
+function nomeCanonico(texto) {
+  let nome = String(texto ?? '').toUpperCase().replace(/\s+/g, ' ').trim()
+    .replace(RE_SA, 'S.A.');
+
+  const sufixos = [];
+  for (let m; (m = nome.match(/[\s,\-–/]*\b(LTDA|S\.A\.|EIRELI|EPP|ME|MEI)\.?[\s,\-–.]*$/));) {
+    if (m.index === 0) break; // o nome inteiro não pode virar sufixo
+    sufixos.unshift(m[1]);
+    nome = nome.slice(0, m.index);
+  }
+
+  return [nome.replace(/[\s,\-–]+$/, ''), ...sufixos].filter(Boolean).join(' ');
+}
+
+/* =========================
+   SEPARAÇÃO DE VÁRIAS RÉS
+========================= */
+
+function quebrarDepoisDeSufixo(parte) {
+  const pedacos = [];
+  let inicio = 0;
+
+  for (const m of parte.matchAll(RE_FIM_DE_EMPRESA)) {
+    const fimSeparador = m.index + m[0].length;
+    // "LTDA - ME" / "LTDA, EPP": ainda é a mesma empresa
+    if (RE_COMECA_COM_SUFIXO.test(parte.slice(fimSeparador))) continue;
+
+    pedacos.push(parte.slice(inicio, m.index + m[0].length - m[2].length));
+    inicio = fimSeparador;
+  }
+  pedacos.push(parte.slice(inicio));
+  return pedacos;
+}
+
+function separarReclamadas(texto) {
+  let resto = String(texto ?? '').trim().replace(RE_SA, 'S.A.');
+
+  const eOutros = RE_E_OUTROS.test(resto);
+  if (eOutros) resto = resto.replace(RE_E_OUTROS, '');
+
+  const reclamadas = [];
+  const vistas = new Set();
+
+  for (const parte of resto.split(/\s*[;\n|]\s*/)) {
+    for (const pedaco of quebrarDepoisDeSufixo(parte)) {
+      const nome = nomeCanonico(pedaco);
+      const chave = chaveEmpresa(nome);
+      if (!chave || vistas.has(chave)) continue;
+      vistas.add(chave);
+      reclamadas.push({ nome, chave });
+    }
+  }
+
+  return { reclamadas, eOutros };
+}
+
+const RECLAMADA_HEADERS = ['reclamadasNormalizadas', 'chavesEmpresa', 'reclamadaEOutros'];
+
+function colunasReclamada(texto) {
+  const { reclamadas, eOutros } = separarReclamadas(texto);
+  return {
+    reclamadasNormalizadas: reclamadas.map((r) => r.nome).join('; '),
+    chavesEmpresa: reclamadas.map((r) => r.chave).join('; '),
+    reclamadaEOutros: eOutros ? 'SIM' : 'NÃO',
+  };
+}
+
+/* =========================
+   AGRUPAMENTO POR EMPRESA
+========================= */
+
+const EMPRESA_HEADERS = [
+  'chaveEmpresa', 'nome', 'variantes', 'totalProcessos', 'processos', 'tribunais', 'varas', 'datas', 'proximaAudiencia',
+];
+
+function isoDeBR(dataBR) {
+  return String(dataBR || '').split('/').reverse().join('-');
+}
+
+function agruparEmpresas(rows) {
+  const porChave = new Map();
+
+  for (const row of rows) {
+    for (const { nome, chave } of separarReclamadas(row.reclamada).reclamadas) {
+      let e = porChave.get(chave);
+      if (!e) {
+        e = { chave, variantes: new Map(), processos: new Set(), tribunais: new Set(), varas: new Set(), datas: new Set() };
+        porChave.set(chave, e);
+      }
+      e.variantes.set(nome, (e.variantes.get(nome) || 0) + 1);
+      if (row.numeroProcesso) e.processos.add(row.numeroProcesso);
+      if (row.tribunal) e.tribunais.add(row.tribunal);
+      if (row.vara) e.varas.add(row.vara);
+      if (row.data) e.datas.add(row.data);
+    }
+  }
+
+  const ordenarDatas = (datas) => [...datas].sort((a, b) => isoDeBR(a).localeCompare(isoDeBR(b)));
+
+  return [...porChave.values()]
+    .map((e) => {
+      // nome mais frequente; empate fica com o que apareceu primeiro
+      const variantes = [...e.variantes.entries()].sort((a, b) => b[1] - a[1]).map(([n]) => n);
+      const datas = ordenarDatas(e.datas);
+      return {
+        chaveEmpresa: e.chave,
+        nome: variantes[0],
+        variantes: variantes.join('; '),
+        totalProcessos: e.processos.size,
+        processos: [...e.processos].join('; '),
+        tribunais: [...e.tribunais].join('; '),
+        varas: [...e.varas].join('; '),
+        datas: datas.join('; '),
+        proximaAudiencia: datas[0] || '',
+      };
+    })
+    .sort((a, b) => b.totalProcessos - a.totalProcessos || a.nome.localeCompare(b.nome));
+}
+
+module.exports = {
+  RECLAMADA_HEADERS,
+  EMPRESA_HEADERS,
+  normalizarNome,
+  nucleoDoNome,
+  chaveEmpresa,
+  nomeCanonico,
+  separarReclamadas,
+  colunasReclamada,
+  agruparEmpresas,
+};
@@ -0,0 +1,191 @@
+/**
+ * Regras de descarte de reclamadas (config/regras.json)
+ *
+ * O objetivo é sobrar empresa pequena/média: bancos, grandes grupos e entes
+ * públicos saem da pauta antes do MySQL, do PJe e das planilhas, e vão para
+ * a saída "descartados" com a regra que casou.
+ *
+ * Ordem de avaliação (a primeira que casar decide):
+ *   permitidas         -> nunca descarta (nome exato, ignorando LTDA/S.A./ME...)
+ *   blacklist.exata    -> nome exato
+ *   blacklist.aproximada -> similaridade >= similaridadeMinima (erros de digitação, sufixos)
+ *   palavrasChave      -> termo inteiro dentro do nome ("BANCO", "S.A.", "MUNICIPIO DE")
+ *   entesPublicos      -> padrões embutidos de administração pública (true/false)
+ *
+ * Comparações ignoram acento, caixa e pontuação (lib/reclamadas.js). Com
+ * várias rés no campo, a linha só é descartada se todas caírem em alguma regra.
+ *
+ * env:
+ *   JTE_REGRAS=config/regras.json   ("nenhuma" = não descarta nada)
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizarNome, nucleoDoNome, separarReclamadas } = require('./reclamadas');
+
+const ARQUIVO_REGRAS_PADRAO = path.join(__dirname, '..', 'config', 'regras.json');
+
+const SIMILARIDADE_PADRAO = 0.9;
+
+const PADROES_ENTE_PUBLICO = [
+  /^(MUNICIPIO|PREFEITURA MUNICIPAL|PREFEITURA) (DE|DO|DA|DOS|DAS) /,
+  /^ESTADO (DE|DO|DA) /,
+  /^(DISTRITO FEDERAL|UNIAO|UNIAO FEDERAL)$/,
+  /\bUNIAO FEDERAL\b/,
+  /\bFAZENDA (PUBLICA|NACIONAL|DO ESTADO|ESTADUAL|MUNICIPAL)\b/,
+  /\bINSTITUTO NACIONAL DO SEGURO SOCIAL\b|^INSS$/,
+  /^(SECRETARIA|MINISTERIO|CAMARA MUNICIPAL|ASSEMBLEIA LEGISLATIVA|TRIBUNAL|AGENCIA NACIONAL) /,
+  /^CONSELHO (FEDERAL|REGIONAL) /,
+  /\bAUTARQUIA\b/,
+  /^EMPRESA BRASILEIRA DE CORREIOS\b/,
+];
+
+/* =========================
+   SIMILARIDADE
+========================= */
+
+function distanciaEdicao(a, b) {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo);
+    }
+    anterior = atual;
+  }
+  return anterior[b.length];
+}
+
+function similaridade(a, b) {
+  if (!a || !b) return 0;
+  return 1 - distanciaEdicao(a, b) / Math.max(a.length, b.length);
+}
+
+function contemTermo(nomeNormalizado, termoNormalizado) {
+  return termoNormalizado && ` ${nomeNormalizado} `.includes(` ${termoNormalizado} `);
+}
+
+/* =========================
+   CONFIGURAÇÃO
+========================= */
+
+function listaDeTextos(config, campo) {
+  const valor = campo.split('.').reduce((o, k) => (o == null ? o : o[k]), config);
+  if (valor == null) return [];
+  if (!Array.isArray(valor) || valor.some((v) => typeof v !== 'string')) {
+    throw new Error(`regras: "${campo}" precisa ser uma lista de textos`);
+  }
+  return valor;
+}
+
+function compilarRegras(config = {}) {
+  const similaridadeMinima = config.similaridadeMinima ?? SIMILARIDADE_PADRAO;
+  if (typeof similaridadeMinima !== 'number' || similaridadeMinima <= 0 || similaridadeMinima > 1) {
+    throw new Error('regras: "similaridadeMinima" precisa ser um número entre 0 e 1');
+  }
+
+  const comNucleo = (lista) => lista.map((original) => ({ original, nucleo: nucleoDoNome(original) })).filter((e) => e.nucleo);
+
+  return {
+    similaridadeMinima,
+    permitidas: new Set(listaDeTextos(config, 'permitidas').map(nucleoDoNome).filter(Boolean)),
+    exata: comNucleo(listaDeTextos(config, 'blacklist.exata')),
+    aproximada: comNucleo(listaDeTextos(config, 'blacklist.aproximada')),
+    palavrasChave: listaDeTextos(config, 'palavrasChave')
+      .map((original) => ({ original, termo: normalizarNome(original) }))
+      .filter((p) => p.termo),
+    entesPublicos: config.entesPublicos !== false,
+  };
+}
+
+function carregarRegras(arquivo = ARQUIVO_REGRAS_PADRAO) {
+  if (!arquivo) return compilarRegras({ entesPublicos: false });
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (err) {
+    throw new Error(`regras: não consegui ler ${arquivo} (${err.message})`);
+  }
+
+  const regras = compilarRegras(config);
+  regras.arquivo = arquivo;
+  return regras;
+}
+
+/* =========================
+   AVALIAÇÃO
+========================= */
+
+// -> null (mantém) | { regra, motivo }
+function avaliarReclamada(reclamada, regras) {
+  const nome = normalizarNome(reclamada);
+  if (!nome) return null;
+
+  const nucleo = nucleoDoNome(reclamada);
+  if (regras.permitidas.has(nucleo)) return null;
+
+  const exata = regras.exata.find((e) => e.nucleo === nucleo);
+  if (exata) return { regra: 'blacklist', motivo: `blacklist: "${exata.original}"` };
+
+  let melhor = null;
+  for (const e of regras.aproximada) {
+    const s = similaridade(nucleo, e.nucleo);
+    if (s >= regras.similaridadeMinima && (!melhor || s > melhor.s)) melhor = { e, s };
+  }
+  if (melhor) {
+    return {
+      regra: 'blacklistAproximada',
+      motivo: `parecido com "${melhor.e.original}" (${Math.round(melhor.s * 100)}%)`,
+    };
+  }
+
+  const palavra = regras.palavrasChave.find((p) => contemTermo(nome, p.termo));
+  if (palavra) return { regra: 'palavraChave', motivo: `palavra-chave "${palavra.original}"` };
+
+  if (regras.entesPublicos && PADROES_ENTE_PUBLICO.some((re) => re.test(nome))) {
+    return { regra: 'entePublico', motivo: 'ente público' };
+  }
+
+  return null;
+}
+
+// todas as rés do campo descartadas -> { regra, motivo } ; basta uma aproveitável para manter
+function avaliarLinha(row, regras) {
+  const { reclamadas } = separarReclamadas(row.reclamada);
+  if (!reclamadas.length) return null;
+  if (reclamadas.length === 1) return avaliarReclamada(reclamadas[0].nome, regras);
+
+  const resultados = reclamadas.map((r) => avaliarReclamada(r.nome, regras));
+  if (resultados.some((r) => !r)) return null;
+
+  return {
+    regra: [...new Set(resultados.map((r) => r.regra))].join(', '),
+    motivo: resultados.map((r, i) => `${reclamadas[i].nome}: ${r.motivo}`).join('; '),
+  };
+}
+
+// -> { mantidas, descartadas } ; descartadas ganham regraDescarte/motivoDescarte
+function separarLinhas(rows, regras) {
+  const mantidas = [];
+  const descartadas = [];
+
+  for (const row of rows) {
+    const r = avaliarLinha(row, regras);
+    if (r) descartadas.push({ ...row, regraDescarte: r.regra, motivoDescarte: r.motivo });
+    else mantidas.push(row);
+  }
+
+  return { mantidas, descartadas };
+}
+
+module.exports = {
+  ARQUIVO_REGRAS_PADRAO,
+  PADROES_ENTE_PUBLICO,
+  similaridade,
+  compilarRegras,
+  carregarRegras,
+  avaliarReclamada,
+  avaliarLinha,
+  separarLinhas,
+};
@@ -0,0 +1,261 @@
+/**
+ * Email da execução: HTML + texto a partir de templates editáveis
+ *
+ * config/email/ (ou outra pasta via JTE_EMAIL_TEMPLATES):
+ *   assunto.txt     -> assunto
+ *   relatorio.html  -> corpo HTML
+ *   relatorio.txt   -> corpo texto (clientes sem HTML)
+ *
+ * Sintaxe (pedaço do Mustache, sem dependência):
+ *   {{campo}}               valor (escapado no .html); campo.sub para objetos
+ *   {{{campo}}}             valor sem escapar
+ *   {{#lista}}...{{/lista}} repete para cada item; com valor simples, só mostra se verdadeiro
+ *   {{^lista}}...{{/lista}} mostra se vazio/falso
+ *
+ * Dentro de uma lista {{campo}} procura no item e depois fora dele; {{.}} é o
+ * próprio item. Os campos disponíveis são os de montarRelatorio.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DIR_TEMPLATES_PADRAO = path.join(__dirname, '..', 'config', 'email');
+const ARQUIVOS_TEMPLATE = { assunto: 'assunto.txt', html: 'relatorio.html', texto: 'relatorio.txt' };
+
+const TOP_LEADS_PADRAO = 10;
+const MAX_NOVIDADES_EMAIL = 50;
+
+/* =========================
+   TEMPLATE
+========================= */
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+|\.)\s*\}\}/g;
+
+// linha só com {{#x}}, {{^x}} ou {{/x}} some inteira (senão o .txt fica cheio de linhas em branco)
+const TAG_SOZINHA = /^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+// texto -> árvore de { texto } | { campo, cru } | { secao, invertida, filhos }
+function compilarTemplate(textoTemplate, nome = 'template') {
+  const template = textoTemplate.replace(TAG_SOZINHA, '$1');
+  const raiz = { filhos: [] };
+  const pilha = [raiz];
+  let pos = 0;
+
+  for (const m of template.matchAll(TAG)) {
+    const atual = pilha[pilha.length - 1];
+    if (m.index > pos) atual.filhos.push({ texto: template.slice(pos, m.index) });
+    pos = m.index + m[0].length;
+
+    if (m[1]) {
+      atual.filhos.push({ campo: m[1], cru: true });
+    } else if (m[2] === '#' || m[2] === '^') {
+      const secao = { secao: m[3], invertida: m[2] === '^', filhos: [] };
+      atual.filhos.push(secao);
+      pilha.push(secao);
+    } else if (m[2] === '/') {
+      if (atual.secao !== m[3]) {
+        throw new Error(`email: {{/${m[3]}}} sem {{#${m[3]}}} correspondente em ${nome}`);
+      }
+      pilha.pop();
+    } else {
+      atual.filhos.push({ campo: m[3], cru: false });
+    }
+  }
+
+  if (pilha.length > 1) throw new Error(`email: {{#${pilha[pilha.length - 1].secao}}} sem {{/…}} em ${nome}`);
+  if (pos < template.length) raiz.filhos.push({ texto: template.slice(pos) });
+  return raiz.filhos;
+}
+
+function escaparHtml(v) {
+  return String(v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function buscar(contextos, campo) {
+  if (campo === '.') return contextos[0];
+  const [primeiro, ...resto] = campo.split('.');
+  const ctx = contextos.find((c) => c && typeof c === 'object' && primeiro in c);
+  if (!ctx) return undefined;
+  return resto.reduce((v, p) => (v == null ? undefined : v[p]), ctx[primeiro]);
+}
+
+function renderizarNos(nos, contextos, html) {
+  let saida = '';
+  for (const no of nos) {
+    if (no.texto !== undefined) {
+      saida += no.texto;
+    } else if (no.secao) {
+      const v = buscar(contextos, no.secao);
+      const vazio = Array.isArray(v) ? v.length === 0 : !v;
+      if (no.invertida) {
+        if (vazio) saida += renderizarNos(no.filhos, contextos, html);
+      } else if (Array.isArray(v)) {
+        for (const item of v) saida += renderizarNos(no.filhos, [item, ...contextos], html);
+      } else if (!vazio) {
+        saida += renderizarNos(no.filhos, typeof v === 'object' ? [v, ...contextos] : contextos, html);
+      }
+    } else {
+      const v = buscar(contextos, no.campo);
+      const texto = v == null ? '' : String(v);
+      saida += html && !no.cru ? escaparHtml(texto) : texto;
+    }
+  }
+  return saida;
+}
+
+function renderizarTemplate(template, dados, { html = false, nome } = {}) {
+  const nos = typeof template === 'string' ? compilarTemplate(template, nome) : template;
+  return renderizarNos(nos, [dados], html);
+}
+
+// lê e compila os três arquivos: template quebrado falha antes do scrape
+function carregarTemplates(dir = DIR_TEMPLATES_PADRAO) {
+  const templates = { dir };
+  for (const [chave, arquivo] of Object.entries(ARQUIVOS_TEMPLATE)) {
+    const caminho = path.join(dir, arquivo);
+    let texto;
+    try {
+      texto = fs.readFileSync(caminho, 'utf8');
+    } catch (err) {
+      throw new Error(`email: não consegui ler ${caminho} (${err.message})`);
+    }
+    templates[chave] = compilarTemplate(texto, arquivo);
+  }
+  return templates;
+}
+
+/* =========================
+   DADOS DO RELATÓRIO
+========================= */
+
+function formatarDuracao(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(s / 3600);
+  const min = Math.floor((s % 3600) / 60);
+  if (h) return `${h} h ${min} min`;
+  if (min) return `${min} min ${s % 60} s`;
+  return `${s} s`;
+}
+
+function dataDeBR(dataBR) {
+  const [d, m, a] = String(dataBR).split('/').map(Number);
+  return new Date(a, m - 1, d);
+}
+
+function br(d) {
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+}
+
+// semana de segunda a domingo
+function semanaDe(dataBR) {
+  const d = dataDeBR(dataBR);
+  const segunda = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+  const domingo = new Date(segunda.getFullYear(), segunda.getMonth(), segunda.getDate() + 6);
+  return { inicio: segunda, rotulo: `${br(segunda).slice(0, 5)} a ${br(domingo)}` };
+}
+
+function contar(rows, chave) {
+  const contagem = new Map();
+  for (const r of rows) {
+    const k = chave(r);
+    contagem.set(k, (contagem.get(k) || 0) + 1);
+  }
+  return contagem;
+}
+
+function linhaDeNovidade(r) {
+  return [r.mudanca, [r.data, r.hora].filter(Boolean).join(' '), r.vara, r.numeroProcesso, r.reclamada, r.detalheMudanca]
+    .filter(Boolean)
+    .join(' | ');
+}
+
+/**
+ * Tudo o que os templates podem usar.
+ *
+ * entrada: { rows, leads, novidades, resumoMudancas (texto), totais: { linhas, empresas, descartadas },
+ *            varasComFalha: [{ vara, erro }], datasPuladas: [{ vara, data }], geradoEm (ISO),
+ *            duracaoMs, tribunais: ['TRT2'], anexo, topLeads }
+ */
+function montarRelatorio({
+  rows = [], leads = [], novidades = [], resumoMudancas = '', totais = {}, varasComFalha = [], datasPuladas = [],
+  geradoEm, duracaoMs = 0, tribunais = [], anexo = '', topLeads = TOP_LEADS_PADRAO,
+}) {
+  const porVara = [...contar(rows, (r) => `${r.tribunal}|${r.vara}`)]
+    .map(([k, total]) => ({ tribunal: k.split('|')[0], vara: k.split('|')[1], total }))
+    .sort((a, b) => b.total - a.total || a.vara.localeCompare(b.vara, 'pt-BR'));
+
+  const semanas = new Map();
+  for (const r of rows) {
+    const s = semanaDe(r.data);
+    const atual = semanas.get(s.rotulo) || { semana: s.rotulo, inicio: s.inicio, total: 0 };
+    atual.total++;
+    semanas.set(s.rotulo, atual);
+  }
+  const porSemana = [...semanas.values()].sort((a, b) => a.inicio - b.inicio).map(({ semana, total }) => ({ semana, total }));
+
+  const porTipo = [...contar(rows, (r) => r.tipoAudiencia || 'sem tipo')]
+    .map(([tipo, total]) => ({ tipo, total }))
+    .sort((a, b) => b.total - a.total || a.tipo.localeCompare(b.tipo, 'pt-BR'));
+
+  const top = leads.slice(0, topLeads).map((l) => ({
+    posicao: l.posicao,
+    score: l.score,
+    data: l.data,
+    hora: l.hora || '',
+    vara: l.vara,
+    numeroProcesso: l.numeroProcesso,
+    reclamada: l.reclamada,
+    fatores: l.fatores,
+    telefone: l.telefoneReceita || '',
+  }));
+
+  return {
+    tribunais: tribunais.join(', '),
+    geradoEm: geradoEm ? new Date(geradoEm).toLocaleString('pt-BR') : '',
+    duracao: formatarDuracao(duracaoMs),
+    anexo,
+    totais: {
+      linhas: totais.linhas ?? rows.length,
+      empresas: totais.empresas ?? 0,
+      descartadas: totais.descartadas ?? 0,
+      novidades: novidades.length,
+      leads: leads.length,
+      varas: porVara.length,
+    },
+    resumoMudancas,
+    porVara,
+    porSemana,
+    porTipo,
+    topLeads: top,
+    maisLeads: Math.max(0, leads.length - top.length),
+    novidades: novidades.slice(0, MAX_NOVIDADES_EMAIL).map((r) => ({ ...r, linha: linhaDeNovidade(r) })),
+    maisNovidades: Math.max(0, novidades.length - MAX_NOVIDADES_EMAIL),
+    varasComFalha,
+    datasPuladas,
+    temFalhas: varasComFalha.length + datasPuladas.length > 0,
+  };
+}
+
+function montarEmail(templates, dados) {
+  return {
+    subject: renderizarTemplate(templates.assunto, dados).replace(/\s+/g, ' ').trim(),
+    html: renderizarTemplate(templates.html, dados, { html: true }),
+    text: renderizarTemplate(templates.texto, dados),
+  };
+}
+
+module.exports = {
+  DIR_TEMPLATES_PADRAO,
+  TOP_LEADS_PADRAO,
+  compilarTemplate,
+  renderizarTemplate,
+  carregarTemplates,
+  formatarDuracao,
+  semanaDe,
+  montarRelatorio,
+  montarEmail,
+};
@@ -0,0 +1,119 @@
+/**
+ * Relatório estruturado de cada execução do scrape
+ *
+ * montarRelatorioExecucao junta o que se sabe no fim da execução (mesmo que
+ * ela tenha quebrado no meio) e classifica:
+ *
+ *   concluida  -> todas as varas e datas lidas
+ *   degradada  -> terminou, mas alguma vara falhou ou alguma data não foi encontrada
+ *   interrompida -> parada pedida (SIGTERM no daemon) depois de terminar a vara atual;
+ *                 o checkpoint fica aberto para --resume
+ *   falhou     -> exceção antes do fim (mensagem, stack e etapa em que parou)
+ *
+ * O relatório vai para output/relatorios/, para execucoes.relatorio no MySQL
+ * e, quando é "degradada" ou "falhou", para o email de alerta dos operadores
+ * (ALERT_MAIL_TO) com os dados parciais anexados.
+ */
+const fs = require('fs');
+const path = require('path');
+const { chaveUnidade } = require('./checkpoint');
+
+function rotulo(u) {
+  return `${u.tribunal} | ${u.municipio} | ${u.vara}`;
+}
+
+/**
+ * entrada:
+ *   runId, iniciadoEm (ISO), finalizadoEm (ISO, padrão agora), etapa
+ *   unidades, datas        -> escopo da execução (vazio se caiu antes de listar as varas)
+ *   concluidos             -> registros de concluidos.jsonl ({ tribunal, municipio, vara, data, status })
+ *   falhas                 -> [{ item: unidade, erro }] do executarPool
+ *   totalLinhas, totalDescartadas
+ *   erro                   -> exceção que derrubou a execução (null se terminou;
+ *                             code 'JTE_INTERROMPIDA' = parada pedida)
+ */
+function montarRelatorioExecucao({
+  runId = null, iniciadoEm, finalizadoEm = new Date().toISOString(), etapa = null,
+  unidades = [], datas = [], concluidos = [], falhas = [], totalLinhas = null, totalDescartadas = null, erro = null,
+}) {
+  const lidosPorUnidade = new Map();
+  const puladas = [];
+  for (const c of concluidos) {
+    const chave = chaveUnidade(c);
+    lidosPorUnidade.set(chave, (lidosPorUnidade.get(chave) || 0) + 1);
+    if (c.status === 'pulado') puladas.push({ vara: rotulo(c), data: c.data });
+  }
+
+  const comFalha = falhas.map((f) => ({ vara: rotulo(f.item), erro: f.erro?.message || String(f.erro) }));
+  const chavesComFalha = new Set(falhas.map((f) => chaveUnidade(f.item)));
+  const concluidas = unidades.filter((u) => (lidosPorUnidade.get(chaveUnidade(u)) || 0) >= datas.length).length;
+  const incompletas = unidades
+    .filter((u) => !chavesComFalha.has(chaveUnidade(u)) && (lidosPorUnidade.get(chaveUnidade(u)) || 0) < datas.length)
+    .map(rotulo);
+
+  let status = 'concluida';
+  if (erro?.code === 'JTE_INTERROMPIDA') status = 'interrompida';
+  else if (erro) status = 'falhou';
+  else if (comFalha.length || puladas.length || incompletas.length) status = 'degradada';
+
+  return {
+    runId,
+    status,
+    etapa,
+    iniciadoEm,
+    finalizadoEm,
+    duracaoMs: iniciadoEm ? new Date(finalizadoEm) - new Date(iniciadoEm) : null,
+    varas: { tentadas: unidades.length, concluidas, comFalha, incompletas },
+    datas: { alvo: datas.length, puladas },
+    pares: {
+      total: unidades.length * datas.length,
+      lidos: concluidos.filter((c) => c.status === 'ok').length,
+      pulados: puladas.length,
+    },
+    linhas: { extraidas: totalLinhas, descartadas: totalDescartadas },
+    erro: erro ? { mensagem: erro.message || String(erro), stack: erro.stack || null } : null,
+  };
+}
+
+function precisaAlerta(relatorio) {
+  return relatorio.status === 'degradada' || relatorio.status === 'falhou';
+}
+
+function relatorioEmTexto(r) {
+  const linhas = [
+    `Execução ${r.runId || '(sem checkpoint)'}: ${r.status.toUpperCase()}${r.etapa && r.status === 'falhou' ? ` na etapa "${r.etapa}"` : ''}`,
+    `Início: ${r.iniciadoEm || '-'} | Fim: ${r.finalizadoEm}${r.duracaoMs != null ? ` | ${Math.round(r.duracaoMs / 1000)} s` : ''}`,
+    `Varas: ${r.varas.concluidas}/${r.varas.tentadas} concluídas, ${r.varas.comFalha.length} com falha, ${r.varas.incompletas.length} incompletas`,
+    `Pares (vara, data): ${r.pares.lidos}/${r.pares.total} lidos, ${r.pares.pulados} datas não encontradas`,
+    `Linhas: ${r.linhas.extraidas ?? '-'} extraídas, ${r.linhas.descartadas ?? '-'} descartadas pelas regras`,
+  ];
+
+  if (r.varas.comFalha.length) {
+    linhas.push('', 'Varas com falha:', ...r.varas.comFalha.map((f) => `- ${f.vara}: ${f.erro}`));
+  }
+  if (r.varas.incompletas.length) {
+    linhas.push('', 'Varas não concluídas:', ...r.varas.incompletas.map((v) => `- ${v}`));
+  }
+  if (r.datas.puladas.length) {
+    linhas.push('', 'Datas não encontradas:', ...r.datas.puladas.map((p) => `- ${p.data} em ${p.vara}`));
+  }
+  if (r.erro) linhas.push('', `Erro: ${r.erro.mensagem}`, '', r.erro.stack || '');
+
+  return linhas.join('\n');
+}
+
+// output/relatorios/execucao_<runId>.json (sem runId: carimbo de hora)
+function gravarRelatorioExecucao(outDir, relatorio) {
+  const dir = path.join(outDir, 'relatorios');
+  fs.mkdirSync(dir, { recursive: true });
+  const arquivo = path.join(dir, `execucao_${relatorio.runId || Date.now()}.json`);
+  fs.writeFileSync(arquivo, JSON.stringify(relatorio, null, 2), 'utf8');
+  return arquivo;
+}
+
+module.exports = {
+  montarRelatorioExecucao,
+  precisaAlerta,
+  relatorioEmTexto,
+  gravarRelatorioExecucao,
+};
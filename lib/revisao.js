@@ -0,0 +1,221 @@
+/**
+ * Revisão de leads: status de atendimento, responsável e notas
+ *
+ *   novo -> em_contato -> convertido | descartado
+ *
+ * O estado é do processo (numeroProcesso), não da execução: a audiência raspada
+ * de novo, remarcada ou com status alterado continua com o status, o responsável
+ * e as notas que já tinha. Processo sem registro é "novo".
+ *
+ * Guardado nas tabelas leads_revisao + leads_notas (MySQL) ou em
+ * output/leads_revisao.json sem banco. Quem edita é a tela de leads da API
+ * (lib/api.js, public/leads.html); o scrape só lê, para a aba Leads priorizados.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const STATUS_REVISAO = ['novo', 'em_contato', 'convertido', 'descartado'];
+const STATUS_PADRAO = 'novo';
+// lead já trabalhado: não volta no email como oportunidade
+const STATUS_ENCERRADOS = ['convertido', 'descartado'];
+
+const TAMANHO_MAX = { responsavel: 128, autor: 128, nota: 4000 };
+
+/* =========================
+   VALIDAÇÃO
+========================= */
+
+function textoEm(valor, campo) {
+  if (valor == null) return '';
+  if (typeof valor !== 'string') throw new Error(`revisão: "${campo}" precisa ser texto`);
+  const texto = valor.trim();
+  if (texto.length > TAMANHO_MAX[campo]) throw new Error(`revisão: "${campo}" passa de ${TAMANHO_MAX[campo]} caracteres`);
+  return texto;
+}
+
+// corpo do PATCH -> { status?, responsavel?, nota, autor }; campo ausente fica como está
+function validarMudancaRevisao(corpo) {
+  const mudanca = { nota: textoEm(corpo?.nota, 'nota'), autor: textoEm(corpo?.autor, 'autor') || null };
+
+  if (corpo?.status !== undefined) {
+    if (!STATUS_REVISAO.includes(corpo.status)) {
+      throw new Error(`revisão: status "${corpo.status}" inválido (use ${STATUS_REVISAO.join(', ')})`);
+    }
+    mudanca.status = corpo.status;
+  }
+  // "" ou null tira o responsável
+  if (corpo?.responsavel !== undefined) mudanca.responsavel = textoEm(corpo.responsavel, 'responsavel');
+
+  if (mudanca.status === undefined && mudanca.responsavel === undefined && !mudanca.nota) {
+    throw new Error('revisão: nada para alterar (status, responsavel ou nota)');
+  }
+  return mudanca;
+}
+
+function revisaoVazia(numeroProcesso) {
+  return { numeroProcesso, status: STATUS_PADRAO, responsavel: '', criadoEm: null, atualizadoEm: null, atualizadoPor: null, totalNotas: 0 };
+}
+
+// junta o estado de revisão aos leads de pontuarLeads (colunas statusRevisao/responsavel)
+function aplicarRevisao(leads, revisoes) {
+  return leads.map((lead) => {
+    const r = revisoes.get(lead.numeroProcesso) || revisaoVazia(lead.numeroProcesso);
+    return {
+      ...lead,
+      statusRevisao: r.status,
+      responsavel: r.responsavel,
+      revisadoEm: r.atualizadoEm,
+      revisadoPor: r.atualizadoPor,
+      totalNotas: r.totalNotas,
+    };
+  });
+}
+
+function leadEmAberto(lead) {
+  return !STATUS_ENCERRADOS.includes(lead.statusRevisao);
+}
+
+/* =========================
+   ARQUIVO (sem MySQL)
+========================= */
+
+// { "<numeroProcesso>": { status, responsavel, criadoEm, atualizadoEm, atualizadoPor, notas: [...] } }
+function criarRevisaoArquivo(arquivo) {
+  const itens = fs.existsSync(arquivo) ? JSON.parse(fs.readFileSync(arquivo, 'utf8')) : {};
+
+  function salvar() {
+    fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+    const tmp = `${arquivo}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(itens, null, 2), 'utf8');
+    fs.renameSync(tmp, arquivo);
+  }
+
+  function registro(numeroProcesso) {
+    const { notas = [], ...resto } = itens[numeroProcesso];
+    return { ...revisaoVazia(numeroProcesso), ...resto, totalNotas: notas.length };
+  }
+
+  return {
+    origem: arquivo,
+    async carregar(numeros) {
+      return new Map(numeros.filter((n) => itens[n]).map((n) => [n, registro(n)]));
+    },
+    async notas(numeroProcesso) {
+      return itens[numeroProcesso]?.notas || [];
+    },
+    async atualizar(numeroProcesso, mudanca) {
+      const agora = new Date().toISOString();
+      const atual = itens[numeroProcesso] || { status: STATUS_PADRAO, responsavel: '', criadoEm: agora, notas: [] };
+      if (mudanca.status !== undefined) atual.status = mudanca.status;
+      if (mudanca.responsavel !== undefined) atual.responsavel = mudanca.responsavel;
+      if (mudanca.nota) atual.notas.push({ texto: mudanca.nota, autor: mudanca.autor, criadaEm: agora });
+      Object.assign(atual, { atualizadoEm: agora, atualizadoPor: mudanca.autor });
+
+      itens[numeroProcesso] = atual;
+      salvar();
+      return registro(numeroProcesso);
+    },
+  };
+}
+
+/* =========================
+   MYSQL
+========================= */
+
+async function ensureRevisaoSchema(pool) {
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS leads_revisao (
+  numeroProcesso VARCHAR(64) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'novo',
+  responsavel VARCHAR(128) NOT NULL DEFAULT '',
+  criadoEm DATETIME(3) NOT NULL,
+  atualizadoEm DATETIME(3) NOT NULL,
+  atualizadoPor VARCHAR(128) NULL,
+  PRIMARY KEY (numeroProcesso),
+  KEY ix_status (status),
+  KEY ix_responsavel (responsavel)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+  await pool.query(`
+CREATE TABLE IF NOT EXISTS leads_notas (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  numeroProcesso VARCHAR(64) NOT NULL,
+  texto TEXT NOT NULL,
+  autor VARCHAR(128) NULL,
+  criadaEm DATETIME(3) NOT NULL,
+  PRIMARY KEY (id),
+  KEY ix_processo (numeroProcesso, criadaEm)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`);
+}
+
+function revisaoDoBanco(r) {
+  return {
+    numeroProcesso: r.numeroProcesso,
+    status: r.status,
+    responsavel: r.responsavel || '',
+    criadoEm: r.criadoEm ? new Date(r.criadoEm).toISOString() : null,
+    atualizadoEm: r.atualizadoEm ? new Date(r.atualizadoEm).toISOString() : null,
+    atualizadoPor: r.atualizadoPor,
+    totalNotas: Number(r.totalNotas || 0),
+  };
+}
+
+function criarRevisaoMySql(pool) {
+  async function carregar(numeros) {
+    const revisoes = new Map();
+    // IN (?) com a pauta inteira: em blocos
+    for (let i = 0; i < numeros.length; i += 1000) {
+      const [rows] = await pool.query(
+        `SELECT r.*, (SELECT COUNT(*) FROM leads_notas n WHERE n.numeroProcesso = r.numeroProcesso) AS totalNotas
+           FROM leads_revisao r WHERE r.numeroProcesso IN (?)`,
+        [numeros.slice(i, i + 1000)],
+      );
+      for (const r of rows) revisoes.set(r.numeroProcesso, revisaoDoBanco(r));
+    }
+    return revisoes;
+  }
+
+  return {
+    origem: 'MySQL (leads_revisao)',
+    carregar,
+    async notas(numeroProcesso) {
+      const [rows] = await pool.query(
+        'SELECT texto, autor, criadaEm FROM leads_notas WHERE numeroProcesso = ? ORDER BY criadaEm, id',
+        [numeroProcesso],
+      );
+      return rows.map((r) => ({ texto: r.texto, autor: r.autor, criadaEm: new Date(r.criadaEm).toISOString() }));
+    },
+    async atualizar(numeroProcesso, mudanca) {
+      const agora = new Date();
+      const alterar = ['atualizadoEm = VALUES(atualizadoEm)', 'atualizadoPor = VALUES(atualizadoPor)'];
+      if (mudanca.status !== undefined) alterar.push('status = VALUES(status)');
+      if (mudanca.responsavel !== undefined) alterar.push('responsavel = VALUES(responsavel)');
+
+      await pool.query(
+        `INSERT INTO leads_revisao (numeroProcesso, status, responsavel, criadoEm, atualizadoEm, atualizadoPor)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE ${alterar.join(', ')}`,
+        [numeroProcesso, mudanca.status ?? STATUS_PADRAO, mudanca.responsavel ?? '', agora, agora, mudanca.autor],
+      );
+      if (mudanca.nota) {
+        await pool.query(
+          'INSERT INTO leads_notas (numeroProcesso, texto, autor, criadaEm) VALUES (?, ?, ?, ?)',
+          [numeroProcesso, mudanca.nota, mudanca.autor, agora],
+        );
+      }
+      return (await carregar([numeroProcesso])).get(numeroProcesso);
+    },
+  };
+}
+
+module.exports = {
+  STATUS_REVISAO,
+  validarMudancaRevisao,
+  revisaoVazia,
+  aplicarRevisao,
+  leadEmAberto,
+  criarRevisaoArquivo,
+  criarRevisaoMySql,
+  ensureRevisaoSchema,
+};
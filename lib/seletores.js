@@ -0,0 +1,349 @@
+/**
+ * Registro de seletores do JTe
+ *
+ * Todo seletor usado na navegação fica aqui, com uma lista ORDENADA de
+ * estratégias (test-id, role, texto, CSS, XPath). localizar() usa a primeira
+ * que encontrar algo na página; quando só um fallback casa, avisa uma vez no
+ * log: é sinal de que o JTe mudou o layout e o registro precisa de revisão.
+ *
+ * VERSAO_SELETORES muda a cada ajuste no registro e sai no relatório do
+ * doctor (node cli.js doctor), que testa todas as estratégias de cada passo.
+ *
+ * Estratégia: { tipo: 'testid' | 'role' | 'texto' | 'css' | 'xpath', valor }
+ *   valor pode ser uma função (params) => valor, para seletores que dependem
+ *   do tribunal/vara escolhidos. Seletores com opcional: true podem legitimamente
+ *   não existir na tela e não contam como falha no doctor.
+ */
+
+const VERSAO_SELETORES = '2026.10.2';
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "TRT15" casa com "TRT15 - Campinas" mas não com "TRT1 - Rio de Janeiro"
+function regexTribunal(tribunal) {
+  return new RegExp(`^\\s*${escapeRegExp(tribunal.trim())}(?=\\s|$)`, 'i');
+}
+
+// linha de botões da pauta: [anterior] [data] [próxima]
+const LINHA_DATA = '#main-content > ng-component:nth-child(3) > ion-content > div > div > ion-grid > ion-row:nth-child(2)';
+
+/* =========================
+   REGISTRO
+========================= */
+
+const SELETORES = {
+  tribunal: {
+    descricao: 'Card do tribunal na tela inicial',
+    estrategias: [
+      { tipo: 'texto', valor: (p) => regexTribunal(p.tribunal) },
+      { tipo: 'role', valor: (p) => ({ role: 'button', name: regexTribunal(p.tribunal) }) },
+    ],
+  },
+  moduloPauta: {
+    descricao: 'Card do módulo Pauta',
+    estrategias: [
+      { tipo: 'css', valor: 'ion-card-content.card-content-modulo:has-text("Pauta")' },
+      { tipo: 'role', valor: { role: 'button', name: /^\s*Pauta\s*$/i } },
+      { tipo: 'texto', valor: /^\s*Pauta\s*$/ },
+    ],
+  },
+  botaoUnidade: {
+    descricao: 'Botão de seleção da unidade (órgão)',
+    estrategias: [
+      { tipo: 'testid', valor: 'pautaButtonSelecaoUnidade' },
+      { tipo: 'role', valor: { role: 'button', name: /unidade|órgão/i } },
+    ],
+  },
+  tituloDialogoOrgao: {
+    descricao: 'Título do diálogo "Órgão"',
+    estrategias: [
+      { tipo: 'css', valor: 'h1.tituloSelecaoTribunal:has-text("Órgão")' },
+      { tipo: 'role', valor: { role: 'heading', name: /Órgão/i } },
+    ],
+  },
+  selectTipo: {
+    descricao: 'Select "tipo de unidade" do diálogo',
+    estrategias: [
+      { tipo: 'css', valor: 'mat-form-field[data-testid="selecaoTribunal"] mat-select' },
+      { tipo: 'role', valor: { role: 'combobox', name: /tipo/i } },
+    ],
+  },
+  selectMunicipio: {
+    descricao: 'Select "município" do diálogo',
+    estrategias: [
+      { tipo: 'css', valor: 'mat-form-field[data-testid="municipio"] mat-select' },
+      { tipo: 'role', valor: { role: 'combobox', name: /munic/i } },
+    ],
+  },
+  selectOrgao: {
+    descricao: 'Select "órgão" (vara) do diálogo',
+    estrategias: [
+      { tipo: 'css', valor: 'mat-form-field[data-testid="orgao"] mat-select' },
+      { tipo: 'role', valor: { role: 'combobox', name: /órgão|vara/i } },
+    ],
+  },
+  painelMatSelect: {
+    descricao: 'Painel de opções de um mat-select aberto',
+    estrategias: [
+      { tipo: 'css', valor: '.mat-mdc-select-panel' },
+      { tipo: 'role', valor: { role: 'listbox' } },
+    ],
+  },
+  opcaoMatSelect: {
+    descricao: 'Opção dentro do painel do mat-select',
+    estrategias: [
+      { tipo: 'css', valor: 'mat-option' },
+      { tipo: 'role', valor: { role: 'option' } },
+    ],
+  },
+  textoOpcaoMatSelect: {
+    descricao: 'Rótulo de uma opção do mat-select',
+    estrategias: [
+      { tipo: 'css', valor: '.mdc-list-item__primary-text' },
+    ],
+  },
+  botaoConfirmar: {
+    descricao: 'Botão "Confirmar" do diálogo',
+    estrategias: [
+      { tipo: 'testid', valor: 'ButtonConfirmar' },
+      { tipo: 'role', valor: { role: 'button', name: /confirmar/i } },
+    ],
+  },
+  botaoCancelar: {
+    descricao: 'Botão "Cancelar" do diálogo',
+    estrategias: [
+      { tipo: 'testid', valor: 'ButtonCancelar' },
+      { tipo: 'role', valor: { role: 'button', name: /cancelar/i } },
+    ],
+  },
+  botaoData: {
+    descricao: 'Botão com a data exibida na pauta',
+    estrategias: [
+      { tipo: 'testid', valor: 'pautaButtonData' },
+      { tipo: 'css', valor: `${LINHA_DATA} > ion-col:nth-child(2) > ion-button` },
+      { tipo: 'xpath', valor: '//*[@id="main-content"]/ng-component[3]/ion-content/div/div/ion-grid/ion-row[2]/ion-col[2]/ion-button' },
+      { tipo: 'css', valor: 'ion-button:text-matches("[0-9]{2}/[0-9]{2}/[0-9]{4}")' },
+    ],
+  },
+  botaoDataAnterior: {
+    descricao: 'Botão "dia anterior" da pauta',
+    estrategias: [
+      { tipo: 'css', valor: 'ion-col:has(+ ion-col [data-testid="pautaButtonData"]) ion-button' },
+      { tipo: 'role', valor: { role: 'button', name: /anterior|voltar/i } },
+      { tipo: 'css', valor: `${LINHA_DATA} > ion-col:nth-child(1) > ion-button` },
+    ],
+  },
+  botaoDataProxima: {
+    descricao: 'Botão "próximo dia" da pauta',
+    estrategias: [
+      { tipo: 'css', valor: 'ion-col:has([data-testid="pautaButtonData"]) + ion-col ion-button' },
+      { tipo: 'role', valor: { role: 'button', name: /pr[oó]xim|avan[cç]/i } },
+      { tipo: 'css', valor: `${LINHA_DATA} > ion-col:nth-child(3) > ion-button` },
+    ],
+  },
+  // calendário (mat-calendar) aberto pelo botaoData: só a estratégia 'calendario' depende dele
+  calendario: {
+    descricao: 'Calendário de seleção de data',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: 'mat-calendar' },
+      { tipo: 'css', valor: '.mat-datepicker-content' },
+    ],
+  },
+  calendarioPeriodo: {
+    descricao: 'Cabeçalho mês/ano do calendário',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: 'button.mat-calendar-period-button' },
+      { tipo: 'role', valor: { role: 'button', name: /(19|20)\d{2}/ } },
+    ],
+  },
+  calendarioAnterior: {
+    descricao: 'Botão "mês anterior" do calendário',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: 'button.mat-calendar-previous-button' },
+      { tipo: 'role', valor: { role: 'button', name: /anterior|previous/i } },
+    ],
+  },
+  calendarioProximo: {
+    descricao: 'Botão "próximo mês" do calendário',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: 'button.mat-calendar-next-button' },
+      { tipo: 'role', valor: { role: 'button', name: /pr[oó]ximo|next/i } },
+    ],
+  },
+  calendarioDia: {
+    descricao: 'Dia habilitado no calendário (td ou button, conforme a versão do Material)',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: '.mat-calendar-body-cell:not(.mat-calendar-body-disabled)' },
+      { tipo: 'role', valor: { role: 'gridcell' } },
+    ],
+  },
+  itemPauta: {
+    descricao: 'Audiência listada na pauta do dia',
+    opcional: true, // pauta do dia pode estar vazia
+    estrategias: [
+      { tipo: 'css', valor: 'ion-list ion-item' },
+    ],
+  },
+  carregando: {
+    descricao: 'Indicador de carregamento',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: 'ion-spinner, .mat-mdc-progress-spinner, .mat-mdc-progress-bar' },
+    ],
+  },
+  overlayBackdrop: {
+    descricao: 'Fundo de overlay/diálogo do Angular Material',
+    opcional: true,
+    estrategias: [
+      { tipo: 'css', valor: '.cdk-overlay-backdrop' },
+    ],
+  },
+};
+
+// campos dentro de cada itemPauta (lidos em page.evaluate, por isso só CSS)
+const CAMPOS_ITEM_PAUTA = {
+  hora: '.sessao',
+  status: '.palavrasRight',
+  numeroProcesso: '.JT-item-texto-negrito',
+  partes: '.item-desc-small.item-text-wrap',
+};
+
+/* =========================
+   RESOLUÇÃO
+========================= */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function definicao(nome) {
+  const def = SELETORES[nome];
+  if (!def) throw new Error(`Seletor desconhecido: ${nome}`);
+  return def;
+}
+
+function valorDe(estrategia, params) {
+  return typeof estrategia.valor === 'function' ? estrategia.valor(params) : estrategia.valor;
+}
+
+function construirLocator(raiz, estrategia, params = {}) {
+  const valor = valorDe(estrategia, params);
+
+  switch (estrategia.tipo) {
+    case 'testid': return raiz.getByTestId(valor);
+    case 'role': return raiz.getByRole(valor.role, valor.name ? { name: valor.name } : {});
+    case 'texto': return raiz.getByText(valor);
+    case 'css': return raiz.locator(valor);
+    case 'xpath': return raiz.locator(`xpath=${valor}`);
+    default: throw new Error(`Tipo de estratégia desconhecido: ${estrategia.tipo}`);
+  }
+}
+
+function descreverEstrategia(estrategia, params = {}) {
+  const valor = valorDe(estrategia, params);
+  if (estrategia.tipo === 'role') return `role=${valor.role}${valor.name ? ` name=${valor.name}` : ''}`;
+  return `${estrategia.tipo}=${valor}`;
+}
+
+// Todas as estratégias combinadas (locator.or): para esperas e contagens
+function seletor(raiz, nome, params = {}) {
+  return definicao(nome).estrategias
+    .map((e) => construirLocator(raiz, e, params))
+    .reduce((a, b) => a.or(b));
+}
+
+const fallbacksAvisados = new Set();
+
+async function primeiraQueCasa(raiz, estrategias, params) {
+  for (const e of estrategias) {
+    const loc = construirLocator(raiz, e, params);
+    if (await loc.count().catch(() => 0)) return loc;
+  }
+  return null;
+}
+
+/**
+ * Locator da primeira estratégia (na ordem do registro) que encontrar algo
+ * (.first(), ou todos os elementos com todos: true). Tenta de novo até
+ * timeoutMs; depois lança erro listando o que foi tentado.
+ */
+async function localizar(raiz, nome, { params = {}, timeoutMs = 20000, todos = false } = {}) {
+  const { estrategias } = definicao(nome);
+  const limite = Date.now() + timeoutMs;
+
+  for (;;) {
+    for (let i = 0; i < estrategias.length; i++) {
+      const loc = construirLocator(raiz, estrategias[i], params);
+      if (!(await loc.count().catch(() => 0))) continue;
+
+      // o elemento pode ter aparecido entre uma contagem e outra: confere as anteriores de novo
+      if (i > 0) {
+        const anterior = await primeiraQueCasa(raiz, estrategias.slice(0, i), params);
+        if (anterior) return todos ? anterior : anterior.first();
+      }
+
+      if (i > 0 && !fallbacksAvisados.has(nome)) {
+        fallbacksAvisados.add(nome);
+        console.warn(`⚠️ Seletor "${nome}" só casou pelo fallback ${descreverEstrategia(estrategias[i], params)} (rode node cli.js doctor)`);
+      }
+      return todos ? loc : loc.first();
+    }
+
+    if (Date.now() >= limite) break;
+    await sleep(250);
+  }
+
+  const tentadas = estrategias.map((e) => descreverEstrategia(e, params)).join(' | ');
+  throw new Error(`Seletor "${nome}" não encontrado (${tentadas})`);
+}
+
+// Igual a localizar, mas devolve null em vez de lançar
+async function localizarOuNull(raiz, nome, opts = {}) {
+  return localizar(raiz, nome, { timeoutMs: 0, ...opts }).catch(() => null);
+}
+
+/* =========================
+   DIAGNÓSTICO (doctor)
+========================= */
+
+// Conta quantos elementos cada estratégia encontra (sem parar na primeira)
+async function diagnosticarSeletor(raiz, nome, params = {}) {
+  const def = definicao(nome);
+  const estrategias = [];
+
+  for (const e of def.estrategias) {
+    const descricao = descreverEstrategia(e, params);
+    try {
+      const encontrados = await construirLocator(raiz, e, params).count();
+      estrategias.push({ tipo: e.tipo, descricao, encontrados });
+    } catch (err) {
+      estrategias.push({ tipo: e.tipo, descricao, encontrados: 0, erro: err.message });
+    }
+  }
+
+  const usada = estrategias.findIndex((e) => e.encontrados > 0);
+  let status = 'ok';
+  if (usada === -1) status = def.opcional ? 'ausente' : 'falhou';
+  else if (usada > 0) status = 'fallback';
+
+  return { nome, descricao: def.descricao, status, usada: usada === -1 ? null : usada, estrategias };
+}
+
+module.exports = {
+  VERSAO_SELETORES,
+  SELETORES,
+  CAMPOS_ITEM_PAUTA,
+  escapeRegExp,
+  regexTribunal,
+  seletor,
+  localizar,
+  localizarOuNull,
+  diagnosticarSeletor,
+};
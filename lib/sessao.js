@@ -0,0 +1,106 @@
+/**
+ * Sessão da audiência -> hora, tipo, modalidade e status
+ *
+ * O DOM do JTe junta hora e a etiqueta da direita ("09:30 - Inicial"); o JSON
+ * da rede traz tipo e situação separados, às vezes a modalidade. Tudo isso
+ * é quebrado em pedaços (" - ", "|", "/", parênteses, vírgula) e cada pedaço
+ * é reconhecido por vocabulário:
+ *
+ *   hora          09:30 (aceita 9h30)
+ *   tipoAudiencia Inicial, Una, Instrução, Conciliação, Julgamento, ...
+ *   modalidade    presencial | telepresencial | híbrida
+ *   status        designada, redesignada, adiada, cancelada, ...
+ *
+ * Pedaços que não casam com nada vão para sessaoBruta (vazia = tudo reconhecido).
+ */
+
+const SESSAO_HEADERS = ['hora', 'tipoAudiencia', 'modalidade', 'status', 'sessaoBruta'];
+
+// ordem importa: o primeiro que casar ganha ("Instrução e Julgamento" -> Instrução)
+const TIPOS = [
+  ['Inicial', /\b(INICIAL|INAUGURAL)\b/],
+  ['Una', /\bUNA\b/],
+  ['Instrução', /\bINSTRUCAO\b/],
+  ['Conciliação', /\b(CONCILIACAO|MEDIACAO|CEJUSC)\b/],
+  ['Julgamento', /\bJULGAMENTO\b/],
+  ['Encerramento', /\bENCERRAMENTO\b/],
+  ['Prosseguimento', /\bPROSSEGUIMENTO\b/],
+];
+
+const TIPOS_AUDIENCIA = TIPOS.map(([tipo]) => tipo);
+
+const MODALIDADES = [
+  ['híbrida', /\b(HIBRIDA|HIBRIDO|SEMIPRESENCIAL)\b/],
+  ['telepresencial', /\b(TELEPRESENCIAL|VIDEOCONFERENCIA|VIRTUAL|ONLINE|POR VIDEO)\b/],
+  ['presencial', /\bPRESENCIAL\b/],
+];
+
+const STATUS = [
+  ['redesignada', /\bREDESIGNAD[AO]\b/],
+  ['designada', /\b(DESIGNAD[AO]|AGENDAD[AO]|MARCAD[AO])\b/],
+  ['adiada', /\bADIAD[AO]\b/],
+  ['cancelada', /\b(CANCELAD[AO]|RETIRAD[AO] DE PAUTA)\b/],
+  ['realizada', /\bREALIZAD[AO]\b/],
+  ['suspensa', /\bSUSPENS[AO]\b/],
+  ['convertida', /\bCONVERTID[AO]\b/],
+];
+
+const RE_HORA = /\b([01]?\d|2[0-3])\s*(?::|H)\s*([0-5]\d)\b/;
+
+function normalizar(texto) {
+  return String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+}
+
+function reconhecer(lista, texto) {
+  const achado = lista.find(([, re]) => re.test(texto));
+  return achado ? achado[0] : '';
+}
+
+function pedacos(texto) {
+  return String(texto ?? '')
+    .replace(/\u00a0/g, ' ')
+    .split(/\s+-\s+|[|/,;()]/)
+    .map((p) => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// { sessao, tipoPauta, situacaoPauta, modalidadePauta } (linha da pauta ou processo extraído)
+function analisarSessao({ sessao, tipoPauta, situacaoPauta, modalidadePauta } = {}) {
+  const r = { hora: '', tipoAudiencia: '', modalidade: '', status: '', sessaoBruta: '' };
+  const naoReconhecidos = [];
+
+  // campos dedicados do JSON primeiro: são mais confiáveis que a etiqueta do DOM
+  const textos = [tipoPauta, situacaoPauta, modalidadePauta, sessao];
+  const vistos = new Set();
+
+  for (const pedaco of textos.flatMap(pedacos)) {
+    const n = normalizar(pedaco);
+    if (vistos.has(n)) continue;
+    vistos.add(n);
+
+    let reconhecido = false;
+    const hora = n.match(RE_HORA);
+    if (hora) {
+      if (!r.hora) r.hora = `${hora[1].padStart(2, '0')}:${hora[2]}`;
+      reconhecido = true;
+    }
+
+    for (const [campo, lista] of [['tipoAudiencia', TIPOS], ['modalidade', MODALIDADES], ['status', STATUS]]) {
+      const valor = reconhecer(lista, n);
+      if (!valor) continue;
+      if (!r[campo]) r[campo] = valor;
+      reconhecido = true;
+    }
+
+    if (!reconhecido) naoReconhecidos.push(pedaco);
+  }
+
+  r.sessaoBruta = naoReconhecidos.join(' | ');
+  return r;
+}
+
+module.exports = {
+  SESSAO_HEADERS,
+  TIPOS_AUDIENCIA,
+  analisarSessao,
+};
@@ -0,0 +1,102 @@
+/**
+ * Trava de execução (output/jte.lock)
+ *
+ * Garante um scrape por vez na mesma pasta de saída, venha ele do daemon ou
+ * de um `node cli.js scrape` manual. O arquivo guarda quem está rodando:
+ * { pid, host, desde, origem }. É gravado inteiro num temporário e posto no
+ * lugar com link(), que falha se a trava já existe: ninguém vê a trava vazia.
+ *
+ * Trava de um processo que morreu sem liberar (kill -9, queda da máquina) é
+ * removida na próxima tentativa, desde que seja do mesmo host; de outro host
+ * (pasta compartilhada) não dá para saber, então só apagando à mão. Trava
+ * ilegível (versão antiga caiu entre criar e escrever) só é removida depois de
+ * TRAVA_ILEGIVEL_MS sem mudar.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NOME_TRAVA = 'jte.lock';
+const TRAVA_ILEGIVEL_MS = 10000;
+
+function lerTrava(arquivo) {
+  try {
+    return JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function processoVivo(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function travaAbandonada(arquivo, dono) {
+  if (!dono) {
+    // vazia ou corrompida: pode estar sendo escrita agora; sumiu = outro já liberou ou removeu
+    const mtime = fs.statSync(arquivo, { throwIfNoEntry: false })?.mtimeMs;
+    return mtime !== undefined && Date.now() - mtime > TRAVA_ILEGIVEL_MS;
+  }
+  return dono.host === os.hostname() && !processoVivo(dono.pid);
+}
+
+function erroTravada(arquivo, dono) {
+  const err = new Error(
+    `Outra execução em andamento (pid ${dono?.pid ?? '?'} em ${dono?.host ?? '?'}, desde ${dono?.desde ?? '?'}` +
+    `${dono?.origem ? `, ${dono.origem}` : ''}). Trava: ${arquivo}`,
+  );
+  err.code = 'JTE_TRAVADA';
+  err.dono = dono;
+  return err;
+}
+
+/**
+ * Cria <dir>/jte.lock ou lança erro code 'JTE_TRAVADA' (err.dono = quem está rodando).
+ * Retorna { arquivo, liberar() }; a trava também sai se o processo terminar sem liberar.
+ */
+function adquirirTrava(dir, { origem = null } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const arquivo = path.join(dir, NOME_TRAVA);
+  const dados = { pid: process.pid, host: os.hostname(), desde: new Date().toISOString(), origem };
+  const tmp = `${arquivo}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(dados), 'utf8');
+
+  try {
+    for (let tentativa = 1; ; tentativa++) {
+      try {
+        fs.linkSync(tmp, arquivo);
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      const dono = lerTrava(arquivo);
+      if (tentativa > 1 || !travaAbandonada(arquivo, dono)) throw erroTravada(arquivo, dono);
+
+      console.warn(`⚠️ Removendo trava abandonada (${dono ? `pid ${dono.pid} não está rodando` : 'ilegível'}): ${arquivo}`);
+      fs.rmSync(arquivo, { force: true });
+    }
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+
+  const liberar = () => {
+    process.removeListener('exit', liberar);
+    // só apaga se ainda for nossa
+    if (lerTrava(arquivo)?.pid === process.pid) fs.rmSync(arquivo, { force: true });
+  };
+  process.on('exit', liberar);
+
+  return { arquivo, liberar };
+}
+
+module.exports = {
+  NOME_TRAVA,
+  lerTrava,
+  adquirirTrava,
+};
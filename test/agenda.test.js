@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ARQUIVO_AGENDA_PADRAO, compilarCron, proximaExecucao, compilarAgenda, carregarAgenda } = require('../lib/agenda');
+
+// horário local, como o daemon usa
+function em(aaaa, mm, dd, hh = 0, mi = 0) {
+  return new Date(aaaa, mm - 1, dd, hh, mi);
+}
+
+test('compilarCron: *, listas, faixas, passos e domingo como 0 ou 7', () => {
+  const c = compilarCron('*/15 8-10,14 * * 7');
+  assert.deepEqual([...c.minuto], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hora], [8, 9, 10, 14]);
+  assert.ok(c.diaSemana.has(0));
+
+  assert.deepEqual([...compilarCron('5/20 * * * *').minuto], [5, 25, 45]);
+  assert.throws(() => compilarCron('0 3 * *'), /5 campos/);
+  assert.throws(() => compilarCron('0 24 * * *'), /campo hora inválido/);
+  assert.throws(() => compilarCron('0 3 * * seg'), /campo diaSemana inválido/);
+});
+
+test('proximaExecucao: semanal, dias úteis e virada de mês/ano', () => {
+  // 19/10/2026 é segunda
+  const semanal = compilarCron('0 3 * * 1');
+  assert.deepEqual(proximaExecucao(semanal, em(2026, 10, 19, 2, 59)), em(2026, 10, 19, 3, 0));
+  assert.deepEqual(proximaExecucao(semanal, em(2026, 10, 19, 3, 0)), em(2026, 10, 26, 3, 0), 'estritamente depois');
+
+  const diario = compilarCron('30 6 * * 2-5');
+  assert.deepEqual(proximaExecucao(diario, em(2026, 10, 23, 7, 0)), em(2026, 10, 27, 6, 30), 'sexta depois do horário -> terça');
+
+  assert.deepEqual(proximaExecucao(compilarCron('0 0 1 1 *'), em(2026, 10, 19)), em(2027, 1, 1));
+  assert.deepEqual(proximaExecucao(compilarCron('0 12 29 2 *'), em(2026, 10, 19)), em(2028, 2, 29, 12, 0));
+});
+
+test('proximaExecucao: dia e dia-da-semana restritos valem um OU outro', () => {
+  // dia 1 ou qualquer sexta
+  const c = compilarCron('0 8 1 * 5');
+  assert.deepEqual(proximaExecucao(c, em(2026, 10, 19)), em(2026, 10, 23, 8, 0));
+  assert.deepEqual(proximaExecucao(c, em(2026, 10, 30, 9, 0)), em(2026, 11, 1, 8, 0));
+  assert.equal(proximaExecucao(compilarCron('0 0 30 2 *'), em(2026, 10, 19)), null);
+});
+
+test('compilarAgenda: config/agenda.json válida e erros de configuração', () => {
+  const agenda = carregarAgenda(ARQUIVO_AGENDA_PADRAO);
+  assert.deepEqual(agenda.agendamentos.map((a) => a.nome), ['semanal', 'diario']);
+  assert.deepEqual(agenda.agendamentos[1].opcoes, { from: '+1', to: '+7', 'skip-email': true });
+
+  assert.throws(() => compilarAgenda({}), /"agendamentos" precisa ser uma lista/);
+  assert.throws(() => compilarAgenda({ agendamentos: [{ nome: 'a', cron: '0 3 * * *' }, { nome: 'a', cron: '0 4 * * *' }] }), /"a" repetido/);
+  assert.throws(() => compilarAgenda({ agendamentos: [{ nome: 'fev', cron: '0 0 30 2 *' }] }), /nunca dispara/);
+  assert.throws(() => compilarAgenda({ agendamentos: [{ nome: 'x', cron: '0 3 * * *', opcoes: ['--from'] }] }), /precisa ser um objeto/);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jte = require('../index');
+const { criarServidorApi, parseFiltros } = require('../lib/api');
+const { iniciarCheckpoint, registrarPar, finalizarCheckpoint } = require('../lib/checkpoint');
+const { carregarRegras } = require('../lib/regras');
+const { adquirirTrava } = require('../lib/trava');
+
+const UNIDADE = { tribunal: 'TRT2 - São Paulo', municipio: 'São Paulo', vara: '1ª Vara do Trabalho de São Paulo' };
+
+function linha(numeroProcesso, data, extras = {}) {
+  return {
+    ...UNIDADE,
+    data,
+    numeroProcesso,
+    hora: '09:00',
+    tipoAudiencia: 'Inicial',
+    juiz: 'Dra. Ana Souza',
+    reclamante: 'FULANO',
+    reclamada: 'PADARIA ALFA LTDA',
+    ...extras,
+  };
+}
+
+async function escutar(t, servidor) {
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+  t.after(() => servidor.close());
+  return `http://127.0.0.1:${servidor.address().port}`;
+}
+
+test('criarServidorApi: filtros e paginação, erros em JSON, token e download', async (t) => {
+  const pedidos = [];
+  const arquivoCsv = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jte-api-')), 'pauta.csv');
+  const servicos = {
+    consultarPautas: async (filtros) => {
+      pedidos.push(filtros);
+      return { total: 120, itens: [{ numeroProcesso: '1' }] };
+    },
+    exportarPautas: async (filtros, formato) => {
+      pedidos.push({ ...filtros, formato });
+      fs.writeFileSync(arquivoCsv, 'numeroProcesso\n1\n');
+      return arquivoCsv;
+    },
+    iniciarExecucao: () => {
+      throw Object.assign(new Error('Outra execução em andamento'), { status: 409 });
+    },
+  };
+  const base = await escutar(t, criarServidorApi(servicos, { token: 'segredo' }));
+  const get = (url, opts = {}) => fetch(`${base}${url}`, { headers: { Authorization: 'Bearer segredo' }, ...opts });
+
+  assert.equal((await fetch(`${base}/api/pautas`)).status, 401);
+
+  let r = await get('/api/pautas?de=01/11/2026&ate=2026-11-30&vara=%201%C2%AA%20Vara&tipo=Inicial&pagina=2&porPagina=50');
+  assert.equal(r.status, 200);
+  assert.deepEqual(await r.json(), { total: 120, pagina: 2, porPagina: 50, paginas: 3, itens: [{ numeroProcesso: '1' }] });
+  assert.deepEqual(pedidos[0], {
+    de: '2026-11-01', ate: '2026-11-30', vara: '1ª Vara', juiz: null, reclamada: null, tipo: 'Inicial', pagina: 2, porPagina: 50,
+  });
+
+  // tipo vai para o serviço como gravado na pauta: o MySQL compara com =
+  await get('/api/pautas?tipo=instrucao');
+  assert.equal(pedidos[1].tipo, 'Instrução');
+
+  r = await get('/api/pautas?de=31-12-2026');
+  assert.equal(r.status, 400);
+  assert.match((await r.json()).erro, /de: data inválida/);
+  assert.equal((await get('/api/pautas?porPagina=5000')).status, 400);
+  assert.equal((await get('/api/nada')).status, 404);
+  assert.equal((await get('/api/pautas', { method: 'DELETE' })).status, 405);
+
+  r = await get('/api/execucoes', { method: 'POST', body: '{"agendamento":"diario"}' });
+  assert.equal(r.status, 409);
+  assert.deepEqual(await r.json(), { erro: 'Outra execução em andamento' });
+  assert.equal((await get('/api/execucoes', { method: 'POST', body: '[1]' })).status, 400);
+
+  r = await get('/api/pautas.csv?reclamada=padaria&pagina=9');
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-disposition'), /attachment; filename="pauta\.csv"/);
+  assert.equal(await r.text(), 'numeroProcesso\n1\n');
+  assert.equal(pedidos[2].porPagina, null, 'download traz o resultado inteiro');
+  assert.equal(pedidos[2].formato, 'csv');
+  // apagado quando a resposta termina do lado do servidor, logo depois de o cliente ler
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(fs.existsSync(arquivoCsv), false, 'arquivo temporário apagado depois do envio');
+});
+
+test('criarServicosApi sem MySQL: pautas do último checkpoint, execuções, progresso e disparo', async (t) => {
+  t.mock.method(console, 'log', () => { });
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jte-api-'));
+  const checkpointDir = path.join(outDir, 'checkpoints');
+
+  const ckpt = iniciarCheckpoint(checkpointDir, { geradoEm: '2026-10-19T08:00:00.000Z', unidades: [UNIDADE], datas: ['03/11/2026', '04/11/2026'] });
+  registrarPar(ckpt, UNIDADE, '04/11/2026', [
+    linha('0000002-00.2026.5.02.0001', '04/11/2026', { hora: '10:00', tipoAudiencia: 'Una', juiz: 'Dr. João Lima' }),
+  ]);
+  registrarPar(ckpt, UNIDADE, '03/11/2026', [
+    linha('0000001-00.2026.5.02.0001', '03/11/2026'),
+    linha('0000003-00.2026.5.02.0001', '03/11/2026', { hora: '08:30', reclamada: 'CONSTRUTORA BETA S/A' }),
+  ]);
+  finalizarCheckpoint(ckpt, { status: 'concluida', totalLinhas: 3 });
+
+  let resolver;
+  const servicos = jte.criarServicosApi({
+    outDir,
+    regras: carregarRegras(null),
+    iniciarScrape: () => new Promise((resolve) => { resolver = resolve; }),
+  });
+
+  let r = await servicos.consultarPautas({ de: null, ate: null, vara: null, juiz: 'JOAO', reclamada: null, tipo: null, pagina: 1, porPagina: 50 });
+  assert.deepEqual(r.itens.map((l) => l.numeroProcesso), ['0000002-00.2026.5.02.0001'], 'juiz sem acento/maiúscula');
+
+  r = await servicos.consultarPautas({ de: '2026-11-03', ate: '2026-11-03', vara: 'vara do trabalho', juiz: null, reclamada: null, tipo: 'inicial', pagina: 2, porPagina: 1 });
+  assert.equal(r.total, 2);
+  assert.deepEqual(r.itens.map((l) => l.numeroProcesso), ['0000001-00.2026.5.02.0001'], 'ordem por data e hora');
+
+  r = await servicos.consultarPautas(parseFiltros(new URLSearchParams('tipo=una')));
+  assert.deepEqual(r.itens.map((l) => l.numeroProcesso), ['0000002-00.2026.5.02.0001']);
+  assert.equal(parseFiltros(new URLSearchParams('tipo=CONCILIACAO')).tipo, 'Conciliação');
+  assert.equal(parseFiltros(new URLSearchParams('tipo=Outro')).tipo, 'Outro', 'tipo desconhecido passa como veio');
+
+  const arquivo = await servicos.exportarPautas({ de: null, ate: null, vara: null, juiz: null, reclamada: 'beta', tipo: null }, 'csv');
+  const csv = fs.readFileSync(arquivo, 'utf8').slice(1).trim().split('\n');
+  assert.equal(csv[0], jte.HEADERS_PAUTA.join(';'));
+  assert.equal(csv.length, 2);
+
+  // relatório gravado pelo scrape fica disponível por runId
+  fs.mkdirSync(path.join(outDir, 'relatorios'));
+  fs.writeFileSync(path.join(outDir, 'relatorios', `execucao_${ckpt.estado.runId}.json`), JSON.stringify({ runId: ckpt.estado.runId, status: 'concluida' }));
+  assert.equal((await servicos.execucao(ckpt.estado.runId)).status, 'concluida');
+  assert.equal(await servicos.execucao('999'), null);
+
+  // execução em andamento: checkpoint aberto + trava
+  const aberto = iniciarCheckpoint(checkpointDir, { geradoEm: '2026-10-20T08:00:00.000Z', unidades: [UNIDADE], datas: ['03/11/2026', '04/11/2026'] });
+  registrarPar(aberto, UNIDADE, '03/11/2026', []);
+  const trava = adquirirTrava(outDir, { origem: 'daemon:diario' });
+  try {
+    const execucoes = await servicos.listarExecucoes({ limite: 10 });
+    assert.deepEqual(execucoes.map((e) => [e.runId, e.status]), [[aberto.estado.runId, 'em_andamento'], [ckpt.estado.runId, 'concluida']]);
+
+    const p = servicos.progresso();
+    assert.equal(p.emAndamento, true);
+    assert.equal(p.trava.origem, 'daemon:diario');
+    assert.deepEqual([p.checkpoint.runId, p.checkpoint.paresConcluidos, p.checkpoint.percentual], [aberto.estado.runId, 1, 50]);
+
+    assert.throws(() => servicos.iniciarExecucao({}), { status: 409 });
+  } finally {
+    trava.liberar();
+  }
+
+  const execucao = servicos.iniciarExecucao({ agendamento: 'diario' });
+  assert.equal(execucao.status, 'em_andamento');
+  assert.throws(() => servicos.iniciarExecucao({}), /iniciado pela API em andamento/);
+  resolver({ status: 'degradada', relatorioPath: '/tmp/r.json' });
+  await new Promise((r2) => setImmediate(r2));
+  assert.equal(servicos.progresso().ultimaDaApi.status, 'degradada');
+  assert.ok(servicos.progresso().ultimaDaApi.finalizadaEm);
+});
+
+test('leads: tela pública, PATCH com token e revisão que continua na próxima execução', async (t) => {
+  t.mock.method(console, 'log', () => { });
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jte-api-'));
+  const ckpt = iniciarCheckpoint(path.join(outDir, 'checkpoints'), { geradoEm: '2026-10-19T08:00:00.000Z', unidades: [UNIDADE], datas: ['03/11/2026'] });
+  registrarPar(ckpt, UNIDADE, '03/11/2026', [
+    linha('0000001-00.2026.5.02.0001', '03/11/2026'),
+    linha('0000002-00.2026.5.02.0001', '03/11/2026', { reclamada: 'CONSTRUTORA BETA S/A', tipoAudiencia: 'Julgamento' }),
+  ]);
+  finalizarCheckpoint(ckpt, { status: 'concluida', totalLinhas: 2 });
+
+  const servicos = () => jte.criarServicosApi({ outDir, regras: carregarRegras(null) });
+  const base = await escutar(t, criarServidorApi(servicos(), { token: 'segredo' }));
+  const pedir = (url, opts = {}) => fetch(`${base}${url}`, { ...opts, headers: { Authorization: 'Bearer segredo', ...opts.headers } });
+
+  let r = await fetch(`${base}/`);
+  assert.equal(r.status, 200, 'a tela não precisa de token');
+  assert.match(r.headers.get('content-type'), /text\/html/);
+  assert.match(await r.text(), /\/api\/leads/);
+  assert.equal((await fetch(`${base}/api/leads`)).status, 401);
+
+  r = await pedir('/api/leads?status=novo');
+  const { total, itens } = await r.json();
+  assert.equal(total, 2);
+  assert.deepEqual(itens.map((l) => [l.numeroProcesso.slice(0, 7), l.statusRevisao]), [['0000001', 'novo'], ['0000002', 'novo']], 'ordem do score');
+
+  const patch = (numero, corpo) => pedir(`/api/leads/${numero}`, { method: 'PATCH', body: JSON.stringify(corpo) });
+  r = await patch('0000001-00.2026.5.02.0001', { status: 'em_contato', responsavel: 'Ana', nota: 'pediu proposta', autor: 'Ana' });
+  assert.equal(r.status, 200);
+  assert.equal((await r.json()).responsavel, 'Ana');
+  assert.equal((await patch('0000002-00.2026.5.02.0001', { status: 'ganho' })).status, 400);
+  assert.equal((await pedir('/api/leads?status=ganho')).status, 400);
+
+  r = await pedir('/api/leads/0000001-00.2026.5.02.0001');
+  assert.deepEqual((await r.json()).notas.map((n) => n.texto), ['pediu proposta']);
+
+  // outro processo (ex.: depois de reiniciar o serve) lê o mesmo estado
+  const novos = await servicos().consultarLeads({
+    de: null, ate: null, vara: null, juiz: null, reclamada: null, tipo: null, status: ['novo'], responsavel: null, scoreMinimo: null, pagina: 1, porPagina: 50,
+  });
+  assert.deepEqual(novos.itens.map((l) => l.numeroProcesso.slice(0, 7)), ['0000002']);
+  const daAna = await servicos().consultarLeads({
+    de: null, ate: null, vara: null, juiz: null, reclamada: null, tipo: null, status: null, responsavel: 'ana', scoreMinimo: null, pagina: 1, porPagina: 50,
+  });
+  assert.deepEqual(daAna.itens.map((l) => [l.statusRevisao, l.totalNotas]), [['em_contato', 1]]);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  iniciarCheckpoint,
+  retomarCheckpoint,
+  ultimoCheckpointFinalizado,
+  parConcluido,
+  unidadeConcluida,
+  registrarPar,
+  lerLinhasCheckpoint,
+  resumoCheckpoint,
+  paresPulados,
+  finalizarCheckpoint,
+} = require('../lib/checkpoint');
+
+const VARA_1 = { tribunal: 'TRT2 - São Paulo', municipio: 'São Paulo', vara: '1ª Vara do Trabalho de São Paulo' };
+const VARA_2 = { tribunal: 'TRT2 - São Paulo', municipio: 'São Paulo', vara: '2ª Vara do Trabalho de São Paulo' };
+const DATAS = ['03/11/2026', '04/11/2026'];
+
+function linha(unidade, data, numeroProcesso, extras = {}) {
+  return { ...unidade, data, numeroProcesso, reclamada: 'PADARIA ALFA LTDA', ...extras };
+}
+
+function linhasInvalidas(arquivo) {
+  return fs.readFileSync(arquivo, 'utf8').trim().split('\n').filter((l) => {
+    try {
+      JSON.parse(l);
+      return false;
+    } catch {
+      return true;
+    }
+  }).length;
+}
+
+function baseTemporaria() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jte-ckpt-'));
+}
+
+test('retomarCheckpoint: execução parcial continua do par seguinte', () => {
+  const base = baseTemporaria();
+  const ckpt = iniciarCheckpoint(base, { geradoEm: '2026-10-19T08:00:00.000Z', unidades: [VARA_1, VARA_2], datas: DATAS });
+  registrarPar(ckpt, VARA_1, '03/11/2026', [linha(VARA_1, '03/11/2026', '0000001-00.2026.5.02.0001')]);
+  registrarPar(ckpt, VARA_1, '04/11/2026', [], 'pulado');
+
+  // processo novo (queda): só o que está em disco
+  const retomado = retomarCheckpoint(base);
+  assert.equal(retomado.estado.runId, ckpt.estado.runId);
+  assert.equal(retomado.estado.geradoEm, '2026-10-19T08:00:00.000Z', 'geradoEm da execução original');
+  assert.equal(unidadeConcluida(retomado, VARA_1), true);
+  assert.equal(unidadeConcluida(retomado, VARA_2), false);
+  assert.deepEqual(resumoCheckpoint(retomado), { total: 4, concluidos: 2, pulados: 1 });
+  assert.deepEqual(paresPulados(retomado).map((p) => [p.vara, p.data]), [[VARA_1.vara, '04/11/2026']]);
+
+  registrarPar(retomado, VARA_2, '03/11/2026', [linha(VARA_2, '03/11/2026', '0000002-00.2026.5.02.0002')]);
+  registrarPar(retomado, VARA_2, '04/11/2026', []);
+  assert.deepEqual(lerLinhasCheckpoint(retomado).map((r) => r.numeroProcesso), ['0000001-00.2026.5.02.0001', '0000002-00.2026.5.02.0002']);
+
+  finalizarCheckpoint(retomado, { status: 'concluida' });
+  assert.equal(retomarCheckpoint(base), null, 'finalizado não é retomado');
+  assert.equal(ultimoCheckpointFinalizado(base).estado.status, 'concluida');
+});
+
+test('lerLinhasCheckpoint: par refeito fica só com a última leitura e par sem conclusão fica de fora', () => {
+  const base = baseTemporaria();
+  const ckpt = iniciarCheckpoint(base, { geradoEm: '2026-10-19T08:00:00.000Z', unidades: [VARA_1], datas: DATAS });
+  registrarPar(ckpt, VARA_1, '03/11/2026', [
+    linha(VARA_1, '03/11/2026', '0000001-00.2026.5.02.0001', { hora: '09:00' }),
+    linha(VARA_1, '03/11/2026', '0000003-00.2026.5.02.0001'),
+  ]);
+  // mesmo par lido de novo: o 0000003 saiu da pauta e não pode sobrar da leitura anterior
+  registrarPar(ckpt, VARA_1, '03/11/2026', [linha(VARA_1, '03/11/2026', '0000001-00.2026.5.02.0001', { hora: '10:30' })]);
+  // linhas gravadas de um par que não chegou a ser marcado como concluído
+  fs.appendFileSync(path.join(ckpt.dir, 'linhas.jsonl'), `${JSON.stringify(linha(VARA_1, '04/11/2026', '0000009-00.2026.5.02.0001'))}\n`);
+
+  assert.deepEqual(lerLinhasCheckpoint(ckpt).map((r) => [r.numeroProcesso, r.hora]), [['0000001-00.2026.5.02.0001', '10:30']]);
+  assert.equal(parConcluido(ckpt, VARA_1, '04/11/2026'), false);
+
+  // retomada: o par que caiu entre as linhas e a marcação é refeito e só a nova leitura vale
+  const retomado = retomarCheckpoint(base);
+  registrarPar(retomado, VARA_1, '04/11/2026', [linha(VARA_1, '04/11/2026', '0000010-00.2026.5.02.0001')]);
+  assert.deepEqual(lerLinhasCheckpoint(retomado).map((r) => r.numeroProcesso), ['0000001-00.2026.5.02.0001', '0000010-00.2026.5.02.0001']);
+});
+
+test('carregarCheckpoint: última linha cortada por queda é ignorada e não gruda na próxima', () => {
+  const base = baseTemporaria();
+  const ckpt = iniciarCheckpoint(base, { geradoEm: '2026-10-19T08:00:00.000Z', unidades: [VARA_1, VARA_2], datas: ['03/11/2026'] });
+  registrarPar(ckpt, VARA_1, '03/11/2026', [linha(VARA_1, '03/11/2026', '0000001-00.2026.5.02.0001')]);
+
+  // queda no meio da escrita do par seguinte: JSON pela metade, sem '\n'
+  const cortada = JSON.stringify(linha(VARA_2, '03/11/2026', '0000002-00.2026.5.02.0002')).slice(0, 40);
+  fs.appendFileSync(path.join(ckpt.dir, 'linhas.jsonl'), cortada);
+  fs.appendFileSync(path.join(ckpt.dir, 'concluidos.jsonl'), '{"tribunal":"TRT2');
+
+  const retomado = retomarCheckpoint(base);
+  assert.deepEqual(resumoCheckpoint(retomado), { total: 2, concluidos: 1, pulados: 0 });
+  registrarPar(retomado, VARA_2, '03/11/2026', [linha(VARA_2, '03/11/2026', '0000002-00.2026.5.02.0002')]);
+
+  const outra = retomarCheckpoint(base);
+  assert.deepEqual(resumoCheckpoint(outra), { total: 2, concluidos: 2, pulados: 0 });
+  assert.deepEqual(lerLinhasCheckpoint(outra).map((r) => r.numeroProcesso), ['0000001-00.2026.5.02.0001', '0000002-00.2026.5.02.0002']);
+  for (const arquivo of ['linhas.jsonl', 'concluidos.jsonl']) {
+    assert.equal(linhasInvalidas(path.join(ckpt.dir, arquivo)), 1, `${arquivo}: só a linha cortada fica inválida`);
+  }
+});
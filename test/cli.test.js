@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDataOpcao, criarFiltroVara, parseFormatos, parseWorkers, valoresDasOpcoes } = require('../cli');
+
+test('parseDataOpcao: dd/mm/aaaa, aaaa-mm-dd e +N dias', () => {
+  assert.deepEqual(parseDataOpcao('03/11/2026', 'from'), new Date(2026, 10, 3));
+  assert.deepEqual(parseDataOpcao(' 2026-11-03 ', 'from'), new Date(2026, 10, 3));
+  assert.deepEqual(parseDataOpcao('29/02/2028', 'to'), new Date(2028, 1, 29));
+
+  const hoje = new Date();
+  assert.deepEqual(parseDataOpcao('+7', 'from'), new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate() + 7));
+});
+
+test('parseDataOpcao: dia ou mês fora do calendário não rola para outra data', () => {
+  for (const valor of ['99/99/2026', '31/04/2026', '29/02/2026', '2026-13-01', '2026-02-30', '00/01/2026']) {
+    assert.throws(() => parseDataOpcao(valor, 'to'), new RegExp(`--to: data inválida "${valor}"`), valor);
+  }
+  assert.throws(() => parseDataOpcao('amanhã', 'from'), /--from: data inválida "amanhã" \(use dd\/mm\/aaaa, aaaa-mm-dd ou \+N\)/);
+});
+
+test('criarFiltroVara: trecho sem acento/maiúscula ou /regex/, qualquer um casa', () => {
+  assert.equal(criarFiltroVara(undefined), null);
+  assert.equal(criarFiltroVara([]), null);
+
+  const filtro = criarFiltroVara(['vara do trabalho de sao paulo', '/^2ª Vara .* Guarulhos$/i']);
+  assert.equal(filtro('1ª Vara do Trabalho de São Paulo'), true);
+  assert.equal(filtro('2ª vara do trabalho de guarulhos'), true);
+  assert.equal(filtro('3ª Vara do Trabalho de Guarulhos'), false);
+});
+
+test('parseFormatos: lista separada por vírgula; formato desconhecido falha', () => {
+  assert.deepEqual(parseFormatos('CSV, xlsx'), ['csv', 'xlsx']);
+  assert.deepEqual(parseFormatos('xlsx,'), ['xlsx']);
+  assert.throws(() => parseFormatos('csv,pdf'), /--format: formato desconhecido pdf \(use csv,xlsx\)/);
+});
+
+test('parseWorkers: inteiro a partir de 1; texto, zero ou fração falham', () => {
+  assert.equal(parseWorkers('3'), 3);
+  assert.equal(parseWorkers('8'), 8, 'o limite de 5 fica com o executarScrape, que avisa');
+  for (const valor of ['tres', '0', '-2', '2.5', '']) {
+    assert.throws(() => parseWorkers(valor), /--workers: valor inválido/, valor);
+  }
+});
+
+test('valoresDasOpcoes: converte os tipos de OPCOES e recusa o que não vale na agenda', () => {
+  assert.deepEqual(
+    valoresDasOpcoes({ from: '+1', to: 7, vara: 'Guarulhos', tribunal: ['TRT2', 15], 'skip-pje': true, 'skip-email': 'sim' }, 'agenda'),
+    { from: '+1', to: '7', vara: ['Guarulhos'], tribunal: ['TRT2', '15'], 'skip-pje': true, 'skip-email': false },
+  );
+  assert.deepEqual(valoresDasOpcoes({}, 'agenda'), {});
+
+  assert.throws(() => valoresDasOpcoes({ 'out-dir': '/tmp' }, 'agenda, "diario"'), /agenda, "diario": opção "out-dir" não vale aqui/);
+  assert.throws(() => valoresDasOpcoes(['from'], 'API'), /API: "opcoes" precisa ser um objeto/);
+  assert.throws(() => valoresDasOpcoes(null, 'API'), /API: "opcoes" precisa ser um objeto/);
+});
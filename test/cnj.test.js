@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  separarNumeroCnj,
+  normalizarNumeroCnj,
+  calcularDigitoCnj,
+  digitoCnjValido,
+  codigoTribunalCnj,
+  origemEsperadaDaVara,
+  verificarNumeroCnj,
+} = require('../lib/cnj');
+
+const VARA_1_SP = '1ª Vara do Trabalho de São Paulo';
+
+test('separarNumeroCnj: com máscara, só dígitos e fora do padrão', () => {
+  const partes = { sequencial: '0001234', digito: '61', ano: '2025', segmento: '5', tribunal: '02', origem: '0001' };
+  assert.deepEqual(separarNumeroCnj('0001234-61.2025.5.02.0001'), partes);
+  assert.deepEqual(separarNumeroCnj('Processo nº 0001234-61.2025.5.02.0001 (PJe)'), partes, 'texto em volta');
+  assert.deepEqual(separarNumeroCnj('00012346120255020001'), partes);
+
+  assert.equal(normalizarNumeroCnj(' 00012346120255020001 '), '0001234-61.2025.5.02.0001');
+  assert.equal(normalizarNumeroCnj('123-45.2025'), '');
+  assert.equal(separarNumeroCnj(''), null);
+  assert.equal(separarNumeroCnj(null), null);
+});
+
+test('dígito verificador: módulo 97', () => {
+  const p = separarNumeroCnj('0001234-61.2025.5.02.0001');
+  assert.equal(calcularDigitoCnj(p), '61');
+  assert.equal(digitoCnjValido(p), true);
+  assert.equal(digitoCnjValido({ ...p, digito: '62' }), false);
+
+  const r = verificarNumeroCnj('0001234-62.2025.5.02.0001');
+  assert.equal(r.status, 'digito_invalido');
+  assert.match(r.alerta, /esperado 61/);
+  assert.equal(verificarNumeroCnj('123.456').status, 'invalido');
+});
+
+test('verificarNumeroCnj: segmento, tribunal e vara conferidos com a pauta', () => {
+  assert.equal(codigoTribunalCnj('TRT2 - São Paulo'), '02');
+  assert.equal(codigoTribunalCnj('TRT 15 - Campinas'), '15');
+  assert.equal(codigoTribunalCnj('Tribunal Regional'), null);
+
+  const ok = verificarNumeroCnj('00012346120255020001', { vara: VARA_1_SP, tribunal: '02' });
+  assert.deepEqual([ok.status, ok.numero, ok.alerta], ['ok', '0001234-61.2025.5.02.0001', '']);
+
+  assert.equal(verificarNumeroCnj('0000042-14.2024.4.02.0001', { vara: VARA_1_SP, tribunal: '02' }).status, 'segmento_divergente');
+  assert.equal(verificarNumeroCnj('0000042-67.2024.5.15.0001', { vara: VARA_1_SP, tribunal: '02' }).status, 'tribunal_divergente');
+  assert.equal(verificarNumeroCnj('1000123-13.2025.5.02.0005', { vara: VARA_1_SP, tribunal: '02' }).status, 'vara_divergente');
+  assert.equal(verificarNumeroCnj('1000123-13.2025.5.02.0005', { vara: '5ª Vara do Trabalho de São Paulo', tribunal: '02' }).status, 'ok');
+  assert.equal(verificarNumeroCnj('1000123-13.2025.5.02.0005').status, 'ok', 'sem contexto só confere o número');
+});
+
+test('verificarNumeroCnj: origem só é conferida nas varas da capital', () => {
+  assert.equal(origemEsperadaDaVara('12ª Vara do Trabalho de São Paulo', '02'), '0012');
+  assert.equal(origemEsperadaDaVara('1ª Vara do Trabalho de Guarulhos', '02'), null);
+  assert.equal(origemEsperadaDaVara('Vara do Trabalho de Caieiras', '02'), null);
+  assert.equal(origemEsperadaDaVara(VARA_1_SP, null), null, 'tribunal desconhecido');
+
+  const guarulhos = verificarNumeroCnj('1000123-65.2025.5.02.0311', { vara: '1ª Vara do Trabalho de Guarulhos', tribunal: '02' });
+  assert.deepEqual([guarulhos.status, guarulhos.origem], ['ok', '0311']);
+  assert.equal(verificarNumeroCnj('1000123-65.2025.5.02.0311', { vara: VARA_1_SP, tribunal: '02' }).status, 'vara_divergente');
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ARQUIVO_CRM_PADRAO,
+  compilarConfigCrm,
+  carregarConfigCrm,
+  montarPayload,
+  criarOutboxArquivo,
+  enviarParaCrm,
+} = require('../lib/crm');
+const { iniciarServidorCrm } = require('./helpers/servidorCrm');
+
+function lead(numeroProcesso, extras = {}) {
+  return {
+    numeroProcesso,
+    data: '26/10/2026',
+    hora: '09:00',
+    tribunal: 'TRT2 - São Paulo',
+    vara: '1ª Vara do Trabalho de São Paulo',
+    reclamada: 'PADARIA ALFA LTDA - ME',
+    cnpjReceita: '',
+    score: 80,
+    mudanca: 'nova',
+    ...extras,
+  };
+}
+
+function outboxTemporaria() {
+  return criarOutboxArquivo(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jte-crm-')), 'crm_outbox.json'));
+}
+
+let crm;
+const config = compilarConfigCrm();
+
+before(async () => {
+  crm = await iniciarServidorCrm();
+});
+
+after(async () => {
+  await crm.fechar();
+});
+
+function opcoes(extras = {}) {
+  return { url: crm.url, token: 'segredo', tentativas: 3, backoffMs: 1, timeoutMs: 2000, ...extras };
+}
+
+test('montarPayload: campos aninhados, fixos e vazio vira null', () => {
+  const c = compilarConfigCrm({
+    campos: { id: 'chaveIdempotencia', 'audiencia.data': 'dataISO', 'empresa.nome': 'reclamada', 'empresa.cnpj': 'cnpjReceita' },
+    fixos: { origem: 'robo-jte' },
+  });
+
+  assert.deepEqual(montarPayload(lead('0000001-00.2025.5.02.0001'), c), {
+    origem: 'robo-jte',
+    id: '0000001-00.2025.5.02.0001:2026-10-26',
+    audiencia: { data: '2026-10-26' },
+    empresa: { nome: 'PADARIA ALFA LTDA - ME', cnpj: null },
+  });
+});
+
+test('enviarParaCrm: só novos/alterados acima do score mínimo, com Idempotency-Key e token', async () => {
+  crm.pedidos.length = 0;
+  const r = await enviarParaCrm([
+    lead('0000001-00.2025.5.02.0001'),
+    lead('0000002-00.2025.5.02.0001', { mudanca: 'sem_alteracao' }),
+    lead('0000003-00.2025.5.02.0001', { mudanca: 'remarcada', score: 10 }),
+  ], compilarConfigCrm({ scoreMinimo: 50 }), outboxTemporaria(), opcoes());
+
+  assert.equal(r.enviados, 1);
+  assert.equal(crm.pedidos.length, 1);
+  const [pedido] = crm.pedidos;
+  assert.equal(pedido.headers['idempotency-key'], '0000001-00.2025.5.02.0001:2026-10-26');
+  assert.equal(pedido.headers.authorization, 'Bearer segredo');
+  assert.equal(pedido.corpo.processo.numero, '0000001-00.2025.5.02.0001');
+});
+
+test('enviarParaCrm: 5xx tenta de novo com backoff; mesmo payload não é reenviado', async () => {
+  crm.pedidos.length = 0;
+  crm.respostas.push(503, 500);
+  const outbox = outboxTemporaria();
+
+  const r = await enviarParaCrm([lead('0000001-00.2025.5.02.0001')], config, outbox, opcoes());
+  assert.deepEqual([r.enviados, r.pendentes], [1, 0]);
+  assert.equal(crm.pedidos.length, 3);
+  assert.ok(crm.pedidos.every((p) => p.headers['idempotency-key'] === '0000001-00.2025.5.02.0001:2026-10-26'));
+
+  const denovo = await enviarParaCrm([lead('0000001-00.2025.5.02.0001')], config, outbox, opcoes());
+  assert.deepEqual([denovo.enfileirados, denovo.enviados], [0, 0]);
+  assert.equal(crm.pedidos.length, 3);
+
+  const alterado = await enviarParaCrm([lead('0000001-00.2025.5.02.0001', { mudanca: 'status_alterado' })], config, outbox, opcoes());
+  assert.deepEqual([alterado.enfileirados, alterado.enviados], [1, 1]);
+});
+
+test('enviarParaCrm: CRM fora do ar deixa pendente na outbox e a próxima execução envia', async () => {
+  crm.pedidos.length = 0;
+  const outbox = outboxTemporaria();
+
+  const fora = await enviarParaCrm([lead('0000001-00.2025.5.02.0001')], config, outbox, opcoes({ url: 'http://127.0.0.1:9/leads', tentativas: 2 }));
+  assert.deepEqual([fora.enviados, fora.pendentes], [0, 1]);
+  const [pendente] = await outbox.pendentes();
+  assert.equal(pendente.tentativas, 2);
+  assert.ok(pendente.ultimoErro);
+
+  // próxima execução, sem o lead na lista (sem_alteracao): a outbox sozinha reenvia
+  const depois = await enviarParaCrm([], config, outbox, opcoes());
+  assert.deepEqual([depois.enviados, depois.pendentes], [1, 0]);
+  assert.equal(crm.pedidos.length, 1);
+  assert.deepEqual(await outbox.pendentes(), []);
+});
+
+test('enviarParaCrm: 4xx é rejeitado sem retentativa', async () => {
+  crm.pedidos.length = 0;
+  crm.respostas.push(422);
+
+  const r = await enviarParaCrm([lead('0000001-00.2025.5.02.0001')], config, outboxTemporaria(), opcoes());
+  assert.deepEqual([r.enviados, r.rejeitados], [0, 1]);
+  assert.deepEqual(r.erros, [{ chave: '0000001-00.2025.5.02.0001:2026-10-26', erro: 'HTTP 422' }]);
+  assert.equal(crm.pedidos.length, 1);
+});
+
+test('config/crm.json: carrega; mapeamento inválido falha com mensagem clara', () => {
+  assert.ok(Object.keys(carregarConfigCrm(ARQUIVO_CRM_PADRAO).campos).length > 0);
+  assert.throws(() => compilarConfigCrm({ campos: { id: 7 } }), /campos\."id"/);
+  assert.throws(() => compilarConfigCrm({ campos: {} }), /ao menos um campo/);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { compilarAgenda } = require('../lib/agenda');
+const { lerEstadoDaemon, dispararAgendamento, executarDaemon } = require('../lib/daemon');
+
+// crons que não vencem durante o teste: só os gatilhos disparam
+const AGENDA = compilarAgenda({
+  agendamentos: [
+    { nome: 'semanal', cron: '0 3 1 1 *' },
+    { nome: 'diario', cron: '30 6 1 1 *', opcoes: { from: '+1', to: '+7' } },
+  ],
+});
+
+function dirTemporario() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jte-daemon-'));
+}
+
+function silenciar(t) {
+  for (const m of ['log', 'warn', 'error']) t.mock.method(console, m, () => { });
+}
+
+test('executarDaemon: gatilhos rodam um por vez, repetidos e desconhecidos são ignorados', async (t) => {
+  silenciar(t);
+  const dir = dirTemporario();
+  dispararAgendamento(dir, 'diario');
+  dispararAgendamento(dir, 'diario');
+  dispararAgendamento(dir, 'mensal');
+
+  const parada = new AbortController();
+  const chamadas = [];
+  let rodando = 0;
+
+  const estado = await executarDaemon({
+    agenda: AGENDA,
+    dir,
+    signal: parada.signal,
+    intervaloMs: 10,
+    executar: async (a, opcoes) => {
+      assert.equal(rodando++, 0, 'nunca duas execuções ao mesmo tempo');
+      chamadas.push([a.nome, opcoes.retomar]);
+      assert.equal(lerEstadoDaemon(dir).emExecucao.agendamento, a.nome);
+      await new Promise((r) => setTimeout(r, 5));
+      rodando--;
+
+      if (chamadas.length === 1) dispararAgendamento(dir, 'semanal');
+      else parada.abort();
+      return { status: a.nome === 'diario' ? 'concluida' : 'degradada', relatorioPath: `/tmp/${a.nome}.json` };
+    },
+  });
+
+  assert.deepEqual(chamadas, [['diario', false], ['semanal', false]]);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'gatilhos')), []);
+  assert.equal(estado.ultimas.semanal.status, 'degradada');
+  assert.equal(estado.ultimas.diario.origem, 'gatilho');
+
+  const gravado = lerEstadoDaemon(dir);
+  assert.ok(gravado.encerradoEm);
+  assert.equal(gravado.emExecucao, null);
+  assert.equal(new Date(gravado.proximas.semanal).getMonth(), 0);
+});
+
+test('dispararAgendamento: disparos no mesmo milissegundo não se sobrescrevem', (t) => {
+  t.mock.method(Date, 'now', () => 1760000000000);
+  const dir = dirTemporario();
+  const arquivos = ['diario', 'semanal', 'diario'].map((nome) => dispararAgendamento(dir, nome));
+
+  assert.equal(new Set(arquivos).size, 3);
+  const pendentes = fs.readdirSync(path.join(dir, 'gatilhos')).sort();
+  assert.deepEqual(pendentes.map((f) => JSON.parse(fs.readFileSync(path.join(dir, 'gatilhos', f), 'utf8')).agendamento), ['diario', 'semanal', 'diario']);
+});
+
+test('executarDaemon: gatilho ainda em gravação (.tmp) não é lido nem apagado', async (t) => {
+  silenciar(t);
+  const dir = dirTemporario();
+  dispararAgendamento(dir, 'diario');
+  const emGravacao = path.join(dir, 'gatilhos', '0000000000000_1_000001.json.tmp');
+  fs.writeFileSync(emGravacao, '{"agendamento": "sem', 'utf8');
+
+  const parada = new AbortController();
+  const chamadas = [];
+  await executarDaemon({
+    agenda: AGENDA,
+    dir,
+    signal: parada.signal,
+    intervaloMs: 10,
+    executar: async (a) => {
+      chamadas.push(a.nome);
+      parada.abort();
+      return { status: 'concluida', relatorioPath: null };
+    },
+  });
+
+  assert.deepEqual(chamadas, ['diario']);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'gatilhos')), [path.basename(emGravacao)]);
+});
+
+test('executarDaemon: execução interrompida é retomada quando o daemon volta; erro não derruba o daemon', async (t) => {
+  silenciar(t);
+  const dir = dirTemporario();
+  dispararAgendamento(dir, 'semanal');
+
+  const primeira = new AbortController();
+  await executarDaemon({
+    agenda: AGENDA,
+    dir,
+    signal: primeira.signal,
+    intervaloMs: 10,
+    executar: async () => {
+      primeira.abort();
+      throw Object.assign(new Error('Execução interrompida: 3 varas ficaram para a próxima (--resume)'), { code: 'JTE_INTERROMPIDA' });
+    },
+  });
+  assert.equal(lerEstadoDaemon(dir).interrompida.agendamento, 'semanal');
+
+  const segunda = new AbortController();
+  const chamadas = [];
+  dispararAgendamento(dir, 'diario');
+  const estado = await executarDaemon({
+    agenda: AGENDA,
+    dir,
+    signal: segunda.signal,
+    intervaloMs: 10,
+    executar: async (a, { retomar }) => {
+      chamadas.push([a.nome, retomar]);
+      if (a.nome === 'semanal') return { status: 'concluida' };
+      segunda.abort();
+      throw new Error('JTe fora do ar');
+    },
+  });
+
+  assert.deepEqual(chamadas, [['semanal', true], ['diario', false]]);
+  assert.equal(estado.interrompida, null);
+  assert.equal(estado.ultimas.semanal.origem, 'retomada');
+  assert.deepEqual([estado.ultimas.diario.status, estado.ultimas.diario.erro], ['falhou', 'JTe fora do ar']);
+});
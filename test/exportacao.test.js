@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { csvEscape, writeCsv, writeXlsx } = require('../index');
+
+function pastaTemporaria() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jte-export-'));
+}
+
+const HEADERS = ['vara', 'numeroProcesso', 'reclamada'];
+const ROWS = [
+  { vara: '1ª Vara do Trabalho de São Paulo', numeroProcesso: '1000123-25.2025.5.02.0001', reclamada: 'PADARIA PÃO QUENTE LTDA' },
+  { vara: '2ª Vara do Trabalho de São Paulo', numeroProcesso: '1002345-60.2025.5.02.0002', reclamada: 'MERCADO "GAMA"; FILIAL 2' },
+];
+
+test('csvEscape: valores simples passam direto', () => {
+  assert.equal(csvEscape('abc'), 'abc');
+  assert.equal(csvEscape(123), '123');
+  assert.equal(csvEscape('vírgula, não é separador'), 'vírgula, não é separador');
+});
+
+test('csvEscape: null/undefined viram vazio', () => {
+  assert.equal(csvEscape(null), '');
+  assert.equal(csvEscape(undefined), '');
+});
+
+test('csvEscape: ponto e vírgula, aspas e quebras de linha vão entre aspas', () => {
+  assert.equal(csvEscape('a;b'), '"a;b"');
+  assert.equal(csvEscape('diz "oi"'), '"diz ""oi"""');
+  assert.equal(csvEscape('linha1\nlinha2'), '"linha1\nlinha2"');
+  assert.equal(csvEscape('linha1\r\nlinha2'), '"linha1\r\nlinha2"');
+});
+
+test('writeCsv: BOM, cabeçalho e linhas separadas por ;', () => {
+  const file = path.join(pastaTemporaria(), 'pauta.csv');
+  writeCsv(file, HEADERS, ROWS);
+
+  const conteudo = fs.readFileSync(file, 'utf8');
+  assert.ok(conteudo.startsWith('\uFEFF'), 'CSV sem BOM (Excel abre com acentos quebrados)');
+
+  const linhas = conteudo.slice(1).split('\n');
+  assert.deepEqual(linhas, [
+    'vara;numeroProcesso;reclamada',
+    '1ª Vara do Trabalho de São Paulo;1000123-25.2025.5.02.0001;PADARIA PÃO QUENTE LTDA',
+    '2ª Vara do Trabalho de São Paulo;1002345-60.2025.5.02.0002;"MERCADO ""GAMA""; FILIAL 2"',
+  ]);
+});
+
+test('writeCsv: colunas ausentes na linha saem vazias', () => {
+  const file = path.join(pastaTemporaria(), 'pauta.csv');
+  writeCsv(file, HEADERS, [{ vara: 'X' }]);
+  assert.equal(fs.readFileSync(file, 'utf8').slice(1).split('\n')[1], 'X;;');
+});
+
+test('writeXlsx: aba Pauta com cabeçalho em negrito, autofiltro e as linhas', async () => {
+  const file = path.join(pastaTemporaria(), 'pauta.xlsx');
+  await writeXlsx(file, HEADERS, ROWS);
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(file);
+  const ws = wb.getWorksheet('Pauta');
+
+  assert.ok(ws, 'aba Pauta não encontrada');
+  assert.deepEqual(ws.getRow(1).values.slice(1), HEADERS);
+  assert.equal(ws.getRow(1).font.bold, true);
+  assert.equal(ws.rowCount, ROWS.length + 1);
+  assert.deepEqual(ws.getRow(3).values.slice(1), Object.values(ROWS[1]));
+  assert.ok(ws.autoFilter, 'autofiltro ausente');
+});
+
+test('writeXlsx: largura da coluna acompanha o maior valor (limitada a 60)', async () => {
+  const file = path.join(pastaTemporaria(), 'pauta.xlsx');
+  await writeXlsx(file, ['curta', 'longa'], [{ curta: 'a', longa: 'x'.repeat(200) }]);
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(file);
+  const ws = wb.getWorksheet('Pauta');
+  assert.equal(ws.getColumn(1).width, 12);
+  assert.equal(ws.getColumn(2).width, 60);
+});
+
+test('writeXlsx: abas extras vêm depois da Pauta', async () => {
+  const file = path.join(pastaTemporaria(), 'pauta.xlsx');
+  await writeXlsx(file, HEADERS, ROWS, [{ nome: 'Empresas', headers: ['nome', 'totalProcessos'], rows: [{ nome: 'ALFA LTDA', totalProcessos: 2 }] }]);
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(file);
+  assert.deepEqual(wb.worksheets.map((ws) => ws.name), ['Pauta', 'Empresas']);
+  assert.deepEqual(wb.getWorksheet('Empresas').getRow(2).values.slice(1), ['ALFA LTDA', 2]);
+});
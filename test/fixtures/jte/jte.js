@@ -0,0 +1,266 @@
+/*
+ * Imitação mínima do app Angular/Ionic do JTe, só com a estrutura de DOM que o
+ * robô usa (ion-button com shadow DOM, mat-select com painel em overlay,
+ * diálogo "Órgão", pauta em ion-list carregada por XHR).
+ */
+
+customElements.define('ion-button', class extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).innerHTML = '<button type="button" part="native"><slot></slot></button>';
+  }
+});
+
+function qs(name) {
+  return new URLSearchParams(location.search).get(name) || '';
+}
+
+async function getJson(url) {
+  const res = await fetch(url);
+  return res.json();
+}
+
+function el(tag, attrs = {}, ...filhos) {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k.startsWith('on')) e.addEventListener(k.slice(2), v);
+    else e.setAttribute(k, v);
+  }
+  for (const f of filhos) e.append(f);
+  return e;
+}
+
+/* ===== mat-select ===== */
+
+const overlay = () => document.querySelector('.cdk-overlay-container');
+
+function fecharPainel() {
+  overlay().querySelectorAll('.mat-mdc-select-panel, .cdk-overlay-transparent-backdrop').forEach((e) => e.remove());
+}
+
+function painelAberto() {
+  return !!overlay().querySelector('.mat-mdc-select-panel');
+}
+
+// campo = <mat-form-field> ; opcoes() -> lista de rótulos ; onEscolha(label)
+function criarMatSelect(testid, rotulo, opcoes, onEscolha) {
+  const valor = el('span', { class: 'mat-mdc-select-value' });
+  const select = el('mat-select', { role: 'combobox', 'aria-label': rotulo, 'aria-disabled': 'true', tabindex: '0' }, valor);
+
+  select.addEventListener('click', () => {
+    if (select.getAttribute('aria-disabled') === 'true') return;
+    fecharPainel();
+
+    const painel = el('div', { class: 'mat-mdc-select-panel', role: 'listbox' });
+    for (const label of opcoes()) {
+      painel.append(el('mat-option', {
+        role: 'option',
+        onclick: () => {
+          valor.textContent = label;
+          fecharPainel();
+          onEscolha(label);
+        },
+      }, el('span', { class: 'mdc-list-item__primary-text' }, ` ${label} `)));
+    }
+
+    overlay().append(el('div', { class: 'cdk-overlay-backdrop cdk-overlay-transparent-backdrop', onclick: fecharPainel }), painel);
+  });
+
+  const campo = el('mat-form-field', { 'data-testid': testid }, el('mat-label', {}, rotulo), select);
+  campo.habilitar = (sim) => {
+    select.setAttribute('aria-disabled', sim ? 'false' : 'true');
+    if (!sim) valor.textContent = '';
+  };
+  return campo;
+}
+
+/* ===== páginas ===== */
+
+async function iniciarStart() {
+  const { tribunais } = await getJson('/api/unidades');
+  const lista = document.getElementById('tribunais');
+  for (const t of tribunais) {
+    lista.append(el('ion-card', {
+      onclick: () => { location.href = `tribunal.html?tribunal=${encodeURIComponent(t)}`; },
+    }, el('ion-card-content', {}, t)));
+  }
+}
+
+function iniciarTribunal() {
+  document.getElementById('nome-tribunal').textContent = qs('tribunal');
+  document.getElementById('modulo-pauta').addEventListener('click', () => {
+    location.href = `pauta.html?tribunal=${encodeURIComponent(qs('tribunal'))}`;
+  });
+}
+
+/* ===== pauta ===== */
+
+const estado = { data: new Date(), orgao: null };
+
+function formatarBR(d) {
+  const dd = String(d.getDate()).padStart(2, '0');
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  return `${dd}/${mm}/${d.getFullYear()}`;
+}
+
+function formatarISO(d) {
+  const [dd, mm, yyyy] = formatarBR(d).split('/');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function renderizarData() {
+  const dias = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+  document.querySelector('[data-testid="pautaButtonData"]').textContent = `${dias[estado.data.getDay()]}, ${formatarBR(estado.data)}`;
+}
+
+async function carregarPauta() {
+  renderizarData();
+  const lista = document.querySelector('ion-list');
+  lista.replaceChildren();
+  if (!estado.orgao) return;
+
+  const spinner = document.querySelector('ion-spinner');
+  spinner.hidden = false;
+
+  const pedido = formatarISO(estado.data);
+  const json = await getJson(`/api/pauta?orgao=${encodeURIComponent(estado.orgao)}&data=${pedido}`);
+  if (pedido !== formatarISO(estado.data)) return; // usuário já trocou de dia
+
+  for (const a of json.audiencias) {
+    // aviso (segredo de justiça etc.) entra como uma linha a mais antes do juiz, como no app
+    const aviso = a.aviso ? [el('p', { class: 'item-desc-small item-text-wrap' }, a.aviso)] : [];
+    lista.append(el('ion-item', {}, el('ion-label', {},
+      el('span', { class: 'sessao' }, a.horario),
+      el('span', { class: 'palavrasRight' }, a.situacao),
+      el('h2', { class: 'JT-item-texto-negrito' }, a.numeroProcesso),
+      ...aviso,
+      el('p', { class: 'item-desc-small item-text-wrap' }, a.magistrado),
+      el('p', { class: 'item-desc-small item-text-wrap' }, a.reclamante),
+      el('p', { class: 'item-desc-small item-text-wrap' }, a.reclamada),
+    )));
+  }
+  spinner.hidden = true;
+}
+
+/* ===== mat-calendar (aberto pelo botão da data) ===== */
+
+const MESES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+const MESES_EXTENSO = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+
+function fecharCalendario() {
+  overlay().querySelectorAll('.mat-datepicker-content, .cdk-overlay-backdrop').forEach((e) => e.remove());
+}
+
+function calendarioAberto() {
+  return !!overlay().querySelector('mat-calendar');
+}
+
+function renderizarCalendario(conteudo, mes) {
+  const ano = mes.getFullYear();
+  const tbody = el('tbody', { class: 'mat-calendar-body' });
+  let linha = el('tr', { role: 'row' });
+
+  const dias = new Date(ano, mes.getMonth() + 1, 0).getDate();
+  for (let d = 1; d <= dias; d++) {
+    const dia = new Date(ano, mes.getMonth(), d);
+    linha.append(el('td', { role: 'gridcell', class: 'mat-calendar-body-cell-container' },
+      el('button', {
+        type: 'button',
+        class: 'mat-calendar-body-cell',
+        'aria-label': `${d} de ${MESES_EXTENSO[mes.getMonth()]} de ${ano}`,
+        onclick: () => {
+          estado.data = dia;
+          fecharCalendario();
+          carregarPauta();
+        },
+      }, el('span', { class: 'mat-calendar-body-cell-content' }, String(d)))));
+    if (dia.getDay() === 6) {
+      tbody.append(linha);
+      linha = el('tr', { role: 'row' });
+    }
+  }
+  tbody.append(linha);
+
+  const trocarMes = (delta) => renderizarCalendario(conteudo, new Date(ano, mes.getMonth() + delta, 1));
+  conteudo.replaceChildren(el('mat-calendar', {},
+    el('div', { class: 'mat-calendar-header' },
+      el('button', { type: 'button', class: 'mat-calendar-period-button' }, `${MESES[mes.getMonth()].toUpperCase()}. DE ${ano}`),
+      el('button', { type: 'button', class: 'mat-calendar-previous-button', 'aria-label': 'Mês anterior', onclick: () => trocarMes(-1) }, '‹'),
+      el('button', { type: 'button', class: 'mat-calendar-next-button', 'aria-label': 'Próximo mês', onclick: () => trocarMes(+1) }, '›'),
+    ),
+    el('table', { class: 'mat-calendar-table' }, tbody),
+  ));
+}
+
+function abrirCalendario() {
+  // window.JTE_SEM_CALENDARIO: simula um layout em que o botão da data não abre o calendário
+  if (window.JTE_SEM_CALENDARIO || calendarioAberto()) return;
+
+  const conteudo = el('div', { class: 'mat-datepicker-content' });
+  overlay().append(el('div', { class: 'cdk-overlay-backdrop cdk-overlay-transparent-backdrop', onclick: fecharCalendario }), conteudo);
+  renderizarCalendario(conteudo, new Date(estado.data.getFullYear(), estado.data.getMonth(), 1));
+}
+
+function mudarDia(delta) {
+  estado.data = new Date(estado.data.getFullYear(), estado.data.getMonth(), estado.data.getDate() + delta);
+  carregarPauta();
+}
+
+async function abrirDialogo() {
+  const { tipos } = await getJson('/api/unidades');
+  const escolha = { tipo: null, municipio: null, orgao: null };
+
+  const confirmar = el('button', { 'data-testid': 'ButtonConfirmar', disabled: '' }, 'Confirmar');
+  const cancelar = el('button', { 'data-testid': 'ButtonCancelar' }, 'Cancelar');
+
+  const campoOrgao = criarMatSelect('orgao', 'Órgão', () => tipos[escolha.tipo][escolha.municipio], (v) => {
+    escolha.orgao = v;
+    confirmar.removeAttribute('disabled');
+  });
+  const campoMunicipio = criarMatSelect('municipio', 'Município', () => Object.keys(tipos[escolha.tipo]), (v) => {
+    escolha.municipio = v;
+    escolha.orgao = null;
+    confirmar.setAttribute('disabled', '');
+    // o órgão só libera depois que a lista chega (como no app)
+    setTimeout(() => campoOrgao.habilitar(true), 300);
+  });
+  const campoTipo = criarMatSelect('selecaoTribunal', 'Tipo de unidade', () => Object.keys(tipos), (v) => {
+    escolha.tipo = v;
+    campoOrgao.habilitar(false);
+    campoMunicipio.habilitar(true);
+  });
+  campoTipo.habilitar(true);
+
+  const dialogo = el('mat-dialog-container', { role: 'dialog', class: 'cdk-overlay-pane' },
+    el('h1', { class: 'tituloSelecaoTribunal' }, 'Órgão'),
+    campoTipo, campoMunicipio, campoOrgao,
+    el('div', { class: 'acoes' }, cancelar, confirmar),
+  );
+
+  const fechar = () => dialogo.remove();
+  cancelar.addEventListener('click', fechar);
+  confirmar.addEventListener('click', () => {
+    estado.orgao = escolha.orgao;
+    document.getElementById('unidade-atual').textContent = escolha.orgao;
+    fechar();
+    carregarPauta();
+  });
+
+  overlay().append(dialogo);
+}
+
+function iniciarPauta() {
+  document.querySelector('[data-testid="pautaButtonSelecaoUnidade"]').addEventListener('click', abrirDialogo);
+  document.getElementById('btn-anterior').addEventListener('click', () => mudarDia(-1));
+  document.getElementById('btn-proxima').addEventListener('click', () => mudarDia(+1));
+  document.querySelector('[data-testid="pautaButtonData"]').addEventListener('click', abrirCalendario);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    if (calendarioAberto()) fecharCalendario();
+    else if (painelAberto()) fecharPainel();
+    else overlay().querySelector('mat-dialog-container')?.remove();
+  });
+
+  carregarPauta();
+}
@@ -0,0 +1,20 @@
+/**
+ * Chromium para os testes de navegação. Sem navegador instalado
+ * ("npx playwright install chromium" ou JTE_CHROMIUM_PATH) os testes
+ * que dependem dele são pulados na máquina de quem desenvolve; com CI
+ * no ambiente falham, senão a suíte passaria sem testar a navegação.
+ */
+const jte = require('../../index');
+
+const MOTIVO_SEM_NAVEGADOR = 'Chromium indisponível (npx playwright install chromium ou JTE_CHROMIUM_PATH)';
+
+async function abrirNavegador() {
+  try {
+    return await jte.lancarNavegador({ headless: true });
+  } catch (err) {
+    if (process.env.CI) throw new Error(`${MOTIVO_SEM_NAVEGADOR}: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = { abrirNavegador, MOTIVO_SEM_NAVEGADOR };
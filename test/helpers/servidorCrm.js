@@ -0,0 +1,38 @@
+/**
+ * CRM falso para os testes de lib/crm.js
+ *
+ *   POST /leads -> guarda { headers, corpo } em pedidos e responde com o
+ *                  próximo status de respostas (vazia = 201)
+ *
+ * respostas: lista mutável de status HTTP, consumida um por pedido
+ */
+const http = require('http');
+
+function iniciarServidorCrm() {
+  const pedidos = [];
+  const respostas = [];
+
+  const server = http.createServer((req, res) => {
+    let corpo = '';
+    req.on('data', (c) => { corpo += c; });
+    req.on('end', () => {
+      pedidos.push({ metodo: req.method, url: req.url, headers: req.headers, corpo: JSON.parse(corpo || 'null') });
+      const status = respostas.length ? respostas.shift() : 201;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: status < 300 }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/leads`,
+        pedidos,
+        respostas,
+        fechar: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+module.exports = { iniciarServidorCrm };
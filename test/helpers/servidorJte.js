@@ -0,0 +1,94 @@
+/**
+ * Servidor HTTP local com as fixtures do JTe (test/fixtures/jte)
+ *
+ *   /start                 -> start.html (JTE_URL dos testes)
+ *   /<arquivo>             -> estáticos da pasta de fixtures
+ *   /api/unidades          -> unidades.json
+ *   /api/pauta?orgao&data  -> { audiencias } de pautas.json, escolhida por data (aaaa-mm-dd)
+ *   /pje/detalhe-processo/<numero> -> test/fixtures/pje/<numero>.html (PJE_URL = <base>/pje);
+ *                                     número sem página salva -> nao_encontrado.html
+ *
+ * pautasPorData: { 'aaaa-mm-dd': 'vazia' | 'um' | 'varios' } (datas ausentes -> 'vazia')
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DIR_FIXTURES = path.join(__dirname, '..', 'fixtures', 'jte');
+const DIR_FIXTURES_PJE = path.join(__dirname, '..', 'fixtures', 'pje');
+
+const TIPOS = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+};
+
+function lerFixture(nome) {
+  return JSON.parse(fs.readFileSync(path.join(DIR_FIXTURES, nome), 'utf8'));
+}
+
+function iniciarServidorJte({ pautasPorData = {}, atrasoPautaMs = 150 } = {}) {
+  const pautas = lerFixture('pautas.json');
+  const unidades = lerFixture('unidades.json');
+  const pedidosPauta = [];
+  const pedidosPje = [];
+
+  const responderJson = (res, obj) => {
+    res.writeHead(200, { 'content-type': TIPOS['.json'] });
+    res.end(JSON.stringify(obj));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/unidades') return responderJson(res, unidades);
+
+    if (url.pathname === '/api/pauta') {
+      const data = url.searchParams.get('data');
+      pedidosPauta.push({ orgao: url.searchParams.get('orgao'), data });
+      const audiencias = pautas[pautasPorData[data] || 'vazia'];
+      setTimeout(() => responderJson(res, { data, audiencias }), atrasoPautaMs);
+      return;
+    }
+
+    const detalhePje = url.pathname.match(/^\/pje\/detalhe-processo\/([\d.-]+)$/);
+    if (detalhePje) {
+      pedidosPje.push(detalhePje[1]);
+      const salvo = path.join(DIR_FIXTURES_PJE, `${detalhePje[1]}.html`);
+      res.writeHead(200, { 'content-type': TIPOS['.html'] });
+      fs.createReadStream(fs.existsSync(salvo) ? salvo : path.join(DIR_FIXTURES_PJE, 'nao_encontrado.html')).pipe(res);
+      return;
+    }
+
+    const nome = url.pathname === '/start' ? 'start.html' : path.basename(url.pathname);
+    const arquivo = path.join(DIR_FIXTURES, nome);
+    if (!fs.existsSync(arquivo)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': TIPOS[path.extname(nome)] || 'application/octet-stream' });
+    fs.createReadStream(arquivo).pipe(res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        base,
+        url: `${base}/start`,
+        pedidosPauta,
+        pedidosPje,
+        fechar: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+function lerFixturePje(nome) {
+  return fs.readFileSync(path.join(DIR_FIXTURES_PJE, nome), 'utf8');
+}
+
+module.exports = { iniciarServidorJte, lerFixture, lerFixturePje };
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { linhaDoTempo } = require('../lib/historico');
+
+const VARA = '1ª Vara do Trabalho de São Paulo';
+
+function obs(observadoEm, mudanca, extras = {}) {
+  return { observadoEm, mudanca, vara: VARA, dataBR: '10/11/2026', hora: '09:00', status: 'designada', ...extras };
+}
+
+test('linhaDoTempo: apareceu, mudou de status, foi remarcada e sumiu', () => {
+  const t = linhaDoTempo([
+    obs('2026-10-05T08:00:00Z', 'status_alterado', { status: 'adiada', detalheMudanca: 'status: designada -> adiada' }),
+    obs('2026-10-01T08:00:00Z', 'nova'),
+    obs('2026-10-02T08:00:00Z', 'sem_alteracao'),
+    obs('2026-10-06T08:00:00Z', 'remarcada', { dataBR: '24/11/2026', detalheMudanca: 'de 10/11/2026 09:00 para 24/11/2026 09:00' }),
+    obs('2026-10-07T08:00:00Z', 'desaparecida', { dataBR: '24/11/2026' }),
+    obs('2026-10-08T08:00:00Z', 'desaparecida', { dataBR: '24/11/2026' }),
+  ]);
+
+  assert.deepEqual(t.eventos.map((e) => e.evento), ['apareceu', 'status_alterado', 'remarcada', 'desaparecida', 'desaparecida']);
+  assert.equal(t.eventos[0].audiencia, `10/11/2026 | 09:00 | ${VARA} | designada`);
+  assert.equal(t.eventos[1].detalhe, 'status: designada -> adiada');
+  assert.equal(t.primeiraObservacao, '2026-10-01T08:00:00Z');
+  assert.equal(t.desaparecidaEm, '2026-10-07T08:00:00Z', 'conta da primeira vez que sumiu');
+});
+
+test('linhaDoTempo: voltar para a pauta desfaz o sumiço', () => {
+  const t = linhaDoTempo([
+    obs('2026-10-01T08:00:00Z', 'nova'),
+    obs('2026-10-02T08:00:00Z', 'desaparecida'),
+    obs('2026-10-03T08:00:00Z', 'nova'),
+  ]);
+
+  assert.deepEqual(t.eventos.map((e) => e.evento), ['apareceu', 'desaparecida', 'reapareceu']);
+  assert.equal(t.desaparecidaEm, null);
+});
+
+test('linhaDoTempo: outra audiência ativa do processo na mesma execução não deixa como sumido', () => {
+  const t = linhaDoTempo([
+    obs('2026-10-01T08:00:00Z', 'nova'),
+    obs('2026-10-02T08:00:00Z', 'sem_alteracao'),
+    obs('2026-10-02T08:00:00Z', 'desaparecida', { dataBR: '12/11/2026' }),
+  ]);
+
+  assert.equal(t.desaparecidaEm, null);
+});
@@ -0,0 +1,349 @@
+/**
+ * Fluxo de navegação/extração contra as fixtures do JTe servidas localmente
+ * (test/helpers/servidorJte.js). Nada sai para a rede.
+ */
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jte = require('../index');
+const { capturarRespostasPauta, processosDaCaptura } = require('../lib/pautaRede');
+const { iniciarServidorJte, lerFixture } = require('./helpers/servidorJte');
+const { abrirNavegador, MOTIVO_SEM_NAVEGADOR } = require('./helpers/navegador');
+const { iniciarLog, encerrarLog, comContexto } = require('../lib/log');
+const { retomarCheckpoint } = require('../lib/checkpoint');
+
+const TRIBUNAL = 'TRT2 - São Paulo';
+const VARA = '1ª Vara do Trabalho de São Paulo';
+
+function diaRelativo(delta) {
+  const hoje = new Date();
+  return new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate() + delta);
+}
+
+function br(d) {
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+}
+
+function iso(d) {
+  return br(d).split('/').reverse().join('-');
+}
+
+function opcoesScrape(outDir) {
+  return {
+    headless: true,
+    workers: 1,
+    rateMs: 0,
+    tribunais: [TRIBUNAL],
+    filtroVara: (v) => v === VARA,
+    datas: [br(DIA_UM), br(DIA_VARIOS), br(DIA_VAZIO)],
+    outDir,
+    formatos: ['csv'],
+    enviarEmail: false,
+    pje: false,
+    crmUrl: '', // CRM_URL do .env não recebe os leads das fixtures
+  };
+}
+
+const HOJE = diaRelativo(0);
+const DIA_UM = diaRelativo(1);
+const DIA_VARIOS = diaRelativo(2);
+const DIA_VAZIO = diaRelativo(3);
+
+const PAUTAS = lerFixture('pautas.json');
+
+// index.js carrega o .env: o alerta de falha (ALERT_MAIL_TO) não pode sair daqui por um SMTP de verdade
+const ENV_EMAIL = ['ALERT_MAIL_TO', 'MAIL_TO', 'MAIL_FROM', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS'];
+
+// pauta de cada dia no servidor de fixtures
+const PAUTAS_POR_DATA = { [iso(DIA_UM)]: 'um', [iso(DIA_VARIOS)]: 'varios', [iso(DIA_VAZIO)]: 'vazia' };
+
+async function abrirPauta(page) {
+  await jte.abrirJTeSelecionarTribunal(page, 'TRT2');
+  await jte.abrirModuloPauta(page);
+}
+
+async function abrirVara(page) {
+  await abrirPauta(page);
+  await jte.selecionarUnidade(page, VARA);
+}
+
+describe('JTe (fixtures locais)', () => {
+  // só o navegador é compartilhado: servidor, aba e pasta de saída são de cada teste
+  let browser;
+
+  before(async () => {
+    for (const nome of ENV_EMAIL) delete process.env[nome];
+    process.env.DB_ENABLED = 'false';
+    browser = await abrirNavegador();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+  });
+
+  // fn(t, { page, outDir, pautasPorData }); o servidor lê pautasPorData a cada pedido
+  const comNavegador = (nome, fn) => test(nome, async (t) => {
+    if (!browser) return t.skip(MOTIVO_SEM_NAVEGADOR);
+
+    const pautasPorData = { ...PAUTAS_POR_DATA };
+    const servidor = await iniciarServidorJte({ pautasPorData });
+    const contexto = await browser.newContext();
+    t.after(async () => {
+      await contexto.close();
+      await servidor.fechar();
+    });
+    process.env.JTE_URL = servidor.url;
+
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jte-teste-'));
+    return fn(t, { page: await contexto.newPage(), outDir, pautasPorData });
+  });
+
+  comNavegador('abre o tribunal pelo rótulo e entra no módulo Pauta', async (t, { page }) => {
+    await abrirPauta(page);
+
+    assert.match(page.url(), /pauta\.html\?tribunal=TRT2/);
+  });
+
+  comNavegador('listarMunicipios devolve os municípios do tipo de unidade', async (t, { page }) => {
+    await abrirPauta(page);
+    const municipios = await jte.listarMunicipios(page);
+    assert.deepEqual(municipios, ['São Paulo - Zonas Central, Norte e Oeste', 'Guarulhos']);
+  });
+
+  comNavegador('listarVaras usa o município padrão e aceita outro', async (t, { page }) => {
+    await abrirPauta(page);
+    const unidades = lerFixture('unidades.json').tipos['Audiências 1º grau'];
+
+    assert.deepEqual(await jte.listarVaras(page), unidades['São Paulo - Zonas Central, Norte e Oeste']);
+    assert.deepEqual(await jte.listarVaras(page, { municipio: 'Guarulhos' }), unidades.Guarulhos);
+
+    // o diálogo é fechado no final
+    assert.equal(await page.locator('mat-dialog-container').count(), 0);
+  });
+
+  comNavegador('selecionarUnidade confirma a vara e deixa a pauta em hoje', async (t, { page }) => {
+    await abrirVara(page);
+
+    assert.equal((await page.locator('#unidade-atual').textContent()).trim(), VARA);
+    assert.match(await page.getByTestId('pautaButtonData').textContent(), new RegExp(br(HOJE)));
+  });
+
+  comNavegador('irAteDataPorBotoes avança e volta até a data alvo', async (t, { page }) => {
+    await abrirVara(page);
+    assert.equal(await jte.irAteDataPorBotoes(page, br(DIA_VAZIO)), true);
+    assert.match(await page.getByTestId('pautaButtonData').textContent(), new RegExp(br(DIA_VAZIO)));
+
+    assert.equal(await jte.irAteDataPorBotoes(page, br(DIA_UM)), true);
+    assert.match(await page.getByTestId('pautaButtonData').textContent(), new RegExp(br(DIA_UM)));
+  });
+
+  comNavegador('irAteDataPorBotoes desiste depois de maxSteps e deixa screenshot + HTML', async (t, { page, outDir }) => {
+    await abrirVara(page);
+    iniciarLog({ outDir });
+    t.after(encerrarLog);
+
+    await comContexto({ runId: 'r-teste', vara: VARA, data: br(diaRelativo(30)) }, async () => {
+      assert.equal(await jte.irAteDataPorBotoes(page, br(diaRelativo(30)), 3), false);
+    });
+
+    const dir = path.join(outDir, 'artefatos', 'r-teste');
+    const arquivos = fs.readdirSync(dir).sort();
+    assert.deepEqual(arquivos.map((a) => path.extname(a)), ['.html', '.png']);
+    assert.match(arquivos[0], /Vara_do_Trabalho_de_Sao_Paulo_\d{2}-\d{2}-\d{4}_botoes_data\.html$/);
+    assert.match(fs.readFileSync(path.join(dir, arquivos[0]), 'utf8'), /pautaButtonData/);
+  });
+
+  for (const [nome, dia, fixture] of [
+    ['vazia', DIA_VAZIO, 'vazia'],
+    ['com 1 audiência', DIA_UM, 'um'],
+    ['com várias audiências', DIA_VARIOS, 'varios'],
+  ]) {
+    comNavegador(`extrairProcessosDaPauta: pauta ${nome}`, async (t, { page }) => {
+      await abrirVara(page);
+      const captura = capturarRespostasPauta(page);
+      try {
+        assert.equal(await jte.selecionarDataComConfirmacao(page, br(dia), 1), true);
+        await jte.esperarPautaEstabilizar(page);
+
+        const processos = await jte.extrairProcessosDaPauta(page);
+        const esperado = PAUTAS[fixture];
+
+        assert.equal(processos.length, esperado.length);
+        processos.forEach((p, i) => {
+          assert.deepEqual(p, {
+            numeroProcesso: esperado[i].numeroProcesso,
+            sessao: `${esperado[i].horario} - ${esperado[i].situacao}`,
+            juiz: esperado[i].magistrado,
+            reclamante: esperado[i].reclamante,
+            reclamada: esperado[i].reclamada,
+            // a linha de aviso não empurra juiz/reclamante/reclamada uma posição
+            outrasPartes: esperado[i].aviso ? `aviso: ${esperado[i].aviso}` : '',
+            partesNaoClassificadas: '',
+            revisaoPartes: '',
+            origemExtracao: 'dom',
+          });
+        });
+
+        // o JSON da mesma pauta, capturado da rede, tem os mesmos processos
+        const daRede = processosDaCaptura(captura, br(dia));
+        assert.deepEqual(daRede.map((p) => p.numeroProcesso), esperado.map((a) => a.numeroProcesso));
+      } finally {
+        captura.desligar();
+      }
+    });
+  }
+
+  comNavegador('navegador de datas: calendário chega na data alvo e fica lembrado por vara', async (t, { page }) => {
+    await abrirVara(page);
+    const navegador = jte.criarNavegadorDatas(['calendario', 'botoes']);
+    const alvo = diaRelativo(40); // outro mês: obriga a trocar o mês no calendário
+
+    assert.equal(await navegador.irPara(page, br(alvo), VARA), 'calendario');
+    assert.match(await page.getByTestId('pautaButtonData').textContent(), new RegExp(br(alvo)));
+    assert.equal(navegador.porUnidade.get(VARA), 'calendario');
+    assert.equal(await page.locator('mat-calendar').count(), 0, 'calendário deveria ter fechado');
+  });
+
+  comNavegador('navegador de datas: sem calendário cai para os botões e lembra a escolha', async (t, { page }) => {
+    await abrirVara(page);
+    const navegador = jte.criarNavegadorDatas(['calendario', 'botoes']);
+    await page.evaluate(() => { window.JTE_SEM_CALENDARIO = true; });
+
+    assert.equal(await navegador.irPara(page, br(DIA_UM), VARA), 'botoes');
+    assert.equal(navegador.porUnidade.get(VARA), 'botoes');
+
+    // próxima data da mesma vara já começa pelos botões
+    assert.equal(await navegador.irPara(page, br(DIA_VARIOS), VARA), 'botoes');
+  });
+
+  comNavegador('navegador de datas: nenhuma estratégia chega -> null', async (t, { page }) => {
+    await abrirVara(page);
+    const navegador = jte.criarNavegadorDatas(['calendario']);
+    await page.evaluate(() => { window.JTE_SEM_CALENDARIO = true; });
+
+    assert.equal(await navegador.irPara(page, br(DIA_VAZIO), VARA), null);
+  });
+
+  test('navegador de datas: estratégia desconhecida é erro de configuração', () => {
+    assert.throws(() => jte.criarNavegadorDatas(['teletransporte']), /desconhecida: teletransporte/);
+  });
+
+  comNavegador('doctor: todos os seletores obrigatórios casam na primeira estratégia', async (t, { outDir }) => {
+    const relatorio = await jte.executarDoctor({ tribunais: [TRIBUNAL], outDir });
+
+    assert.equal(relatorio.ok, true);
+    assert.equal(relatorio.vara, VARA);
+    assert.deepEqual(relatorio.navegacaoData, { calendario: true, botoes: true });
+
+    const seletores = relatorio.passos.flatMap((p) => p.seletores);
+    assert.deepEqual(seletores.filter((s) => !['ok', 'ausente'].includes(s.status)).map((s) => s.nome), []);
+    assert.ok(fs.existsSync(relatorio.arquivo));
+  });
+
+  comNavegador('executarScrape: do JTe ao CSV, sem MySQL/PJe/email', async (t, { outDir }) => {
+    const r = await jte.executarScrape(opcoesScrape(outDir));
+
+    assert.equal(r.falhas.length, 0);
+    // o BANCO DO BRASIL da pauta "varios" cai na blacklist de config/regras.json
+    assert.equal(r.totalDescartadas, 1);
+    assert.equal(r.totalLinhas, PAUTAS.um.length + PAUTAS.varios.length - 1);
+
+    const descartados = fs.readFileSync(r.arquivos.descartados.csvPath, 'utf8');
+    assert.match(descartados, /1001213-68\.2025\.5\.02\.0001;FERNANDA LIMA;BANCO DO BRASIL S\/A;blacklist;/);
+
+    const csv = fs.readFileSync(r.arquivos.csvPath, 'utf8').slice(1).split('\n');
+    assert.equal(csv[0], jte.HEADERS_PAUTA.join(';'));
+    assert.ok(csv.slice(1).every((l) => l.includes(`;${TRIBUNAL};`) && l.includes(VARA)));
+    assert.ok(csv.slice(1).every((l) => l.includes(';ok;')), 'números CNJ das fixtures deveriam validar');
+
+    // sessão quebrada em colunas (tipo vem do JSON da rede)
+    const col = (nome) => csv[0].split(';').indexOf(nome);
+    const padaria = csv.find((l) => l.includes(PAUTAS.um[0].numeroProcesso)).split(';');
+    assert.deepEqual(
+      [padaria[col('hora')], padaria[col('tipoAudiencia')], padaria[col('status')]],
+      ['09:00', 'Inicial', 'designada'],
+    );
+
+    // uma linha por empresa (aba Empresas / CSV _empresas)
+    assert.equal(r.totalEmpresas, r.totalLinhas);
+    assert.equal(fs.readFileSync(r.arquivos.empresasCsvPath, 'utf8').trim().split('\n').length, r.totalEmpresas + 1);
+
+    // aba Leads priorizados: um lead por processo, do maior score para o menor
+    const leads = fs.readFileSync(r.arquivos.leadsCsvPath, 'utf8').trim().split('\n').slice(1).map((l) => l.split(';'));
+    assert.equal(leads.length, r.totalLinhas);
+    const scores = leads.map((l) => Number(l[1]));
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+
+    // primeira execução: nada para comparar, tudo é novo
+    assert.equal(r.mudancas.nova, r.totalLinhas);
+    assert.equal(r.totalNovidades, r.totalLinhas);
+
+    // relatório da execução: tudo lido, nada pulado
+    assert.equal(r.status, 'concluida');
+    const relatorio = JSON.parse(fs.readFileSync(r.relatorioPath, 'utf8'));
+    assert.deepEqual(relatorio.varas, { tentadas: 1, concluidas: 1, comFalha: [], incompletas: [] });
+    assert.deepEqual(relatorio.pares, { total: 3, lidos: 3, pulados: 0 });
+    assert.equal(relatorio.linhas.extraidas, r.totalLinhas);
+
+    // log JSON: as linhas do worker saem com runId, vara e data
+    const log = fs.readFileSync(r.logPath, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    const extracao = log.find((l) => l.msg.startsWith('📌') && l.data === br(DIA_UM));
+    assert.equal(extracao.runId, relatorio.runId);
+    assert.equal(extracao.etapa, 'scrape');
+    assert.match(extracao.vara, new RegExp(`${VARA}$`));
+  });
+
+  comNavegador('executarScrape: JTe fora do ar grava o relatório da falha com a etapa e o stack', async (t, { outDir }) => {
+    process.env.JTE_URL = 'http://127.0.0.1:9/start';
+
+    t.mock.method(console, 'warn');
+    await assert.rejects(jte.executarScrape(opcoesScrape(outDir)));
+    assert.ok(console.warn.mock.calls.some((c) => /ALERT_MAIL_TO está vazio/.test(c.arguments[0])), 'alerta não pode ir para o ALERT_MAIL_TO do .env');
+
+    const [arquivo] = fs.readdirSync(path.join(outDir, 'relatorios'));
+    const relatorio = JSON.parse(fs.readFileSync(path.join(outDir, 'relatorios', arquivo), 'utf8'));
+    assert.equal(relatorio.status, 'falhou');
+    assert.equal(relatorio.etapa, 'unidades');
+    assert.equal(relatorio.runId, null);
+    assert.match(relatorio.erro.stack, /page\.goto[\s\S]*at listarUnidades/);
+  });
+
+  comNavegador('executarScrape: parada pedida antes do scrape = interrompida, trava liberada e checkpoint aberto', async (t, { outDir }) => {
+    const parada = new AbortController();
+    parada.abort();
+
+    await assert.rejects(jte.executarScrape({ ...opcoesScrape(outDir), signal: parada.signal }), { code: 'JTE_INTERROMPIDA' });
+
+    const [arquivo] = fs.readdirSync(path.join(outDir, 'relatorios'));
+    const relatorio = JSON.parse(fs.readFileSync(path.join(outDir, 'relatorios', arquivo), 'utf8'));
+    assert.equal(relatorio.status, 'interrompida');
+    assert.equal(relatorio.varas.incompletas.length, 1);
+    assert.equal(fs.existsSync(path.join(outDir, 'jte.lock')), false);
+    assert.equal(retomarCheckpoint(path.join(outDir, 'checkpoints')).estado.runId, relatorio.runId);
+  });
+
+  comNavegador('executarScrape: segunda execução compara com a anterior e só traz novidades', async (t, { outDir, pautasPorData }) => {
+    await jte.executarScrape(opcoesScrape(outDir));
+
+    // a audiência da padaria passa do DIA_UM para o DIA_VAZIO
+    Object.assign(pautasPorData, { [iso(DIA_UM)]: 'vazia', [iso(DIA_VAZIO)]: 'um' });
+    const r = await jte.executarScrape(opcoesScrape(outDir));
+
+    assert.deepEqual(r.mudancas, {
+      nova: 0,
+      remarcada: 1,
+      status_alterado: 0,
+      desaparecida: 0,
+      sem_alteracao: r.totalLinhas - 1,
+    });
+
+    const novidades = fs.readFileSync(r.arquivos.novidadesCsvPath, 'utf8').trim().split('\n');
+    assert.equal(novidades.length, 2);
+    assert.match(novidades[1], new RegExp(`^remarcada;de ${br(DIA_UM)} 09:00 para ${br(DIA_VAZIO)} 09:00;`));
+    assert.ok(novidades[1].includes(PAUTAS.um[0].numeroProcesso));
+  });
+});
+
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { ARQUIVO_LEADS_PADRAO, compilarPontuacao, carregarPontuacao, pontuarLeads } = require('../lib/leads');
+
+const HOJE = new Date(2026, 9, 19);
+
+function linha(numeroProcesso, data, extras = {}) {
+  return {
+    tribunal: 'TRT2 - São Paulo',
+    vara: '1ª Vara do Trabalho de São Paulo',
+    numeroProcesso,
+    data,
+    tipoAudiencia: 'Inicial',
+    reclamada: 'PADARIA ALFA LTDA - ME',
+    valor_causa: '',
+    tem_advogado_reclamada: '',
+    ...extras,
+  };
+}
+
+test('pontuarLeads: ordena por score e mostra os fatores', () => {
+  const p = compilarPontuacao();
+  const leads = pontuarLeads([
+    linha('0000001-00.2025.5.02.0001', '10/12/2026', { tipoAudiencia: 'Julgamento', reclamada: 'METALURGICA OMEGA S/A' }),
+    linha('0000002-00.2025.5.02.0001', '26/10/2026'),
+  ], p, { hoje: HOJE });
+
+  assert.deepEqual(leads.map((l) => [l.posicao, l.numeroProcesso.slice(0, 7)]), [[1, '0000002'], [2, '0000001']]);
+  assert.ok(leads[0].score > leads[1].score);
+
+  const [melhor] = leads;
+  assert.equal(melhor.diasAteAudiencia, 7);
+  assert.equal(melhor.pontosTipoAudiencia, 20);
+  assert.equal(melhor.pontosPorte, 20);
+  assert.match(melhor.fatores, /proximidade \(7 dias\): \d+(\.\d)?\/30/);
+  assert.match(melhor.fatores, /porte \(ME\): 20\/20/);
+  assert.match(melhor.fatores, /valorCausa: sem dado; advogado: sem dado/);
+  assert.equal(melhor.pontosValorCausa, '');
+});
+
+test('pontuarLeads: critério sem dado sai da conta em vez de zerar a nota', () => {
+  const p = compilarPontuacao({ pesos: { proximidade: 0, recorrencia: 0 } });
+  const [semPje] = pontuarLeads([linha('0000001-00.2025.5.02.0001', '26/10/2026')], p, { hoje: HOJE });
+  const [comPje] = pontuarLeads([
+    linha('0000001-00.2025.5.02.0001', '26/10/2026', { valor_causa: 200000, tem_advogado_reclamada: 'NÃO' }),
+  ], p, { hoje: HOJE });
+
+  assert.equal(semPje.score, 100);
+  assert.equal(comPje.score, 100);
+  assert.equal(comPje.pontosValorCausa, 10);
+  assert.equal(comPje.pontosAdvogado, 5);
+});
+
+test('pontuarLeads: recorrência conta processos da mesma empresa em todas as varas', () => {
+  const p = compilarPontuacao();
+  const leads = pontuarLeads([
+    linha('0000001-00.2025.5.02.0001', '26/10/2026'),
+    linha('0000002-00.2025.5.02.0001', '27/10/2026', { vara: '2ª Vara do Trabalho de São Paulo', reclamada: 'Padaria Alfa Ltda ME' }),
+    linha('0000003-00.2025.5.02.0001', '27/10/2026', { reclamada: 'BETA SERVICOS LTDA' }),
+  ], p, { hoje: HOJE });
+
+  const alfa = leads.find((l) => l.numeroProcesso.startsWith('0000001'));
+  assert.equal(alfa.totalProcessosEmpresa, 2);
+  assert.match(alfa.fatores, /recorrencia \(2 processos em 2 varas\)/);
+  assert.equal(leads.find((l) => l.numeroProcesso.startsWith('0000003')).pontosRecorrencia, 0);
+});
+
+test('pontuarLeads: porte usa o primeiro sinal da lista que aparece no nome', () => {
+  const p = compilarPontuacao({ pesos: { proximidade: 0, tipoAudiencia: 0, recorrencia: 0 } });
+  const porte = (reclamada) => pontuarLeads([linha('0000001-00.2025.5.02.0001', '26/10/2026', { reclamada })], p, { hoje: HOJE })[0];
+
+  assert.match(porte('GRUPO ALFA EIRELI').fatores, /porte \(GRUPO\): 4\/20/);
+  assert.match(porte('PADARIA ALFA LTDA - ME').fatores, /porte \(ME\): 20\/20/);
+  assert.match(porte('BETA SERVICOS LTDA').fatores, /porte \(LTDA\): 14\/20/);
+});
+
+test('pontuarLeads: um lead por processo, com a próxima audiência', () => {
+  const leads = pontuarLeads([
+    linha('0000001-00.2025.5.02.0001', '10/12/2026', { tipoAudiencia: 'Instrução' }),
+    linha('0000001-00.2025.5.02.0001', '26/10/2026'),
+    linha('0000001-00.2025.5.02.0001', '15/10/2026'),
+  ], compilarPontuacao(), { hoje: HOJE });
+
+  assert.equal(leads.length, 1);
+  assert.equal(leads[0].data, '26/10/2026');
+});
+
+test('compilarPontuacao: peso inválido ou critério desconhecido falham com mensagem clara', () => {
+  assert.throws(() => compilarPontuacao({ pesos: { proximidade: -1 } }), /pesos\.proximidade/);
+  assert.throws(() => compilarPontuacao({ pesos: { tamanho: 10 } }), /critério desconhecido em pesos: "tamanho"/);
+  assert.throws(() => compilarPontuacao({ valorCausa: { minimo: 5000, maximo: 1000 } }), /valorCausa\.maximo/);
+});
+
+test('config/leads.json: carrega e repete os padrões do código', () => {
+  const doArquivo = carregarPontuacao(ARQUIVO_LEADS_PADRAO);
+  const padrao = compilarPontuacao();
+  assert.deepEqual({ ...doArquivo, arquivo: undefined }, { ...padrao, arquivo: undefined });
+  assert.ok(fs.existsSync(doArquivo.arquivo));
+});
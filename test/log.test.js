@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { iniciarLog, encerrarLog, registrar, definirContexto, comContexto } = require('../lib/log');
+
+function lerLinhas(arquivo) {
+  return fs.readFileSync(arquivo, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+function outDirTemporario() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jte-log-'));
+}
+
+test('iniciarLog: console vira JSON com runId/etapa e o contexto de cada worker', async (t) => {
+  const originalLog = console.log;
+  t.mock.method(console, 'log', () => { });
+  t.mock.method(console, 'warn', () => { });
+
+  const arquivo = iniciarLog({ outDir: outDirTemporario() });
+  try {
+    definirContexto({ runId: 'r1', etapa: 'scrape' });
+    console.log('👷 %d varas pendentes', 2);
+
+    // workers em paralelo: cada um com a própria vara/data
+    await Promise.all(['1ª Vara', '2ª Vara'].map((vara, i) => comContexto({ worker: i + 1, vara }, async () => {
+      definirContexto({ data: `2${i}/10/2026` });
+      await new Promise((r) => setTimeout(r, 5 - i * 5));
+      console.warn(`⚠️ Pulando data: ${vara}`);
+    })));
+    console.log('✅ fim');
+  } finally {
+    encerrarLog();
+  }
+
+  assert.equal(console.log.mock.callCount(), 2, 'terminal continua recebendo as linhas');
+  const linhas = lerLinhas(arquivo);
+  assert.deepEqual(
+    linhas.map((l) => [l.nivel, l.runId, l.etapa, l.worker, l.vara, l.data]),
+    [
+      ['info', 'r1', 'scrape', null, null, null],
+      ['warn', 'r1', 'scrape', 2, '2ª Vara', '21/10/2026'],
+      ['warn', 'r1', 'scrape', 1, '1ª Vara', '20/10/2026'],
+      ['info', 'r1', 'scrape', null, null, null],
+    ],
+  );
+  assert.equal(linhas[0].msg, '👷 2 varas pendentes');
+  assert.ok(!Number.isNaN(Date.parse(linhas[0].ts)));
+
+  t.mock.restoreAll();
+  assert.equal(console.log, originalLog, 'encerrarLog devolve o console original');
+});
+
+test('iniciarLog: nível mínimo e rotação por tamanho', (t) => {
+  t.mock.method(console, 'debug', () => { });
+  const outDir = outDirTemporario();
+  const arquivo = iniciarLog({ outDir, nivel: 'info', maxBytes: 400, maxArquivos: 2 });
+  try {
+    console.debug('fica só no terminal');
+    for (let i = 0; i < 12; i++) registrar('info', `linha ${i}`);
+  } finally {
+    encerrarLog();
+  }
+
+  const dir = path.join(outDir, 'logs');
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['jte.1.log', 'jte.2.log', 'jte.log']);
+  for (const nome of fs.readdirSync(dir)) assert.ok(fs.statSync(path.join(dir, nome)).size <= 400);
+
+  const ultimas = lerLinhas(arquivo);
+  assert.equal(ultimas[ultimas.length - 1].msg, 'linha 11');
+  const todas = ['jte.2.log', 'jte.1.log', 'jte.log'].flatMap((n) => lerLinhas(path.join(dir, n)));
+  assert.ok(todas.every((l) => l.nivel === 'info'), 'debug abaixo do nível não entra');
+});
+
+test('iniciarLog: rotação conta bytes, não caracteres (acentos e emoji)', () => {
+  const outDir = outDirTemporario();
+  // ~480 caracteres e ~680 bytes por linha: a segunda só cabe em 1200 contando caracteres
+  iniciarLog({ outDir, maxBytes: 1200, maxArquivos: 3 });
+  try {
+    for (let i = 0; i < 4; i++) registrar('info', `🔁 ${'ção'.repeat(100)} ${i}`);
+  } finally {
+    encerrarLog();
+  }
+
+  const dir = path.join(outDir, 'logs');
+  for (const nome of fs.readdirSync(dir)) {
+    assert.ok(fs.statSync(path.join(dir, nome)).size <= 1200, `${nome}: ${fs.statSync(path.join(dir, nome)).size} bytes`);
+  }
+});
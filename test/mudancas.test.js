@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compararComAnterior, listarNovidades } = require('../lib/mudancas');
+
+const VARA_1 = { tribunal: 'TRT2 - São Paulo', municipio: 'São Paulo', vara: '1ª Vara do Trabalho de São Paulo' };
+const VARA_2 = { ...VARA_1, vara: '2ª Vara do Trabalho de São Paulo' };
+
+function linha(numeroProcesso, data, extras = {}) {
+  return { ...VARA_1, numeroProcesso, data, hora: '09:00', tipoAudiencia: 'Inicial', status: 'designada', ...extras };
+}
+
+test('compararComAnterior: nova, sem alteração e status alterado', () => {
+  const anteriores = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000002-00.2025.5.02.0001', '10/11/2026'),
+  ];
+  const atuais = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000002-00.2025.5.02.0001', '10/11/2026', { hora: '10:30', status: 'redesignada' }),
+    linha('0000003-00.2025.5.02.0001', '10/11/2026'),
+  ];
+
+  const { resumo, desaparecidas } = compararComAnterior(atuais, anteriores);
+
+  assert.deepEqual(atuais.map((r) => r.mudanca), ['sem_alteracao', 'status_alterado', 'nova']);
+  assert.equal(atuais[1].detalheMudanca, 'hora: 09:00 -> 10:30; status: designada -> redesignada');
+  assert.equal(desaparecidas.length, 0);
+  assert.equal(resumo.nova, 1);
+  assert.equal(resumo.sem_alteracao, 1);
+});
+
+test('compararComAnterior: campo vazio de um lado não conta como mudança', () => {
+  const atuais = [linha('0000001-00.2025.5.02.0001', '10/11/2026', { status: '' })];
+  compararComAnterior(atuais, [linha('0000001-00.2025.5.02.0001', '10/11/2026')]);
+  assert.equal(atuais[0].mudanca, 'sem_alteracao');
+});
+
+test('compararComAnterior: outra data ou outra vara é remarcação, não nova + desaparecida', () => {
+  const anteriores = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000002-00.2025.5.02.0001', '10/11/2026'),
+  ];
+  const atuais = [
+    linha('0000001-00.2025.5.02.0001', '24/11/2026', { hora: '14:00' }),
+    { ...linha('0000002-00.2025.5.02.0001', '10/11/2026'), ...VARA_2 },
+  ];
+
+  const { resumo, desaparecidas, origensRemarcadas } = compararComAnterior(atuais, anteriores);
+
+  assert.deepEqual(atuais.map((r) => r.mudanca), ['remarcada', 'remarcada']);
+  assert.equal(atuais[0].detalheMudanca, 'de 10/11/2026 09:00 para 24/11/2026 14:00');
+  assert.equal(
+    atuais[1].detalheMudanca,
+    'de 10/11/2026 09:00 (1ª Vara do Trabalho de São Paulo) para 10/11/2026 09:00 (2ª Vara do Trabalho de São Paulo)',
+  );
+  assert.equal(origensRemarcadas.length, 2);
+  assert.equal(desaparecidas.length, 0);
+  assert.equal(resumo.remarcada, 2);
+});
+
+test('compararComAnterior: desaparecida só onde a pauta foi lida de novo', () => {
+  const anteriores = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000002-00.2025.5.02.0001', '11/11/2026'),
+  ];
+  const atuais = [];
+
+  // 11/11 não foi lida nesta execução (falhou ou foi pulada): não dá para afirmar que sumiu
+  const { desaparecidas, resumo } = compararComAnterior(atuais, anteriores, {
+    observado: (r) => r.data === '10/11/2026',
+  });
+
+  assert.deepEqual(desaparecidas.map((r) => r.numeroProcesso), ['0000001-00.2025.5.02.0001']);
+  assert.equal(desaparecidas[0].mudanca, 'desaparecida');
+  assert.equal(anteriores[0].mudanca, undefined, 'não altera o estado anterior');
+  assert.equal(resumo.desaparecida, 1);
+});
+
+test('listarNovidades: deixa de fora sem_alteracao e ordena por tipo de mudança e data', () => {
+  const anteriores = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000002-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000004-00.2025.5.02.0001', '12/11/2026'),
+  ];
+  const atuais = [
+    linha('0000001-00.2025.5.02.0001', '10/11/2026'),
+    linha('0000003-00.2025.5.02.0001', '12/11/2026'),
+    linha('0000005-00.2025.5.02.0001', '11/11/2026'),
+    linha('0000004-00.2025.5.02.0001', '13/11/2026'),
+  ];
+
+  const { desaparecidas } = compararComAnterior(atuais, anteriores);
+  const novidades = listarNovidades(atuais, desaparecidas);
+
+  assert.deepEqual(
+    novidades.map((r) => [r.mudanca, r.numeroProcesso.slice(0, 7)]),
+    [['nova', '0000005'], ['nova', '0000003'], ['remarcada', '0000004'], ['desaparecida', '0000002']],
+  );
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pareceEmpresa, classificarLinha, classificarPartes } = require('../lib/partes');
+
+const VAZIO = { outrasPartes: '', partesNaoClassificadas: '', revisaoPartes: '' };
+
+test('classificarPartes: juiz, reclamante e reclamada sem rótulo, na ordem de sempre', () => {
+  assert.deepEqual(classificarPartes(['Dra. Ana Paula Souza', 'JOSÉ DA SILVA', 'PADARIA PÃO QUENTE LTDA']), {
+    juiz: 'Dra. Ana Paula Souza',
+    reclamante: 'JOSÉ DA SILVA',
+    reclamada: 'PADARIA PÃO QUENTE LTDA',
+    ...VAZIO,
+  });
+});
+
+test('classificarPartes: sem a linha do juiz nada escorrega', () => {
+  assert.deepEqual(classificarPartes(['JOSÉ DA SILVA', 'PADARIA PÃO QUENTE LTDA']), {
+    juiz: '',
+    reclamante: 'JOSÉ DA SILVA',
+    reclamada: 'PADARIA PÃO QUENTE LTDA',
+    ...VAZIO,
+  });
+});
+
+test('classificarPartes: aviso de segredo de justiça e perito vão para outrasPartes', () => {
+  const r = classificarPartes([
+    'Processo em segredo de justiça',
+    'Dr. Paulo Mendes',
+    'MARIA OLIVEIRA',
+    'CONSTRUTORA ALFA LTDA',
+    'FULANO DE TAL (Perito)',
+  ]);
+  assert.equal(r.juiz, 'Dr. Paulo Mendes');
+  assert.equal(r.reclamante, 'MARIA OLIVEIRA');
+  assert.equal(r.reclamada, 'CONSTRUTORA ALFA LTDA');
+  assert.equal(r.outrasPartes, 'aviso: Processo em segredo de justiça; perito: FULANO DE TAL');
+  assert.equal(r.revisaoPartes, '');
+});
+
+test('classificarPartes: rótulos explícitos e vários polos passivos', () => {
+  assert.deepEqual(classificarPartes([
+    'Juiz: Paulo Mendes',
+    'Reclamante: MARIA',
+    'Reclamado: ALFA LTDA',
+    'Reclamada - BETA S/A',
+  ]), { juiz: 'Paulo Mendes', reclamante: 'MARIA', reclamada: 'ALFA LTDA; BETA S/A', ...VAZIO });
+});
+
+test('classificarPartes: atribuição duvidosa fica marcada para revisão', () => {
+  // duas pessoas físicas: só a posição diz quem é quem
+  const pessoas = classificarPartes(['Dr. Paulo', 'MARIA SOUZA', 'JOAO SOUZA']);
+  assert.equal(pessoas.reclamada, 'JOAO SOUZA');
+  assert.match(pessoas.revisaoPartes, /pela posição/);
+
+  // só o aviso: não há reclamada
+  const segredo = classificarPartes(['Dr. Paulo Mendes', 'Segredo de justiça']);
+  assert.equal(segredo.reclamada, '');
+  assert.equal(segredo.revisaoPartes, 'reclamada não identificada');
+
+  // polos rotulados + linha solta: a linha solta não é adivinhada
+  const sobra = classificarPartes(['Reclamante: MARIA', 'Reclamada: ALFA LTDA', 'JOAO PEREIRA']);
+  assert.equal(sobra.partesNaoClassificadas, 'JOAO PEREIRA');
+  assert.equal(sobra.revisaoPartes, 'linhas não classificadas');
+});
+
+test('classificarLinha / pareceEmpresa', () => {
+  assert.deepEqual(classificarLinha('Reclamante: JOSÉ'), { papel: 'reclamante', texto: 'JOSÉ', origem: 'rotulo' });
+  assert.equal(classificarLinha('Dra. Ana').papel, 'juiz');
+  assert.equal(classificarLinha('MERCADO GAMA - ME').papel, null);
+  assert.equal(pareceEmpresa('Beta Transportes Eireli'), true);
+  assert.equal(pareceEmpresa('12.345.678/0001-90'), true);
+  assert.equal(pareceEmpresa('José da Silva'), false);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { localizarListaPauta, mapearItemPauta, processosDaCaptura } = require('../lib/pautaRede');
+const { lerFixture } = require('./helpers/servidorJte');
+
+const PAUTAS = lerFixture('pautas.json');
+
+// formato alternativo: chaves de outra versão da API, objetos aninhados e listas de partes
+const ITEM_ALTERNATIVO = {
+  processo: { numero: '0001234-56.2025.5.02.0011', classe: { sigla: 'ATSum', descricao: 'Rito Sumaríssimo' } },
+  dataHoraInicio: '2026-11-03T14:30:00',
+  'Situação': 'Designada',
+  descricaoTipo: 'Conciliação',
+  formaRealizacao: 'Telepresencial',
+  nomeMagistrado: 'Dr. Paulo Mendes',
+  poloAtivo: [{ nome: 'ANA  LIMA' }, { nome: 'BRUNO LIMA' }],
+  poloPassivo: { nome: 'OMEGA S/A' },
+  nomeSala: 'Sala 3',
+};
+
+function captura(...respostas) {
+  return { respostas: respostas.map(([url, json]) => ({ url, json })) };
+}
+
+test('localizarListaPauta: acha a lista de audiências em qualquer nível', () => {
+  assert.equal(localizarListaPauta({ data: '2026-11-03', audiencias: PAUTAS.varios }).length, PAUTAS.varios.length);
+  assert.equal(localizarListaPauta(PAUTAS.um)[0].numeroProcesso, PAUTAS.um[0].numeroProcesso);
+  assert.deepEqual(localizarListaPauta({ resultado: { conteudo: { itens: [ITEM_ALTERNATIVO] } } }), [ITEM_ALTERNATIVO]);
+
+  // duas listas: vale a que tem mais audiências
+  assert.equal(localizarListaPauta({ destaque: PAUTAS.um, audiencias: PAUTAS.varios }).length, PAUTAS.varios.length);
+});
+
+test('localizarListaPauta: formato desconhecido -> null', () => {
+  assert.equal(localizarListaPauta(PAUTAS.vazia), null);
+  assert.equal(localizarListaPauta({ total: 3, mensagem: 'ok' }), null);
+  assert.equal(localizarListaPauta({ salas: [{ nome: 'Sala 1' }, { nome: 'Sala 2' }] }), null);
+  assert.equal(localizarListaPauta([{ numeroProcesso: 'sigiloso' }]), null);
+  assert.equal(localizarListaPauta({ a: { b: { c: { d: { e: PAUTAS.um } } } } }), null, 'além da profundidade máxima');
+  assert.equal(localizarListaPauta(null), null);
+});
+
+test('mapearItemPauta: item das fixtures no formato de extrairProcessosDaPauta', () => {
+  assert.deepEqual(mapearItemPauta(PAUTAS.um[0]), {
+    numeroProcesso: '1000123-25.2025.5.02.0001',
+    sessao: '09:00 - Inicial',
+    juiz: 'Dra. Ana Paula Souza',
+    reclamante: 'JOSÉ DA SILVA',
+    reclamada: 'PADARIA PÃO QUENTE LTDA',
+    classe: 'ATOrd',
+    sala: 'Sala 1',
+    tipoPauta: 'Inicial',
+    situacaoPauta: 'Designada',
+    modalidadePauta: '',
+    origemExtracao: 'rede',
+  });
+});
+
+test('mapearItemPauta: chaves alternativas, acento na chave, objetos e listas de partes', () => {
+  assert.deepEqual(mapearItemPauta(ITEM_ALTERNATIVO), {
+    numeroProcesso: '0001234-56.2025.5.02.0011',
+    sessao: '14:30 - Conciliação',
+    juiz: 'Dr. Paulo Mendes',
+    reclamante: 'ANA LIMA; BRUNO LIMA',
+    reclamada: 'OMEGA S/A',
+    classe: 'Rito Sumaríssimo',
+    sala: 'Sala 3',
+    tipoPauta: 'Conciliação',
+    situacaoPauta: 'Designada',
+    modalidadePauta: 'Telepresencial',
+    origemExtracao: 'rede',
+  });
+
+  // sem tipo, a sessão leva a situação
+  assert.equal(mapearItemPauta({ numero: '1000123-25.2025.5.02.0001', hora: '08:15h', status: 'Cancelada' }).sessao, '08:15 - Cancelada');
+});
+
+test('processosDaCaptura: prefere a resposta da data alvo, mesmo que outra chegue depois', () => {
+  const c = captura(
+    ['http://jte/api/pauta?orgao=1&data=2026-11-03', { audiencias: PAUTAS.um }],
+    ['http://jte/api/pauta?orgao=1&data=2026-11-04', { audiencias: PAUTAS.varios }],
+  );
+
+  assert.deepEqual(processosDaCaptura(c, '03/11/2026').map((p) => p.numeroProcesso), PAUTAS.um.map((a) => a.numeroProcesso));
+  assert.equal(processosDaCaptura(c, '04/11/2026').length, PAUTAS.varios.length);
+
+  // nenhuma URL cita a data: fica a última resposta com pauta
+  assert.equal(processosDaCaptura(c, '05/11/2026').length, PAUTAS.varios.length);
+});
+
+test('processosDaCaptura: pauta vazia só quando a URL é da data alvo', () => {
+  assert.deepEqual(processosDaCaptura(captura(['http://jte/api/pauta?data=03%2F11%2F2026', { audiencias: [] }]), '03/11/2026'), []);
+  assert.equal(processosDaCaptura(captura(['http://jte/api/pauta?data=2026-11-04', []]), '03/11/2026'), null);
+});
+
+test('processosDaCaptura: nada reconhecível -> null (cai para o DOM)', () => {
+  assert.equal(processosDaCaptura(captura(), '03/11/2026'), null);
+  assert.equal(processosDaCaptura(captura(['http://jte/api/audiencias/resumo', { total: 3, mensagem: 'ok' }]), '03/11/2026'), null);
+  assert.equal(processosDaCaptura(captura(['http://jte/api/pauta/salas', { salas: [{ nome: 'Sala 1' }] }]), '03/11/2026'), null);
+});
@@ -0,0 +1,111 @@
+/**
+ * Enriquecimento via PJe contra páginas de detalhe salvas (test/fixtures/pje),
+ * servidas pelo servidor local das fixtures. Nada sai para a rede.
+ */
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDetalhePje, consultarProcessoPje, enriquecerProcessos, colunasPje } = require('../lib/pje');
+const { iniciarServidorJte, lerFixturePje } = require('./helpers/servidorJte');
+const { abrirNavegador, MOTIVO_SEM_NAVEGADOR } = require('./helpers/navegador');
+
+const COM_ADVOGADO = '0001234-61.2025.5.02.0001';
+const PESSOA_FISICA = '1000123-13.2025.5.02.0005';
+const CAPTCHA = '0000099-14.2025.5.02.0001';
+const INEXISTENTE = '0000777-00.2025.5.02.0001';
+
+// aproximação do innerText: cada bloco numa linha
+function textoDaPagina(html) {
+  return html
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/?(div|section|h\d|p|li|tr)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+}
+
+describe('parseDetalhePje (páginas salvas)', () => {
+  test('polo passivo com CNPJ, endereço, email e advogados; polo ativo e movimentações ficam de fora', () => {
+    const r = parseDetalhePje(textoDaPagina(lerFixturePje(`${COM_ADVOGADO}.html`)));
+    assert.deepEqual(r, {
+      encontrouPoloPassivo: true,
+      cnpj: '12.345.678/0001-95',
+      valorCausa: 87450.32,
+      advogados: ['JOSÉ DA SILVA', 'MARIA SOUZA'],
+      temAdvogado: true,
+      endereco: 'Rua das Flores, 100, Centro, São Paulo/SP - CEP 01001-000',
+      email: 'contato@padariaalfa.com.br',
+    });
+  });
+
+  test('reclamada pessoa física sem advogado: CPF e valor da causa na mesma linha', () => {
+    const r = parseDetalhePje(textoDaPagina(lerFixturePje(`${PESSOA_FISICA}.html`)));
+    assert.equal(r.cnpj, '987.654.321-00');
+    assert.equal(r.valorCausa, 45000);
+    assert.deepEqual([r.advogados, r.temAdvogado], [[], false]);
+    assert.match(r.endereco, /^Avenida Paulista, 1000/);
+  });
+
+  test('página sem polo passivo nem valor', () => {
+    const r = parseDetalhePje(textoDaPagina(lerFixturePje('nao_encontrado.html')));
+    assert.deepEqual([r.encontrouPoloPassivo, r.valorCausa, r.cnpj], [false, null, '']);
+  });
+});
+
+describe('consultarProcessoPje (servidor local)', () => {
+  let servidor;
+  let browser;
+  let page;
+  let opts;
+
+  before(async () => {
+    servidor = await iniciarServidorJte();
+    opts = { baseUrl: `${servidor.base}/pje/`, timeoutMs: 5000, delayMinMs: 0, delayMaxMs: 0 };
+    browser = await abrirNavegador();
+    if (browser) page = await browser.newPage();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (servidor) await servidor.fechar();
+  });
+
+  const comNavegador = (nome, fn) => test(nome, async (t) => {
+    if (!browser) return t.skip(MOTIVO_SEM_NAVEGADOR);
+    return fn(t);
+  });
+
+  comNavegador('ok: dados do polo passivo lidos da página renderizada', async () => {
+    const r = await consultarProcessoPje(page, COM_ADVOGADO, opts);
+    assert.equal(r.status, 'ok');
+    assert.equal(r.numeroProcesso, COM_ADVOGADO);
+    assert.equal(r.cnpj, '12.345.678/0001-95');
+    assert.equal(r.valorCausa, 87450.32);
+    assert.deepEqual(r.advogados, ['JOSÉ DA SILVA', 'MARIA SOUZA']);
+
+    assert.deepEqual(colunasPje(r), {
+      cnpj: '12.345.678/0001-95',
+      valor_causa: 87450.32,
+      tem_advogado_reclamada: 'SIM',
+      advogados_reclamada: 'JOSÉ DA SILVA | MARIA SOUZA',
+      endereco_reclamada: 'Rua das Flores, 100, Centro, São Paulo/SP - CEP 01001-000',
+      pje_status: 'ok',
+    });
+  });
+
+  comNavegador('nao_encontrado e captcha', async () => {
+    assert.deepEqual(await consultarProcessoPje(page, INEXISTENTE, opts), { numeroProcesso: INEXISTENTE, status: 'nao_encontrado' });
+    assert.deepEqual(await consultarProcessoPje(page, CAPTCHA, opts), { numeroProcesso: CAPTCHA, status: 'captcha' });
+    assert.equal(colunasPje({ numeroProcesso: CAPTCHA, status: 'captcha' }).tem_advogado_reclamada, '', 'sem consulta não afirma nada');
+  });
+
+  comNavegador('enriquecerProcessos: um resultado por número e para no CAPTCHA', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+    const antes = servidor.pedidosPje.length;
+
+    const resultados = await enriquecerProcessos(page, [PESSOA_FISICA, PESSOA_FISICA, '', CAPTCHA, COM_ADVOGADO], opts);
+
+    assert.deepEqual([...resultados].map(([n, r]) => [n, r.status]), [[PESSOA_FISICA, 'ok'], [CAPTCHA, 'captcha']]);
+    assert.equal(resultados.get(PESSOA_FISICA).temAdvogado, false);
+    assert.deepEqual(servidor.pedidosPje.slice(antes), [PESSOA_FISICA, CAPTCHA], 'depois do CAPTCHA não consulta mais nada');
+  });
+});
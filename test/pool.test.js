@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { criarLimitador, limitarRequisicoes, executarPool } = require('../lib/pool');
+
+// worker de mentira: registra cada item processado com o estado que o processou
+function criarWorkers({ falhar = () => false } = {}) {
+  const registro = { criados: 0, encerrados: [], processados: [] };
+  return {
+    registro,
+    criarWorker: async (id) => ({ id, instancia: ++registro.criados }),
+    encerrarWorker: async (estado) => { registro.encerrados.push(estado.instancia); },
+    processar: async (estado, item) => {
+      registro.processados.push([item, estado.instancia]);
+      if (falhar(item, registro)) throw new Error(`falhou ${item}`);
+    },
+  };
+}
+
+test('executarPool: item que falha volta para o fim da fila até o limite de tentativas', async (t) => {
+  t.mock.method(console, 'warn', () => { });
+  let tentativasC = 0;
+  const w = criarWorkers({ falhar: (item) => item === 'b' || (item === 'c' && ++tentativasC === 1) });
+
+  const { falhas, restantes } = await executarPool(['a', 'b', 'c'], { ...w, concorrencia: 1, tentativasPorItem: 2 });
+
+  assert.deepEqual(w.registro.processados.map(([item]) => item), ['a', 'b', 'c', 'b', 'c']);
+  assert.deepEqual(falhas.map((f) => [f.item, f.erro.message]), [['b', 'falhou b']]);
+  assert.deepEqual(restantes, []);
+  assert.equal(console.warn.mock.callCount(), 3);
+});
+
+test('executarPool: estado do worker é descartado e recriado depois de uma falha', async (t) => {
+  t.mock.method(console, 'warn', () => { });
+  const w = criarWorkers({ falhar: (item) => item === 2 });
+
+  await executarPool([1, 2, 3, 4], { ...w, concorrencia: 1, tentativasPorItem: 1 });
+
+  assert.deepEqual(w.registro.processados, [[1, 1], [2, 1], [3, 2], [4, 2]], 'itens depois da falha usam um estado novo');
+  assert.equal(w.registro.criados, 2);
+  assert.deepEqual(w.registro.encerrados, [1, 2], 'o estado da falha e o do fim são encerrados');
+});
+
+test('executarPool: signal abortado termina o item atual e devolve o resto da fila', async () => {
+  const controle = new AbortController();
+  const w = criarWorkers();
+  const processar = w.processar;
+  w.processar = async (estado, item) => {
+    await processar(estado, item);
+    if (item === 'b') controle.abort();
+  };
+
+  const { falhas, restantes } = await executarPool(['a', 'b', 'c', 'd', 'e'], { ...w, concorrencia: 1, signal: controle.signal });
+
+  assert.deepEqual(falhas, []);
+  assert.deepEqual(w.registro.processados.map(([item]) => item), ['a', 'b'], 'b termina mesmo com o abort no meio');
+  assert.deepEqual(restantes, ['c', 'd', 'e']);
+  assert.deepEqual(w.registro.encerrados, [1], 'worker encerrado mesmo interrompido');
+});
+
+test('criarLimitador: intervalo mínimo entre requisições somando todos os workers', async (t) => {
+  // relógio falso: a conta é exata e não depende da carga da máquina
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const limitador = criarLimitador(40);
+  const liberadas = [];
+  [1, 2, 3, 4].forEach((i) => limitador.aguardar().then(() => liberadas.push([i, Date.now()])));
+
+  const avancar = async (ms) => {
+    t.mock.timers.tick(ms);
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  };
+  await avancar(0);
+  assert.deepEqual(liberadas, [[1, 0]]);
+  await avancar(39);
+  assert.deepEqual(liberadas, [[1, 0]], 'a segunda ainda espera');
+  await avancar(1);
+  await avancar(40);
+  await avancar(40);
+  assert.deepEqual(liberadas, [[1, 0], [2, 40], [3, 80], [4, 120]]);
+
+  const semLimite = criarLimitador(0);
+  const ordem = [];
+  await Promise.all([1, 2, 3].map((i) => semLimite.aguardar().then(() => ordem.push(i))));
+  assert.deepEqual(ordem, [1, 2, 3], 'sem limite ninguém espera timer');
+});
+
+test('limitarRequisicoes: só XHR/fetch passam pelo limitador', async () => {
+  let handler;
+  const context = { route: async (padrao, fn) => { handler = fn; } };
+  const esperas = [];
+  await limitarRequisicoes(context, { aguardar: async () => { esperas.push('espera'); } });
+
+  const continuados = [];
+  const rota = (tipo) => ({ request: () => ({ resourceType: () => tipo }), continue: async () => { continuados.push(tipo); } });
+  for (const tipo of ['xhr', 'image', 'fetch', 'stylesheet']) await handler(rota(tipo));
+
+  assert.equal(esperas.length, 2);
+  assert.deepEqual(continuados, ['xhr', 'image', 'fetch', 'stylesheet']);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tipoDoArquivo, parseLinhaReceita, MAPEAR, escolherCnpj, colunasReceita, lerConfiancaMinima } = require('../lib/receita');
+
+test('tipoDoArquivo: nomes de dentro dos zips da Receita e nomes amigáveis', () => {
+  assert.equal(tipoDoArquivo('K3241.K03200Y0.D40210.EMPRECSV'), 'empresas');
+  assert.equal(tipoDoArquivo('/dados/K3241.K03200Y3.D40210.ESTABELE'), 'estabelecimentos');
+  assert.equal(tipoDoArquivo('F.K03200$W.SIMPLES.CSV.D40210'), 'simples');
+  assert.equal(tipoDoArquivo('F.K03200$Z.D40210.CNAECSV'), 'cnaes');
+  assert.equal(tipoDoArquivo('F.K03200$Z.D40210.MUNICCSV'), 'municipios');
+  assert.equal(tipoDoArquivo('Empresas0.csv'), 'empresas');
+  assert.equal(tipoDoArquivo('LEIAME.pdf'), null);
+});
+
+test('parseLinhaReceita: ";" entre aspas e aspas dobradas', () => {
+  assert.deepEqual(
+    parseLinhaReceita('"12345678";"PADARIA ""PÃO; QUENTE"" LTDA";"2062";"";"1000,00"'),
+    ['12345678', 'PADARIA "PÃO; QUENTE" LTDA', '2062', '', '1000,00'],
+  );
+});
+
+test('MAPEAR: empresa ganha chave do nome; estabelecimento junta CNPJ e telefones', () => {
+  const empresa = MAPEAR.empresas(parseLinhaReceita('"12345678";"PADARIA ALFA LTDA";"2062";"49";"15.000,00";"01";""'));
+  assert.equal(empresa.chave, 'PADARIA ALFA');
+  assert.equal(empresa.capital_social, 15000);
+  assert.equal(empresa.porte, '01');
+
+  const campos = [
+    '12345678', '0001', '90', '1', 'PADARIA DO ZE', '02', '20150310', '00', '', '', '20150310', '1091102', '4721102,5611203',
+    'RUA', 'DAS FLORES', '100', 'LOJA 2', 'CENTRO', '01001000', 'SP', '7107', '11', '33334444', '', '', '', '', 'CONTATO@ALFA.COM.BR', '', '',
+  ];
+  const est = MAPEAR.estabelecimentos(parseLinhaReceita(campos.map((c) => `"${c}"`).join(';')));
+  assert.equal(est.cnpj, '12345678000190');
+  assert.equal(est.matriz, 1);
+  assert.equal(est.data_situacao, '2015-03-10');
+  assert.equal(est.telefone1, '1133334444');
+  assert.equal(est.telefone2, null);
+  assert.equal(est.email, 'contato@alfa.com.br');
+});
+
+const ALFA = { cnpj_basico: '12345678', razao_social: 'PADARIA ALFA LTDA', chave: 'PADARIA ALFA', situacao: '02', matriz: 1 };
+
+test('escolherCnpj: nome igual ignorando forma jurídica vale 1', () => {
+  const r = escolherCnpj('Padaria Alfa Ltda - ME', [ALFA, { ...ALFA, cnpj_basico: '87654321', razao_social: 'PADARIA ALFAMA LTDA', chave: 'PADARIA ALFAMA' }]);
+  assert.equal(r.candidato.cnpj_basico, '12345678');
+  assert.equal(r.confianca, 1);
+});
+
+test('escolherCnpj: homônimos ativos derrubam a confiança; baixado não conta', () => {
+  const homonimo = { ...ALFA, cnpj_basico: '11111111', matriz: 0 };
+  assert.equal(escolherCnpj('PADARIA ALFA', [homonimo, ALFA]).confianca, 0.5);
+  assert.equal(escolherCnpj('PADARIA ALFA', [homonimo, ALFA]).candidato.cnpj_basico, '12345678', 'ativa e matriz primeiro');
+
+  const baixado = { ...ALFA, cnpj_basico: '22222222', situacao: '08' };
+  assert.equal(escolherCnpj('PADARIA ALFA', [baixado, ALFA]).confianca, 1);
+});
+
+test('escolherCnpj: nome só parecido dá confiança menor; nome fantasia também conta', () => {
+  const r = escolherCnpj('PADARIA ALFA COMERCIO', [ALFA]);
+  assert.ok(r.confianca > 0.5 && r.confianca < 0.85);
+
+  const fantasia = escolherCnpj('PAO QUENTE', [{ ...ALFA, nome_fantasia: 'PÃO QUENTE' }]);
+  assert.equal(fantasia.confianca, 1);
+});
+
+test('colunasReceita: porte, situação, endereço e telefone legíveis', () => {
+  const c = colunasReceita({
+    confianca: 1,
+    origem: 'nome',
+    candidato: {
+      ...ALFA,
+      cnpj: '12345678000190',
+      porte: '01',
+      cnae_principal: '1091102',
+      cnae_descricao: 'Fabricação de produtos de padaria',
+      tipo_logradouro: 'RUA',
+      logradouro: 'DAS FLORES',
+      numero: '100',
+      bairro: 'CENTRO',
+      municipio_nome: 'SAO PAULO',
+      uf: 'SP',
+      cep: '01001000',
+      telefone1: '1133334444',
+      email: 'contato@alfa.com.br',
+    },
+  });
+
+  assert.equal(c.cnpjReceita, '12.345.678/0001-90');
+  assert.equal(c.porteReceita, 'MICRO EMPRESA');
+  assert.equal(c.situacaoCadastral, 'ATIVA');
+  assert.equal(c.enderecoReceita, 'RUA DAS FLORES, 100 - CENTRO - SAO PAULO/SP - CEP 01001000');
+  assert.equal(c.telefoneReceita, '(11) 33334444');
+  assert.equal(colunasReceita({ confianca: 1, origem: 'nome', candidato: { ...ALFA, opcao_mei: 'S' } }).porteReceita, 'MEI');
+  assert.equal(colunasReceita(null).cnpjReceita, '');
+});
+
+test('lerConfiancaMinima: número entre 0 e 1; texto ou vazio falham com mensagem clara', () => {
+  assert.equal(lerConfiancaMinima(), 0.85);
+  assert.equal(lerConfiancaMinima('0.9'), 0.9);
+  assert.equal(lerConfiancaMinima(' 1 '), 1);
+  assert.throws(() => lerConfiancaMinima('alta'), /RECEITA_CONFIANCA_MINIMA precisa ser um número entre 0 e 1 \(veio "alta"\)/);
+  assert.throws(() => lerConfiancaMinima(''), /RECEITA_CONFIANCA_MINIMA/);
+  assert.throws(() => lerConfiancaMinima('85'), /RECEITA_CONFIANCA_MINIMA/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizarNome,
+  nucleoDoNome,
+  chaveEmpresa,
+  nomeCanonico,
+  separarReclamadas,
+  colunasReclamada,
+  agruparEmpresas,
+} = require('../lib/reclamadas');
+
+test('normalizarNome: sem acento, caixa alta, S.A./S/A viram SA', () => {
+  assert.equal(normalizarNome('Itaú Unibanco S.A.'), 'ITAU UNIBANCO SA');
+  assert.equal(normalizarNome('Foo S/A'), 'FOO SA');
+  assert.equal(normalizarNome('  Mercado Gama, Comércio  - ME '), 'MERCADO GAMA COMERCIO ME');
+});
+
+test('nucleoDoNome: tira a forma jurídica do final', () => {
+  assert.equal(nucleoDoNome('ACME Comércio Ltda - ME'), 'ACME COMERCIO');
+  assert.equal(nucleoDoNome('Beta Transportes EIRELI'), 'BETA TRANSPORTES');
+  assert.equal(nucleoDoNome('Mercado Central'), 'MERCADO CENTRAL');
+});
+
+test('nomeCanonico: sufixos societários numa forma só', () => {
+  assert.equal(nomeCanonico('Alfa  Comércio Ltda. - ME'), 'ALFA COMÉRCIO LTDA ME');
+  assert.equal(nomeCanonico('alfa comércio ltda-me'), 'ALFA COMÉRCIO LTDA ME');
+  assert.equal(nomeCanonico('Beta S/A'), 'BETA S.A.');
+  assert.equal(nomeCanonico('Gama Serviços EIRELI - EPP'), 'GAMA SERVIÇOS EIRELI EPP');
+});
+
+test('chaveEmpresa: mesma chave para as variantes do nome', () => {
+  const variantes = [
+    'MERCADO GAMA, COMÉRCIO DE ALIMENTOS LTDA',
+    'Mercado Gama Com. de Alimentos Ltda - ME',
+    'MERCADO GAMA COMERCIO ALIMENTOS EIRELI',
+  ];
+  assert.deepEqual([...new Set(variantes.map(chaveEmpresa))], ['MERCADO GAMA COMERCIO ALIMENTOS']);
+});
+
+test('separarReclamadas: várias rés, "E OUTROS" e vírgula dentro do nome', () => {
+  assert.deepEqual(separarReclamadas('ALFA COMÉRCIO LTDA - ME; BETA S/A E OUTROS'), {
+    reclamadas: [{ nome: 'ALFA COMÉRCIO LTDA ME', chave: 'ALFA COMERCIO' }, { nome: 'BETA S.A.', chave: 'BETA' }],
+    eOutros: true,
+  });
+
+  const nomes = (t) => separarReclamadas(t).reclamadas.map((r) => r.nome);
+  assert.deepEqual(nomes('ALFA LTDA E BETA SERVICOS EIRELI'), ['ALFA LTDA', 'BETA SERVICOS EIRELI']);
+  assert.deepEqual(nomes('Banco Modelo S A / Alfa Ltda'), ['BANCO MODELO S.A.', 'ALFA LTDA']);
+  assert.deepEqual(nomes('MERCADO GAMA, COMÉRCIO DE ALIMENTOS LTDA'), ['MERCADO GAMA, COMÉRCIO DE ALIMENTOS LTDA']);
+  assert.deepEqual(nomes('ALFA LTDA, EPP'), ['ALFA LTDA EPP']);
+  assert.deepEqual(nomes('CONSTRUTORA X LTDA (E OUTROS)'), ['CONSTRUTORA X LTDA']);
+
+  // a mesma empresa duas vezes no campo conta uma vez só
+  assert.deepEqual(nomes('ALFA LTDA; Alfa Ltda - ME'), ['ALFA LTDA']);
+  assert.deepEqual(separarReclamadas(''), { reclamadas: [], eOutros: false });
+});
+
+test('colunasReclamada: colunas da linha da pauta', () => {
+  assert.deepEqual(colunasReclamada('Alfa Ltda e outros'), {
+    reclamadasNormalizadas: 'ALFA LTDA',
+    chavesEmpresa: 'ALFA',
+    reclamadaEOutros: 'SIM',
+  });
+});
+
+test('agruparEmpresas: junta variantes de varas e datas diferentes num registro', () => {
+  const rows = [
+    { numeroProcesso: 'P1', tribunal: 'TRT2', vara: '1ª Vara', data: '10/11/2026', reclamada: 'PADARIA ALFA LTDA' },
+    { numeroProcesso: 'P2', tribunal: 'TRT2', vara: '2ª Vara', data: '03/11/2026', reclamada: 'Padaria Alfa Ltda - ME' },
+    { numeroProcesso: 'P3', tribunal: 'TRT2', vara: '1ª Vara', data: '10/11/2026', reclamada: 'PADARIA ALFA LTDA; BETA S/A' },
+  ];
+
+  const [alfa, beta] = agruparEmpresas(rows);
+
+  assert.deepEqual(alfa, {
+    chaveEmpresa: 'PADARIA ALFA',
+    nome: 'PADARIA ALFA LTDA',
+    variantes: 'PADARIA ALFA LTDA; PADARIA ALFA LTDA ME',
+    totalProcessos: 3,
+    processos: 'P1; P2; P3',
+    tribunais: 'TRT2',
+    varas: '1ª Vara; 2ª Vara',
+    datas: '03/11/2026; 10/11/2026',
+    proximaAudiencia: '03/11/2026',
+  });
+  assert.equal(beta.nome, 'BETA S.A.');
+  assert.equal(beta.totalProcessos, 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  compilarRegras,
+  carregarRegras,
+  avaliarReclamada,
+  separarLinhas,
+} = require('../lib/regras');
+
+const REGRAS = compilarRegras({
+  permitidas: ['Banco de Alimentos Comunitário Ltda'],
+  blacklist: {
+    exata: ['ITAU UNIBANCO S.A.'],
+    aproximada: ['CARREFOUR COMERCIO E INDUSTRIA'],
+  },
+  palavrasChave: ['BANCO', 'S.A.'],
+});
+
+test('avaliarReclamada: blacklist exata ignora pontuação e acento', () => {
+  assert.deepEqual(avaliarReclamada('Itau Unibanco S/A', REGRAS), { regra: 'blacklist', motivo: 'blacklist: "ITAU UNIBANCO S.A."' });
+});
+
+test('avaliarReclamada: blacklist aproximada pega erro de digitação e sufixo', () => {
+  const r = avaliarReclamada('Carrefor Comercio e Industria Ltda', REGRAS);
+  assert.equal(r.regra, 'blacklistAproximada');
+  assert.match(r.motivo, /CARREFOUR COMERCIO E INDUSTRIA" \(9\d%\)/);
+
+  assert.equal(avaliarReclamada('Carvalho Comercio de Tintas Ltda', REGRAS), null);
+});
+
+test('avaliarReclamada: palavra-chave só casa termo inteiro', () => {
+  assert.equal(avaliarReclamada('Banco Modelo', REGRAS).regra, 'palavraChave');
+  assert.equal(avaliarReclamada('Metalúrgica Omega S.A.', REGRAS).motivo, 'palavra-chave "S.A."');
+  assert.equal(avaliarReclamada('Bancada Móveis Ltda', REGRAS), null);
+});
+
+test('avaliarReclamada: entes públicos (desligáveis) e allowlist', () => {
+  assert.equal(avaliarReclamada('Município de Guarulhos', REGRAS).regra, 'entePublico');
+  assert.equal(avaliarReclamada('Fazenda Pública do Estado de São Paulo', REGRAS).regra, 'entePublico');
+  assert.equal(avaliarReclamada('Município de Guarulhos', compilarRegras({ entesPublicos: false })), null);
+
+  // permitida vence a palavra-chave "BANCO"
+  assert.equal(avaliarReclamada('BANCO DE ALIMENTOS COMUNITARIO LTDA', REGRAS), null);
+});
+
+test('separarLinhas: descartadas levam regra e motivo', () => {
+  const rows = [{ reclamada: 'Padaria Pão Quente Ltda' }, { reclamada: 'Banco Modelo' }, { reclamada: '' }];
+  const { mantidas, descartadas } = separarLinhas(rows, REGRAS);
+
+  assert.deepEqual(mantidas.map((r) => r.reclamada), ['Padaria Pão Quente Ltda', '']);
+  assert.deepEqual(descartadas, [{ reclamada: 'Banco Modelo', regraDescarte: 'palavraChave', motivoDescarte: 'palavra-chave "BANCO"' }]);
+});
+
+test('separarLinhas: com várias rés só descarta se todas casarem', () => {
+  const { mantidas, descartadas } = separarLinhas([
+    { reclamada: 'PADARIA ALFA LTDA E BANCO MODELO S/A' },
+    { reclamada: 'ITAU UNIBANCO S.A.; MUNICIPIO DE GUARULHOS' },
+  ], REGRAS);
+
+  assert.deepEqual(mantidas.map((r) => r.reclamada), ['PADARIA ALFA LTDA E BANCO MODELO S/A']);
+  assert.equal(descartadas[0].regraDescarte, 'blacklist, entePublico');
+  assert.equal(descartadas[0].motivoDescarte, 'ITAU UNIBANCO S.A.: blacklist: "ITAU UNIBANCO S.A."; MUNICIPIO DE GUARULHOS: ente público');
+});
+
+test('carregarRegras: arquivo padrão é válido; config errada é erro claro; null desliga', () => {
+  assert.ok(carregarRegras().palavrasChave.length > 0);
+
+  const arquivo = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jte-regras-')), 'regras.json');
+  fs.writeFileSync(arquivo, JSON.stringify({ blacklist: { exata: 'BANCO X' } }));
+  assert.throws(() => carregarRegras(arquivo), /"blacklist\.exata" precisa ser uma lista de textos/);
+  assert.throws(() => carregarRegras(path.join(os.tmpdir(), 'nao-existe.json')), /não consegui ler/);
+
+  assert.equal(avaliarReclamada('Banco do Brasil S.A.', carregarRegras(null)), null);
+});
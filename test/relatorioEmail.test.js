@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  renderizarTemplate,
+  carregarTemplates,
+  formatarDuracao,
+  semanaDe,
+  montarRelatorio,
+  montarEmail,
+} = require('../lib/relatorioEmail');
+
+test('renderizarTemplate: campos, listas, invertidas e escape só no HTML', () => {
+  const tpl = 'Oi {{nome}} ({{{cru}}}){{#itens}} [{{n}} de {{nome}}]{{/itens}}{{^vazia}} vazia{{/vazia}}{{#sim}} sim{{/sim}} {{a.b}}';
+  const dados = { nome: 'A & B', cru: '<b>x</b>', itens: [{ n: 1 }, { n: 2 }], vazia: [], sim: true, a: { b: 3 } };
+
+  assert.equal(renderizarTemplate(tpl, dados), 'Oi A & B (<b>x</b>) [1 de A & B] [2 de A & B] vazia sim 3');
+  assert.equal(
+    renderizarTemplate(tpl, dados, { html: true }),
+    'Oi A &amp; B (<b>x</b>) [1 de A &amp; B] [2 de A &amp; B] vazia sim 3',
+  );
+});
+
+test('renderizarTemplate: tag de seção sozinha na linha não deixa linha em branco', () => {
+  assert.equal(renderizarTemplate('A\n{{#l}}\n- {{.}}\n{{/l}}\nB\n', { l: ['x', 'y'] }), 'A\n- x\n- y\nB\n');
+});
+
+test('renderizarTemplate: seção sem fechamento falha com o nome do arquivo', () => {
+  assert.throws(() => renderizarTemplate('{{#itens}} x', {}, { nome: 'relatorio.html' }), /\{\{#itens\}\} sem .* em relatorio\.html/);
+  assert.throws(() => renderizarTemplate('{{#a}} x {{/b}}', {}), /\{\{\/b\}\} sem \{\{#b\}\}/);
+});
+
+test('semanaDe / formatarDuracao', () => {
+  assert.equal(semanaDe('22/10/2026').rotulo, '19/10 a 25/10/2026');
+  assert.equal(semanaDe('19/10/2026').rotulo, '19/10 a 25/10/2026');
+  assert.equal(semanaDe('25/10/2026').rotulo, '19/10 a 25/10/2026');
+  assert.equal(formatarDuracao(42_000), '42 s');
+  assert.equal(formatarDuracao(125_000), '2 min 5 s');
+  assert.equal(formatarDuracao(3_900_000), '1 h 5 min');
+});
+
+const ROWS = [
+  { tribunal: 'TRT2', vara: '1ª Vara', data: '20/10/2026', tipoAudiencia: 'Inicial' },
+  { tribunal: 'TRT2', vara: '1ª Vara', data: '28/10/2026', tipoAudiencia: 'Instrução' },
+  { tribunal: 'TRT2', vara: '2ª Vara', data: '21/10/2026', tipoAudiencia: 'Inicial' },
+];
+
+test('montarRelatorio: totais por vara, semana e tipo, top leads e falhas', () => {
+  const leads = [1, 2, 3].map((posicao) => ({ posicao, score: 100 - posicao, data: '20/10/2026', reclamada: `EMPRESA ${posicao}` }));
+  const r = montarRelatorio({
+    rows: ROWS,
+    leads,
+    topLeads: 2,
+    datasPuladas: [{ vara: '2ª Vara', data: '28/10/2026' }],
+    duracaoMs: 61_000,
+  });
+
+  assert.deepEqual(r.porVara.map((v) => [v.vara, v.total]), [['1ª Vara', 2], ['2ª Vara', 1]]);
+  assert.deepEqual(r.porSemana, [{ semana: '19/10 a 25/10/2026', total: 2 }, { semana: '26/10 a 01/11/2026', total: 1 }]);
+  assert.deepEqual(r.porTipo, [{ tipo: 'Inicial', total: 2 }, { tipo: 'Instrução', total: 1 }]);
+  assert.deepEqual(r.topLeads.map((l) => l.reclamada), ['EMPRESA 1', 'EMPRESA 2']);
+  assert.equal(r.maisLeads, 1);
+  assert.equal(r.totais.varas, 2);
+  assert.equal(r.temFalhas, true);
+  assert.equal(r.duracao, '1 min 1 s');
+});
+
+test('config/email: templates padrão montam assunto, HTML e texto sem sobrar tag', () => {
+  const dados = montarRelatorio({
+    rows: ROWS,
+    leads: [{ posicao: 1, score: 88, data: '20/10/2026', vara: '1ª Vara', reclamada: 'PADARIA <ALFA>', numeroProcesso: '0000001' }],
+    novidades: [{ mudanca: 'nova', data: '20/10/2026', vara: '1ª Vara', numeroProcesso: '0000001' }],
+    varasComFalha: [{ vara: 'TRT2 | São Paulo | 3ª Vara', erro: 'timeout' }],
+    tribunais: ['TRT2'],
+    anexo: 'XLSX',
+  });
+  const email = montarEmail(carregarTemplates(), dados);
+
+  assert.match(email.subject, /^Pauta TRT2 - 1 novidades \(com falhas\)/);
+  assert.match(email.html, /PADARIA &lt;ALFA&gt;/);
+  assert.match(email.html, /3ª Vara \(timeout\)/);
+  assert.match(email.text, /1\. \[88\] 20\/10\/2026/);
+  assert.match(email.text, /- 19\/10 a 25\/10\/2026: 2/);
+  for (const corpo of [email.subject, email.html, email.text]) assert.doesNotMatch(corpo, /\{\{|\}\}/);
+});
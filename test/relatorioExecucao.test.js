@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { montarRelatorioExecucao, precisaAlerta, relatorioEmTexto } = require('../lib/relatorioExecucao');
+
+const UM = { tribunal: 'TRT2 - São Paulo', municipio: 'São Paulo', vara: '1ª Vara do Trabalho de São Paulo' };
+const DOIS = { ...UM, vara: '2ª Vara do Trabalho de São Paulo' };
+const TRES = { ...UM, vara: '3ª Vara do Trabalho de São Paulo' };
+const DATAS = ['20/10/2026', '21/10/2026'];
+
+function par(u, data, status = 'ok') {
+  return { ...u, data, status };
+}
+
+test('montarRelatorioExecucao: tudo lido = concluida, sem alerta', () => {
+  const r = montarRelatorioExecucao({
+    runId: 'r1',
+    iniciadoEm: '2026-10-19T08:00:00.000Z',
+    finalizadoEm: '2026-10-19T08:05:00.000Z',
+    unidades: [UM],
+    datas: DATAS,
+    concluidos: DATAS.map((d) => par(UM, d)),
+    totalLinhas: 4,
+  });
+
+  assert.equal(r.status, 'concluida');
+  assert.equal(r.duracaoMs, 300_000);
+  assert.deepEqual(r.pares, { total: 2, lidos: 2, pulados: 0 });
+  assert.equal(precisaAlerta(r), false);
+});
+
+test('montarRelatorioExecucao: vara com falha, data pulada e vara que nem começou = degradada', () => {
+  const r = montarRelatorioExecucao({
+    runId: 'r2',
+    iniciadoEm: '2026-10-19T08:00:00.000Z',
+    unidades: [UM, DOIS, TRES],
+    datas: DATAS,
+    concluidos: [par(UM, DATAS[0]), par(UM, DATAS[1], 'pulado'), par(DOIS, DATAS[0])],
+    falhas: [{ item: DOIS, erro: new Error('Timeout 30000ms') }],
+  });
+
+  assert.equal(r.status, 'degradada');
+  assert.equal(r.varas.concluidas, 1, 'data pulada conta como par concluído');
+  assert.deepEqual(r.varas.comFalha, [{ vara: `TRT2 - São Paulo | São Paulo | ${DOIS.vara}`, erro: 'Timeout 30000ms' }]);
+  assert.deepEqual(r.varas.incompletas, [`TRT2 - São Paulo | São Paulo | ${TRES.vara}`]);
+  assert.deepEqual(r.datas.puladas, [{ vara: `TRT2 - São Paulo | São Paulo | ${UM.vara}`, data: DATAS[1] }]);
+  assert.equal(precisaAlerta(r), true);
+
+  const texto = relatorioEmTexto(r);
+  assert.match(texto, /^Execução r2: DEGRADADA/);
+  assert.match(texto, /Varas: 1\/3 concluídas, 1 com falha, 1 incompletas/);
+  assert.match(texto, /- 21\/10\/2026 em .*1ª Vara/);
+});
+
+test('montarRelatorioExecucao: exceção antes de listar as varas = falhou, com etapa e stack', () => {
+  const erro = new Error('net::ERR_CONNECTION_REFUSED');
+  const r = montarRelatorioExecucao({ iniciadoEm: '2026-10-19T08:00:00.000Z', etapa: 'unidades', erro });
+
+  assert.equal(r.status, 'falhou');
+  assert.equal(r.runId, null);
+  assert.deepEqual(r.varas, { tentadas: 0, concluidas: 0, comFalha: [], incompletas: [] });
+  assert.equal(r.erro.mensagem, 'net::ERR_CONNECTION_REFUSED');
+  assert.match(relatorioEmTexto(r), /FALHOU na etapa "unidades"[\s\S]*at /);
+});
+
+test('montarRelatorioExecucao: parada pedida (SIGTERM) = interrompida, sem alerta', () => {
+  const erro = Object.assign(new Error('Execução interrompida: 2 varas ficaram para a próxima (--resume)'), { code: 'JTE_INTERROMPIDA' });
+  const r = montarRelatorioExecucao({
+    runId: 'r4',
+    iniciadoEm: '2026-10-19T08:00:00.000Z',
+    etapa: 'scrape',
+    unidades: [UM, DOIS, TRES],
+    datas: DATAS,
+    concluidos: DATAS.map((d) => par(UM, d)),
+    erro,
+  });
+
+  assert.equal(r.status, 'interrompida');
+  assert.equal(r.varas.incompletas.length, 2);
+  assert.equal(precisaAlerta(r), false);
+});
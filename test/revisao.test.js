@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jte = require('../index');
+const { compilarPontuacao, LEADS_HEADERS } = require('../lib/leads');
+const { validarMudancaRevisao, aplicarRevisao, leadEmAberto, criarRevisaoArquivo } = require('../lib/revisao');
+
+function linha(numeroProcesso, extras = {}) {
+  return {
+    tribunal: 'TRT2 - São Paulo',
+    municipio: 'São Paulo',
+    vara: '1ª Vara do Trabalho de São Paulo',
+    data: '26/10/2026',
+    hora: '09:00',
+    tipoAudiencia: 'Inicial',
+    numeroProcesso,
+    reclamante: 'FULANO',
+    reclamada: 'PADARIA ALFA LTDA',
+    ...extras,
+  };
+}
+
+test('validarMudancaRevisao: status conhecido, textos aparados e algo para alterar', () => {
+  assert.deepEqual(
+    validarMudancaRevisao({ status: 'em_contato', responsavel: ' Ana ', nota: ' ligar amanhã ', autor: 'Ana' }),
+    { status: 'em_contato', responsavel: 'Ana', nota: 'ligar amanhã', autor: 'Ana' },
+  );
+  assert.deepEqual(validarMudancaRevisao({ responsavel: null }), { responsavel: '', nota: '', autor: null }, 'null tira o responsável');
+  assert.throws(() => validarMudancaRevisao({ status: 'ganho' }), /status "ganho" inválido/);
+  assert.throws(() => validarMudancaRevisao({ nota: 42 }), /"nota" precisa ser texto/);
+  assert.throws(() => validarMudancaRevisao({ autor: 'Ana' }), /nada para alterar/);
+});
+
+test('criarRevisaoArquivo: estado por processo sobrevive a outra execução e entra na aba de leads', async () => {
+  const arquivo = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jte-revisao-')), 'leads_revisao.json');
+  const loja = criarRevisaoArquivo(arquivo);
+
+  await loja.atualizar('0000001-00.2026.5.02.0001', validarMudancaRevisao({ status: 'em_contato', responsavel: 'Ana', nota: 'pediu proposta', autor: 'Ana' }));
+  const r = await loja.atualizar('0000001-00.2026.5.02.0001', validarMudancaRevisao({ nota: 'retornar dia 30', autor: 'Bruno' }));
+  assert.deepEqual([r.status, r.responsavel, r.atualizadoPor, r.totalNotas], ['em_contato', 'Ana', 'Bruno', 2], 'nota sozinha não mexe no status');
+  await loja.atualizar('0000002-00.2026.5.02.0001', validarMudancaRevisao({ status: 'descartado', autor: 'Ana' }));
+
+  // próxima execução: outro processo abre o arquivo; audiência remarcada continua do mesmo processo
+  const revisoes = await criarRevisaoArquivo(arquivo).carregar([
+    '0000001-00.2026.5.02.0001', '0000002-00.2026.5.02.0001', '0000003-00.2026.5.02.0001',
+  ]);
+  assert.deepEqual([...revisoes.keys()], ['0000001-00.2026.5.02.0001', '0000002-00.2026.5.02.0001']);
+  assert.deepEqual((await criarRevisaoArquivo(arquivo).notas('0000001-00.2026.5.02.0001')).map((n) => [n.texto, n.autor]), [
+    ['pediu proposta', 'Ana'], ['retornar dia 30', 'Bruno'],
+  ]);
+
+  const rows = [
+    linha('0000001-00.2026.5.02.0001', { data: '28/10/2026' }),
+    linha('0000002-00.2026.5.02.0001'),
+    linha('0000003-00.2026.5.02.0001'),
+  ];
+  const aba = jte.abasExtrasDaPauta(rows, { pontuacao: compilarPontuacao(), revisoes }).find((a) => a.arquivo === 'leads');
+  assert.equal(aba.headers, LEADS_HEADERS);
+  const porProcesso = Object.fromEntries(aba.rows.map((l) => [l.numeroProcesso.slice(0, 7), [l.statusRevisao, l.responsavel]]));
+  assert.deepEqual(porProcesso, { '0000001': ['em_contato', 'Ana'], '0000002': ['descartado', ''], '0000003': ['novo', ''] });
+
+  assert.deepEqual(aba.rows.filter(leadEmAberto).map((l) => l.numeroProcesso.slice(0, 7)).sort(), ['0000001', '0000003']);
+  assert.equal(aplicarRevisao(aba.rows, new Map())[0].statusRevisao, 'novo', 'sem revisão todo lead é novo');
+});
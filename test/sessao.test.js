@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analisarSessao } = require('../lib/sessao');
+
+test('analisarSessao: hora e tipo vindos do DOM', () => {
+  assert.deepEqual(analisarSessao({ sessao: '09:30 - Inicial' }), {
+    hora: '09:30',
+    tipoAudiencia: 'Inicial',
+    modalidade: '',
+    status: '',
+    sessaoBruta: '',
+  });
+});
+
+test('analisarSessao: modalidade entre parênteses, 9h30 e tipo composto', () => {
+  const r = analisarSessao({ sessao: '9h30 - Instrução e Julgamento (Telepresencial)' });
+  assert.equal(r.hora, '09:30');
+  assert.equal(r.tipoAudiencia, 'Instrução');
+  assert.equal(r.modalidade, 'telepresencial');
+  assert.equal(r.sessaoBruta, '');
+});
+
+test('analisarSessao: status, redesignada não vira designada', () => {
+  assert.equal(analisarSessao({ sessao: '11:00 - Una - Cancelada' }).status, 'cancelada');
+  assert.equal(analisarSessao({ sessao: '10:15 - Redesignada' }).status, 'redesignada');
+  assert.equal(analisarSessao({ sessao: '10:15 - Designada' }).status, 'designada');
+  assert.equal(analisarSessao({ sessao: '14:00 - Presencial' }).modalidade, 'presencial');
+});
+
+test('analisarSessao: campos do JSON da rede têm prioridade', () => {
+  const r = analisarSessao({
+    sessao: '10:15 - Conciliação',
+    tipoPauta: 'Inicial',
+    situacaoPauta: 'Adiada',
+    modalidadePauta: 'Híbrida',
+  });
+  assert.deepEqual(r, { hora: '10:15', tipoAudiencia: 'Inicial', modalidade: 'híbrida', status: 'adiada', sessaoBruta: '' });
+});
+
+test('analisarSessao: o que não é reconhecido fica em sessaoBruta', () => {
+  assert.equal(analisarSessao({ sessao: '14:00 - Sessão extraordinária / Híbrida' }).sessaoBruta, 'Sessão extraordinária');
+  assert.deepEqual(analisarSessao({}), { hora: '', tipoAudiencia: '', modalidade: '', status: '', sessaoBruta: '' });
+});
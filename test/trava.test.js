@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { NOME_TRAVA, lerTrava, adquirirTrava } = require('../lib/trava');
+
+function dirTemporario() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jte-trava-'));
+}
+
+test('adquirirTrava: segunda execução na mesma pasta para com o dono da trava', () => {
+  const dir = dirTemporario();
+  const trava = adquirirTrava(dir, { origem: 'daemon:diario' });
+  assert.equal(lerTrava(trava.arquivo).pid, process.pid);
+
+  assert.throws(() => adquirirTrava(dir), (err) => {
+    assert.equal(err.code, 'JTE_TRAVADA');
+    assert.equal(err.dono.origem, 'daemon:diario');
+    assert.match(err.message, new RegExp(`Outra execução em andamento \\(pid ${process.pid}`));
+    return true;
+  });
+
+  trava.liberar();
+  assert.equal(fs.existsSync(path.join(dir, NOME_TRAVA)), false);
+  adquirirTrava(dir).liberar();
+});
+
+test('adquirirTrava: trava de processo morto no mesmo host é removida', (t) => {
+  t.mock.method(console, 'warn', () => { });
+  const dir = dirTemporario();
+  // pid acima do pid_max do Linux: certamente não está rodando
+  fs.writeFileSync(path.join(dir, NOME_TRAVA), JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname(), desde: '2026-10-19T03:00:00.000Z' }));
+
+  const trava = adquirirTrava(dir);
+  assert.equal(lerTrava(trava.arquivo).pid, process.pid);
+  assert.match(console.warn.mock.calls[0].arguments[0], /trava abandonada/);
+  trava.liberar();
+
+  // de outro host não dá para saber: fica
+  fs.writeFileSync(path.join(dir, NOME_TRAVA), JSON.stringify({ pid: 2 ** 22 + 1, host: 'outra-maquina' }));
+  assert.throws(() => adquirirTrava(dir), { code: 'JTE_TRAVADA' });
+});
+
+test('adquirirTrava: trava vazia recente está sendo escrita; só sai depois de parada', (t) => {
+  t.mock.method(console, 'warn', () => { });
+  const dir = dirTemporario();
+  const arquivo = path.join(dir, NOME_TRAVA);
+  fs.writeFileSync(arquivo, '');
+
+  assert.throws(() => adquirirTrava(dir), { code: 'JTE_TRAVADA' });
+  assert.equal(fs.existsSync(arquivo), true);
+
+  const antiga = new Date(Date.now() - 60000);
+  fs.utimesSync(arquivo, antiga, antiga);
+  const trava = adquirirTrava(dir);
+  assert.equal(lerTrava(arquivo).pid, process.pid);
+  assert.match(console.warn.mock.calls[0].arguments[0], /trava abandonada \(ilegível\)/);
+  trava.liberar();
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('executarScrape: falha ao abrir o log não deixa a trava para trás', async (t) => {
+  t.mock.method(console, 'log', () => { });
+  const jte = require('../index');
+  const dir = dirTemporario();
+  // "logs" como arquivo: iniciarLog não consegue criar a pasta
+  fs.writeFileSync(path.join(dir, 'logs'), '');
+
+  const opcoes = { outDir: dir, enviarEmail: false, crmUrl: '', origem: 'daemon:diario' };
+  await assert.rejects(jte.executarScrape(opcoes), { code: 'EEXIST' });
+  assert.equal(fs.existsSync(path.join(dir, NOME_TRAVA)), false);
+});